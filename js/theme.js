@@ -117,6 +117,9 @@
         if (nmr?.moleculeViz?.applyTheme) {
             nmr.moleculeViz.applyTheme();
         }
+        if (nmr?.contourViz?.applyTheme) {
+            nmr.contourViz.applyTheme();
+        }
     }
 
     function refreshAllVisuals() {
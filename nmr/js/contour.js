@@ -0,0 +1,380 @@
+/**
+ * 2D NMR Contour Plot
+ * Canvas-based contour display for COSY, NOESY and HSQC spectra
+ * with skyline projections along both axes
+ */
+
+class ContourPlotVisualization {
+    constructor(canvasId) {
+        this.canvas = document.getElementById(canvasId);
+        if (!this.canvas) {
+            console.error('Canvas not found:', canvasId);
+            return;
+        }
+        this.ctx = this.canvas.getContext('2d');
+        this.spectrum = null;
+
+        // Contour levels: geometric series starting at a fraction of the tallest peak
+        this.numLevels = 8;
+        this.lowestLevel = 0.015;
+        this.levelRatio = 1.7;
+
+        // Marching squares: segments (pairs of cell edges 0 top, 1 right, 2 bottom, 3 left)
+        // for each corner pattern (bit 0 top-left, 1 top-right, 2 bottom-right, 3 bottom-left)
+        this.segments = [
+            [], [[3, 0]], [[0, 1]], [[3, 1]],
+            [[1, 2]], [[3, 0], [1, 2]], [[0, 2]], [[3, 2]],
+            [[2, 3]], [[0, 2]], [[0, 1], [2, 3]], [[1, 2]],
+            [[3, 1]], [[0, 1]], [[3, 0]], []
+        ];
+
+        this.titles = {
+            cosy: '¹H–¹H COSY',
+            noesy: '¹H–¹H NOESY',
+            hsqc: '¹H–¹³C HSQC'
+        };
+
+        // Setup resize handling
+        this.setupResize();
+    }
+
+    setupResize() {
+        const resizeObserver = new ResizeObserver(() => {
+            this.render();
+        });
+
+        if (this.canvas.parentElement) {
+            resizeObserver.observe(this.canvas.parentElement);
+        }
+    }
+
+    /**
+     * Show a spectrum from NMRPhysics.compute2DSpectrum
+     */
+    setSpectrum(spectrum) {
+        this.spectrum = spectrum;
+        this.render();
+        this.updateCorrelationInfo();
+    }
+
+    clear() {
+        this.spectrum = null;
+        this.render();
+        this.updateCorrelationInfo();
+    }
+
+    render() {
+        if (!this.canvas || !this.ctx) return;
+
+        const container = this.canvas.parentElement;
+        const rect = container.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return; // Hidden tab
+
+        this.canvas.width = rect.width;
+        this.canvas.height = rect.height;
+
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        const rootStyle = getComputedStyle(document.documentElement);
+        const inner = rootStyle.getPropertyValue('--viz-canvas-inner').trim() || '#111827';
+        const outer = rootStyle.getPropertyValue('--viz-canvas-outer').trim() || '#0a0f1a';
+        const bgGradient = ctx.createLinearGradient(0, 0, 0, height);
+        bgGradient.addColorStop(0, inner);
+        bgGradient.addColorStop(1, outer);
+        ctx.fillStyle = bgGradient;
+        ctx.fillRect(0, 0, width, height);
+
+        if (!this.spectrum) {
+            this.drawEmptyState();
+            return;
+        }
+
+        const colors = window.QubibyteTheme?.getChartColors?.() || {
+            title: '#f1f5f9', legend: '#94a3b8', tick: '#64748b', grid: 'rgba(71, 85, 105, 0.3)'
+        };
+
+        // Layout: projections above and left of the contour area, F1 axis on the right (NMR convention)
+        const plot = {
+            left: 70,
+            top: 80,
+            right: width - 70,
+            bottom: height - 110
+        };
+        plot.width = plot.right - plot.left;
+        plot.height = plot.bottom - plot.top;
+        if (plot.width < 50 || plot.height < 50) return;
+
+        const { magnitude, f1Ppm, f2Ppm, maxIntensity } = this.spectrum;
+        const rows = magnitude.length;
+        const cols = magnitude[0].length;
+
+        // Grid index → pixel (F2 high ppm on the left, F1 increasing downwards)
+        const toX = (col) => plot.right - col / (cols - 1) * plot.width;
+        const toY = (row) => plot.top + row / (rows - 1) * plot.height;
+
+        this.drawTitle(ctx, colors, width);
+        this.drawAxes(ctx, colors, plot, f1Ppm, f2Ppm);
+
+        if (maxIntensity > 0) {
+            if (this.spectrum.f1Nucleus === this.spectrum.f2Nucleus) {
+                this.drawDiagonal(ctx, colors, plot, f1Ppm, f2Ppm);
+            }
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(plot.left, plot.top, plot.width, plot.height);
+            ctx.clip();
+            ctx.lineWidth = 1;
+            for (let i = 0; i < this.numLevels; i++) {
+                const level = maxIntensity * this.lowestLevel * Math.pow(this.levelRatio, i);
+                const hue = 230 + 110 * i / (this.numLevels - 1); // Blue (low) to rose (high)
+                ctx.strokeStyle = `hsl(${hue}, 85%, ${55 + 10 * i / (this.numLevels - 1)}%)`;
+                this.traceLevel(ctx, level, toX, toY);
+            }
+            ctx.restore();
+
+            this.drawProjections(ctx, plot, toX, toY);
+        } else {
+            ctx.fillStyle = colors.legend;
+            ctx.font = '13px Arial';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('No correlations for this sample', plot.left + plot.width / 2, plot.top + plot.height / 2);
+        }
+    }
+
+    /**
+     * Draw one contour level with marching squares
+     */
+    traceLevel(ctx, level, toX, toY) {
+        const magnitude = this.spectrum.magnitude;
+        const rows = magnitude.length;
+        const cols = magnitude[0].length;
+
+        ctx.beginPath();
+        for (let r = 0; r < rows - 1; r++) {
+            const upper = magnitude[r];
+            const lower = magnitude[r + 1];
+
+            for (let c = 0; c < cols - 1; c++) {
+                const v0 = upper[c];
+                const v1 = upper[c + 1];
+                const v2 = lower[c + 1];
+                const v3 = lower[c];
+                const index = (v0 >= level ? 1 : 0) | (v1 >= level ? 2 : 0) |
+                    (v2 >= level ? 4 : 0) | (v3 >= level ? 8 : 0);
+                if (index === 0 || index === 15) continue;
+
+                // Linear interpolation of the crossing point on each edge
+                const crossing = (edge) => {
+                    switch (edge) {
+                        case 0: return [c + (level - v0) / (v1 - v0), r];
+                        case 1: return [c + 1, r + (level - v1) / (v2 - v1)];
+                        case 2: return [c + (level - v3) / (v2 - v3), r + 1];
+                        default: return [c, r + (level - v0) / (v3 - v0)];
+                    }
+                };
+
+                for (const [from, to] of this.segments[index]) {
+                    const [c1, r1] = crossing(from);
+                    const [c2, r2] = crossing(to);
+                    ctx.moveTo(toX(c1), toY(r1));
+                    ctx.lineTo(toX(c2), toY(r2));
+                }
+            }
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Skyline projections (maximum along each row/column) above and left of the plot
+     */
+    drawProjections(ctx, plot, toX, toY) {
+        const { magnitude, maxIntensity } = this.spectrum;
+        const rows = magnitude.length;
+        const cols = magnitude[0].length;
+        const depth = 45;
+
+        const f2Projection = new Float64Array(cols);
+        const f1Projection = new Float64Array(rows);
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                const value = magnitude[r][c];
+                if (value > f2Projection[c]) f2Projection[c] = value;
+                if (value > f1Projection[r]) f1Projection[r] = value;
+            }
+        }
+
+        ctx.save();
+        ctx.strokeStyle = '#10b981';
+        ctx.lineWidth = 1.2;
+
+        ctx.beginPath();
+        for (let c = 0; c < cols; c++) {
+            const y = plot.top - 8 - f2Projection[c] / maxIntensity * depth;
+            if (c === 0) ctx.moveTo(toX(c), y);
+            else ctx.lineTo(toX(c), y);
+        }
+        ctx.stroke();
+
+        ctx.beginPath();
+        for (let r = 0; r < rows; r++) {
+            const x = plot.left - 8 - f1Projection[r] / maxIntensity * depth;
+            if (r === 0) ctx.moveTo(x, toY(r));
+            else ctx.lineTo(x, toY(r));
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawTitle(ctx, colors, width) {
+        ctx.fillStyle = colors.title;
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(this.titles[this.spectrum.sequenceType] || '2D Spectrum', width / 2, 8);
+    }
+
+    drawAxes(ctx, colors, plot, f1Ppm, f2Ppm) {
+        const nucleusLabel = { '1H': '¹H', '13C': '¹³C' };
+
+        ctx.save();
+        ctx.strokeStyle = colors.grid;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(plot.left, plot.top, plot.width, plot.height);
+
+        ctx.font = '11px Arial';
+        ctx.fillStyle = colors.tick;
+
+        // F2 (horizontal, high ppm on the left)
+        const f2Min = f2Ppm[0];
+        const f2Max = f2Ppm[f2Ppm.length - 1];
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (const ppm of this.tickValues(f2Min, f2Max)) {
+            const x = plot.right - (ppm - f2Min) / (f2Max - f2Min) * plot.width;
+            ctx.beginPath();
+            ctx.moveTo(x, plot.top);
+            ctx.lineTo(x, plot.bottom);
+            ctx.stroke();
+            ctx.fillText(this.formatTick(ppm), x, plot.bottom + 6);
+        }
+
+        // F1 (vertical on the right, increasing downwards)
+        const f1Min = f1Ppm[0];
+        const f1Max = f1Ppm[f1Ppm.length - 1];
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        for (const ppm of this.tickValues(f1Min, f1Max)) {
+            const y = plot.top + (ppm - f1Min) / (f1Max - f1Min) * plot.height;
+            ctx.beginPath();
+            ctx.moveTo(plot.left, y);
+            ctx.lineTo(plot.right, y);
+            ctx.stroke();
+            ctx.fillText(this.formatTick(ppm), plot.right + 6, y);
+        }
+
+        // Axis titles
+        ctx.fillStyle = colors.legend;
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`F2: ${nucleusLabel[this.spectrum.f2Nucleus]} δ (ppm)`, plot.left + plot.width / 2, plot.bottom + 24);
+
+        ctx.translate(plot.right + 52, plot.top + plot.height / 2);
+        ctx.rotate(Math.PI / 2);
+        ctx.fillText(`F1: ${nucleusLabel[this.spectrum.f1Nucleus]} δ (ppm)`, 0, 0);
+        ctx.restore();
+    }
+
+    drawDiagonal(ctx, colors, plot, f1Ppm, f2Ppm) {
+        const f2Min = f2Ppm[0];
+        const f2Max = f2Ppm[f2Ppm.length - 1];
+        const f1Min = f1Ppm[0];
+        const f1Max = f1Ppm[f1Ppm.length - 1];
+        const low = Math.max(f1Min, f2Min);
+        const high = Math.min(f1Max, f2Max);
+
+        const toPixel = (ppm) => [
+            plot.right - (ppm - f2Min) / (f2Max - f2Min) * plot.width,
+            plot.top + (ppm - f1Min) / (f1Max - f1Min) * plot.height
+        ];
+
+        ctx.save();
+        ctx.strokeStyle = colors.grid;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(...toPixel(low));
+        ctx.lineTo(...toPixel(high));
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Round tick positions (about 6-10 per axis)
+    tickValues(min, max) {
+        const steps = [0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 50];
+        const step = steps.find(s => (max - min) / s <= 10) || 100;
+        const ticks = [];
+        for (let ppm = Math.ceil(min / step) * step; ppm <= max; ppm += step) {
+            ticks.push(Math.round(ppm / step) * step);
+        }
+        return ticks;
+    }
+
+    formatTick(ppm) {
+        return Number.isInteger(ppm) ? ppm.toFixed(0) : ppm.toFixed(1);
+    }
+
+    drawEmptyState() {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        ctx.fillStyle = '#64748b';
+        ctx.font = '14px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('Select COSY, HSQC or NOESY and click "Run Experiment"', width / 2, height / 2);
+    }
+
+    /**
+     * List the correlations the spectrum should show below the plot
+     */
+    updateCorrelationInfo() {
+        const info = document.getElementById('correlationInfo');
+        if (!info) return;
+
+        if (!this.spectrum) {
+            info.innerHTML = '<span>Run a 2D experiment to see correlations</span>';
+            return;
+        }
+
+        const correlations = this.spectrum.correlations || [];
+        if (correlations.length === 0) {
+            info.innerHTML = '<span>No cross peaks expected for this sample</span>';
+            return;
+        }
+
+        const describe = {
+            cosy: (c) => `${c.from.assignment} ↔ ${c.to.assignment} (J = ${c.value.toFixed(1)} Hz)`,
+            noesy: (c) => `${c.from.assignment} ↔ ${c.to.assignment} (${c.value.toFixed(1)} Å)`,
+            hsqc: (c) => `${c.from.assignment}: δH ${c.from.shift.toFixed(2)} / δC ${c.value.toFixed(1)}`
+        }[this.spectrum.sequenceType];
+
+        let html = '<div class="peak-label-legend"><strong>Correlations:</strong><div class="peak-list">';
+        for (const correlation of correlations) {
+            html += `<span class="peak-tag">${describe(correlation)}</span>`;
+        }
+        html += '</div></div>';
+        info.innerHTML = html;
+    }
+
+    applyTheme() {
+        this.render();
+    }
+}
+
+// Export
+window.ContourPlotVisualization = ContourPlotVisualization;
@@ -30,6 +30,13 @@ class NMRPhysics {
         this.noiseSeed = 12345;
         this.useNoise = false;
         this.noiseLevel = 0.05;
+
+        // 2D experiment defaults
+        this.noesyMixingTime = 0.3;    // s (τm)
+        this.noeRateAt2p5A = 0.3;      // s⁻¹ cross-relaxation rate for a ¹H pair 2.5 Å apart
+
+        // Largest coupled spin system simulated exactly (Hilbert space 2^n)
+        this.maxExactSpins = 10;
     }
 
     // Seeded random number generator for deterministic noise
@@ -205,9 +212,10 @@ class NMRPhysics {
      * @param {Array} peaks - Array of peak objects with shift, intensity, t2, j_couplings
      * @param {number} acquisitionTime - Duration in seconds
      * @param {number} numPoints - Number of data points
+     * @param {Array} couplings - Sample couplings for exact spin-system lines (first-order multiplets if omitted)
      * @returns {Object} Object with real, imag, time arrays
      */
-    generateFID(peaks, acquisitionTime = 1.0, numPoints = 2048) {
+    generateFID(peaks, acquisitionTime = 1.0, numPoints = 2048, couplings = null) {
         // Reset noise seed for deterministic results
         this.resetNoiseSeed();
 
@@ -223,15 +231,18 @@ class NMRPhysics {
             time[i] = i * dt;
         }
 
+        // Exact lines for coupled spin systems when the couplings are known
+        const exactLines = couplings ? this.simulateSpinSystem(peaks, couplings) : [];
+
         // Add contribution from each peak
-        for (const peak of peaks) {
+        for (const [index, peak] of peaks.entries()) {
             const freqHz = peak.shift * larmorMHz; // Chemical shift in Hz (relative to reference)
             const t2 = peak.t2 || 1.0;
             const amplitude = peak.intensity || 1.0;
             const linewidth = this.calculateLinewidth(t2);
 
-            // Generate multiplet pattern from J-couplings
-            const multipletFreqs = this.generateMultiplet(freqHz, peak.j_couplings || []);
+            // Multiplet pattern: exact spin-system lines, or first-order splitting from J-couplings
+            const multipletFreqs = exactLines[index] || this.generateMultiplet(freqHz, peak.j_couplings || []);
 
             for (const multiplet of multipletFreqs) {
                 const freq = multiplet.freq;
@@ -270,8 +281,9 @@ class NMRPhysics {
     /**
      * Generate FID with pulse sequence awareness
      * Different sequences produce different signal characteristics
+     * Multiplets come from the exact spin Hamiltonian of the sample's couplings unless firstOrder is set
      */
-    generateFIDWithSequence(peaks, acquisitionTime = 1.0, numPoints = 2048, sequenceType = 'single_pulse', relaxDelay = 2.0, sample = null) {
+    generateFIDWithSequence(peaks, acquisitionTime = 1.0, numPoints = 2048, sequenceType = 'single_pulse', relaxDelay = 2.0, sample = null, firstOrder = false) {
         // Reset noise seed for deterministic results
         this.resetNoiseSeed();
 
@@ -291,7 +303,6 @@ class NMRPhysics {
 
         // Apply pulse sequence effects
         let sequenceModifier = 1.0;
-        let phaseModifier = 0;
         let t2Effective = t2;
         let signalInverted = false;
         let echoTime = 0;
@@ -333,12 +344,19 @@ class NMRPhysics {
                 break;
 
             case 'cosy':
+                // First t1 increment (t1 = 0): diagonal only, i.e. the 1D spectrum
+                // (the full 2D data set comes from generate2DFID)
+                sequenceModifier = 1.0;
+                break;
+
             case 'noesy':
+                // First t1 increment: diagonal after longitudinal relaxation during τm
+                sequenceModifier = Math.exp(-this.noesyMixingTime / t1);
+                break;
+
             case 'hsqc':
-                // 2D experiments - show cross-peak correlations would require 2D data
-                // For 1D projection, just use standard FID with some mixing
-                sequenceModifier = 0.7;
-                phaseModifier = Math.PI / 8;
+                // First t1 increment: only protons bonded to ¹³C survive the INEPT transfer
+                sequenceModifier = 1.0;
                 break;
 
             case 'dept':
@@ -351,14 +369,19 @@ class NMRPhysics {
                 sequenceModifier = 1.0;
         }
 
+        // Exact lines for coupled spin systems
+        const exactLines = sample && !firstOrder ? this.simulateSpinSystem(peaks, sample.couplings) : [];
+
         // Add contribution from each peak
-        for (const peak of peaks) {
+        for (const [index, peak] of peaks.entries()) {
+            if (sequenceType === 'hsqc' && peak.c13_shift === undefined) continue;
+
             const freqHz = peak.shift * larmorMHz;
             const peakT2 = peak.t2 || t2Effective;
             let amplitude = (peak.intensity || 1.0) * sequenceModifier;
 
             // For DEPT, invert CH2 peaks (approximate by every other peak)
-            if (sequenceType === 'dept' && peaks.indexOf(peak) % 3 === 1) {
+            if (sequenceType === 'dept' && index % 3 === 1) {
                 amplitude = -amplitude;
             }
 
@@ -367,8 +390,8 @@ class NMRPhysics {
                 amplitude = -amplitude;
             }
 
-            // Generate multiplet pattern from J-couplings
-            const multipletFreqs = this.generateMultiplet(freqHz, peak.j_couplings || []);
+            // Multiplet pattern: exact spin-system lines, or first-order splitting from J-couplings
+            const multipletFreqs = exactLines[index] || this.generateMultiplet(freqHz, peak.j_couplings || []);
 
             for (const multiplet of multipletFreqs) {
                 const freq = multiplet.freq;
@@ -387,7 +410,7 @@ class NMRPhysics {
                         decay = Math.exp(-t / peakT2);
                     }
 
-                    const phase = 2 * Math.PI * freq * t + phaseModifier;
+                    const phase = 2 * Math.PI * freq * t;
                     real[i] += amp * decay * Math.cos(phase);
                     imag[i] += amp * decay * Math.sin(phase);
                 }
@@ -441,6 +464,223 @@ class NMRPhysics {
         return peaks;
     }
 
+    /**
+     * Exact line list for the J-coupled spin systems of a sample
+     * Builds the Zeeman + scalar coupling Hamiltonian (in Hz) of each cluster of coupled peaks,
+     * diagonalizes it block by block (total Fz is conserved) and keeps every single-quantum
+     * transition with intensity |⟨f|F⁺|i⟩|². Unlike generateMultiplet this reproduces roof
+     * effects and the extra lines of strongly coupled (AB, ABX, AA'BB') systems.
+     * Each peak is a group of numProtons magnetically equivalent spins.
+     * @param {Array} peaks - Peak objects with shift, numProtons, assignment
+     * @param {Array} couplings - [assignment, assignment, J in Hz] entries
+     * @returns {Array} Per peak: {freq, intensity} lines (summing to ~1), or null when the peak is uncoupled
+     */
+    simulateSpinSystem(peaks, couplings) {
+        const larmorMHz = this.calculateLarmorFrequency();
+        const jMatrix = this.buildPairMatrix(peaks, couplings);
+        const lines = peaks.map(() => null);
+
+        // Clusters: connected components of the coupling network
+        const visited = new Array(peaks.length).fill(false);
+        for (let start = 0; start < peaks.length; start++) {
+            if (visited[start] || !jMatrix[start].some(J => J)) continue;
+
+            const cluster = [];
+            const stack = [start];
+            visited[start] = true;
+            while (stack.length > 0) {
+                const i = stack.pop();
+                cluster.push(i);
+                for (let k = 0; k < peaks.length; k++) {
+                    if (jMatrix[i][k] && !visited[k]) {
+                        visited[k] = true;
+                        stack.push(k);
+                    }
+                }
+            }
+
+            // One entry per spin: the peak (equivalence group) it belongs to
+            const spins = [];
+            for (const i of cluster) {
+                for (let n = 0; n < (peaks[i].numProtons || 1); n++) spins.push(i);
+            }
+            if (spins.length > this.maxExactSpins) {
+                console.warn(`Spin system of ${spins.length} spins is too large for exact simulation; using first-order multiplets`);
+                continue;
+            }
+
+            const freqs = spins.map(i => peaks[i].shift * larmorMHz);
+            const couplingOf = (a, b) => jMatrix[spins[a]][spins[b]];
+
+            for (const i of cluster) lines[i] = [];
+            for (const transition of this.spinSystemTransitions(freqs, couplingOf)) {
+                // Attribute each line to the group whose shift is closest
+                let owner = cluster[0];
+                for (const i of cluster) {
+                    if (Math.abs(peaks[i].shift * larmorMHz - transition.freq) <
+                        Math.abs(peaks[owner].shift * larmorMHz - transition.freq)) {
+                        owner = i;
+                    }
+                }
+                lines[owner].push({
+                    freq: transition.freq,
+                    intensity: transition.intensity / (peaks[owner].numProtons || 1)
+                });
+            }
+        }
+
+        return lines;
+    }
+
+    /**
+     * Single-quantum transitions of a coupled spin-½ system
+     * @param {number[]} freqs - Resonance frequency (Hz) of each spin
+     * @param {Function} couplingOf - (a, b) => J in Hz between spins a and b
+     * @returns {Array} {freq, intensity} lines, intensities normalized to 1 per spin
+     */
+    spinSystemTransitions(freqs, couplingOf) {
+        const n = freqs.length;
+        const numStates = 1 << n;
+
+        // Product basis |m1 m2 ... mn⟩ as bit masks (bit set = α, m = +½), grouped by number of α spins
+        const blocks = Array.from({ length: n + 1 }, () => []);
+        const position = new Array(numStates);
+        for (let state = 0; state < numStates; state++) {
+            let up = 0;
+            for (let k = 0; k < n; k++) up += (state >> k) & 1;
+            position[state] = blocks[up].length;
+            blocks[up].push(state);
+        }
+
+        // H = Σ νk Izk + Σ Jab (Iza Izb + ½(I+a I-b + I-a I+b)), diagonalized per block
+        const eigen = blocks.map(states => {
+            const size = states.length;
+            const h = Array.from({ length: size }, () => new Array(size).fill(0));
+            for (let row = 0; row < size; row++) {
+                const state = states[row];
+                for (let a = 0; a < n; a++) {
+                    const ma = ((state >> a) & 1) ? 0.5 : -0.5;
+                    h[row][row] += freqs[a] * ma;
+                    for (let b = a + 1; b < n; b++) {
+                        const J = couplingOf(a, b);
+                        if (!J) continue;
+                        const mb = ((state >> b) & 1) ? 0.5 : -0.5;
+                        h[row][row] += J * ma * mb;
+                        // Flip-flop term connects states with spins a and b exchanged
+                        if (ma !== mb) {
+                            const partner = state ^ (1 << a) ^ (1 << b);
+                            h[row][position[partner]] += J / 2;
+                        }
+                    }
+                }
+            }
+            return this.diagonalizeSymmetric(h);
+        });
+
+        // Transitions between neighbouring blocks through F+ = Σ I+k
+        const merged = new Map();
+        for (let up = 1; up <= n; up++) {
+            const lower = blocks[up - 1];
+            const upper = blocks[up];
+            const lowerEigen = eigen[up - 1];
+            const upperEigen = eigen[up];
+
+            // F+ applied to each lower eigenstate, expressed in the upper product basis
+            for (let i = 0; i < lower.length; i++) {
+                const raised = new Array(upper.length).fill(0);
+                for (let s = 0; s < lower.length; s++) {
+                    const coefficient = lowerEigen.vectors[s][i];
+                    if (coefficient === 0) continue;
+                    for (let k = 0; k < n; k++) {
+                        if (!((lower[s] >> k) & 1)) {
+                            raised[position[lower[s] | (1 << k)]] += coefficient;
+                        }
+                    }
+                }
+
+                for (let f = 0; f < upper.length; f++) {
+                    let amplitude = 0;
+                    for (let s = 0; s < upper.length; s++) {
+                        amplitude += upperEigen.vectors[s][f] * raised[s];
+                    }
+                    const intensity = amplitude * amplitude / (numStates / 2);
+                    if (intensity < 1e-4) continue;
+
+                    // Degenerate transitions (within 0.01 Hz) collapse onto one line
+                    const freq = upperEigen.values[f] - lowerEigen.values[i];
+                    const key = Math.round(freq * 100);
+                    const line = merged.get(key);
+                    if (line) {
+                        line.intensity += intensity;
+                    } else {
+                        merged.set(key, { freq, intensity });
+                    }
+                }
+            }
+        }
+
+        return [...merged.values()];
+    }
+
+    /**
+     * Eigen-decomposition of a real symmetric matrix by cyclic Jacobi rotations
+     * @returns {Object} values[k] with eigenvector k in column k of vectors
+     */
+    diagonalizeSymmetric(matrix) {
+        const n = matrix.length;
+        const a = matrix.map(row => [...row]);
+        const vectors = Array.from({ length: n }, (_, i) => {
+            const row = new Array(n).fill(0);
+            row[i] = 1;
+            return row;
+        });
+
+        let norm = 0;
+        for (let p = 0; p < n; p++) {
+            for (let q = 0; q < n; q++) norm += a[p][q] * a[p][q];
+        }
+
+        for (let sweep = 0; sweep < 50; sweep++) {
+            let offDiagonal = 0;
+            for (let p = 0; p < n - 1; p++) {
+                for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] * a[p][q];
+            }
+            if (offDiagonal <= 1e-24 * norm) break;
+
+            for (let p = 0; p < n - 1; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    if (a[p][q] === 0) continue;
+
+                    const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                    const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+
+                    for (let k = 0; k < n; k++) {
+                        const akp = a[k][p];
+                        const akq = a[k][q];
+                        a[k][p] = c * akp - s * akq;
+                        a[k][q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const apk = a[p][k];
+                        const aqk = a[q][k];
+                        a[p][k] = c * apk - s * aqk;
+                        a[q][k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const vkp = vectors[k][p];
+                        const vkq = vectors[k][q];
+                        vectors[k][p] = c * vkp - s * vkq;
+                        vectors[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+
+        return { values: a.map((row, k) => row[k]), vectors };
+    }
+
     /**
      * Compute spectrum from FID using FFT
      */
@@ -564,6 +804,295 @@ class NMRPhysics {
         return { realOut, imagOut };
     }
 
+    /**
+     * Build a symmetric peak × peak matrix from [assignment, assignment, value] entries
+     * (sample couplings in Hz or NOE distances in Å); 0 where no entry exists
+     */
+    buildPairMatrix(peaks, pairs) {
+        const n = peaks.length;
+        const matrix = Array.from({ length: n }, () => new Array(n).fill(0));
+
+        for (const [a, b, value] of pairs || []) {
+            const i = peaks.findIndex(p => p.assignment === a);
+            const k = peaks.findIndex(p => p.assignment === b);
+            if (i < 0 || k < 0 || i === k) continue;
+            matrix[i][k] = value;
+            matrix[k][i] = value;
+        }
+
+        return matrix;
+    }
+
+    /**
+     * J modulation of peak i at time t: cos(πJt) per coupled proton (in-phase multiplet).
+     * With an active partner, one of its couplings becomes sin(πJt) (antiphase, as in COSY).
+     */
+    jModulation(jMatrix, peaks, i, t, active = -1) {
+        let value = 1;
+
+        for (let m = 0; m < peaks.length; m++) {
+            const J = jMatrix[i][m];
+            if (!J) continue;
+            const passive = (peaks[m].numProtons || 1) - (m === active ? 1 : 0);
+            value *= Math.pow(Math.cos(Math.PI * J * t), passive);
+        }
+        if (active >= 0) {
+            value *= Math.sin(Math.PI * jMatrix[i][active] * t);
+        }
+
+        return value;
+    }
+
+    /**
+     * Spectral window (Hz) centred on a set of shifts with a margin on each side
+     */
+    spectralWindow(shifts, larmorMHz, marginPpm) {
+        const min = shifts.length > 0 ? Math.min(...shifts) : 0;
+        const max = shifts.length > 0 ? Math.max(...shifts) : 0;
+
+        return {
+            centerHz: (min + max) / 2 * larmorMHz,
+            widthHz: (max - min + 2 * marginPpm) * larmorMHz
+        };
+    }
+
+    /**
+     * Generate a 2D data set: one FID along t2 for each t1 increment
+     * - COSY: diagonal peaks plus antiphase cross peaks between J-coupled protons
+     * - NOESY: cross peaks between nearby protons, built up by cross-relaxation (∝ r⁻⁶) during τm
+     * - HSQC: each proton against its directly bonded ¹³C (¹³C in F1, ¹H in F2)
+     * @param {Array} peaks - Peak objects with shift, intensity, t2, numProtons, assignment, c13_shift
+     * @param {string} sequenceType - 'cosy', 'noesy' or 'hsqc'
+     * @param {Object} sample - Sample providing couplings, noe and T1
+     * @param {number} numIncrements - Number of t1 increments
+     * @param {number} numPoints - Points per FID along t2
+     * @param {number} mixingTime - NOESY mixing time τm in seconds
+     * @returns {Object} real/imag indexed [t1 increment][t2 point], the F1/F2 windows and expected correlations
+     */
+    generate2DFID(peaks, sequenceType = 'cosy', sample = null, numIncrements = 128, numPoints = 512, mixingTime = this.noesyMixingTime) {
+        // Reset noise seed for deterministic results
+        this.resetNoiseSeed();
+
+        const heteronuclear = sequenceType === 'hsqc';
+        const f2Nucleus = '1H';
+        const f1Nucleus = heteronuclear ? '13C' : '1H';
+        const larmor2 = this.calculateLarmorFrequency(f2Nucleus);
+        const larmor1 = this.calculateLarmorFrequency(f1Nucleus);
+
+        const jMatrix = this.buildPairMatrix(peaks, sample?.couplings);
+        const distances = this.buildPairMatrix(peaks, sample?.noe);
+
+        // F2 always covers the ¹H signals; F1 the ¹H (homonuclear) or bonded ¹³C signals
+        const window2 = this.spectralWindow(peaks.map(p => p.shift), larmor2, 1.0);
+        const window1 = heteronuclear
+            ? this.spectralWindow(peaks.filter(p => p.c13_shift !== undefined).map(p => p.c13_shift), larmor1, 10)
+            : window2;
+        const dt1 = 1 / window1.widthHz;
+        const dt2 = 1 / window2.widthHz;
+
+        // Each signal is a product of a t1 and a t2 evolution:
+        // {amplitude, f1/f2: {offset (Hz from carrier), t2, index (peak for J modulation, -1 for none), active}}
+        const terms = [];
+        const correlations = [];
+        const protonDim = (i, active = -1) => ({
+            offset: peaks[i].shift * larmor2 - window2.centerHz,
+            t2: peaks[i].t2 || 1.0,
+            index: i,
+            active
+        });
+
+        if (sequenceType === 'cosy') {
+            for (let i = 0; i < peaks.length; i++) {
+                terms.push({ amplitude: peaks[i].intensity || 1.0, f1: protonDim(i), f2: protonDim(i) });
+
+                for (let k = 0; k < peaks.length; k++) {
+                    const J = jMatrix[i][k];
+                    if (!J) continue;
+                    const amplitude = Math.sqrt((peaks[i].intensity || 1.0) * (peaks[k].intensity || 1.0));
+                    terms.push({ amplitude, f1: protonDim(i, k), f2: protonDim(k, i) });
+                    if (i < k) {
+                        correlations.push({ from: peaks[i], to: peaks[k], value: J, unit: 'Hz' });
+                    }
+                }
+            }
+        } else if (sequenceType === 'noesy') {
+            // Initial-rate regime: diagonal decays with T1, cross peaks grow as σ·τm
+            const t1 = sample ? this.estimateT1(sample) : 2.0;
+            const decay = Math.exp(-mixingTime / t1);
+
+            for (let i = 0; i < peaks.length; i++) {
+                terms.push({ amplitude: (peaks[i].intensity || 1.0) * decay, f1: protonDim(i), f2: protonDim(i) });
+
+                for (let k = 0; k < peaks.length; k++) {
+                    const r = distances[i][k];
+                    if (!r) continue;
+                    const sigma = this.noeRateAt2p5A * Math.pow(2.5 / r, 6);
+                    const amplitude = Math.sqrt((peaks[i].intensity || 1.0) * (peaks[k].intensity || 1.0)) *
+                        sigma * mixingTime * decay;
+                    terms.push({ amplitude, f1: protonDim(i), f2: protonDim(k) });
+                    if (i < k) {
+                        correlations.push({ from: peaks[i], to: peaks[k], value: r, unit: 'Å' });
+                    }
+                }
+            }
+        } else if (heteronuclear) {
+            // ¹H decoupled during t1 and ¹³C decoupled during acquisition
+            for (let i = 0; i < peaks.length; i++) {
+                const peak = peaks[i];
+                if (peak.c13_shift === undefined) continue;
+                const carbon = {
+                    offset: peak.c13_shift * larmor1 - window1.centerHz,
+                    t2: peak.t2 || 1.0,
+                    index: -1,
+                    active: -1
+                };
+                terms.push({ amplitude: peak.intensity || 1.0, f1: carbon, f2: protonDim(i) });
+                correlations.push({ from: peak, to: peak, value: peak.c13_shift, unit: 'ppm' });
+            }
+        } else {
+            throw new Error(`Not a 2D sequence: ${sequenceType}`);
+        }
+
+        // Complex evolution of one dimension of a term
+        const evolve = (dim, count, dt) => {
+            const re = new Array(count);
+            const im = new Array(count);
+            for (let n = 0; n < count; n++) {
+                const t = n * dt;
+                let envelope = Math.exp(-t / dim.t2);
+                if (dim.index >= 0) {
+                    envelope *= this.jModulation(jMatrix, peaks, dim.index, t, dim.active);
+                }
+                const phase = 2 * Math.PI * dim.offset * t;
+                re[n] = envelope * Math.cos(phase);
+                im[n] = envelope * Math.sin(phase);
+            }
+            return { re, im };
+        };
+
+        const real = Array.from({ length: numIncrements }, () => new Array(numPoints).fill(0));
+        const imag = Array.from({ length: numIncrements }, () => new Array(numPoints).fill(0));
+
+        for (const term of terms) {
+            const g1 = evolve(term.f1, numIncrements, dt1);
+            const g2 = evolve(term.f2, numPoints, dt2);
+
+            for (let k = 0; k < numIncrements; k++) {
+                const ar = term.amplitude * g1.re[k];
+                const ai = term.amplitude * g1.im[k];
+                const rowReal = real[k];
+                const rowImag = imag[k];
+                for (let n = 0; n < numPoints; n++) {
+                    rowReal[n] += ar * g2.re[n] - ai * g2.im[n];
+                    rowImag[n] += ar * g2.im[n] + ai * g2.re[n];
+                }
+            }
+        }
+
+        // Add deterministic noise if enabled
+        if (this.useNoise && this.noiseLevel > 0) {
+            const maxSignal = Math.max(...real[0].map(Math.abs)) || 1;
+            const noiseAmp = maxSignal * this.noiseLevel;
+
+            for (let k = 0; k < numIncrements; k++) {
+                for (let n = 0; n < numPoints; n++) {
+                    const u1 = this.seededRandom() || 0.001;
+                    const u2 = this.seededRandom();
+                    const radius = Math.sqrt(-2 * Math.log(u1));
+
+                    real[k][n] += radius * Math.cos(2 * Math.PI * u2) * noiseAmp;
+                    imag[k][n] += radius * Math.sin(2 * Math.PI * u2) * noiseAmp;
+                }
+            }
+        }
+
+        return {
+            real,
+            imag,
+            numIncrements,
+            numPoints,
+            dt1,
+            dt2,
+            f1: { nucleus: f1Nucleus, larmorMHz: larmor1, centerHz: window1.centerHz },
+            f2: { nucleus: f2Nucleus, larmorMHz: larmor2, centerHz: window2.centerHz },
+            correlations,
+            sequenceType
+        };
+    }
+
+    /**
+     * Compute a 2D magnitude spectrum: sine-bell apodization and zero-filling in both
+     * dimensions, FFT along t2 for every increment, then FFT along t1 for every column
+     * @returns {Object} magnitude[f1 index][f2 index] with ppm axes for F1 and F2
+     */
+    compute2DSpectrum(fid2D) {
+        const { real, imag, numIncrements, numPoints, dt1, dt2, f1, f2, sequenceType } = fid2D;
+
+        // Magnitude COSY needs a pure sine bell to suppress its dispersive tails;
+        // NOESY and HSQC keep more signal with a cosine (π/2-shifted) bell
+        const bellShift = sequenceType === 'cosy' ? 0 : Math.PI / 2;
+        const sineBell = (n, count) => Math.sin((Math.PI - bellShift) * n / count + bellShift);
+
+        // Zero-fill each dimension to twice the next power of 2
+        const size1 = Math.pow(2, Math.ceil(Math.log2(numIncrements)) + 1);
+        const size2 = Math.pow(2, Math.ceil(Math.log2(numPoints)) + 1);
+
+        // FFT along t2 (rows)
+        const rowsReal = [];
+        const rowsImag = [];
+        for (let k = 0; k < numIncrements; k++) {
+            const rowReal = new Array(size2).fill(0);
+            const rowImag = new Array(size2).fill(0);
+            for (let n = 0; n < numPoints; n++) {
+                const w = sineBell(n, numPoints);
+                rowReal[n] = real[k][n] * w;
+                rowImag[n] = imag[k][n] * w;
+            }
+            const { realOut, imagOut } = this.fft(rowReal, rowImag);
+            rowsReal.push(realOut);
+            rowsImag.push(imagOut);
+        }
+
+        // FFT along t1 (columns), with fftshift in both dimensions
+        const half1 = size1 / 2;
+        const half2 = size2 / 2;
+        const magnitude = Array.from({ length: size1 }, () => new Float64Array(size2));
+        let maxIntensity = 0;
+
+        for (let c = 0; c < size2; c++) {
+            const colReal = new Array(size1).fill(0);
+            const colImag = new Array(size1).fill(0);
+            for (let k = 0; k < numIncrements; k++) {
+                const w = sineBell(k, numIncrements);
+                colReal[k] = rowsReal[k][c] * w;
+                colImag[k] = rowsImag[k][c] * w;
+            }
+            const { realOut, imagOut } = this.fft(colReal, colImag);
+
+            const col = (c + half2) % size2;
+            for (let r = 0; r < size1; r++) {
+                const value = Math.sqrt(realOut[r] * realOut[r] + imagOut[r] * imagOut[r]);
+                magnitude[(r + half1) % size1][col] = value;
+                if (value > maxIntensity) maxIntensity = value;
+            }
+        }
+
+        // ppm axes (ascending), measured from each dimension's carrier
+        const axis = (size, dt, dim) => Array.from({ length: size }, (_, i) =>
+            (dim.centerHz + (i - size / 2) / (size * dt)) / dim.larmorMHz);
+
+        return {
+            magnitude,
+            maxIntensity,
+            f1Ppm: axis(size1, dt1, f1),
+            f2Ppm: axis(size2, dt2, f2),
+            f1Nucleus: f1.nucleus,
+            f2Nucleus: f2.nucleus,
+            correlations: fid2D.correlations,
+            sequenceType
+        };
+    }
+
     /**
      * Calculate population difference (Boltzmann)
      */
@@ -90,6 +90,7 @@ const TMSReference = {
 };
 
 // Extended sample database for NMR spectroscopy
+// couplings: [assignment, assignment, J in Hz] between peaks; noe: [assignment, assignment, ¹H–¹H distance in Å]
 const SampleDatabase = {
     // ========== REFERENCE COMPOUNDS ==========
     tms: {
@@ -101,7 +102,7 @@ const SampleDatabase = {
         t1: 10.0,
         t2: 5.0,
         peaks: [
-            { shift: 0.00, intensity: 12.0, assignment: 'Si(CH₃)₄', numProtons: 12, t2: 5.0 }
+            { shift: 0.00, intensity: 12.0, assignment: 'Si(CH₃)₄', numProtons: 12, t2: 5.0, c13_shift: 0.00 }
         ],
         structure: {
             atoms: [
@@ -149,10 +150,17 @@ const SampleDatabase = {
         t1: 2.5,
         t2: 1.5,
         peaks: [
-            { shift: 1.18, intensity: 3.0, assignment: 'CH₃', numProtons: 3, t2: 1.5, j_couplings: [7.0] },
-            { shift: 3.65, intensity: 2.0, assignment: 'CH₂', numProtons: 2, t2: 1.2, j_couplings: [7.0, 7.0, 7.0] },
+            { shift: 1.18, intensity: 3.0, assignment: 'CH₃', numProtons: 3, t2: 1.5, c13_shift: 18.4, j_couplings: [7.0] },
+            { shift: 3.65, intensity: 2.0, assignment: 'CH₂', numProtons: 2, t2: 1.2, c13_shift: 58.3, j_couplings: [7.0, 7.0, 7.0] },
             { shift: 2.60, intensity: 1.0, assignment: 'OH', numProtons: 1, t2: 0.5 }
         ],
+        couplings: [
+            ['CH₃', 'CH₂', 7.0]
+        ],
+        noe: [
+            ['CH₃', 'CH₂', 2.5],
+            ['CH₂', 'OH', 2.6]
+        ],
         structure: {
             atoms: [
                 { element: 'C', x: -30, y: 0, qubit: 0 },
@@ -178,7 +186,7 @@ const SampleDatabase = {
         t1: 2.0,
         t2: 1.2,
         peaks: [
-            { shift: 2.10, intensity: 3.0, assignment: 'CH₃', numProtons: 3, t2: 1.5 },
+            { shift: 2.10, intensity: 3.0, assignment: 'CH₃', numProtons: 3, t2: 1.5, c13_shift: 20.8 },
             { shift: 11.4, intensity: 1.0, assignment: 'COOH', numProtons: 1, t2: 0.3 }
         ],
         structure: {
@@ -205,7 +213,7 @@ const SampleDatabase = {
         t1: 3.5,
         t2: 2.0,
         peaks: [
-            { shift: 7.36, intensity: 6.0, assignment: 'Aromatic H', numProtons: 6, t2: 2.0 }
+            { shift: 7.36, intensity: 6.0, assignment: 'Aromatic H', numProtons: 6, t2: 2.0, c13_shift: 128.4 }
         ],
         structure: {
             atoms: [
@@ -235,7 +243,7 @@ const SampleDatabase = {
         t1: 4.0,
         t2: 2.5,
         peaks: [
-            { shift: 7.26, intensity: 1.0, assignment: 'CHCl₃', numProtons: 1, t2: 2.5 }
+            { shift: 7.26, intensity: 1.0, assignment: 'CHCl₃', numProtons: 1, t2: 2.5, c13_shift: 77.2 }
         ],
         structure: {
             atoms: [
@@ -258,7 +266,7 @@ const SampleDatabase = {
         t1: 2.8,
         t2: 1.8,
         peaks: [
-            { shift: 2.17, intensity: 6.0, assignment: 'CH₃', numProtons: 6, t2: 1.8 }
+            { shift: 2.17, intensity: 6.0, assignment: 'CH₃', numProtons: 6, t2: 1.8, c13_shift: 30.8 }
         ],
         structure: {
             atoms: [
@@ -286,7 +294,7 @@ const SampleDatabase = {
         t1: 2.5,
         t2: 1.5,
         peaks: [
-            { shift: 2.62, intensity: 6.0, assignment: 'CH₃', numProtons: 6, t2: 1.5 }
+            { shift: 2.62, intensity: 6.0, assignment: 'CH₃', numProtons: 6, t2: 1.5, c13_shift: 41.0 }
         ],
         structure: {
             atoms: [
@@ -314,10 +322,20 @@ const SampleDatabase = {
         t1: 3.0,
         t2: 1.8,
         peaks: [
-            { shift: 2.36, intensity: 3.0, assignment: 'CH₃', numProtons: 3, t2: 2.0 },
-            { shift: 7.17, intensity: 2.0, assignment: 'ortho-H', numProtons: 2, t2: 1.8, j_couplings: [7.5, 1.5] },
-            { shift: 7.25, intensity: 2.0, assignment: 'meta-H', numProtons: 2, t2: 1.8, j_couplings: [7.5, 7.5, 1.5] },
-            { shift: 7.20, intensity: 1.0, assignment: 'para-H', numProtons: 1, t2: 1.8, j_couplings: [7.5, 7.5] }
+            { shift: 2.36, intensity: 3.0, assignment: 'CH₃', numProtons: 3, t2: 2.0, c13_shift: 21.5 },
+            { shift: 7.17, intensity: 2.0, assignment: 'ortho-H', numProtons: 2, t2: 1.8, c13_shift: 129.1, j_couplings: [7.5, 1.5] },
+            { shift: 7.25, intensity: 2.0, assignment: 'meta-H', numProtons: 2, t2: 1.8, c13_shift: 128.3, j_couplings: [7.5, 7.5, 1.5] },
+            { shift: 7.20, intensity: 1.0, assignment: 'para-H', numProtons: 1, t2: 1.8, c13_shift: 125.4, j_couplings: [7.5, 7.5] }
+        ],
+        couplings: [
+            ['ortho-H', 'meta-H', 7.5],
+            ['meta-H', 'para-H', 7.5],
+            ['ortho-H', 'para-H', 1.5]
+        ],
+        noe: [
+            ['CH₃', 'ortho-H', 2.6],
+            ['ortho-H', 'meta-H', 2.5],
+            ['meta-H', 'para-H', 2.5]
         ],
         structure: {
             atoms: [
@@ -350,9 +368,12 @@ const SampleDatabase = {
         t1: 3.0,
         t2: 1.5,
         peaks: [
-            { shift: 3.49, intensity: 3.0, assignment: 'CH₃', numProtons: 3, t2: 1.5 },
+            { shift: 3.49, intensity: 3.0, assignment: 'CH₃', numProtons: 3, t2: 1.5, c13_shift: 50.4 },
             { shift: 1.09, intensity: 1.0, assignment: 'OH', numProtons: 1, t2: 0.5 }
         ],
+        noe: [
+            ['CH₃', 'OH', 2.6]
+        ],
         structure: {
             atoms: [
                 { element: 'C', x: 0, y: 0, qubit: 0 },
@@ -375,7 +396,7 @@ const SampleDatabase = {
         t1: 3.5,
         t2: 2.0,
         peaks: [
-            { shift: 5.30, intensity: 2.0, assignment: 'CH₂', numProtons: 2, t2: 2.0 }
+            { shift: 5.30, intensity: 2.0, assignment: 'CH₂', numProtons: 2, t2: 2.0, c13_shift: 53.8 }
         ],
         structure: {
             atoms: [
@@ -399,11 +420,24 @@ const SampleDatabase = {
         t1: 2.0,
         t2: 0.8,
         peaks: [
-            { shift: 2.35, intensity: 3.0, assignment: 'COCH₃', numProtons: 3, t2: 1.0 },
-            { shift: 7.15, intensity: 1.0, assignment: 'H-3', numProtons: 1, t2: 0.8, j_couplings: [8.0, 1.0] },
-            { shift: 7.35, intensity: 1.0, assignment: 'H-4', numProtons: 1, t2: 0.8, j_couplings: [8.0, 8.0, 1.0] },
-            { shift: 7.60, intensity: 1.0, assignment: 'H-5', numProtons: 1, t2: 0.8, j_couplings: [8.0, 8.0, 1.5] },
-            { shift: 8.10, intensity: 1.0, assignment: 'H-6', numProtons: 1, t2: 0.8, j_couplings: [8.0, 1.5] }
+            { shift: 2.35, intensity: 3.0, assignment: 'COCH₃', numProtons: 3, t2: 1.0, c13_shift: 21.0 },
+            { shift: 7.15, intensity: 1.0, assignment: 'H-3', numProtons: 1, t2: 0.8, c13_shift: 122.3, j_couplings: [8.0, 1.0] },
+            { shift: 7.35, intensity: 1.0, assignment: 'H-4', numProtons: 1, t2: 0.8, c13_shift: 134.9, j_couplings: [8.0, 8.0, 1.0] },
+            { shift: 7.60, intensity: 1.0, assignment: 'H-5', numProtons: 1, t2: 0.8, c13_shift: 126.2, j_couplings: [8.0, 8.0, 1.5] },
+            { shift: 8.10, intensity: 1.0, assignment: 'H-6', numProtons: 1, t2: 0.8, c13_shift: 132.5, j_couplings: [8.0, 1.5] }
+        ],
+        couplings: [
+            ['H-3', 'H-4', 8.0],
+            ['H-4', 'H-5', 8.0],
+            ['H-5', 'H-6', 8.0],
+            ['H-3', 'H-5', 1.0],
+            ['H-4', 'H-6', 1.5]
+        ],
+        noe: [
+            ['H-3', 'H-4', 2.5],
+            ['H-4', 'H-5', 2.5],
+            ['H-5', 'H-6', 2.5],
+            ['COCH₃', 'H-3', 3.0]
         ],
         structure: {
             atoms: [
@@ -434,10 +468,13 @@ const SampleDatabase = {
         t1: 1.5,
         t2: 0.5,
         peaks: [
-            { shift: 3.40, intensity: 3.0, assignment: 'N1-CH₃', numProtons: 3, t2: 0.8 },
-            { shift: 3.58, intensity: 3.0, assignment: 'N3-CH₃', numProtons: 3, t2: 0.8 },
-            { shift: 4.00, intensity: 3.0, assignment: 'N7-CH₃', numProtons: 3, t2: 0.8 },
-            { shift: 7.52, intensity: 1.0, assignment: 'H-8', numProtons: 1, t2: 0.5 }
+            { shift: 3.40, intensity: 3.0, assignment: 'N1-CH₃', numProtons: 3, t2: 0.8, c13_shift: 27.9 },
+            { shift: 3.58, intensity: 3.0, assignment: 'N3-CH₃', numProtons: 3, t2: 0.8, c13_shift: 29.7 },
+            { shift: 4.00, intensity: 3.0, assignment: 'N7-CH₃', numProtons: 3, t2: 0.8, c13_shift: 33.6 },
+            { shift: 7.52, intensity: 1.0, assignment: 'H-8', numProtons: 1, t2: 0.5, c13_shift: 141.4 }
+        ],
+        noe: [
+            ['N7-CH₃', 'H-8', 2.9]
         ],
         structure: {
             atoms: [
@@ -469,14 +506,32 @@ const SampleDatabase = {
         t1: 1.5,
         t2: 0.5,
         peaks: [
-            { shift: 5.23, intensity: 0.36, assignment: 'H-1α', numProtons: 1, t2: 0.5, j_couplings: [3.8] },
-            { shift: 4.64, intensity: 0.64, assignment: 'H-1β', numProtons: 1, t2: 0.5, j_couplings: [8.0] },
-            { shift: 3.24, intensity: 1.0, assignment: 'H-2', numProtons: 1, t2: 0.6 },
-            { shift: 3.49, intensity: 1.0, assignment: 'H-3', numProtons: 1, t2: 0.6 },
-            { shift: 3.41, intensity: 1.0, assignment: 'H-4', numProtons: 1, t2: 0.6 },
-            { shift: 3.47, intensity: 1.0, assignment: 'H-5', numProtons: 1, t2: 0.6 },
-            { shift: 3.73, intensity: 1.0, assignment: 'H-6a', numProtons: 1, t2: 0.6 },
-            { shift: 3.89, intensity: 1.0, assignment: 'H-6b', numProtons: 1, t2: 0.6 }
+            { shift: 5.23, intensity: 0.36, assignment: 'H-1α', numProtons: 1, t2: 0.5, c13_shift: 92.9, j_couplings: [3.8] },
+            { shift: 4.64, intensity: 0.64, assignment: 'H-1β', numProtons: 1, t2: 0.5, c13_shift: 96.7, j_couplings: [8.0] },
+            { shift: 3.24, intensity: 1.0, assignment: 'H-2', numProtons: 1, t2: 0.6, c13_shift: 75.0 },
+            { shift: 3.49, intensity: 1.0, assignment: 'H-3', numProtons: 1, t2: 0.6, c13_shift: 76.7 },
+            { shift: 3.41, intensity: 1.0, assignment: 'H-4', numProtons: 1, t2: 0.6, c13_shift: 70.5 },
+            { shift: 3.47, intensity: 1.0, assignment: 'H-5', numProtons: 1, t2: 0.6, c13_shift: 76.8 },
+            { shift: 3.73, intensity: 1.0, assignment: 'H-6a', numProtons: 1, t2: 0.6, c13_shift: 61.6 },
+            { shift: 3.89, intensity: 1.0, assignment: 'H-6b', numProtons: 1, t2: 0.6, c13_shift: 61.6 }
+        ],
+        couplings: [
+            ['H-1α', 'H-2', 3.8],
+            ['H-1β', 'H-2', 8.0],
+            ['H-2', 'H-3', 9.3],
+            ['H-3', 'H-4', 9.2],
+            ['H-4', 'H-5', 9.6],
+            ['H-5', 'H-6a', 2.2],
+            ['H-5', 'H-6b', 5.8],
+            ['H-6a', 'H-6b', 12.3]
+        ],
+        noe: [
+            ['H-1α', 'H-2', 2.5],
+            ['H-1β', 'H-3', 2.6],
+            ['H-1β', 'H-5', 2.5],
+            ['H-3', 'H-5', 2.6],
+            ['H-4', 'H-6a', 2.6],
+            ['H-6a', 'H-6b', 1.8]
         ],
         structure: {
             atoms: [
@@ -663,6 +718,8 @@ class Sample {
         this.t2 = data.t2;
         this.peaks = JSON.parse(JSON.stringify(data.peaks));
         this.structure = data.structure ? JSON.parse(JSON.stringify(data.structure)) : null;
+        this.couplings = data.couplings ? data.couplings.map(pair => [...pair]) : [];
+        this.noe = data.noe ? data.noe.map(pair => [...pair]) : [];
 
         // Set solvent from sample default
         if (data.solvent && NMRSolvents[data.solvent]) {
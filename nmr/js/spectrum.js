@@ -24,6 +24,8 @@ class SpectrumVisualization {
         this.samplePeaks = [];
         this.fullSpectrumLabels = null;
         this.fullSpectrumData = null;
+        this.fullComparisonData = null;
+        this.spectrumIndices = null;
     }
 
     init(physics) {
@@ -140,6 +142,15 @@ class SpectrumVisualization {
                     pointRadius: 0,
                     fill: false,
                     tension: 0
+                }, {
+                    label: 'First-order',
+                    data: [],
+                    borderColor: '#f59e0b',
+                    borderDash: [5, 4],
+                    borderWidth: 1.2,
+                    pointRadius: 0,
+                    fill: false,
+                    tension: 0
                 }]
             },
             options: {
@@ -172,7 +183,8 @@ class SpectrumVisualization {
                                 return '';
                             },
                             label: (ctx) => {
-                                return `Intensity: ${ctx.raw.toFixed(2)}`;
+                                const name = ctx.datasetIndex === 0 ? 'Intensity' : 'First-order';
+                                return `${name}: ${ctx.raw.toFixed(2)}`;
                             }
                         }
                     }
@@ -383,6 +395,9 @@ class SpectrumVisualization {
 
         this.spectrumChart.data.labels = labels;
         this.spectrumChart.data.datasets[0].data = data;
+        this.spectrumChart.data.datasets[1].data = this.fullComparisonData
+            ? this.fullComparisonData.slice(minIdx, maxIdx + 1)
+            : [];
         this.spectrumChart.update('none');
     }
 
@@ -461,6 +476,8 @@ class SpectrumVisualization {
         // Store full data for zoom functionality
         this.fullSpectrumLabels = labels.slice();
         this.fullSpectrumData = data.slice();
+        this.spectrumIndices = validPoints.map(p => p.index);
+        this.fullComparisonData = null;
 
         // Store data range info
         this.spectrumData = {
@@ -471,6 +488,7 @@ class SpectrumVisualization {
 
         this.spectrumChart.data.labels = labels;
         this.spectrumChart.data.datasets[0].data = data;
+        this.spectrumChart.data.datasets[1].data = [];
 
         // Add peak labels as annotations using a custom plugin
         this.addPeakLabels(labels, data, samplePeaks);
@@ -536,6 +554,19 @@ class SpectrumVisualization {
         this.peakAnnotations = annotations;
     }
 
+    /**
+     * Overlay a second spectrum on the same frequency grid (e.g. the first-order
+     * approximation); null removes the overlay
+     */
+    setComparisonSpectrum(spectrumData) {
+        if (!this.spectrumChart || !this.spectrumIndices) return;
+
+        this.fullComparisonData = spectrumData
+            ? this.spectrumIndices.map(i => spectrumData.magnitude[i])
+            : null;
+        this.applySpectrumZoom();
+    }
+
     updatePeakInfoDisplay(samplePeaks) {
         const peakInfo = document.getElementById('peakInfo');
         if (!peakInfo) return;
@@ -634,16 +665,24 @@ class SpectrumVisualization {
 
         const labels = this.spectrumChart.data.labels;
         const data = this.spectrumChart.data.datasets[0].data;
+        const comparison = this.spectrumChart.data.datasets[1].data;
+        const hasComparison = comparison.length === labels.length && labels.length > 0;
 
         if (format === 'csv') {
-            let csv = 'Chemical Shift (ppm),Intensity\n';
+            let csv = hasComparison
+                ? 'Chemical Shift (ppm),Intensity,First-order Intensity\n'
+                : 'Chemical Shift (ppm),Intensity\n';
             for (let i = 0; i < labels.length; i++) {
-                csv += `${labels[i]},${data[i]}\n`;
+                csv += hasComparison
+                    ? `${labels[i]},${data[i]},${comparison[i]}\n`
+                    : `${labels[i]},${data[i]}\n`;
             }
             return csv;
         }
 
-        return JSON.stringify({ ppm: labels, intensity: data });
+        return JSON.stringify(hasComparison
+            ? { ppm: labels, intensity: data, firstOrder: comparison }
+            : { ppm: labels, intensity: data });
     }
 
     downloadCSV(filename = 'nmr_spectrum.csv') {
@@ -668,6 +707,7 @@ class SpectrumVisualization {
         if (this.spectrumChart) {
             this.spectrumChart.data.labels = [];
             this.spectrumChart.data.datasets[0].data = [];
+            this.spectrumChart.data.datasets[1].data = [];
             this.spectrumChart.update('none');
         }
 
@@ -677,6 +717,8 @@ class SpectrumVisualization {
         this.peakAnnotations = [];
         this.fullSpectrumLabels = null;
         this.fullSpectrumData = null;
+        this.fullComparisonData = null;
+        this.spectrumIndices = null;
         this.resetZoom();
 
         // Clear peak info display
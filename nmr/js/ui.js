@@ -12,6 +12,7 @@ class NMRSimulatorUI {
         this.spectrumViz = null;
         this.blochViz = null;
         this.moleculeViz = null;
+        this.contourViz = null;
 
         // State
         this.isRunning = false;
@@ -81,6 +82,13 @@ class NMRSimulatorUI {
         } catch (e) {
             console.error('Failed to initialize molecule visualization:', e);
         }
+
+        // 2D contour plot
+        try {
+            this.contourViz = new ContourPlotVisualization('contourCanvas');
+        } catch (e) {
+            console.error('Failed to initialize 2D contour plot:', e);
+        }
     }
 
     setupEventListeners() {
@@ -228,6 +236,10 @@ class NMRSimulatorUI {
             }
         });
 
+        document.getElementById('firstOrderToggle')?.addEventListener('change', () => {
+            this.updateFirstOrderComparison();
+        });
+
         // Bloch sphere controls
         document.getElementById('applyPulseBtn')?.addEventListener('click', () => {
             if (this.blochViz) this.blochViz.applyPulse(90);
@@ -296,6 +308,8 @@ class NMRSimulatorUI {
             this.blochViz.onWindowResize();
         } else if (tabId === 'molecule' && this.moleculeViz) {
             this.moleculeViz.render();
+        } else if (tabId === 'spectrum2d' && this.contourViz) {
+            this.contourViz.render();
         }
     }
 
@@ -484,7 +498,7 @@ class NMRSimulatorUI {
             // Add TMS reference if enabled
             if (this.sample.showTMS) {
                 peaks = [
-                    { shift: 0.00, intensity: 1.0, assignment: 'TMS', numProtons: 12, t2: 5.0 },
+                    { shift: 0.00, intensity: 1.0, assignment: 'TMS', numProtons: 12, t2: 5.0, c13_shift: 0.00 },
                     ...peaks
                 ];
             }
@@ -495,13 +509,17 @@ class NMRSimulatorUI {
                 // Check if this peak already exists (e.g., D2O residual = water peak)
                 const existingPeak = peaks.find(p => Math.abs(p.shift - solvent.h1_residual) < 0.1);
                 if (!existingPeak) {
-                    peaks.push({
+                    const solventPeak = {
                         shift: solvent.h1_residual,
                         intensity: 0.3,
                         assignment: 'Solvent',
                         numProtons: 1,
                         t2: 2.0
-                    });
+                    };
+                    if (solvent.c13_signal) {
+                        solventPeak.c13_shift = solvent.c13_signal;
+                    }
+                    peaks.push(solventPeak);
                 }
             }
 
@@ -565,8 +583,27 @@ class NMRSimulatorUI {
                 this.spectrumViz.resetZoom();
             }
 
+            // 2D experiments: acquire every t1 increment and 2D FFT for the contour plot
+            let spectrum2D = null;
+            if (PulseSequences[sequenceType]?.is2D) {
+                const fid2D = this.physics.generate2DFID(peaks, sequenceType, this.sample);
+                spectrum2D = this.physics.compute2DSpectrum(fid2D);
+            }
+
+            if (this.contourViz) {
+                if (spectrum2D) {
+                    this.contourViz.setSpectrum(spectrum2D);
+                } else {
+                    this.contourViz.clear();
+                }
+            }
+
             // Store experiment data
-            this.experimentData = { fid, spectrum };
+            this.experimentData = {
+                fid, spectrum, spectrum2D,
+                acquisition: { peaks, acqTime, numPoints, sequenceType, relaxDelay }
+            };
+            this.updateFirstOrderComparison();
 
             // Calculate and display results
             this.updateResults(numScans, receiverGain);
@@ -629,7 +666,7 @@ class NMRSimulatorUI {
             // Reset noise seed
             this.physics.resetNoiseSeed(12345);
 
-            const fid = this.physics.generateFID(peaks, acqTime, numPoints);
+            const fid = this.physics.generateFID(peaks, acqTime, numPoints, this.sample.couplings);
 
             if (this.spectrumViz) {
                 this.spectrumViz.updateFID(fid);
@@ -641,7 +678,11 @@ class NMRSimulatorUI {
                 this.spectrumViz.updateSpectrum(spectrum, this.physics.calculateLarmorFrequency(), peaks);
             }
 
-            this.experimentData = { fid, spectrum };
+            this.experimentData = {
+                fid, spectrum,
+                acquisition: { peaks, acqTime, numPoints, sequenceType: null }
+            };
+            this.updateFirstOrderComparison();
 
         } catch (error) {
             console.error('Acquisition failed:', error);
@@ -654,6 +695,30 @@ class NMRSimulatorUI {
         }
     }
 
+    /**
+     * Overlay the first-order multiplet spectrum on the exact spin-system spectrum
+     * while the comparison toggle is on
+     */
+    updateFirstOrderComparison() {
+        if (!this.spectrumViz) return;
+
+        const enabled = document.getElementById('firstOrderToggle')?.checked;
+        const acquisition = this.experimentData?.acquisition;
+        if (!enabled || !acquisition) {
+            this.spectrumViz.setComparisonSpectrum(null);
+            return;
+        }
+
+        // Same noise as the exact run so only the multiplets differ
+        this.physics.resetNoiseSeed(12345);
+        const { peaks, acqTime, numPoints, sequenceType, relaxDelay } = acquisition;
+        const fid = sequenceType
+            ? this.physics.generateFIDWithSequence(peaks, acqTime, numPoints, sequenceType, relaxDelay, this.sample, true)
+            : this.physics.generateFID(peaks, acqTime, numPoints);
+
+        this.spectrumViz.setComparisonSpectrum(this.physics.computeSpectrum(fid, true, true));
+    }
+
     updateResults(numScans, receiverGain) {
         // Calculate SNR
         const snr = this.physics.calculateSNR(
@@ -713,6 +778,7 @@ class NMRSimulatorUI {
         document.getElementById('pulseSequence').value = 'single_pulse';
         document.getElementById('noiseToggle').checked = false;
         document.getElementById('tmsToggle').checked = true;
+        document.getElementById('firstOrderToggle').checked = false;
         document.getElementById('noiseLevelGroup').style.display = 'none';
 
         // Sync solvent dropdown with sample's default solvent (water uses D2O)
@@ -742,6 +808,9 @@ class NMRSimulatorUI {
         if (this.spectrumViz) {
             this.spectrumViz.clear();
         }
+        if (this.contourViz) {
+            this.contourViz.clear();
+        }
 
         // Reset Bloch sphere
         if (this.blochViz) {
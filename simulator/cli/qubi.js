@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+/**
+ * Headless Qubi runner for scripts and CI:
+ *
+ *   node simulator/cli/qubi.js run circuit.qubi [--shots N] [--seed S] [--format text|json]
+ *                                                [--output probabilities|counts|state] [--mode statevector|density]
+ *
+ * The simulator's browser scripts are loaded into one shared scope, in the order simulator/index.html loads them,
+ * so parsing, validation and simulation match the editor. #import names resolve to files next to the main file.
+ * Exit status: 0 on success, 1 when the Qubi code has errors or an ASSERT fails (reported as file:line: message,
+ * lines as in the editor's gutter), 2 for usage or file-system errors.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_DIR = path.join(__dirname, '..', 'js');
+const SCRIPTS = ['quantum.js', 'statevector.js', 'stabilizer.js', 'circuit.js', 'qubi.js', 'syntaxHighlight.js', 'entanglement.js', 'test-runner.js'];
+const OUTPUTS = ['probabilities', 'counts', 'state'];
+const FORMATS = ['text', 'json'];
+const MODES = ['statevector', 'density'];
+
+const USAGE = `Usage: qubi run <file.qubi> [options]
+
+Options:
+  --shots N        sample N shots (default output becomes counts)
+  --seed S         seed for shot sampling and mid-circuit MEASURE
+  --format F       text (default) or json
+  --output O       probabilities, counts or state (the state vector, or the
+                   stabilizer generators of a wide Clifford circuit)
+  --mode M         statevector (default) or density
+  -h, --help       show this help`;
+
+class UsageError extends Error {}
+
+function loadSimulator() {
+    for (const file of SCRIPTS) {
+        const filename = path.join(SCRIPT_DIR, file);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    }
+    // Top-level declarations of the scripts live in the shared global scope, like in the browser
+    return vm.runInThisContext('({ QubiTestRunner })');
+}
+
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    if (!command || command === '-h' || command === '--help') return { help: true };
+    if (command !== 'run') throw new UsageError(`Unknown command "${command}"`);
+
+    const options = { file: null, shots: 0, seed: null, format: 'text', output: null, mode: 'statevector' };
+    const takeValue = (i, flag) => {
+        if (i + 1 >= rest.length) throw new UsageError(`${flag} needs a value`);
+        return rest[i + 1];
+    };
+    const choose = (value, allowed, flag) => {
+        if (!allowed.includes(value)) throw new UsageError(`${flag} must be one of ${allowed.join(', ')}`);
+        return value;
+    };
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (arg === '-h' || arg === '--help') return { help: true };
+        if (arg === '--shots') {
+            options.shots = Number(takeValue(i++, arg));
+            if (!Number.isInteger(options.shots) || options.shots < 1) throw new UsageError('--shots must be a positive integer');
+        } else if (arg === '--seed') {
+            options.seed = takeValue(i++, arg);
+        } else if (arg === '--format') {
+            options.format = choose(takeValue(i++, arg), FORMATS, arg);
+        } else if (arg === '--output') {
+            options.output = choose(takeValue(i++, arg), OUTPUTS, arg);
+        } else if (arg === '--mode') {
+            options.mode = choose(takeValue(i++, arg), MODES, arg);
+        } else if (arg.startsWith('-')) {
+            throw new UsageError(`Unknown option "${arg}"`);
+        } else if (options.file) {
+            throw new UsageError(`Unexpected argument "${arg}"`);
+        } else {
+            options.file = arg;
+        }
+    }
+    if (!options.file) throw new UsageError('run needs a .qubi file');
+    if (!options.output) options.output = options.shots > 0 ? 'counts' : 'probabilities';
+    if (options.output === 'counts' && options.shots === 0) throw new UsageError('--output counts needs --shots');
+    if (options.output === 'state' && options.mode === 'density') throw new UsageError('--output state needs --mode statevector');
+    return options;
+}
+
+// #import by file name, looked up next to the main file; case-insensitive like the editor's tabs
+function createImportResolver(directory) {
+    return (filename) => {
+        const exact = path.join(directory, filename);
+        if (fs.existsSync(exact) && fs.statSync(exact).isFile()) return fs.readFileSync(exact, 'utf8');
+        const want = filename.toLowerCase();
+        const match = fs.readdirSync(directory).find(name => name.toLowerCase() === want);
+        return match ? fs.readFileSync(path.join(directory, match), 'utf8') : null;
+    };
+}
+
+/**
+ * Validate and run one file, then check its ASSERT statements.
+ * @returns {{errors: Array<{line: number, message: string}>}
+ *   | {circuit: QuantumCircuit, state: object, shots: object|null, assertions: Array<object>}}
+ */
+function runFile(simulator, code, options, resolveImport) {
+    const { QubiTestRunner } = simulator;
+    const compiled = QubiTestRunner.compile(code, { resolveImport, mode: options.mode });
+    if (compiled.errors) return compiled;
+
+    const { circuit } = compiled;
+    const state = circuit.execute(options.shots > 0 ? { shots: options.shots, seed: options.seed } : {});
+    const assertions = QubiTestRunner.run(circuit, options.seed === null ? {} : { seed: options.seed });
+    return { circuit, state, shots: circuit.lastShots, assertions };
+}
+
+function formatNumber(value) {
+    return value.toFixed(6);
+}
+
+function report(result, options, displayName) {
+    const { circuit, state, shots, assertions } = result;
+    const n = circuit.numQubits;
+    const negligible = 1e-12;
+    // A wide stabilizer state can have far too many outcomes to list; shots still sample them
+    const unlisted = state.isStabilizer && !state.canListOutcomes();
+
+    if (options.format === 'json') {
+        const out = { file: displayName, qubits: n, depth: circuit.getDepth(), gates: circuit.getGateCount() };
+        if (options.output === 'probabilities' && unlisted) {
+            out.probabilities = null;
+            out.outcomes = state.outcomeSummary();
+        } else if (options.output === 'probabilities') {
+            out.probabilities = Object.fromEntries(
+                Object.entries(state.getAllProbabilities()).filter(([, p]) => p > negligible)
+            );
+        } else if (options.output === 'counts') {
+            out.shots = shots.shots;
+            out.seed = shots.seed;
+            out.counts = shots.counts;
+        } else if (state.isStabilizer) {
+            out.stabilizers = state.getStabilizers();
+        } else {
+            // Index i holds the amplitude of basis state i (bit q of i is qubit q)
+            out.state = state.amplitudes.map(amp => [amp.re, amp.im]);
+        }
+        if (assertions.length > 0) {
+            out.assertions = assertions.map(({ assertion, passed, checks, message }) => (
+                { line: assertion.line + 1, source: assertion.source, passed, checks, message }
+            ));
+        }
+        return JSON.stringify(out, null, 2);
+    }
+
+    const header = `${displayName}: ${n} qubit${n === 1 ? '' : 's'}, depth ${circuit.getDepth()}, ${circuit.getGateCount()} gate${circuit.getGateCount() === 1 ? '' : 's'}`;
+    const rows = [];
+    if (options.output === 'probabilities' && unlisted) {
+        rows.push(`${state.outcomeSummary()}, too many to list (sample them with --shots)`);
+    } else if (options.output === 'probabilities') {
+        for (const [bits, p] of Object.entries(state.getAllProbabilities())) {
+            if (p > negligible) rows.push(`|${bits}⟩  ${formatNumber(p)}`);
+        }
+    } else if (options.output === 'counts') {
+        rows.push(`${shots.shots} shots, seed ${shots.seed}`);
+        for (const [bits, count] of Object.entries(shots.counts).sort(([a], [b]) => a.localeCompare(b))) {
+            rows.push(`${bits}  ${count}`);
+        }
+    } else if (state.isStabilizer) {
+        rows.push(...state.getStabilizers());
+    } else {
+        state.amplitudes.forEach((amp, i) => {
+            if (amp.re * amp.re + amp.im * amp.im <= negligible) return;
+            const bits = i.toString(2).padStart(n, '0');
+            rows.push(`|${bits}⟩  ${formatNumber(amp.re)} ${amp.im < 0 ? '-' : '+'} ${formatNumber(Math.abs(amp.im))}i`);
+        });
+    }
+    if (assertions.length > 0) {
+        const failed = assertions.filter(result => !result.passed).length;
+        const skipped = assertions.filter(result => result.checks === 0).length;
+        rows.push(`ASSERT: ${assertions.length - failed - skipped} passed, ${failed} failed` +
+            (skipped ? `, ${skipped} not reached` : ''));
+    }
+    return [header, ...rows].join('\n');
+}
+
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        process.stderr.write(`qubi: ${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    const filename = path.resolve(options.file);
+    let code;
+    try {
+        code = fs.readFileSync(filename, 'utf8').replace(/\r\n?/g, '\n');
+    } catch (error) {
+        process.stderr.write(`qubi: cannot read ${options.file}: ${error.message}\n`);
+        return 2;
+    }
+
+    const displayName = path.basename(filename);
+    const result = runFile(loadSimulator(), code, options, createImportResolver(path.dirname(filename)));
+    if (result.errors) {
+        if (options.format === 'json') {
+            const errors = result.errors.map(({ line, message }) => ({ line: line + 1, message }));
+            process.stdout.write(`${JSON.stringify({ file: displayName, errors }, null, 2)}\n`);
+        } else {
+            for (const { line, message } of result.errors) {
+                process.stderr.write(`${options.file}:${line + 1}: ${message}\n`);
+            }
+        }
+        return 1;
+    }
+
+    process.stdout.write(`${report(result, options, displayName)}\n`);
+    const failures = result.assertions.filter(assertion => !assertion.passed);
+    if (options.format === 'text') {
+        for (const { assertion, message } of failures) {
+            process.stderr.write(`${options.file}:${assertion.line + 1}: ${assertion.source} failed: ${message}\n`);
+        }
+    }
+    return failures.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { main, parseArgs, runFile, loadSimulator, createImportResolver };
+}
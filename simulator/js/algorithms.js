@@ -377,19 +377,16 @@ const QuantumAlgorithms = {
             code += `H 1\nCX [1,2]\n`;
             if (withComments) code += `\n// Alice's Bell measurement on q0, q1\n`;
             code += `CX [0,1]\nH 0\n`;
-            if (withComments) code += `\n// Measure Alice's qubits\n`;
-            code += `MEASURE (0,1)\n`;
-            if (withComments) {
-                code += `\n// Bob's corrections (shown unconditionally for demo)\n`;
-                code += `// In real protocol, X and Z are conditional on measurement\n`;
-            }
-            code += `CX [1,2]\nCZ [0,2]`;
+            if (withComments) code += `\n// Measure Alice's qubits into classical bits\n`;
+            code += `MEASURE 0 -> c[0]\nMEASURE 1 -> c[1]\n`;
+            if (withComments) code += `\n// Bob's corrections, conditioned on Alice's bits\n`;
+            code += `IF c[1] == 1\n  X 2\nEND\nIF c[0] == 1\n  Z 2\nEND`;
             if (withComments) code += `\n\n// Result: q2 now holds the teleported state`;
             return { code: code.trim(), qubits: 3 };
         },
         qubits: 3,
-        code: `H 0\nH 1\nCX [1,2]\nCX [0,1]\nH 0\nMEASURE (0,1)\nCX [1,2]\nCZ [0,2]`,
-        codeWithComments: `// Quantum Teleportation Protocol\n// Teleporting |+⟩ from q0 to q2\n\n// Prepare |+⟩ on q0\nH 0\n\n// Create Bell pair between q1 and q2\nH 1\nCX [1,2]\n\n// Alice's Bell measurement\nCX [0,1]\nH 0\n\n// Measure Alice's qubits\nMEASURE (0,1)\n\n// Bob's corrections\nCX [1,2]\nCZ [0,2]\n\n// Result: q2 now holds the teleported state`
+        code: `H 0\nH 1\nCX [1,2]\nCX [0,1]\nH 0\nMEASURE 0 -> c[0]\nMEASURE 1 -> c[1]\nIF c[1] == 1\n  X 2\nEND\nIF c[0] == 1\n  Z 2\nEND`,
+        codeWithComments: `// Quantum Teleportation Protocol\n// Teleporting |+⟩ from q0 to q2\n\n// Prepare |+⟩ on q0\nH 0\n\n// Create Bell pair between q1 and q2\nH 1\nCX [1,2]\n\n// Alice's Bell measurement\nCX [0,1]\nH 0\n\n// Measure Alice's qubits into classical bits\nMEASURE 0 -> c[0]\nMEASURE 1 -> c[1]\n\n// Bob's corrections, conditioned on Alice's bits\nIF c[1] == 1\n  X 2\nEND\nIF c[0] == 1\n  Z 2\nEND\n\n// Result: q2 now holds the teleported state`
     },
 
     deutschJozsa: {
@@ -1,12 +1,28 @@
 // Circuit Management
 
 class QuantumCircuit {
+    static MAX_MEASURE_BRANCHES = 1024;
+    static MAX_UNITARY_QUBITS = 10;
+    static TYPED_STATE_QUBITS = 13; // From here on the state vector lives in one Float64Array (TypedQuantumState)
+    static STABILIZER_QUBITS = 13; // From here on Clifford-only circuits run on a stabilizer tableau (StabilizerState)
+
     constructor(numQubits = 2, useOptimizedGates = true) {
         this.numQubits = numQubits;
         this.gates = []; // Array of {type, qubit, target, column, params}
-        this.controlFlow = []; // Array of {type: 'REPEAT'|'END', column, params}
+        this.controlFlow = []; // Array of {type: 'REPEAT'|'IF'|'END', column, params}
+        this.classicalRegisters = []; // Array of {name, size, declared}
+        this.parameters = []; // Array of {name, value} (PARAM angles, radians)
+        this.gateGroups = []; // Array of {name, call, qubits, startColumn, endColumn, signature} (#gate calls)
+        this.qubitRegisters = []; // Array of {name, start, size} (QREG, allocated consecutively from qubit 0)
+        this.qubitAliases = []; // Array of {name, qubits} (ALIAS)
+        this.columnSourceLines = new Map(); // column -> editor line of the Qubi statement that placed its gates
+        this.assertions = []; // Array of {kind, line, column, tolerance, source, …} (ASSERT, checked before `column` runs)
         this.useOptimizedGates = useOptimizedGates;
-        this.state = new QuantumState(numQubits, useOptimizedGates);
+        this.simulationMode = 'statevector'; // 'statevector' | 'density'
+        this.noiseModel = null; // {default: [channels], gates: {TYPE: [channels]}, qubits: {index: [channels]}}
+        this.random = Math.random; // RNG used by MEASURE (swapped for a seeded one during shot runs)
+        this.lastShots = null;
+        this.state = this.createState();
         this.maxColumn = 0;
     }
     
@@ -17,21 +33,67 @@ class QuantumCircuit {
         }
     }
 
+    setSimulationMode(mode) {
+        this.simulationMode = mode === 'density' ? 'density' : 'statevector';
+        this.state = this.createState();
+    }
+
+    setNoiseModel(noiseModel) {
+        this.noiseModel = noiseModel || null;
+    }
+
+    // Fresh |0...0⟩ state for the current simulation mode
+    createState() {
+        if (this.isDensityMode()) {
+            return new DensityMatrixState(this.numQubits, this.useOptimizedGates);
+        }
+        if (this.isStabilizerMode()) {
+            return new StabilizerState(this.numQubits, this.useOptimizedGates);
+        }
+        if (this.numQubits >= QuantumCircuit.TYPED_STATE_QUBITS && typeof TypedQuantumState !== 'undefined') {
+            return new TypedQuantumState(this.numQubits, this.useOptimizedGates);
+        }
+        return new QuantumState(this.numQubits, this.useOptimizedGates);
+    }
+
+    // Density-matrix mode is capped (ρ has 4^n entries); larger circuits fall back to the state vector
+    isDensityMode() {
+        return this.simulationMode === 'density' && this.numQubits <= DensityMatrixState.MAX_QUBITS;
+    }
+
+    // Wide circuits made only of Clifford gates run on the stabilizer tableau; one T or rotation
+    // anywhere (IF blocks included) sends the whole circuit back to the state vector
+    isStabilizerMode() {
+        return !this.isDensityMode()
+            && this.numQubits >= QuantumCircuit.STABILIZER_QUBITS
+            && this.isClifford()
+            && this.numQubits <= StabilizerState.MAX_QUBITS;
+    }
+
+    isClifford() {
+        return typeof StabilizerState !== 'undefined' && this.gates.every(gate => StabilizerState.supportsGate(gate));
+    }
+
     addQubit() {
         this.numQubits++;
-        this.state = new QuantumState(this.numQubits, this.useOptimizedGates);
+        this.state = this.createState();
         // Shift existing gates if needed
     }
 
     removeQubit() {
         if (this.numQubits > 1) {
             this.numQubits--;
-            this.state = new QuantumState(this.numQubits, this.useOptimizedGates);
+            this.state = this.createState();
             // Remove gates on removed qubit
             this.gates = this.gates.filter(gate => 
                 gate.qubit < this.numQubits && 
                 (gate.target === undefined || gate.target < this.numQubits)
             );
+            // Names may not outlive their wires
+            this.qubitRegisters = this.qubitRegisters
+                .map(reg => ({ ...reg, size: Math.min(reg.size, this.numQubits - reg.start) }))
+                .filter(reg => reg.size > 0);
+            this.qubitAliases = this.qubitAliases.filter(alias => alias.qubits.every(q => q < this.numQubits));
         }
     }
 
@@ -64,6 +126,106 @@ class QuantumCircuit {
         return cf;
     }
 
+    // ASSERT statement from QubiParser.parseAssertion, placed ahead of the gates in its column
+    addAssertion(assertion) {
+        this.assertions.push(assertion);
+        return assertion;
+    }
+
+    // declared: from CREG (fixed size); otherwise created by MEASURE q -> c[i] and grown to fit
+    addClassicalRegister(name, size = 1, declared = false) {
+        const existing = this.getClassicalRegister(name);
+        if (existing) {
+            existing.size = declared ? size : Math.max(existing.size, size);
+            existing.declared = existing.declared || declared;
+            return existing;
+        }
+        const reg = { name, size, declared };
+        this.classicalRegisters.push(reg);
+        return reg;
+    }
+
+    getClassicalRegister(name) {
+        return this.classicalRegisters.find(reg => reg.name === name) || null;
+    }
+
+    addParameter(name, value) {
+        const param = { name, value };
+        this.parameters.push(param);
+        return param;
+    }
+
+    getParameter(name) {
+        return this.parameters.find(param => param.name === name) || null;
+    }
+
+    // Change a PARAM and every gate angle bound to it (params.paramRefs: {key: {name, scale}})
+    setParameter(name, value) {
+        const param = this.getParameter(name);
+        if (!param) return false;
+        param.value = value;
+        for (const gate of this.gates) {
+            const refs = gate.params && gate.params.paramRefs;
+            if (!refs) continue;
+            for (const [key, ref] of Object.entries(refs)) {
+                if (ref.name === name) gate.params[key] = ref.scale * value;
+            }
+        }
+        return true;
+    }
+
+    // QREG name[size]: the next size qubits after the registers declared so far
+    addQubitRegister(name, size) {
+        const start = this.qubitRegisters.reduce((total, reg) => total + reg.size, 0);
+        const reg = { name, start, size };
+        this.qubitRegisters.push(reg);
+        return reg;
+    }
+
+    addQubitAlias(name, qubits) {
+        const alias = { name, qubits: [...qubits] };
+        this.qubitAliases.push(alias);
+        return alias;
+    }
+
+    // Wire name: register[index] when a QREG covers the qubit, otherwise q[index]
+    getQubitLabel(qubit) {
+        const reg = this.qubitRegisters.find(r => qubit >= r.start && qubit < r.start + r.size);
+        return reg ? `${reg.name}[${qubit - reg.start}]` : `q[${qubit}]`;
+    }
+
+    // Columns [startColumn, endColumn] hold one call of a #gate composite gate
+    addGateGroup(name, call, qubits, startColumn, endColumn) {
+        const group = {
+            name,
+            call,
+            qubits: [...qubits],
+            startColumn,
+            endColumn,
+            signature: this.getColumnSignature(startColumn, endColumn)
+        };
+        this.gateGroups.push(group);
+        return group;
+    }
+
+    // Groups whose columns still hold exactly the gates the call produced; editing inside one dissolves it
+    getIntactGateGroups() {
+        return this.gateGroups.filter(group =>
+            this.getColumnSignature(group.startColumn, group.endColumn) === group.signature);
+    }
+
+    // Gates and blocks of a column range as text; PARAM-bound angles count by reference, so sliders keep it stable
+    getColumnSignature(startColumn, endColumn) {
+        const inRange = (item) => item.column >= startColumn && item.column <= endColumn;
+        const gates = this.gates.filter(inRange).map(gate => {
+            const params = { ...(gate.params || {}) };
+            Object.keys(params.paramRefs || {}).forEach(key => delete params[key]);
+            return JSON.stringify([gate.column, gate.type, gate.qubit, gate.target ?? null, gate.multiQubits || null, params]);
+        });
+        const blocks = this.controlFlow.filter(inRange).map(cf => JSON.stringify([cf.column, cf.type, cf.params]));
+        return [...gates.sort(), ...blocks.sort()].join('\n');
+    }
+
     removeControlFlow(column) {
         this.controlFlow = this.controlFlow.filter(cf => cf.column !== column);
         this.updateMaxColumn();
@@ -113,9 +275,10 @@ class QuantumCircuit {
         return this.maxColumn + 1;
     }
 
-    execute() {
+    // options.shots: also sample N measurement outcomes (stored in lastShots), options.seed: RNG seed
+    execute(options = {}) {
         // Reset state
-        this.state = new QuantumState(this.numQubits, this.useOptimizedGates);
+        this.state = this.createState();
         
         // Build execution sequence considering REPEAT blocks
         const executionSequence = this.buildExecutionSequence();
@@ -125,115 +288,303 @@ class QuantumCircuit {
             this.executeGate(gate);
         }
         
+        this.lastShots = options.shots > 0 ? this.sampleShots(options.shots, options.seed) : null;
+        
         return this.state;
     }
 
-    buildExecutionSequence() {
-        // Sort gates by column
-        const sortedGates = [...this.gates].sort((a, b) => a.column - b.column);
-        
-        // Sort control flow by column
-        const sortedCF = [...this.controlFlow].sort((a, b) => a.column - b.column);
-        
-        // If no control flow, just return sorted gates
-        if (sortedCF.length === 0) {
-            return sortedGates;
+    // Final state of a gate sequence run from |0...0⟩; this.state is left untouched
+    simulateSequence(sequence = this.buildExecutionSequence()) {
+        const savedState = this.state;
+        try {
+            this.state = this.createState();
+            sequence.forEach(gate => this.executeGate(gate));
+            return this.state;
+        } finally {
+            this.state = savedState;
         }
-        
-        // Build a map of columns to gates
-        const gatesByColumn = {};
-        for (const gate of sortedGates) {
-            if (!gatesByColumn[gate.column]) {
-                gatesByColumn[gate.column] = [];
+    }
+
+    // Independent copy of the circuit (gates, blocks, registers, PARAMs and simulation settings)
+    clone() {
+        const copy = new QuantumCircuit(this.numQubits, this.useOptimizedGates);
+        copy.gates = this.gates.map(gate => ({
+            ...gate,
+            params: JSON.parse(JSON.stringify(gate.params || {})),
+            multiQubits: gate.multiQubits ? [...gate.multiQubits] : null
+        }));
+        copy.controlFlow = this.controlFlow.map(cf => ({ ...cf, params: { ...cf.params } }));
+        copy.classicalRegisters = this.classicalRegisters.map(reg => ({ ...reg }));
+        copy.parameters = this.parameters.map(param => ({ ...param }));
+        copy.gateGroups = this.gateGroups.map(group => ({ ...group, qubits: [...group.qubits] }));
+        copy.qubitRegisters = this.qubitRegisters.map(reg => ({ ...reg }));
+        copy.qubitAliases = this.qubitAliases.map(alias => ({ ...alias, qubits: [...alias.qubits] }));
+        copy.columnSourceLines = new Map(this.columnSourceLines);
+        copy.assertions = this.assertions.map(assertion => ({ ...assertion }));
+        copy.simulationMode = this.simulationMode;
+        copy.noiseModel = this.noiseModel;
+        copy.maxColumn = this.maxColumn;
+        copy.state = copy.createState();
+        return copy;
+    }
+
+    // Overall unitary of the circuit, or of the executed gates in columns [fromColumn, toColumn].
+    // Column j of the result is the state reached from |j⟩; noise is ignored.
+    computeUnitary(fromColumn = 0, toColumn = Infinity) {
+        return this.computeSequenceUnitary(this.buildExecutionSequence()
+            .filter(gate => gate.column >= fromColumn && gate.column <= toColumn));
+    }
+
+    // Unitary of a gate sequence from this circuit (e.g. the prefix of an execution trace)
+    computeSequenceUnitary(sequence) {
+        if (this.numQubits > QuantumCircuit.MAX_UNITARY_QUBITS) {
+            throw new Error(`The unitary is limited to ${QuantumCircuit.MAX_UNITARY_QUBITS} qubits (the circuit has ${this.numQubits})`);
+        }
+        const ifBlocks = this.getBlockPairs().filter(pair => pair.type === 'IF');
+        for (const gate of sequence) {
+            if (gate.type === 'MEASURE') {
+                throw new Error(`MEASURE on q${gate.qubit} (column ${gate.column + 1}) is not unitary`);
+            }
+            if (ifBlocks.some(pair => pair.startColumn < gate.column && gate.column < pair.endColumn)) {
+                throw new Error(`${gate.type} in column ${gate.column + 1} is inside an IF block, which is not unitary`);
             }
-            gatesByColumn[gate.column].push(gate);
         }
-        
-        // Get all columns in order
-        const allColumns = [...new Set([
-            ...sortedGates.map(g => g.column),
-            ...sortedCF.map(cf => cf.column)
-        ])].sort((a, b) => a - b);
-        
-        // Build execution sequence
-        const result = [];
-        const repeatStack = []; // Stack of {count, startColumn, endColumn}
-        
-        // First pass: identify REPEAT-END pairs
-        const repeatPairs = [];
-        const repeatStarts = [];
-        for (const cf of sortedCF) {
-            if (cf.type === 'REPEAT') {
-                repeatStarts.push(cf);
-            } else if (cf.type === 'END' && repeatStarts.length > 0) {
-                const start = repeatStarts.pop();
-                repeatPairs.push({
-                    startColumn: start.column,
-                    endColumn: cf.column,
-                    count: start.params.count || 2,
-                    endingType: cf.params.endingType || 'REPEAT'
-                });
+
+        const dim = 1 << this.numQubits;
+        const unitary = Array.from({ length: dim }, () => new Array(dim));
+        const savedState = this.state;
+        try {
+            for (let j = 0; j < dim; j++) {
+                this.state = new QuantumState(this.numQubits, this.useOptimizedGates);
+                this.state.amplitudes[0] = Complex.create(0);
+                this.state.amplitudes[j] = Complex.create(1);
+                sequence.forEach(gate => this.executeGate(gate));
+                this.state.amplitudes.forEach((amp, i) => { unitary[i][j] = { re: amp.re, im: amp.im }; });
             }
+        } finally {
+            this.state = savedState;
         }
-        
-        // Helper function to get gates in column range, respecting repeats
-        const executeRange = (startCol, endCol, pairs) => {
-            const gates = [];
+        return unitary;
+    }
+
+    // Sample N full-register outcomes with a seedable RNG.
+    // Returns {shots, seed, counts, probabilities, tvd, outcomes}; probabilities is the exact
+    // distribution the shots are drawn from (null if it is too large to list) and tvd the total-variation distance to it.
+    sampleShots(shots, seed = null) {
+        const resolvedSeed = (seed === null || seed === undefined || seed === '')
+            ? Math.floor(Math.random() * 0x100000000)
+            : Number(seed) >>> 0;
+        const random = createSeededRandom(resolvedSeed);
+        const sequence = this.buildExecutionSequence();
+        const hasMeasure = sequence.some(g => g.type === 'MEASURE');
+
+        const savedState = this.state;
+        const savedRandom = this.random;
+        let counts = {};
+        let probabilities;
+
+        try {
+            this.random = random;
+            if (!hasMeasure) {
+                // No collapse: one run gives the distribution every shot samples from
+                this.state = this.createState();
+                sequence.forEach(gate => this.executeGate(gate));
+                probabilities = this.listOutcomes(this.state);
+                counts = this.sampleOutcomes(this.state, shots, random);
+            } else {
+                // MEASURE collapses mid-circuit, so each shot is its own run
+                for (let s = 0; s < shots; s++) {
+                    this.state = this.createState();
+                    sequence.forEach(gate => this.executeGate(gate));
+                    const [outcome] = Object.keys(this.sampleOutcomes(this.state, 1, random));
+                    counts[outcome] = (counts[outcome] || 0) + 1;
+                }
+                probabilities = this.getMeasuredDistribution(sequence);
+            }
+        } finally {
+            this.state = savedState;
+            this.random = savedRandom;
+        }
+
+        return {
+            shots,
+            seed: resolvedSeed,
+            counts,
+            probabilities,
+            tvd: probabilities ? totalVariationDistance(probabilities, counts, shots) : null,
+            outcomes: Object.keys(counts).length
+        };
+    }
+
+    // Full-register outcome distribution of a state, or null when a stabilizer state has too many outcomes to list
+    listOutcomes(state) {
+        return state.isStabilizer && !state.canListOutcomes() ? null : state.getAllProbabilities();
+    }
+
+    // {bitstring: count} for `shots` draws from a state's outcome distribution
+    sampleOutcomes(state, shots, random) {
+        if (state.isStabilizer) return state.sampleOutcomes(shots, random);
+        return sampleCounts(state.getAllProbabilities(), shots, random);
+    }
+
+    // Exact outcome distribution of a circuit with mid-circuit MEASURE gates. Every measurement splits
+    // the run into outcome branches (so IF blocks see the right classical bits); the result is the
+    // weighted mixture of the branches. Null when the branch count would exceed MAX_MEASURE_BRANCHES.
+    getMeasuredDistribution(sequence) {
+        const savedState = this.state;
+        try {
+            let branches = [{ state: this.createState(), weight: 1 }];
+            for (const gate of sequence) {
+                if (gate.type !== 'MEASURE') {
+                    for (const branch of branches) {
+                        this.state = branch.state;
+                        this.executeGate(gate);
+                    }
+                    continue;
+                }
+                const next = [];
+                for (const branch of branches) {
+                    if (!this.isConditionMet(gate, branch.state)) {
+                        next.push(branch);
+                        continue;
+                    }
+                    for (const outcome of [0, 1]) {
+                        const p = branch.state.getProbability(gate.qubit, outcome);
+                        if (p < 1e-12) continue;
+                        const state = branch.state.clone();
+                        state.collapseState(gate.qubit, outcome);
+                        this.recordClassicalBit(state, gate, outcome);
+                        next.push({ state, weight: branch.weight * p });
+                    }
+                }
+                if (next.length > QuantumCircuit.MAX_MEASURE_BRANCHES) return null;
+                branches = next;
+            }
+
+            const probabilities = {};
+            for (const branch of branches) {
+                const branchProbabilities = this.listOutcomes(branch.state);
+                if (!branchProbabilities) return null;
+                for (const [outcome, p] of Object.entries(branchProbabilities)) {
+                    probabilities[outcome] = (probabilities[outcome] || 0) + branch.weight * p;
+                }
+            }
+            return probabilities;
+        } finally {
+            this.state = savedState;
+        }
+    }
+
+    buildExecutionSequence() {
+        return this.buildExecutionTrace().map(step => step.gate);
+    }
+
+    /**
+     * Gates in execution order with REPEAT blocks unrolled. Each step lists the REPEAT blocks it runs inside,
+     * outermost first, with the 1-based iteration: [{gate, loops: [{column, iteration, count}]}].
+     * IF blocks are evaluated per gate in executeGate.
+     * With includeAssertions, {assertion, loops} steps mark where each ASSERT is checked (once per iteration).
+     */
+    buildExecutionTrace(includeAssertions = false) {
+        const gatesByColumn = new Map();
+        for (const gate of [...this.gates].sort((a, b) => a.column - b.column)) {
+            if (!gatesByColumn.has(gate.column)) gatesByColumn.set(gate.column, []);
+            gatesByColumn.get(gate.column).push(gate);
+        }
+        const repeatPairs = this.getBlockPairs().filter(pair => pair.type === 'REPEAT');
+        const maxCol = Math.max(
+            ...this.gates.map(g => g.column),
+            ...this.controlFlow.map(cf => cf.column),
+            0
+        );
+
+        const trace = [];
+        const checkAssertions = (column, loops) => {
+            if (!includeAssertions) return;
+            for (const assertion of this.assertions) {
+                if (assertion.column === column) trace.push({ assertion, loops });
+            }
+        };
+        const executeRange = (startCol, endCol, loops) => {
             let col = startCol;
-            
-            while (col <= endCol) {
-                // Check if this column starts a repeat
-                const innerPair = pairs.find(p => p.startColumn === col);
-                if (innerPair) {
-                    // Execute the repeat block
-                    for (let i = 0; i < innerPair.count; i++) {
-                        const innerGates = executeRange(innerPair.startColumn + 1, innerPair.endColumn - 1, pairs);
-                        gates.push(...innerGates);
+            while (col <= Math.min(endCol, maxCol)) {
+                checkAssertions(col, loops);
+                const pair = repeatPairs.find(p => p.startColumn === col);
+                if (pair) {
+                    const count = pair.params.count || 2;
+                    for (let i = 0; i < count; i++) {
+                        const inner = [...loops, { column: pair.startColumn, iteration: i + 1, count }];
+                        executeRange(pair.startColumn + 1, pair.endColumn - 1, inner);
                     }
-                    col = innerPair.endColumn + 1;
+                    col = pair.endColumn + 1;
                 } else {
-                    // Regular column - add gates if any
-                    if (gatesByColumn[col]) {
-                        gates.push(...gatesByColumn[col]);
-                    }
+                    for (const gate of gatesByColumn.get(col) || []) trace.push({ gate, loops });
                     col++;
                 }
             }
-            
-            return gates;
+            // ASSERTs after the last statement of a block sit on its END column (or past the last column)
+            checkAssertions(endCol + 1, loops);
         };
-        
-        // Execute from start to end, respecting top-level repeats
-        let col = 0;
-        const maxCol = Math.max(...allColumns, 0);
-        
-        while (col <= maxCol) {
-            const pair = repeatPairs.find(p => p.startColumn === col);
-            if (pair) {
-                // Execute the repeat block
-                for (let i = 0; i < pair.count; i++) {
-                    const innerGates = executeRange(pair.startColumn + 1, pair.endColumn - 1, repeatPairs);
-                    result.push(...innerGates);
-                }
-                col = pair.endColumn + 1;
-            } else {
-                // Regular column
-                if (gatesByColumn[col]) {
-                    result.push(...gatesByColumn[col]);
-                }
-                col++;
+        executeRange(0, maxCol, []);
+        return trace;
+    }
+
+    // REPEAT/IF blocks matched to their END by nesting: [{type, startColumn, endColumn, params}].
+    // An unclosed block runs to the end of the circuit.
+    getBlockPairs() {
+        const sortedCF = [...this.controlFlow].sort((a, b) => a.column - b.column);
+        const pairs = [];
+        const starts = [];
+        for (const cf of sortedCF) {
+            if (cf.type === 'REPEAT' || cf.type === 'IF') {
+                starts.push(cf);
+            } else if (cf.type === 'END' && starts.length > 0) {
+                const start = starts.pop();
+                pairs.push({ type: start.type, startColumn: start.column, endColumn: cf.column, params: start.params || {} });
             }
         }
-        
-        return result;
+        for (const start of starts) {
+            pairs.push({ type: start.type, startColumn: start.column, endColumn: Infinity, params: start.params || {} });
+        }
+        return pairs;
+    }
+
+    // True unless the gate sits inside an IF block whose condition fails for the state's classical bits
+    isConditionMet(gate, state = this.state) {
+        if (!this.controlFlow.some(cf => cf.type === 'IF')) return true;
+        return this.getBlockPairs()
+            .filter(pair => pair.type === 'IF' && pair.startColumn < gate.column && gate.column < pair.endColumn)
+            .every(pair => this.evaluateCondition(pair.params, state));
+    }
+
+    // {register, bit, value}: whole-register comparison when bit is null, else a single bit
+    evaluateCondition(condition, state = this.state) {
+        const classical = (state && state.classical) || {};
+        const regValue = classical[condition.register] || 0;
+        if (condition.bit !== null && condition.bit !== undefined) {
+            return ((regValue >> condition.bit) & 1) === condition.value;
+        }
+        return regValue === condition.value;
+    }
+
+    // Store a MEASURE outcome in its classical bit (MEASURE q -> c[i])
+    recordClassicalBit(state, gate, outcome) {
+        const cbit = gate.params && gate.params.cbit;
+        if (!cbit) return;
+        const current = state.classical[cbit.register] || 0;
+        const mask = 1 << cbit.bit;
+        state.classical[cbit.register] = outcome ? (current | mask) : (current & ~mask);
     }
 
     executeGate(gate) {
         const { type, qubit, target, params, multiQubits } = gate;
         
+        if (!this.isConditionMet(gate)) return;
+        
         try {
             if (type === 'MEASURE') {
-                this.state.measure(qubit);
+                const outcome = this.state.measure(qubit, this.random);
+                this.recordClassicalBit(this.state, gate, outcome);
             } else if (['CX', 'CY', 'CZ'].includes(type) && multiQubits && multiQubits.length > 0) {
                 // Multi-controlled gate: controls in multiQubits, target in qubit
                 if (type === 'CZ') {
@@ -252,6 +603,16 @@ class QuantumCircuit {
                 }
                 // qubit is the target, target is the control
                 this.state.applyTwoQubitGate(type, target, qubit);
+            } else if (ControlledGateBase[type]) {
+                // CP/CRX/CRY/CRZ: controls in multiQubits (or a single control in target), target in qubit
+                const controls = multiQubits && multiQubits.length > 0 ? multiQubits : [target];
+                if (controls[0] === null || controls[0] === undefined) {
+                    console.warn(`Controlled gate ${type} requires a control qubit`);
+                    return;
+                }
+                this.state.applyControlledGate(getParameterizedGateMatrix(type, params), controls, qubit);
+            } else if (type === 'P' || type === 'U3') {
+                this.state.applyGateGeneral(getParameterizedGateMatrix(type, params), [qubit]);
             } else if (['RX', 'RY', 'RZ'].includes(type)) {
                 const angle = params.angle !== undefined ? params.angle : Math.PI / 2;
                 const axis = type.substring(1); // 'X', 'Y', or 'Z'
@@ -265,16 +626,61 @@ class QuantumCircuit {
                 // Single qubit gate
                 this.state.applyGate(type, qubit);
             }
+
+            if (this.state.isDensityMatrix && this.isDensityMode()) {
+                this.applyNoise(gate);
+            }
         } catch (error) {
             console.error(`Error executing gate ${type}:`, error);
         }
     }
 
+    // Qubits a gate acts on (controls included)
+    getGateQubits(gate) {
+        const { qubit, target, params, multiQubits } = gate;
+        if (params && Array.isArray(params.jointQubits) && params.jointQubits.length > 0) {
+            return [...params.jointQubits];
+        }
+        const qubits = [qubit];
+        if (target !== null && target !== undefined) qubits.push(target);
+        if (Array.isArray(multiQubits)) qubits.push(...multiQubits);
+        return [...new Set(qubits)];
+    }
+
+    // Noise channels for one qubit after a gate: the gate-type rule (or the default),
+    // followed by any per-qubit rule
+    getNoiseChannels(type, qubit) {
+        const model = this.noiseModel;
+        if (!model) return [];
+        const byGate = model.gates && model.gates[type];
+        const channels = [...(byGate || model.default || [])];
+        if (model.qubits && model.qubits[qubit]) {
+            channels.push(...model.qubits[qubit]);
+        }
+        return channels;
+    }
+
+    applyNoise(gate) {
+        if (!this.noiseModel || gate.type === 'MEASURE') return;
+        for (const q of this.getGateQubits(gate)) {
+            for (const channel of this.getNoiseChannels(gate.type, q)) {
+                this.state.applyNoiseChannel(channel, q);
+            }
+        }
+    }
+
     clear() {
         this.gates = [];
         this.controlFlow = [];
+        this.classicalRegisters = [];
+        this.parameters = [];
+        this.gateGroups = [];
+        this.qubitRegisters = [];
+        this.qubitAliases = [];
+        this.columnSourceLines.clear();
+        this.assertions = [];
         this.maxColumn = 0;
-        this.state = new QuantumState(this.numQubits, this.useOptimizedGates);
+        this.state = this.createState();
     }
 
     getDepth() {
@@ -0,0 +1,184 @@
+// Device coupling maps: which physical qubits can take part in the same two-qubit gate.
+// Edges are undirected; positions lay the graph out for drawing (one unit between neighbours).
+
+class CouplingMap {
+    static TOPOLOGIES = [
+        { id: 'linear', label: 'Linear chain' },
+        { id: 'ring', label: 'Ring' },
+        { id: 'grid', label: 'Square grid' },
+        { id: 'heavy-hex', label: 'Heavy-hex lattice' },
+        { id: 'custom', label: 'Custom edge list' }
+    ];
+
+    // edges: [[a, b], …]; positions: [{x, y}] per qubit, or null for a circle
+    constructor(name, numQubits, edges, positions = null) {
+        this.name = name;
+        this.numQubits = numQubits;
+        const seen = new Set();
+        this.edges = [];
+        for (const [a, b] of edges) {
+            const key = `${Math.min(a, b)}-${Math.max(a, b)}`;
+            if (a === b || seen.has(key)) continue;
+            seen.add(key);
+            this.edges.push([Math.min(a, b), Math.max(a, b)]);
+        }
+        this.adjacency = Array.from({ length: numQubits }, () => []);
+        for (const [a, b] of this.edges) {
+            this.adjacency[a].push(b);
+            this.adjacency[b].push(a);
+        }
+        this.positions = positions || Array.from({ length: numQubits }, (_, q) => {
+            const angle = 2 * Math.PI * q / numQubits - Math.PI / 2;
+            const radius = Math.max(1, numQubits / (2 * Math.PI));
+            return { x: radius * Math.cos(angle), y: radius * Math.sin(angle) };
+        });
+    }
+
+    /**
+     * Coupling map for one of the TOPOLOGIES, sized to the circuit.
+     * @param {string} topology TOPOLOGIES id
+     * @param {number} numQubits qubits the device needs (ignored for 'custom')
+     * @param {string} [edgeList] for 'custom': pairs like "0-1, 1-2"
+     * @returns {CouplingMap}
+     */
+    static create(topology, numQubits, edgeList = '') {
+        switch (topology) {
+            case 'linear': return CouplingMap.linear(numQubits);
+            case 'ring': return CouplingMap.ring(numQubits);
+            case 'grid': return CouplingMap.grid(numQubits);
+            case 'heavy-hex': return CouplingMap.heavyHex(numQubits);
+            case 'custom': return CouplingMap.fromEdgeList(edgeList);
+            default: throw new Error(`Unknown topology "${topology}"`);
+        }
+    }
+
+    static linear(n) {
+        const edges = Array.from({ length: n - 1 }, (_, q) => [q, q + 1]);
+        return new CouplingMap('Linear chain', n, edges, Array.from({ length: n }, (_, q) => ({ x: q, y: 0 })));
+    }
+
+    static ring(n) {
+        if (n < 3) return CouplingMap.linear(n);
+        const edges = Array.from({ length: n }, (_, q) => [q, (q + 1) % n]);
+        return new CouplingMap('Ring', n, edges);
+    }
+
+    // Row-major grid, ⌈√n⌉ wide; a partial last row stays connected to the row above
+    static grid(n) {
+        const width = Math.ceil(Math.sqrt(n));
+        const edges = [];
+        for (let q = 0; q < n; q++) {
+            if ((q + 1) % width !== 0 && q + 1 < n) edges.push([q, q + 1]);
+            if (q + width < n) edges.push([q, q + width]);
+        }
+        return new CouplingMap('Square grid', n, edges, Array.from({ length: n }, (_, q) => ({ x: q % width, y: Math.floor(q / width) })));
+    }
+
+    // IBM-style heavy-hex: rows of chained qubits joined by bridge qubits every 4 columns, offset by 2 on
+    // alternate rows. A large enough lattice is cut down to the first n qubits in breadth-first order from a corner.
+    static heavyHex(n) {
+        // k + 1 rows of 4k + 1 qubits, with k + 1 or k bridges below each row but the last
+        const size = (cells) => (cells + 1) * (4 * cells + 1) + cells * cells + Math.ceil(cells / 2);
+        let k = 1;
+        while (size(k) < n) k++;
+        const rows = k + 1;
+        const width = 4 * k + 1;
+        const positions = [];
+        const edges = [];
+        const chain = (r, c) => r * width + c;
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < width; c++) {
+                positions.push({ x: c, y: 2 * r });
+                if (c > 0) edges.push([chain(r, c - 1), chain(r, c)]);
+            }
+        }
+        for (let r = 0; r + 1 < rows; r++) {
+            for (let c = r % 2 === 0 ? 0 : 2; c < width; c += 4) {
+                const bridge = positions.length;
+                positions.push({ x: c, y: 2 * r + 1 });
+                edges.push([chain(r, c), bridge], [bridge, chain(r + 1, c)]);
+            }
+        }
+        return new CouplingMap('Heavy-hex lattice', positions.length, edges, positions).take(n);
+    }
+
+    /**
+     * Parse "0-1, 1-2 2-3" (pairs separated by commas, spaces or new lines); the device has max index + 1 qubits.
+     * @param {string} text
+     * @returns {CouplingMap}
+     */
+    static fromEdgeList(text) {
+        const edges = [];
+        for (const token of String(text).split(/[\s,;]+/).filter(Boolean)) {
+            const match = token.match(/^q?(\d+)-q?(\d+)$/i);
+            if (!match) throw new Error(`Edge "${token}" should look like 0-1`);
+            const a = parseInt(match[1], 10), b = parseInt(match[2], 10);
+            if (a === b) throw new Error(`Edge "${token}" connects q${a} to itself`);
+            edges.push([a, b]);
+        }
+        if (edges.length === 0) throw new Error('List the connected qubit pairs, e.g. 0-1, 1-2, 2-3');
+        const numQubits = Math.max(...edges.flat()) + 1;
+        return new CouplingMap('Custom', numQubits, edges);
+    }
+
+    // The first n qubits in breadth-first order from qubit 0, renumbered in that order (always connected)
+    take(n) {
+        if (n >= this.numQubits) return this;
+        const order = [0];
+        const index = new Map([[0, 0]]);
+        for (let i = 0; i < order.length && order.length < n; i++) {
+            for (const next of this.adjacency[order[i]]) {
+                if (index.has(next) || order.length >= n) continue;
+                index.set(next, order.length);
+                order.push(next);
+            }
+        }
+        const edges = this.edges.filter(([a, b]) => index.has(a) && index.has(b)).map(([a, b]) => [index.get(a), index.get(b)]);
+        return new CouplingMap(this.name, n, edges, order.map(q => ({ ...this.positions[q] })));
+    }
+
+    areAdjacent(a, b) {
+        return this.adjacency[a] !== undefined && this.adjacency[a].includes(b);
+    }
+
+    // Every qubit, component by component, in breadth-first order from the lowest-numbered one
+    breadthFirstOrder() {
+        const order = [];
+        const seen = new Set();
+        for (let start = 0; start < this.numQubits; start++) {
+            if (seen.has(start)) continue;
+            seen.add(start);
+            for (let i = order.push(start) - 1; i < order.length; i++) {
+                for (const next of this.adjacency[order[i]]) {
+                    if (seen.has(next)) continue;
+                    seen.add(next);
+                    order.push(next);
+                }
+            }
+        }
+        return order;
+    }
+
+    // Qubits on a shortest path from a to b, both included, optionally only through the `allowed` set;
+    // null when b cannot be reached
+    shortestPath(a, b, allowed = null) {
+        const parent = new Map([[b, null]]);
+        const queue = [b];
+        for (let i = 0; i < queue.length && !parent.has(a); i++) {
+            for (const next of this.adjacency[queue[i]]) {
+                if (parent.has(next) || (allowed && !allowed.has(next))) continue;
+                parent.set(next, queue[i]);
+                queue.push(next);
+            }
+        }
+        if (!parent.has(a)) return null;
+        const path = [a];
+        while (path[path.length - 1] !== b) path.push(parent.get(path[path.length - 1]));
+        return path;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CouplingMap };
+}
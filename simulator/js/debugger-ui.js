@@ -0,0 +1,281 @@
+/**
+ * Debugger tab: run the Qubi program to its breakpoints, step through the timeline, edit breakpoint conditions,
+ * and watch expressions (probabilities, amplitudes, Bloch vectors) at the paused step.
+ */
+
+class DebuggerUI {
+    // onDebug() starts or continues, onStep() / onStepBack() move one step, onTogglePlayback() animates,
+    // onStop() ends the session; onBreakpointChange(line, {condition?, enabled?} | null) edits or (null) removes
+    // a breakpoint; onRevealLine(line) scrolls the editor to it
+    constructor(containerId, { onDebug, onStep, onStepBack, onTogglePlayback, onStop, onBreakpointChange, onRevealLine }) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.error(`Debugger container '${containerId}' not found`);
+            return;
+        }
+
+        this.onDebug = onDebug;
+        this.onStep = onStep;
+        this.onStepBack = onStepBack;
+        this.onTogglePlayback = onTogglePlayback;
+        this.onStop = onStop;
+        this.onBreakpointChange = onBreakpointChange;
+        this.onRevealLine = onRevealLine;
+        this.session = { mode: 'idle' };
+        this.watches = this.loadWatches();
+
+        this.buildUI();
+    }
+
+    buildUI() {
+        this.container.innerHTML = `
+            <div class="debugger-panel">
+                <div class="debugger-toolbar">
+                    <button type="button" class="btn btn-small btn-primary debugger-debug" title="Run to the next breakpoint">▶ Debug</button>
+                    <button type="button" class="btn btn-small debugger-step" title="Run one step">Step</button>
+                    <button type="button" class="btn btn-small debugger-step-back" title="Go back one step">Step back</button>
+                    <button type="button" class="btn btn-small debugger-play" title="Animate step by step, pausing at breakpoints">Play</button>
+                    <button type="button" class="btn btn-small debugger-stop" title="End the debugging session">Stop</button>
+                </div>
+                <div class="debugger-status"></div>
+                <div class="debugger-label">Breakpoints</div>
+                <ul class="debugger-breakpoints"></ul>
+                <div class="debugger-label">Watch</div>
+                <form class="debugger-watch-form">
+                    <input type="text" class="debugger-watch-input" spellcheck="false" autocomplete="off"
+                        placeholder="e.g. P(q0=1), Z(q1), amp(|01>), bloch(q0), probs(q0,q1)" aria-label="Watch expression">
+                    <button type="submit" class="btn btn-small">Add</button>
+                </form>
+                <ul class="debugger-watches"></ul>
+            </div>
+        `;
+
+        this.statusEl = this.container.querySelector('.debugger-status');
+        this.breakpointsEl = this.container.querySelector('.debugger-breakpoints');
+        this.watchesEl = this.container.querySelector('.debugger-watches');
+        this.debugBtn = this.container.querySelector('.debugger-debug');
+        this.stepBtn = this.container.querySelector('.debugger-step');
+        this.stepBackBtn = this.container.querySelector('.debugger-step-back');
+        this.playBtn = this.container.querySelector('.debugger-play');
+        this.stopBtn = this.container.querySelector('.debugger-stop');
+
+        this.debugBtn.addEventListener('click', () => this.onDebug());
+        this.stepBtn.addEventListener('click', () => this.onStep());
+        this.stepBackBtn.addEventListener('click', () => this.onStepBack());
+        this.playBtn.addEventListener('click', () => this.onTogglePlayback());
+        this.stopBtn.addEventListener('click', () => this.onStop());
+
+        const watchInput = this.container.querySelector('.debugger-watch-input');
+        this.container.querySelector('.debugger-watch-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const text = watchInput.value.trim();
+            if (!text) return;
+            this.watches.push(text);
+            this.saveWatches();
+            watchInput.value = '';
+            this.renderWatches();
+        });
+
+        this.render();
+    }
+
+    loadWatches() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('debuggerWatches') || '[]');
+            return Array.isArray(saved) ? saved.filter(w => typeof w === 'string') : [];
+        } catch {
+            return [];
+        }
+    }
+
+    saveWatches() {
+        localStorage.setItem('debuggerWatches', JSON.stringify(this.watches));
+    }
+
+    /**
+     * Called by the simulator whenever the session, breakpoints or code change.
+     * @param {object} session
+     * @param {'idle'|'paused'|'playing'|'finished'} session.mode
+     * @param {number} [session.step] index of the step about to run (paused) / total steps
+     * @param {number} [session.totalSteps]
+     * @param {number|null} [session.line] editor line about to run
+     * @param {Array<{column: number, iteration: number, count: number}>} [session.loops]
+     * @param {{breakpointLine: number, error: string|null}|null} [session.hit] breakpoint that caused the pause
+     * @param {object} [session.state] state before the step runs
+     * @param {QuantumCircuit} [session.circuit]
+     * @param {Map<number, {condition: string, enabled: boolean}>} [session.breakpoints]
+     * @param {string[]} [session.codeLines] active tab's lines, for the breakpoint list
+     */
+    update(session) {
+        this.session = session;
+        this.render();
+    }
+
+    render() {
+        if (!this.container) return;
+        this.renderStatus();
+        this.renderBreakpoints();
+        this.renderWatches();
+    }
+
+    renderStatus() {
+        const { mode, step, totalSteps, line, loops = [], hit } = this.session;
+        const active = mode === 'paused' || mode === 'playing';
+        this.debugBtn.textContent = active ? '▶ Continue' : '▶ Debug';
+        this.playBtn.textContent = mode === 'playing' ? 'Pause' : 'Play';
+        this.stepBackBtn.disabled = !active || step <= 1;
+        this.stopBtn.disabled = !active;
+
+        this.statusEl.innerHTML = '';
+        this.statusEl.classList.toggle('has-error', !!(hit && hit.error));
+        const text = document.createElement('div');
+        if (mode === 'idle') {
+            text.textContent = 'Click a line number in the editor to set a breakpoint (Shift+click to give it a condition), then Debug.';
+        } else if (mode === 'finished') {
+            text.textContent = `Finished: ${totalSteps} step${totalSteps === 1 ? '' : 's'} run.`;
+        } else {
+            const where = line !== null && line !== undefined ? `line ${line + 1}` : 'the next gates';
+            let reason = '';
+            if (hit && hit.error) reason = ` — condition on line ${hit.breakpointLine + 1} failed: ${hit.error}`;
+            else if (hit) reason = ` (breakpoint on line ${hit.breakpointLine + 1})`;
+            text.textContent = `${mode === 'playing' ? 'Playing' : 'Paused'} before ${where}, step ${step} of ${totalSteps}${reason}`;
+        }
+        this.statusEl.appendChild(text);
+
+        if (active && loops.length > 0) {
+            const counters = document.createElement('div');
+            counters.className = 'debugger-loops';
+            counters.textContent = loops
+                .map(loop => `REPEAT ${loop.count}: iteration ${loop.iteration}/${loop.count}`)
+                .join(' › ');
+            this.statusEl.appendChild(counters);
+        }
+    }
+
+    renderBreakpoints() {
+        const breakpoints = this.session.breakpoints || new Map();
+        const codeLines = this.session.codeLines || [];
+        this.breakpointsEl.innerHTML = '';
+        if (breakpoints.size === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'debugger-empty';
+            empty.textContent = 'No breakpoints';
+            this.breakpointsEl.appendChild(empty);
+            return;
+        }
+
+        for (const line of [...breakpoints.keys()].sort((a, b) => a - b)) {
+            const breakpoint = breakpoints.get(line);
+            const row = document.createElement('li');
+            row.className = 'debugger-breakpoint' + (breakpoint.enabled ? '' : ' disabled');
+            row.dataset.line = line;
+
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.checked = breakpoint.enabled;
+            enabled.title = 'Enabled';
+            enabled.addEventListener('change', () => this.onBreakpointChange(line, { enabled: enabled.checked }));
+
+            const where = document.createElement('button');
+            where.type = 'button';
+            where.className = 'debugger-breakpoint-line';
+            where.textContent = `${line + 1}`;
+            where.title = (codeLines[line] || '').trim();
+            where.addEventListener('click', () => this.onRevealLine(line));
+
+            const source = document.createElement('span');
+            source.className = 'debugger-breakpoint-source';
+            source.textContent = (codeLines[line] || '').trim();
+
+            const condition = document.createElement('input');
+            condition.type = 'text';
+            condition.className = 'debugger-condition-input';
+            condition.spellcheck = false;
+            condition.placeholder = 'Condition, e.g. P(q2=1) > 0.5';
+            condition.value = breakpoint.condition || '';
+            condition.setAttribute('aria-label', `Condition for line ${line + 1}`);
+            const error = document.createElement('div');
+            error.className = 'debugger-condition-error';
+            error.textContent = this.checkExpression(breakpoint.condition, true);
+            condition.addEventListener('change', () => this.onBreakpointChange(line, { condition: condition.value.trim() }));
+            condition.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') condition.blur();
+            });
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'debugger-remove';
+            remove.title = 'Remove breakpoint';
+            remove.textContent = '×';
+            remove.addEventListener('click', () => this.onBreakpointChange(line, null));
+
+            row.append(enabled, where, source, remove, condition, error);
+            this.breakpointsEl.appendChild(row);
+        }
+    }
+
+    // Message for an invalid condition or watch ('' when it parses); conditions may be empty
+    checkExpression(text, isCondition) {
+        const circuit = this.session.circuit;
+        if (!text || !circuit) return '';
+        try {
+            const expression = new QubiDebugExpression(text, circuit);
+            if (isCondition && expression.isDisplay) return 'A condition must be a number or comparison';
+            return '';
+        } catch (e) {
+            return e.message;
+        }
+    }
+
+    renderWatches() {
+        const { mode, state, loops, circuit } = this.session;
+        const active = mode === 'paused' || mode === 'playing' || mode === 'finished';
+        this.watchesEl.innerHTML = '';
+        this.watches.forEach((text, index) => {
+            const row = document.createElement('li');
+            row.className = 'debugger-watch';
+
+            const expression = document.createElement('span');
+            expression.className = 'debugger-watch-expression';
+            expression.textContent = text;
+
+            const value = document.createElement('span');
+            value.className = 'debugger-watch-value';
+            if (!active || !state || !circuit) {
+                value.textContent = '—';
+            } else {
+                try {
+                    value.textContent = QubiDebugExpression.formatValue(new QubiDebugExpression(text, circuit).evaluate(state, loops));
+                } catch (e) {
+                    value.textContent = e.message;
+                    value.classList.add('has-error');
+                }
+            }
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'debugger-remove';
+            remove.title = 'Remove watch';
+            remove.textContent = '×';
+            remove.addEventListener('click', () => {
+                this.watches.splice(index, 1);
+                this.saveWatches();
+                this.renderWatches();
+            });
+
+            row.append(expression, value, remove);
+            this.watchesEl.appendChild(row);
+        });
+    }
+
+    // Focus the condition field of a breakpoint, e.g. after Shift+click in the gutter
+    editCondition(line) {
+        const input = this.breakpointsEl.querySelector(`.debugger-breakpoint[data-line="${line}"] .debugger-condition-input`);
+        if (input) input.focus();
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DebuggerUI };
+}
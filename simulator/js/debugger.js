@@ -0,0 +1,400 @@
+/**
+ * Qubi debugger: expressions for conditional breakpoints and watches, and the search for the next breakpoint hit
+ * in the step timeline. Expressions are evaluated against the state before a step runs, e.g.
+ *   P(q2=1) > 0.5      Z(data[0]) < 0 && iter == 3      abs(amp(|01>))      bloch(q0)      probs(q0, q1)
+ */
+
+class QubiDebugExpression {
+    /**
+     * Parse an expression; throws an Error with a readable message when it is invalid for the circuit.
+     * @param {string} text
+     * @param {QuantumCircuit} circuit supplies the qubit count and QREG / ALIAS names
+     */
+    constructor(text, circuit) {
+        this.text = String(text || '').trim();
+        this.circuit = circuit;
+        if (!this.text) throw new Error('Empty expression');
+        this.tokens = QubiDebugExpression.tokenize(this.text);
+        this.pos = 0;
+        this.root = this.parseOr();
+        if (this.pos < this.tokens.length) throw new Error(`Unexpected "${this.tokens[this.pos].text}"`);
+        this.isDisplay = this.root.display === true;
+    }
+
+    static tokenize(text) {
+        const tokens = [];
+        const pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|(\|[01]+>)|([A-Za-z_]\w*)|(\|\||&&|[<>=!]=|[-+*/()<>=!,[\]]))/y;
+        let match;
+        while (pattern.lastIndex < text.length) {
+            const at = pattern.lastIndex;
+            match = pattern.exec(text);
+            if (!match || match[0].trim() === '') {
+                if (text.slice(at).trim() === '') break;
+                throw new Error(`Unexpected "${text.slice(at).trim()[0]}"`);
+            }
+            if (match[1] !== undefined) tokens.push({ type: 'number', text: match[1], value: parseFloat(match[1]) });
+            else if (match[2] !== undefined) tokens.push({ type: 'ket', text: match[2], bits: match[2].slice(1, -1) });
+            else if (match[3] !== undefined) tokens.push({ type: 'name', text: match[3] });
+            else tokens.push({ type: 'op', text: match[4] });
+        }
+        return tokens;
+    }
+
+    peek(text) {
+        const token = this.tokens[this.pos];
+        return token && token.type === 'op' && token.text === text;
+    }
+
+    accept(text) {
+        if (!this.peek(text)) return false;
+        this.pos++;
+        return true;
+    }
+
+    expect(text) {
+        if (!this.accept(text)) {
+            const token = this.tokens[this.pos];
+            throw new Error(token ? `Expected "${text}" before "${token.text}"` : `Expected "${text}"`);
+        }
+    }
+
+    // Nodes are {display?, evaluate(context)} where context is {state, loops}.
+    // Display nodes (amp, bloch, probs) are not numbers, so they may only be the whole expression.
+    binary(left, right, apply) {
+        if (left.display || right.display) throw new Error('amp(), bloch() and probs() can only be watched on their own');
+        return {
+            evaluate: (context) => apply(QubiDebugExpression.number(left.evaluate(context)), QubiDebugExpression.number(right.evaluate(context)))
+        };
+    }
+
+    parseOr() {
+        let node = this.parseAnd();
+        while (this.accept('||')) node = this.binary(node, this.parseAnd(), (a, b) => Boolean(a || b));
+        return node;
+    }
+
+    parseAnd() {
+        let node = this.parseNot();
+        while (this.accept('&&')) node = this.binary(node, this.parseNot(), (a, b) => Boolean(a && b));
+        return node;
+    }
+
+    parseNot() {
+        if (this.accept('!')) {
+            return this.binary({ evaluate: () => 0 }, this.parseNot(), (_, b) => !b);
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const left = this.parseSum();
+        const compare = {
+            '<': (a, b) => a < b,
+            '<=': (a, b) => a <= b,
+            '>': (a, b) => a > b,
+            '>=': (a, b) => a >= b,
+            // Probabilities and Bloch components are never exact, so equality allows for rounding
+            '==': (a, b) => Math.abs(a - b) < 1e-9,
+            '!=': (a, b) => Math.abs(a - b) >= 1e-9
+        };
+        for (const op of Object.keys(compare)) {
+            if (this.accept(op)) return this.binary(left, this.parseSum(), compare[op]);
+        }
+        if (this.peek('=')) throw new Error('Use == to compare');
+        return left;
+    }
+
+    parseSum() {
+        let node = this.parseProduct();
+        for (;;) {
+            if (this.accept('+')) node = this.binary(node, this.parseProduct(), (a, b) => a + b);
+            else if (this.accept('-')) node = this.binary(node, this.parseProduct(), (a, b) => a - b);
+            else return node;
+        }
+    }
+
+    parseProduct() {
+        let node = this.parseUnary();
+        for (;;) {
+            if (this.accept('*')) node = this.binary(node, this.parseUnary(), (a, b) => a * b);
+            else if (this.accept('/')) node = this.binary(node, this.parseUnary(), (a, b) => a / b);
+            else return node;
+        }
+    }
+
+    parseUnary() {
+        if (this.accept('-')) return this.binary({ evaluate: () => 0 }, this.parseUnary(), (a, b) => a - b);
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.tokens[this.pos];
+        if (!token) throw new Error('Expression ends too early');
+        if (this.accept('(')) {
+            const inner = this.parseOr();
+            this.expect(')');
+            return inner;
+        }
+        if (token.type === 'number') {
+            this.pos++;
+            return { evaluate: () => token.value };
+        }
+        if (token.type !== 'name') throw new Error(`Unexpected "${token.text}"`);
+        this.pos++;
+
+        const name = token.text;
+        if (!this.peek('(')) {
+            if (name === 'iter') {
+                // Iteration (1-based) of the innermost REPEAT about to run; 0 outside loops
+                return { evaluate: ({ loops }) => (loops && loops.length ? loops[loops.length - 1].iteration : 0) };
+            }
+            if (name === 'pi') return { evaluate: () => Math.PI };
+            if (name === 'true' || name === 'false') return { evaluate: () => name === 'true' };
+            if (/^q\d+$/.test(name)) throw new Error(`${name} is a qubit; use P(${name}=1), X(${name}), Y(${name}) or Z(${name})`);
+            throw new Error(`Unknown name "${name}"`);
+        }
+        this.expect('(');
+        const node = this.parseCall(name);
+        this.expect(')');
+        return node;
+    }
+
+    parseCall(name) {
+        if (name === 'P') {
+            if (this.tokens[this.pos] && this.tokens[this.pos].type === 'ket') {
+                const bits = this.parseKet();
+                return {
+                    evaluate: ({ state }) => (state.isStabilizer ? state.getOutcomeProbability(bits) : state.getAllProbabilities()[bits] || 0)
+                };
+            }
+            const qubit = this.parseQubit();
+            let value = 1;
+            if (this.accept('=') || this.accept('==')) {
+                const token = this.tokens[this.pos];
+                if (!token || token.type !== 'number' || (token.value !== 0 && token.value !== 1)) {
+                    throw new Error('P(q=v) needs v = 0 or 1');
+                }
+                this.pos++;
+                value = token.value;
+            }
+            return { evaluate: ({ state }) => state.getProbability(qubit, value) };
+        }
+        if (name === 'X' || name === 'Y' || name === 'Z') {
+            const qubit = this.parseQubit();
+            return { evaluate: ({ state }) => QubiDebugExpression.blochVector(state, qubit)[name.toLowerCase()] };
+        }
+        if (name === 'abs') {
+            const operand = this.parseOr();
+            return {
+                evaluate: (context) => {
+                    const value = operand.evaluate(context);
+                    if (value && value.kind === 'complex') return Math.hypot(value.re, value.im);
+                    return Math.abs(QubiDebugExpression.number(value));
+                }
+            };
+        }
+        if (name === 'amp') {
+            const index = parseInt(this.parseKet(), 2);
+            return {
+                display: true,
+                evaluate: ({ state }) => {
+                    if (!state.amplitudes) throw new Error(state.isStabilizer
+                        ? 'amp() is not available for Clifford circuits on the stabilizer simulator'
+                        : 'amp() needs the statevector simulator');
+                    const amp = state.amplitudes[index];
+                    return { kind: 'complex', re: amp.re, im: amp.im };
+                }
+            };
+        }
+        if (name === 'bloch') {
+            const qubit = this.parseQubit();
+            return {
+                display: true,
+                evaluate: ({ state }) => ({ kind: 'bloch', ...QubiDebugExpression.blochVector(state, qubit) })
+            };
+        }
+        if (name === 'probs') {
+            const qubits = [this.parseQubit()];
+            while (this.accept(',')) qubits.push(this.parseQubit());
+            return {
+                display: true,
+                evaluate: ({ state }) => {
+                    // Marginal distribution; the first qubit listed is the leftmost bit of each key
+                    if (state.isStabilizer) return { kind: 'distribution', probs: state.getMarginalProbabilities(qubits) };
+                    const probs = {};
+                    for (const [bits, p] of Object.entries(state.getAllProbabilities())) {
+                        const key = qubits.map(q => bits[bits.length - 1 - q]).join('');
+                        probs[key] = (probs[key] || 0) + p;
+                    }
+                    return { kind: 'distribution', probs };
+                }
+            };
+        }
+        throw new Error(`Unknown function "${name}" (use P, X, Y, Z, abs, amp, bloch or probs)`);
+    }
+
+    // |b…b⟩, most significant (highest) qubit first like the probability chart
+    parseKet() {
+        const token = this.tokens[this.pos];
+        if (!token || token.type !== 'ket') throw new Error('Expected a basis state such as |01>');
+        if (token.bits.length !== this.circuit.numQubits) {
+            throw new Error(`${token.text} needs ${this.circuit.numQubits} bit${this.circuit.numQubits === 1 ? '' : 's'}`);
+        }
+        this.pos++;
+        return token.bits;
+    }
+
+    // A qubit: 2, q2, q[2], a QREG element data[1] or a single-qubit ALIAS
+    parseQubit() {
+        const token = this.tokens[this.pos];
+        if (!token || (token.type !== 'number' && token.type !== 'name')) throw new Error('Expected a qubit');
+        this.pos++;
+        let qubit;
+        if (token.type === 'number') {
+            qubit = token.value;
+        } else if (this.accept('[')) {
+            const index = this.tokens[this.pos];
+            if (!index || index.type !== 'number') throw new Error(`Expected an index after ${token.text}[`);
+            this.pos++;
+            this.expect(']');
+            const reg = this.circuit.qubitRegisters.find(r => r.name === token.text);
+            if (reg) {
+                if (index.value >= reg.size) throw new Error(`${token.text}[${index.value}] is out of range (size ${reg.size})`);
+                qubit = reg.start + index.value;
+            } else if (token.text === 'q') {
+                qubit = index.value;
+            } else {
+                throw new Error(`Unknown register "${token.text}"`);
+            }
+        } else {
+            const alias = this.circuit.qubitAliases.find(a => a.name === token.text);
+            const numbered = token.text.match(/^q(\d+)$/);
+            if (alias) {
+                if (alias.qubits.length !== 1) throw new Error(`${token.text} names ${alias.qubits.length} qubits; pick one`);
+                qubit = alias.qubits[0];
+            } else if (numbered) {
+                qubit = parseInt(numbered[1], 10);
+            } else {
+                throw new Error(`Unknown qubit "${token.text}"`);
+            }
+        }
+        if (!Number.isInteger(qubit) || qubit >= this.circuit.numQubits) {
+            throw new Error(`Qubit ${token.text} is out of range (the circuit has ${this.circuit.numQubits})`);
+        }
+        return qubit;
+    }
+
+    // ⟨X⟩, ⟨Y⟩, ⟨Z⟩ of one qubit; unlike the Bloch sphere view this is not scaled up to the surface for mixed states
+    static blochVector(state, qubit) {
+        const [x, y, z] = ['X', 'Y', 'Z'].map(pauli => state.expectationPauli([{ qubit, pauli }]));
+        return { x, y, z };
+    }
+
+    static number(value) {
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (typeof value !== 'number') throw new Error('Expected a number');
+        return value;
+    }
+
+    /**
+     * @param {QuantumState|DensityMatrixState} state state before the paused step runs
+     * @param {Array<{column: number, iteration: number, count: number}>} [loops] REPEAT blocks of that step, outermost first
+     * @returns {number|boolean|{kind: 'complex', re: number, im: number}|{kind: 'bloch', x: number, y: number, z: number}|{kind: 'distribution', probs: Object<string, number>}}
+     */
+    evaluate(state, loops = []) {
+        return this.root.evaluate({ state, loops });
+    }
+
+    // Breakpoint conditions: true for a true comparison or a non-zero number
+    test(state, loops = []) {
+        if (this.isDisplay) throw new Error('A condition must be a number or comparison');
+        return QubiDebugExpression.number(this.evaluate(state, loops)) !== 0;
+    }
+
+    static formatValue(value) {
+        const num = (x) => String(parseFloat(x.toFixed(4)));
+        if (typeof value === 'boolean') return String(value);
+        if (typeof value === 'number') return Number.isFinite(value) ? num(value) : String(value);
+        if (value.kind === 'complex') return `${num(value.re)} ${value.im < 0 ? '−' : '+'} ${num(Math.abs(value.im))}i`;
+        if (value.kind === 'bloch') return `(${num(value.x)}, ${num(value.y)}, ${num(value.z)})`;
+        return Object.entries(value.probs)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .filter(([, p]) => p > 1e-10)
+            .map(([bits, p]) => `|${bits}⟩ ${num(p)}`)
+            .join('  ');
+    }
+}
+
+const QubiDebugger = {
+    // Same REPEAT iterations; a line that runs again in the next iteration starts afresh
+    sameLoops(a = [], b = []) {
+        return a.length === b.length && a.every((loop, i) => loop.column === b[i].column && loop.iteration === b[i].iteration);
+    },
+
+    /**
+     * Editor line each breakpoint stops at: its own line if a gate runs there, else the next line that runs one.
+     * @param {Map<number, {condition: string, enabled: boolean}>} breakpoints
+     * @param {Array<{line: number|null}>} steps
+     * @returns {Map<number, number>} breakpoint line -> stopping line (breakpoints past the last gate are left out)
+     */
+    resolveLines(breakpoints, steps) {
+        const lines = [...new Set(steps.map(step => step.line).filter(line => line !== null && line !== undefined))]
+            .sort((a, b) => a - b);
+        const resolved = new Map();
+        for (const line of breakpoints.keys()) {
+            const target = lines.find(l => l >= line);
+            if (target !== undefined) resolved.set(line, target);
+        }
+        return resolved;
+    },
+
+    /**
+     * First step in [from, to) that starts a line with an enabled breakpoint whose condition holds.
+     * steps[0] is the initial state; step k's condition is evaluated on steps[k - 1].state (before the step runs).
+     * @param {Array<{state: object, line: number|null, loops: Array}>} steps
+     * @param {Map<number, {condition: string, enabled: boolean}>} breakpoints
+     * @param {number} from
+     * @param {QuantumCircuit} circuit
+     * @param {number} [to] defaults to the end of the timeline
+     * @returns {{step: number, breakpointLine: number, line: number, error: string|null} | null}
+     */
+    findHit(steps, breakpoints, from, circuit, to = steps.length) {
+        const byTarget = new Map();
+        for (const [line, target] of QubiDebugger.resolveLines(breakpoints, steps)) {
+            const breakpoint = breakpoints.get(line);
+            if (!breakpoint.enabled) continue;
+            if (!byTarget.has(target)) byTarget.set(target, []);
+            byTarget.get(target).push({ line, ...breakpoint });
+        }
+        if (byTarget.size === 0) return null;
+
+        const compiled = new Map();
+        for (let k = Math.max(1, from); k < Math.min(to, steps.length); k++) {
+            const step = steps[k];
+            const candidates = byTarget.get(step.line);
+            if (!candidates) continue;
+            const previous = steps[k - 1];
+            if (k > 1 && previous.line === step.line && QubiDebugger.sameLoops(previous.loops, step.loops)) continue;
+
+            for (const breakpoint of candidates) {
+                const condition = (breakpoint.condition || '').trim();
+                if (!condition) return { step: k, breakpointLine: breakpoint.line, line: step.line, error: null };
+                try {
+                    if (!compiled.has(condition)) compiled.set(condition, new QubiDebugExpression(condition, circuit));
+                    if (compiled.get(condition).test(previous.state, step.loops)) {
+                        return { step: k, breakpointLine: breakpoint.line, line: step.line, error: null };
+                    }
+                } catch (e) {
+                    // A broken condition stops execution so it can be fixed rather than being skipped silently
+                    return { step: k, breakpointLine: breakpoint.line, line: step.line, error: e.message };
+                }
+            }
+        }
+        return null;
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QubiDebugExpression, QubiDebugger };
+}
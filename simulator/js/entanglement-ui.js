@@ -0,0 +1,184 @@
+/**
+ * Entanglement tab: reduced density matrix, entropy, purity, concurrence and Schmidt coefficients
+ * for a chosen qubit subset, plus a qubit-by-qubit entanglement heat map of the current state.
+ */
+
+class EntanglementUI {
+    static MAX_SUBSET_QUBITS = 6;  // ρ_A is 2^k × 2^k and diagonalized on every update
+    static MAX_MAP_QUBITS = 12;    // the heat map needs n(n-1)/2 two-qubit partial traces
+    static MAX_MATRIX_QUBITS = 2;  // ρ_A is printed in full up to 4 × 4
+
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.error(`Entanglement container '${containerId}' not found`);
+            return;
+        }
+
+        this.quantumState = null;
+        this.subset = [0];
+
+        this.buildUI();
+    }
+
+    buildUI() {
+        this.container.innerHTML = `
+            <div class="entanglement-panel">
+                <div class="entanglement-label">Subsystem A</div>
+                <div id="entanglementSubset" class="entanglement-subset"></div>
+                <div id="entanglementMetrics" class="entanglement-metrics"></div>
+                <div class="entanglement-label">Entanglement map</div>
+                <div id="entanglementMap" class="entanglement-map"></div>
+            </div>
+        `;
+
+        this.subsetEl = this.container.querySelector('#entanglementSubset');
+        this.metricsEl = this.container.querySelector('#entanglementMetrics');
+        this.mapEl = this.container.querySelector('#entanglementMap');
+
+        this.subsetEl.addEventListener('change', (e) => {
+            if (!e.target.matches('input[type="checkbox"]')) return;
+            const qubit = parseInt(e.target.value, 10);
+            this.subset = e.target.checked
+                ? [...this.subset, qubit].sort((a, b) => a - b)
+                : this.subset.filter(q => q !== qubit);
+            this.refresh();
+        });
+    }
+
+    // Called by the simulator whenever the state changes, including each timeline step
+    onCircuitChanged(circuit, quantumState) {
+        this.quantumState = quantumState;
+        if (this.isVisible()) this.refresh();
+    }
+
+    // The metrics are only computed while the tab is showing
+    isVisible() {
+        const panel = this.container.closest('.viz-panel');
+        return !panel || panel.classList.contains('active');
+    }
+
+    refresh() {
+        const state = this.quantumState;
+        if (!state) return;
+        this.subset = this.subset.filter(q => q < state.numQubits);
+        this.renderSubset(state.numQubits);
+        this.renderMetrics(state);
+        this.renderMap(state);
+    }
+
+    renderSubset(numQubits) {
+        const full = this.subset.length >= EntanglementUI.MAX_SUBSET_QUBITS;
+        this.subsetEl.innerHTML = Array.from({ length: numQubits }, (_, q) => {
+            const checked = this.subset.includes(q);
+            return `<label class="entanglement-qubit">
+                <input type="checkbox" value="${q}"${checked ? ' checked' : ''}${full && !checked ? ' disabled' : ''}> q${q}
+            </label>`;
+        }).join('');
+    }
+
+    renderMetrics(state) {
+        const subset = this.subset;
+        const n = state.numQubits;
+        const digits = 4;
+        if (subset.length === 0) {
+            this.metricsEl.innerHTML = '<p class="placeholder">Select the qubits of subsystem A</p>';
+            return;
+        }
+
+        const rho = StateAnalysis.reducedDensityMatrix(state, subset);
+        const { values } = StateAnalysis.hermitianEigen(rho);
+        const rest = Array.from({ length: n }, (_, q) => q).filter(q => !subset.includes(q));
+        const label = (qubits) => (qubits.length ? qubits.map(q => `q${q}`).join(',') : '∅');
+        const rows = [
+            ['Bipartition', `A = {${label(subset)}} | B = {${label(rest)}}`],
+            ['Entropy S(ρ_A)', `${StateAnalysis.entropy(values).toFixed(digits)} bits`],
+            ['Purity Tr(ρ_A²)', StateAnalysis.purity(rho).toFixed(digits)]
+        ];
+        if (subset.length === 2) {
+            rows.push(['Concurrence', StateAnalysis.concurrence(rho).toFixed(digits)]);
+        }
+        const schmidt = StateAnalysis.schmidtCoefficients(state, subset);
+        rows.push(['Schmidt coefficients', schmidt
+            ? schmidt.map(s => s.toFixed(digits)).join(', ') + ` (rank ${schmidt.length})`
+            : 'mixed state, no Schmidt decomposition']);
+
+        let html = `<table class="entanglement-table"><tbody>${
+            rows.map(([name, value]) => `<tr><td>${name}</td><td>${value}</td></tr>`).join('')
+        }</tbody></table>`;
+
+        if (subset.length <= EntanglementUI.MAX_MATRIX_QUBITS) {
+            html += `<div class="entanglement-label">ρ_A</div><pre class="entanglement-matrix">${this.formatMatrix(rho, subset.length)}</pre>`;
+        }
+        this.metricsEl.innerHTML = html;
+    }
+
+    // Rows and columns are labelled |q_k…q_0⟩ of subsystem A, most significant qubit first
+    formatMatrix(rho, k) {
+        const basis = rho.map((_, i) => `|${i.toString(2).padStart(k, '0')}⟩`);
+        const cell = (c) => {
+            const re = Math.abs(c.re) < 5e-4 ? 0 : c.re;
+            const im = Math.abs(c.im) < 5e-4 ? 0 : c.im;
+            if (im === 0) return re.toFixed(3);
+            return `${re.toFixed(3)}${im < 0 ? '-' : '+'}${Math.abs(im).toFixed(3)}i`;
+        };
+        const width = Math.max(...rho.flat().map(c => cell(c).length), basis[0].length);
+        const pad = (text) => text.padStart(width);
+        const lines = [' '.repeat(basis[0].length) + ' ' + basis.map(pad).join(' ')];
+        rho.forEach((row, i) => lines.push(basis[i] + ' ' + row.map(c => pad(cell(c))).join(' ')));
+        return lines.join('\n');
+    }
+
+    // Diagonal: single-qubit entropy S(ρ_i); off-diagonal: pairwise concurrence C(ρ_ij). Both lie in [0, 1].
+    renderMap(state) {
+        const n = state.numQubits;
+        if (n > EntanglementUI.MAX_MAP_QUBITS) {
+            this.mapEl.innerHTML = `<p class="placeholder">The map is limited to ${EntanglementUI.MAX_MAP_QUBITS} qubits</p>`;
+            return;
+        }
+
+        const { entropy, concurrence } = StateAnalysis.entanglementMap(state);
+        const grid = document.createElement('div');
+        grid.className = 'entanglement-grid';
+        grid.style.gridTemplateColumns = `auto repeat(${n}, 1fr)`;
+
+        const header = (text) => {
+            const el = document.createElement('div');
+            el.className = 'entanglement-axis';
+            el.textContent = text;
+            grid.appendChild(el);
+        };
+
+        header('');
+        for (let j = 0; j < n; j++) header(`q${j}`);
+        for (let i = 0; i < n; i++) {
+            header(`q${i}`);
+            for (let j = 0; j < n; j++) {
+                const value = i === j ? entropy[i] : concurrence[i][j];
+                const cell = document.createElement('button');
+                cell.className = 'entanglement-cell' + (i === j ? ' diagonal' : '');
+                cell.style.setProperty('--level', Math.min(1, value).toFixed(3));
+                cell.textContent = value.toFixed(2);
+                cell.title = i === j
+                    ? `S(ρ_q${i}) = ${value.toFixed(4)} bits`
+                    : `C(q${Math.min(i, j)}, q${Math.max(i, j)}) = ${value.toFixed(4)}`;
+                cell.addEventListener('click', () => {
+                    this.subset = i === j ? [i] : [Math.min(i, j), Math.max(i, j)];
+                    this.refresh();
+                });
+                grid.appendChild(cell);
+            }
+        }
+
+        const legend = document.createElement('div');
+        legend.className = 'entanglement-legend';
+        legend.textContent = 'Diagonal: qubit entropy with the rest · Off-diagonal: pairwise concurrence · Click a cell to analyse it';
+
+        this.mapEl.replaceChildren(grid, legend);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EntanglementUI };
+}
@@ -0,0 +1,162 @@
+// State analysis: reduced density matrices and entanglement measures.
+// Matrices are 2D arrays of Complex; in a reduced matrix, bit j of the row index is qubit subset[j].
+
+const StateAnalysis = {
+    // Partial trace over every qubit outside `subset`, for a QuantumState, DensityMatrixState or StabilizerState
+    reducedDensityMatrix(state, subset) {
+        if (state.isStabilizer) return state.reducedDensityMatrix(subset);
+        const n = state.numQubits;
+        const dim = 1 << subset.length;
+        const subsetMask = subset.reduce((mask, q) => mask | (1 << q), 0);
+        // spread[a] = full-register index of the subset bits of a
+        const spread = Array.from({ length: dim }, (_, a) =>
+            subset.reduce((index, q, j) => index | (((a >> j) & 1) << q), 0));
+        const local = (i) => subset.reduce((a, q, j) => a | (((i >> q) & 1) << j), 0);
+        const rho = Array.from({ length: dim }, () => Array.from({ length: dim }, () => ({ re: 0, im: 0 })));
+
+        if (state.isDensityMatrix) {
+            for (let i = 0; i < (1 << n); i++) {
+                const a = local(i);
+                const rest = i & ~subsetMask;
+                for (let b = 0; b < dim; b++) {
+                    const element = state.getElement(i, rest | spread[b]);
+                    rho[a][b].re += element.re;
+                    rho[a][b].im += element.im;
+                }
+            }
+            return rho;
+        }
+
+        // Pure state: ρ_A[a][b] = Σ_rest ψ(a, rest)·conj(ψ(b, rest))
+        for (let i = 0; i < (1 << n); i++) {
+            if (i & subsetMask) continue; // visit each `rest` once
+            const column = spread.map(s => state.amplitudes[i | s]);
+            for (let a = 0; a < dim; a++) {
+                if (Complex.abs2(column[a]) === 0) continue;
+                for (let b = 0; b < dim; b++) {
+                    const term = Complex.mul(column[a], Complex.conj(column[b]));
+                    rho[a][b].re += term.re;
+                    rho[a][b].im += term.im;
+                }
+            }
+        }
+        return rho;
+    },
+
+    // Eigen-decomposition of a Hermitian matrix by cyclic complex Jacobi rotations.
+    // Returns {values, vectors} with values descending and vectors[k] the k-th eigenvector.
+    hermitianEigen(matrix) {
+        const n = matrix.length;
+        const a = matrix.map(row => row.map(c => ({ re: c.re, im: c.im })));
+        const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => ({ re: i === j ? 1 : 0, im: 0 })));
+        const offNorm = () => {
+            let sum = 0;
+            for (let i = 0; i < n; i++) for (let j = i + 1; j < n; j++) sum += Complex.abs2(a[i][j]);
+            return sum;
+        };
+
+        for (let sweep = 0; sweep < 50 && offNorm() > 1e-24; sweep++) {
+            for (let p = 0; p < n - 1; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    const b = Complex.abs(a[p][q]);
+                    if (b < 1e-15) continue;
+                    // Phase q so a[p][q] becomes real, then a real rotation zeroes it
+                    const phase = { re: a[p][q].re / b, im: -a[p][q].im / b };
+                    const theta = 0.5 * Math.atan2(2 * b, a[q][q].re - a[p][p].re);
+                    const c = Math.cos(theta), s = Math.sin(theta);
+                    // Columns p, q of G = diag(1, e^{-iφ}) · [[c, s], [-s, c]]
+                    const gpp = { re: c, im: 0 }, gpq = { re: s, im: 0 };
+                    const gqp = Complex.scale(phase, -s), gqq = Complex.scale(phase, c);
+
+                    for (let k = 0; k < n; k++) { // A ← A·G, V ← V·G
+                        for (const m of [a, v]) {
+                            const kp = m[k][p], kq = m[k][q];
+                            m[k][p] = Complex.add(Complex.mul(kp, gpp), Complex.mul(kq, gqp));
+                            m[k][q] = Complex.add(Complex.mul(kp, gpq), Complex.mul(kq, gqq));
+                        }
+                    }
+                    for (let k = 0; k < n; k++) { // A ← G†·A
+                        const pk = a[p][k], qk = a[q][k];
+                        a[p][k] = Complex.add(Complex.mul(Complex.conj(gpp), pk), Complex.mul(Complex.conj(gqp), qk));
+                        a[q][k] = Complex.add(Complex.mul(Complex.conj(gpq), pk), Complex.mul(Complex.conj(gqq), qk));
+                    }
+                }
+            }
+        }
+
+        const order = a.map((row, i) => i).sort((i, j) => a[j][j].re - a[i][i].re);
+        return {
+            values: order.map(i => a[i][i].re),
+            vectors: order.map(i => v.map(row => row[i]))
+        };
+    },
+
+    // S(ρ) = -Σ λ·log2 λ in bits
+    entropy(eigenvalues) {
+        return eigenvalues.reduce((sum, p) => (p > 1e-12 ? sum - p * Math.log2(p) : sum), 0);
+    },
+
+    // Tr(ρ²)
+    purity(rho) {
+        return rho.reduce((sum, row) => sum + row.reduce((s, c) => s + Complex.abs2(c), 0), 0);
+    },
+
+    // Wootters concurrence of a two-qubit ρ: max(0, λ1 - λ2 - λ3 - λ4), λ = √eig(√ρ·ρ̃·√ρ)
+    concurrence(rho) {
+        const { values, vectors } = this.hermitianEigen(rho);
+        // √ρ = Σ √λ |v⟩⟨v|
+        const sqrtRho = rho.map((row, i) => row.map((_, j) => values.reduce((sum, lambda, k) => {
+            const weight = Math.sqrt(Math.max(0, lambda));
+            return Complex.add(sum, Complex.scale(Complex.mul(vectors[k][i], Complex.conj(vectors[k][j])), weight));
+        }, { re: 0, im: 0 })));
+        // ρ̃ = (Y⊗Y)·ρ*·(Y⊗Y)
+        const sign = [-1, 1, 1, -1];
+        const flipped = rho.map((row, i) => row.map((_, j) => Complex.scale(Complex.conj(rho[3 - i][3 - j]), sign[i] * sign[j])));
+        const product = this.multiply(this.multiply(sqrtRho, flipped), sqrtRho);
+        const lambdas = this.hermitianEigen(product).values.map(mu => Math.sqrt(Math.max(0, mu)));
+        return Math.max(0, lambdas[0] - lambdas[1] - lambdas[2] - lambdas[3]);
+    },
+
+    // Negativity across a cut: Σ|λ| over the negative eigenvalues of ρ partially transposed on the bits in
+    // `mask` (local indices). Nonzero means entangled across the cut; for pure states and two qubits, zero means not
+    negativity(rho, mask) {
+        const transposed = rho.map((row, i) => row.map((_, j) => {
+            const swap = (i ^ j) & mask;
+            return rho[i ^ swap][j ^ swap];
+        }));
+        return this.hermitianEigen(transposed).values.reduce((sum, lambda) => (lambda < 0 ? sum - lambda : sum), 0);
+    },
+
+    multiply(x, y) {
+        return x.map(row => y[0].map((_, j) => row.reduce((sum, c, k) => Complex.add(sum, Complex.mul(c, y[k][j])), { re: 0, im: 0 })));
+    },
+
+    // Schmidt coefficients of a pure state across subset | rest (√ of the nonzero spectrum of ρ_A);
+    // null for mixed states, which have no Schmidt decomposition
+    schmidtCoefficients(state, subset) {
+        if (state.isDensityMatrix && state.getPurity() < 1 - 1e-9) return null;
+        const rho = this.reducedDensityMatrix(state, subset);
+        return this.hermitianEigen(rho).values
+            .filter(p => p > 1e-12)
+            .map(p => Math.sqrt(p));
+    },
+
+    // Per-qubit entropy S(ρ_i) and pairwise concurrence C(ρ_ij) for the heat map
+    entanglementMap(state) {
+        const n = state.numQubits;
+        const entropy = [];
+        const concurrence = Array.from({ length: n }, () => new Array(n).fill(0));
+        for (let i = 0; i < n; i++) {
+            entropy.push(this.entropy(this.hermitianEigen(this.reducedDensityMatrix(state, [i])).values));
+            for (let j = 0; j < i; j++) {
+                concurrence[i][j] = concurrence[j][i] = this.concurrence(this.reducedDensityMatrix(state, [j, i]));
+            }
+        }
+        return { entropy, concurrence };
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StateAnalysis };
+}
@@ -100,6 +100,24 @@ const GateInfo = {
         description: 'Rotation around Z-axis by angle θ',
         category: 'Single Qubit (Parameterized)'
     },
+    'P': {
+        name: 'Phase Shift',
+        matrix: [
+            [1, 0],
+            [0, 'e^(iφ)']
+        ],
+        description: 'Adds phase φ to |1⟩: P(φ) = e^(iφ/2)·RZ(φ). S = P(π/2), T = P(π/4). Write P q φ',
+        category: 'Single Qubit (Parameterized)'
+    },
+    'U3': {
+        name: 'General Rotation U3',
+        matrix: [
+            ['cos(θ/2)', '-e^(iλ)·sin(θ/2)'],
+            ['e^(iφ)·sin(θ/2)', 'e^(i(φ+λ))·cos(θ/2)']
+        ],
+        description: 'Any single-qubit unitary (up to global phase), RZ(φ)·RY(θ)·RZ(λ). Write U3 q θ φ λ',
+        category: 'Single Qubit (Parameterized)'
+    },
     'CX': {
         name: 'Controlled-X',
         matrix: [
@@ -133,6 +151,50 @@ const GateInfo = {
         description: 'If both qubits are |1⟩, applies phase flip: |11⟩ → -|11⟩. Supports multi-qubit control.',
         category: 'Multi Qubit'
     },
+    'CP': {
+        name: 'Controlled Phase',
+        matrix: [
+            [1, 0, 0, 0],
+            [0, 1, 0, 0],
+            [0, 0, 1, 0],
+            [0, 0, 0, 'e^(iφ)']
+        ],
+        description: 'Adds phase φ to |11⟩ (CZ = CP(π)). Write CP [control,target] φ; supports multi-qubit control.',
+        category: 'Multi Qubit (Parameterized)'
+    },
+    'CRX': {
+        name: 'Controlled RX',
+        matrix: [
+            [1, 0, 0, 0],
+            [0, 1, 0, 0],
+            [0, 0, 'cos(θ/2)', '-i·sin(θ/2)'],
+            [0, 0, '-i·sin(θ/2)', 'cos(θ/2)']
+        ],
+        description: 'Rotates the target around X by θ when the control is |1⟩. Write CRX [control,target] θ',
+        category: 'Multi Qubit (Parameterized)'
+    },
+    'CRY': {
+        name: 'Controlled RY',
+        matrix: [
+            [1, 0, 0, 0],
+            [0, 1, 0, 0],
+            [0, 0, 'cos(θ/2)', '-sin(θ/2)'],
+            [0, 0, 'sin(θ/2)', 'cos(θ/2)']
+        ],
+        description: 'Rotates the target around Y by θ when the control is |1⟩. Write CRY [control,target] θ',
+        category: 'Multi Qubit (Parameterized)'
+    },
+    'CRZ': {
+        name: 'Controlled RZ',
+        matrix: [
+            [1, 0, 0, 0],
+            [0, 1, 0, 0],
+            [0, 0, 'e^(-iθ/2)', 0],
+            [0, 0, 0, 'e^(iθ/2)']
+        ],
+        description: 'Rotates the target around Z by θ when the control is |1⟩. Write CRZ [control,target] θ',
+        category: 'Multi Qubit (Parameterized)'
+    },
     'SWAP': {
         name: 'SWAP',
         matrix: [
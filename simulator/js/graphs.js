@@ -1,11 +1,15 @@
 // Probability Graph Visualizations
 
 class ProbabilityGraphs {
+    static MAX_CHART_STATES = 512; // Charts keep the first outcomes in sort order
+
     constructor(containerId) {
         this.container = document.getElementById(containerId);
         this.currentView = 'pie'; // Default to pie chart
         this.settings = { precision: 2, hideNegligibles: true, sortBy: 'probability', sortOrder: 'desc' };
         this.lastProbabilities = null;
+        this.shotResult = null; // {shots, seed, counts, tvd, ...} from a shots-mode run
+        this.unlistedOutcomes = null; // e.g. "2^150 equally likely outcomes" for stabilizer states too wide to chart
         
         // Bar chart drag selection state
         this.isDragging = false;
@@ -23,11 +27,21 @@ class ProbabilityGraphs {
         this.settings = { ...this.settings, ...settings };
     }
 
-    update(quantumState, settings = null) {
+    update(quantumState, settings = null, shotResult = null) {
         if (settings) this.setSettings(settings);
         if (!quantumState || !this.container) return;
         
-        const probabilities = quantumState.getAllProbabilities();
+        // Show a fresh shots run straight away; fall back when counts go away
+        if (shotResult && shotResult !== this.shotResult) {
+            this.currentView = 'shots';
+        } else if (!shotResult && this.currentView === 'shots') {
+            this.currentView = 'bar';
+        }
+        this.shotResult = shotResult;
+        
+        const unlisted = quantumState.isStabilizer && !quantumState.canListOutcomes();
+        this.unlistedOutcomes = unlisted ? quantumState.outcomeSummary() : null;
+        const probabilities = unlisted ? {} : quantumState.getAllProbabilities();
         this.lastProbabilities = probabilities;
         this.render(probabilities);
     }
@@ -43,6 +57,7 @@ class ProbabilityGraphs {
         tabs.innerHTML = `
             <button class="viz-tab-btn ${this.currentView === 'bar' ? 'active' : ''}" data-view="bar">Bar Chart</button>
             <button class="viz-tab-btn ${this.currentView === 'pie' ? 'active' : ''}" data-view="pie">Pie Chart</button>
+            ${this.shotResult ? `<button class="viz-tab-btn ${this.currentView === 'shots' ? 'active' : ''}" data-view="shots">Shots</button>` : ''}
         `;
         
         tabs.querySelectorAll('button').forEach(btn => {
@@ -78,12 +93,18 @@ class ProbabilityGraphs {
             this.renderBarChart(graphContainer, probabilities, true); // true = scaled down
         } else if (this.currentView === 'pie') {
             this.renderPieChart(graphContainer, probabilities, true); // true = scaled down
+        } else if (this.currentView === 'shots' && this.shotResult) {
+            this.renderShotsChart(graphContainer, probabilities, this.shotResult, true);
         }
         
         panel.appendChild(graphContainer);
         this.container.appendChild(panel);
     }
 
+    emptyMessage() {
+        return this.unlistedOutcomes ? `${this.unlistedOutcomes}, too many to chart (shots mode samples them)` : 'No significant probabilities';
+    }
+
     getFilteredSorted(probabilities) {
         const precision = this.settings.precision;
         const hideNegligibles = this.settings.hideNegligibles;
@@ -96,7 +117,7 @@ class ProbabilityGraphs {
         
         if (sortBy === 'label') {
             filtered.sort((a, b) => {
-                const cmp = parseInt(a[0], 2) - parseInt(b[0], 2);
+                const cmp = a[0].localeCompare(b[0]);
                 return sortOrder === 'asc' ? cmp : -cmp;
             });
         } else {
@@ -106,7 +127,7 @@ class ProbabilityGraphs {
             });
         }
         
-        return filtered;
+        return filtered.slice(0, ProbabilityGraphs.MAX_CHART_STATES);
     }
 
     showMaximizedChart(probabilities) {
@@ -153,6 +174,8 @@ class ProbabilityGraphs {
             this.renderBarChart(graphContainer, probabilities, false); // false = full size
         } else if (this.currentView === 'pie') {
             this.renderPieChart(graphContainer, probabilities, false); // false = full size
+        } else if (this.currentView === 'shots' && this.shotResult) {
+            this.renderShotsChart(graphContainer, probabilities, this.shotResult, false);
         }
         
         content.appendChild(closeBtn);
@@ -181,7 +204,7 @@ class ProbabilityGraphs {
         this.dragEndIndex = null;
         
         if (sorted.length === 0) {
-            container.innerHTML += '<p class="placeholder">No significant probabilities</p>';
+            container.innerHTML += `<p class="placeholder">${this.emptyMessage()}</p>`;
             return;
         }
         
@@ -460,6 +483,84 @@ class ProbabilityGraphs {
         infoEl.style.display = 'block';
     }
 
+    // Sampled counts next to the exact distribution: one pair of bars per outcome
+    renderShotsChart(container, probabilities, shotResult, scaledDown = false) {
+        const precision = this.settings.precision;
+        const { shots, counts } = shotResult;
+        container.innerHTML = '';
+        
+        // With mid-circuit MEASURE the displayed state is one collapsed run; prefer the run's exact mixture
+        if (shotResult.probabilities) probabilities = shotResult.probabilities;
+        
+        // Outcomes that are either likely or were actually observed
+        const merged = {};
+        Object.entries(probabilities).forEach(([state, prob]) => { merged[state] = prob; });
+        Object.keys(counts).forEach(state => {
+            merged[state] = Math.max(merged[state] || 0, counts[state] / shots);
+        });
+        const sorted = this.getFilteredSorted(merged);
+        
+        if (sorted.length === 0) {
+            container.innerHTML += '<p class="placeholder">No shots recorded</p>';
+            return;
+        }
+        
+        const maxValue = Math.max(...sorted.map(([state]) => Math.max(probabilities[state] || 0, (counts[state] || 0) / shots)));
+        
+        const barsContainer = document.createElement('div');
+        barsContainer.className = 'bars-container';
+        barsContainer.style.cssText = `
+            display: flex;
+            align-items: flex-end;
+            gap: 4px;
+            height: ${scaledDown ? '120px' : '200px'};
+            padding: 0 4px;
+            margin-top: ${scaledDown ? '0.5rem' : '1rem'};
+            background: var(--surface-light);
+            border-radius: 8px;
+            box-sizing: border-box;
+            overflow-x: hidden;
+        `;
+        
+        sorted.forEach(([state]) => {
+            const exact = probabilities[state] || 0;
+            const count = counts[state] || 0;
+            const sampled = count / shots;
+            
+            const pair = document.createElement('div');
+            pair.style.cssText = 'display: flex; align-items: flex-end; gap: 1px; height: 100%; flex: 1 1 0; min-width: 0;';
+            pair.title = `|${state}⟩\nExact: ${(exact * 100).toFixed(precision)}%\nShots: ${count} / ${shots} (${(sampled * 100).toFixed(precision)}%)`;
+            
+            const exactBar = document.createElement('div');
+            exactBar.style.cssText = `flex: 1; height: ${(exact / maxValue) * 100}%; min-height: 2px; background: #6366f1; opacity: 0.45; border-radius: 4px 4px 0 0;`;
+            const shotBar = document.createElement('div');
+            shotBar.style.cssText = `flex: 1; height: ${(sampled / maxValue) * 100}%; min-height: 2px; background: #10b981; border-radius: 4px 4px 0 0;`;
+            
+            pair.appendChild(exactBar);
+            pair.appendChild(shotBar);
+            barsContainer.appendChild(pair);
+        });
+        
+        container.appendChild(barsContainer);
+        
+        const legend = document.createElement('div');
+        legend.style.cssText = 'display: flex; gap: 1rem; justify-content: center; font-size: 0.75rem; color: var(--text-secondary); margin-top: 0.5rem;';
+        legend.innerHTML = `
+            <span><span style="display: inline-block; width: 10px; height: 10px; background: #6366f1; opacity: 0.45; border-radius: 2px;"></span> Exact</span>
+            <span><span style="display: inline-block; width: 10px; height: 10px; background: #10b981; border-radius: 2px;"></span> Shots</span>
+        `;
+        container.appendChild(legend);
+        
+        // Run statistics
+        const stats = document.createElement('div');
+        stats.className = 'shots-stats';
+        stats.style.cssText = 'font-size: 0.75rem; color: var(--text-secondary); margin-top: 0.5rem; text-align: center;';
+        const tvdText = shotResult.tvd === null ? 'n/a' : shotResult.tvd.toFixed(Math.max(precision, 3));
+        stats.innerHTML = `<strong>${shots}</strong> shots · seed ${shotResult.seed} · ${shotResult.outcomes} distinct outcome${shotResult.outcomes === 1 ? '' : 's'} · TVD <strong>${tvdText}</strong>`;
+        stats.title = 'Total-variation distance ½·Σ|p(x) − counts(x)/shots| from the exact distribution';
+        container.appendChild(stats);
+    }
+
     renderPieChart(container, probabilities, scaledDown = false) {
         const precision = this.settings.precision;
         container.innerHTML = '';
@@ -467,7 +568,7 @@ class ProbabilityGraphs {
         const sorted = this.getFilteredSorted(probabilities);
         
         if (sorted.length === 0) {
-            container.innerHTML += '<p class="placeholder">No significant probabilities</p>';
+            container.innerHTML += `<p class="placeholder">${this.emptyMessage()}</p>`;
             return;
         }
         
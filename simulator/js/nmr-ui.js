@@ -14,6 +14,7 @@ class NMRSimulatorUI {
         this.nmrEngine = new NMRPhysicsEngine();
         this.circuit = null;
         this.quantumState = null;
+        this.relaxationReport = null; // Last NMRPhysicsEngine.simulateCircuit result
         this.selectedSample = 'chloroform';
         
         // Spectrum state
@@ -61,6 +62,25 @@ class NMRSimulatorUI {
                         </div>
                     </div>
                     
+                    <div class="nmr-panel" id="nmr-prep-panel">
+                        <div class="nmr-panel-header">Initial State</div>
+                        <div class="nmr-field-row">
+                            <label>Prep</label>
+                            <select id="nmr-prep-select" class="nmr-select-inline">
+                                ${Object.entries(NMRPhysicsEngine.PREPARATIONS)
+                                    .map(([key, name]) => `<option value="${key}">${name}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="nmr-field-row">
+                            <label>Read</label>
+                            <select id="nmr-readout-select" class="nmr-select-inline" title="How the spectrum is acquired from ρ">
+                                <option value="population">90° read pulse (populations)</option>
+                                <option value="fid">Direct FID (coherences)</option>
+                            </select>
+                        </div>
+                        <div class="nmr-prep-report" id="nmr-prep-report"></div>
+                    </div>
+                    
                     <div class="nmr-panel" id="nmr-relax-panel">
                         <div class="nmr-panel-header">Relaxation</div>
                         <div class="nmr-field-row">
@@ -73,6 +93,11 @@ class NMRSimulatorUI {
                             <input type="number" id="nmr-t2-input" value="1.0" min="0.01" max="10" step="0.01">
                             <span class="nmr-unit">s</span>
                         </div>
+                        <label class="nmr-check-row" title="Run the circuit under the Lindblad master equation on its pulse timeline">
+                            <input type="checkbox" id="nmr-relax-toggle">
+                            <span>Relax during circuit</span>
+                        </label>
+                        <div class="nmr-relax-report" id="nmr-relax-report"></div>
                     </div>
                     
                     <div class="nmr-panel" id="nmr-pulse-shape-panel">
@@ -80,6 +105,7 @@ class NMRSimulatorUI {
                         <div class="nmr-field-row">
                             <label>Shape</label>
                             <select id="nmr-pulse-shape" class="nmr-select-inline">
+                                <option value="">Per gate</option>
                                 <option value="square">Square</option>
                                 <option value="gaussian">Gaussian</option>
                                 <option value="sinc">Sinc</option>
@@ -94,6 +120,26 @@ class NMRSimulatorUI {
                                 <option value="270">270° (-Y)</option>
                             </select>
                         </div>
+                        <div class="nmr-field-row">
+                            <label title="Composite pulse replacing each rf pulse">Comp</label>
+                            <select id="nmr-composite-pulse" class="nmr-select-inline">
+                                <option value="none">None</option>
+                                <option value="bb1">BB1 (B₁ errors)</option>
+                                <option value="corpse">CORPSE (offset errors)</option>
+                            </select>
+                        </div>
+                        <div class="nmr-field-row">
+                            <label title="B₁ inhomogeneity (standard deviation across the sample)">ΔB₁</label>
+                            <input type="number" id="nmr-b1-spread" value="0" min="0" max="30" step="1">
+                            <span class="nmr-unit">%</span>
+                            <label title="Transmitter offset from the addressed spin">Δν</label>
+                            <input type="number" id="nmr-tx-offset" value="0" min="-100" max="100" step="0.5">
+                            <span class="nmr-unit">kHz</span>
+                        </div>
+                        <label class="nmr-check-row" title="Integrate the rotating-frame Hamiltonian during each pulse instead of applying ideal gates">
+                            <input type="checkbox" id="nmr-pulse-sim-toggle">
+                            <span>Simulate pulses</span>
+                        </label>
                     </div>
                 </div>
                 
@@ -212,9 +258,7 @@ class NMRSimulatorUI {
             this.spectrumZoom = 1.0;
             this.spectrumPanX = 0;
             // Re-apply current quantum state to the new sample
-            if (this.quantumState) {
-                this.nmrEngine.updateFromQuantumState(this.quantumState);
-            }
+            this.refreshDensityMatrix();
             this.updateAllVisualizations();
         });
         
@@ -230,6 +274,7 @@ class NMRSimulatorUI {
                 b0Input.value = b0.toFixed(2);
                 this.nmrEngine.B0 = b0;
                 this.updateNucleiList();
+                this.updatePreparationReport();
                 this.updateSpectrum();
             });
             
@@ -239,6 +284,7 @@ class NMRSimulatorUI {
                 b0Slider.value = b0ToSlider(b0);
                 this.nmrEngine.B0 = b0;
                 this.updateNucleiList();
+                this.updatePreparationReport();
                 this.updateSpectrum();
             });
         }
@@ -252,11 +298,16 @@ class NMRSimulatorUI {
                 b1Input.value = val;
                 this.nmrEngine.B1 = val * 1e-3;  // Convert mT to T
             });
+            // Pulse lengths follow B₁ only when pulses are simulated
+            b1Slider.addEventListener('change', () => {
+                if (this.nmrEngine.simulatePulses) this.onPulseSettingsChanged();
+            });
             b1Input.addEventListener('change', (e) => {
                 let val = Math.max(1, Math.min(100, parseFloat(e.target.value) || 50));
                 e.target.value = val;
                 b1Slider.value = val;
                 this.nmrEngine.B1 = val * 1e-3;  // Convert mT to T
+                if (this.nmrEngine.simulatePulses) this.onPulseSettingsChanged();
             });
         }
         
@@ -265,6 +316,7 @@ class NMRSimulatorUI {
             const val = Math.max(0.1, parseFloat(e.target.value) || 2.0);
             e.target.value = val;
             this.nmrEngine.T1 = this.nmrEngine.T1.map(() => val);
+            this.refreshDensityMatrix();
             this.updateSpectrum();
         });
         
@@ -272,12 +324,65 @@ class NMRSimulatorUI {
             const val = Math.max(0.01, parseFloat(e.target.value) || 1.0);
             e.target.value = val;
             this.nmrEngine.T2 = this.nmrEngine.T2.map(() => val);
+            this.refreshDensityMatrix();
+            this.updateSpectrum();
+        });
+        
+        document.getElementById('nmr-relax-toggle')?.addEventListener('change', (e) => {
+            this.nmrEngine.includeRelaxation = e.target.checked;
+            this.refreshDensityMatrix();
+            this.updateSpectrum();
+        });
+        
+        // Initial state and readout
+        document.getElementById('nmr-prep-select')?.addEventListener('change', (e) => {
+            this.nmrEngine.preparation = e.target.value;
+            this.refreshDensityMatrix();
+            this.updateSpectrum();
+            this.updateDensityMatrix();
+        });
+        
+        document.getElementById('nmr-readout-select')?.addEventListener('change', (e) => {
+            this.nmrEngine.readout = e.target.value;
             this.updateSpectrum();
         });
         
         // RF Pulse parameters
         document.getElementById('nmr-pulse-shape')?.addEventListener('change', (e) => {
-            this.nmrEngine.pulseShape = e.target.value;
+            this.nmrEngine.pulseShape = e.target.value || null;
+            this.onPulseSettingsChanged();
+        });
+        
+        document.getElementById('nmr-composite-pulse')?.addEventListener('change', (e) => {
+            this.nmrEngine.compositePulse = e.target.value;
+            this.onPulseSettingsChanged();
+        });
+        
+        document.getElementById('nmr-b1-spread')?.addEventListener('change', (e) => {
+            const val = Math.max(0, Math.min(30, parseFloat(e.target.value) || 0));
+            e.target.value = val;
+            this.nmrEngine.b1Inhomogeneity = val / 100;
+            this.onPulseSettingsChanged();
+        });
+        
+        document.getElementById('nmr-tx-offset')?.addEventListener('change', (e) => {
+            const val = Math.max(-100, Math.min(100, parseFloat(e.target.value) || 0));
+            e.target.value = val;
+            this.nmrEngine.transmitterOffset = val * 1e3;  // Convert kHz to Hz
+            this.onPulseSettingsChanged();
+        });
+        
+        document.getElementById('nmr-pulse-sim-toggle')?.addEventListener('change', (e) => {
+            this.nmrEngine.simulatePulses = e.target.checked;
+            // Guard against pulse programs that stop implementing their gates
+            if (e.target.checked && !this.pulseProgramsChecked) {
+                this.pulseProgramsChecked = true;
+                const failures = NMRPhysicsEngine.checkPulsePrograms();
+                if (failures.length > 0) {
+                    console.warn('NMR pulse programs below fidelity 0.99 under ideal conditions:', failures);
+                }
+            }
+            this.onPulseSettingsChanged();
         });
         
         document.getElementById('nmr-pulse-phase')?.addEventListener('change', (e) => {
@@ -535,6 +640,11 @@ class NMRSimulatorUI {
                     <span class="nmr-popup-label">Pattern:</span>
                     <span class="nmr-popup-value">${peak.type || 'singlet'}</span>
                 </div>
+                ${peak.partners ? `
+                <div class="nmr-popup-row">
+                    <span class="nmr-popup-label">Partner states:</span>
+                    <span class="nmr-popup-value">${peak.partners}</span>
+                </div>` : ''}
                 ${peak.environment ? `
                 <div class="nmr-popup-env">
                     <span class="nmr-popup-label">Environment:</span>
@@ -582,6 +692,7 @@ class NMRSimulatorUI {
         this.updateMolecule();
         this.updateSpectrum();
         this.updatePulseSequence();
+        this.updatePreparationReport();
     }
     
     updateSampleInfo() {
@@ -609,7 +720,7 @@ class NMRSimulatorUI {
         for (let i = 0; i < this.nmrEngine.sample.nuclei.length; i++) {
             const n = nuclei[i]; // Get the mapped info from getNucleiInfo()
             // Make qubit number clickable to focus on that peak
-            html += `<tr class="nmr-nuclei-row" data-qubit="${i}" title="Click to focus on Q${i} peak">
+            html += `<tr class="nmr-nuclei-row" data-qubit="${i}" title="Click to focus on Q${i} peak (T₁ = ${n.T1} s, T₂ = ${n.T2} s)">
                 <td class="nmr-qubit-focus">${i}</td>
                 <td><span class="nmr-badge">${n.element}</span></td>
                 <td>${(n.chemicalShift || 0).toFixed(1)}</td>
@@ -1177,8 +1288,10 @@ class NMRSimulatorUI {
             const hasNegative = intensities.some(i => i < 0);
             const hasPositive = intensities.some(i => i > 0);
             
-            // Use maximum ABSOLUTE intensity for scaling
-            const maxAbsI = Math.max(...intensities.map(i => Math.abs(i)), 0.1);
+            // Use maximum ABSOLUTE intensity for scaling; mixed preparations keep the thermal
+            // signal as full scale so the pseudo-pure signal loss stays visible
+            const minScale = this.nmrEngine.preparation === 'pure' ? 0.1 : 1;
+            const maxAbsI = Math.max(...intensities.map(i => Math.abs(i)), minScale);
             
             // Adjust baseline position if we have both positive and negative peaks
             let dynamicBaseline = baseline;
@@ -1321,6 +1434,7 @@ class NMRSimulatorUI {
                     freq: d.freq,
                     intensity: d.intensity,
                     type: d.type,
+                    partners: d.partners,
                     environment: d.environment || nucleus?.environment || ''
                 });
                 
@@ -1575,7 +1689,8 @@ class NMRSimulatorUI {
                             flipAngle: p.flipAngle,
                             phase: p.phase,
                             qubit: p.qubit,
-                            type: p.type
+                            type: p.type,
+                            shape: p.shape
                         });
                         
                         html += `<div class="nmr-pulse-block ${cls} nmr-pulse-clickable" title="${tooltip}" data-pulse='${pulseData.replace(/'/g, '&apos;')}'>
@@ -1606,6 +1721,10 @@ class NMRSimulatorUI {
             html += '</div>';
         }
         
+        if (this.nmrEngine.simulatePulses && hasGates) {
+            html += this.renderGateReports();
+        }
+        
         container.innerHTML = html;
         
         // Add click handlers to pulse blocks
@@ -1618,6 +1737,37 @@ class NMRSimulatorUI {
         });
     }
     
+    /**
+     * Per-gate fidelity of the simulated pulse programs, with duration and crosstalk in the tooltip
+     */
+    renderGateReports() {
+        const reports = this.nmrEngine.getGateReports(this.circuit);
+        if (reports.length === 0) {
+            return `<div class="nmr-gate-reports"><span class="nmr-relax-note">Gate fidelities are computed for up to ${NMRPhysicsEngine.MAX_PULSE_QUBITS} qubits</span></div>`;
+        }
+        
+        let html = '<div class="nmr-gate-reports">';
+        reports.forEach(r => {
+            const label = `${r.gate.type} Q${r.gate.qubit}`;
+            const durationText = this.formatDuration(r.duration);
+            if (r.fidelity === null) {
+                html += `<span class="nmr-gate-fid" title="${r.note} · ${durationText}">${label} —</span>`;
+                return;
+            }
+            const cls = r.fidelity >= 0.999 ? 'nmr-fid-good' : r.fidelity >= 0.99 ? 'nmr-fid-warn' : 'nmr-fid-bad';
+            const title = `Average gate fidelity over the B₁ distribution · ${durationText} · crosstalk ${(r.crosstalk * 100).toFixed(2)}%`
+                + (r.note ? ` · ${r.note}` : '');
+            html += `<span class="nmr-gate-fid ${cls}" title="${title}">${label} ${r.fidelity.toFixed(4)}</span>`;
+        });
+        html += '</div>';
+        return html;
+    }
+    
+    // Pulse lengths span µs (hard pulses) to ms (J evolution)
+    formatDuration(seconds) {
+        return seconds < 1e-4 ? `${(seconds * 1e6).toFixed(2)} µs` : `${(seconds * 1000).toFixed(2)} ms`;
+    }
+    
     showPulsePopup(pulse, x, y) {
         // Remove existing popup
         this.hidePulsePopup();
@@ -1627,7 +1777,7 @@ class NMRSimulatorUI {
         popup.className = 'nmr-peak-popup';
         
         const freqMHz = pulse.frequency ? (pulse.frequency / 1e6).toFixed(4) : 'N/A';
-        const durationMs = pulse.duration ? (pulse.duration * 1000).toFixed(2) : 'N/A';
+        const durationText = pulse.duration ? this.formatDuration(pulse.duration) : 'N/A';
         const angleDeg = pulse.flipAngle ? (pulse.flipAngle * 180 / Math.PI).toFixed(1) : 'N/A';
         const phaseDeg = pulse.phase !== undefined ? ((pulse.phase * 180 / Math.PI) % 360).toFixed(0) : 'N/A';
         const phaseLabel = phaseDeg === '0' ? 'x' : phaseDeg === '90' ? 'y' : phaseDeg === '180' ? '-x' : phaseDeg === '270' ? '-y' : `${phaseDeg}°`;
@@ -1646,8 +1796,13 @@ class NMRSimulatorUI {
                 </div>` : ''}
                 <div class="nmr-popup-row">
                     <span class="nmr-popup-label">Duration:</span>
-                    <span class="nmr-popup-value">${durationMs} ms</span>
+                    <span class="nmr-popup-value">${durationText}</span>
                 </div>
+                ${pulse.shape ? `
+                <div class="nmr-popup-row">
+                    <span class="nmr-popup-label">Shape:</span>
+                    <span class="nmr-popup-value">${pulse.shape}</span>
+                </div>` : ''}
                 ${pulse.flipAngle ? `
                 <div class="nmr-popup-row">
                     <span class="nmr-popup-label">Flip Angle:</span>
@@ -1757,10 +1912,144 @@ class NMRSimulatorUI {
     updateFromQuantumState(quantumState) {
         if (!quantumState) return;
         this.quantumState = quantumState;
-        this.nmrEngine.updateFromQuantumState(quantumState);
+        this.refreshDensityMatrix();
         this.updateSpectrum();
     }
     
+    /**
+     * Load the circuit's state into the engine; with relaxation, pulse simulation or a mixed
+     * preparation, the circuit is re-run from the prepared state along its pulse timeline and
+     * the engine holds that state instead
+     */
+    refreshDensityMatrix() {
+        const prepared = this.nmrEngine.preparation !== 'pure';
+        if (prepared) {
+            this.nmrEngine.initializeDensityMatrix();
+            this.nmrEngine.updateBlochVectors();
+        } else if (this.quantumState) {
+            this.nmrEngine.updateFromQuantumState(this.quantumState);
+        }
+        this.relaxationReport = (this.isPhysicalRun() || prepared) && this.circuit
+            ? this.nmrEngine.simulateCircuit(this.circuit)
+            : null;
+        this.updateRelaxationReport();
+        this.updatePreparationReport();
+    }
+    
+    // Pulse parameters change the pulse program, the gate reports and (when simulated) the state
+    onPulseSettingsChanged() {
+        this.updatePulseSequence();
+        this.refreshDensityMatrix();
+        this.updateSpectrum();
+    }
+    
+    isPhysicalRun() {
+        return this.nmrEngine.includeRelaxation || this.nmrEngine.simulatePulses;
+    }
+    
+    /**
+     * Circuit duration, final fidelity and a fidelity-vs-time trace of the physical run
+     */
+    updateRelaxationReport() {
+        const el = document.getElementById('nmr-relax-report');
+        if (!el) return;
+        
+        const report = this.relaxationReport;
+        if (!this.isPhysicalRun()) {
+            el.innerHTML = '';
+            return;
+        }
+        if (!report) {
+            const maxQubits = typeof DensityMatrixState !== 'undefined' ? DensityMatrixState.MAX_QUBITS : 0;
+            el.innerHTML = `<div class="nmr-relax-note">${this.circuit?.gates?.length
+                ? `Relaxation is simulated for up to ${maxQubits} qubits`
+                : 'Add gates to circuit'}</div>`;
+            return;
+        }
+        const pulseNote = this.nmrEngine.simulatePulses && !report.pulseLevel
+            ? `<div class="nmr-relax-note">Ideal gates: pulses are integrated for up to ${NMRPhysicsEngine.MAX_PULSE_QUBITS} qubits</div>`
+            : '';
+        
+        // Fidelity can only fall to 1/2ⁿ (the maximally mixed state); the deviation overlap of a mixed preparation to 0
+        const prepared = this.nmrEngine.preparation !== 'pure';
+        const floor = prepared ? 0 : 1 / Math.pow(2, this.nmrEngine.numQubits);
+        const title = prepared
+            ? 'Deviation overlap Tr(ΔΔ_ideal)/Tr(Δ_ideal²) vs. time; dashed line: fully mixed (0)'
+            : `Fidelity ⟨ψ|ρ|ψ⟩ vs. time; dashed line: fully mixed (1/${Math.pow(2, this.nmrEngine.numQubits)})`;
+        const duration = report.duration || 1;
+        const points = report.timeline
+            .map(p => `${(p.time / duration * 100).toFixed(2)},${((1 - p.fidelity) * 30).toFixed(2)}`)
+            .join(' ');
+        
+        el.innerHTML = `
+            <div class="nmr-relax-stats">
+                <span>${(report.duration * 1000).toFixed(1)} ms</span>
+                <span>F = ${report.fidelity.toFixed(4)}</span>
+            </div>
+            <svg class="nmr-relax-spark" viewBox="0 0 100 30" preserveAspectRatio="none">
+                <title>${title}</title>
+                <line x1="0" y1="${((1 - floor) * 30).toFixed(2)}" x2="100" y2="${((1 - floor) * 30).toFixed(2)}" class="nmr-relax-floor"/>
+                <polyline points="${points}" class="nmr-relax-line"/>
+            </svg>
+            ${pulseNote}
+        `;
+    }
+    
+    /**
+     * Pseudo-pure signal α (in units of the strongest thermal polarization), scans per
+     * spectrum and how the chosen method's signal scales with the number of spins
+     */
+    updatePreparationReport() {
+        const el = document.getElementById('nmr-prep-report');
+        if (!el) return;
+        
+        const engine = this.nmrEngine;
+        const report = engine.preparationReport;
+        const n = engine.numQubits;
+        const eps = Math.max(0, ...Array.from({ length: n }, (_, k) => Math.abs(engine.getThermalPolarization(k))));
+        
+        if (!report) {
+            el.innerHTML = n > 0
+                ? `<div class="nmr-prep-note">Idealized: at ${engine.B0.toFixed(2)} T the spins start nearly fully mixed (ε = ${eps.toExponential(1)})</div>`
+                : '';
+            return;
+        }
+        
+        const notes = [];
+        if (report.note) notes.push(report.note);
+        if (report.labelQubit !== null) {
+            const register = report.labelQubit > 1 ? `Q0–Q${report.labelQubit - 1}` : 'Q0';
+            notes.push(`Q${report.labelQubit} labels the ensemble; read ${register} from the Q${report.labelQubit}=0 lines`);
+        }
+        if (report.impurity > 1e-3) {
+            notes.push(`Unequal ε leaves a ${(report.impurity * 100).toFixed(1)}% population spread`);
+        }
+        if (this.circuit?.gates?.length && !this.relaxationReport) {
+            notes.push(`Mixed states are simulated for up to ${DensityMatrixState.MAX_QUBITS} qubits; showing the prepared state`);
+        }
+        
+        let scaling = '';
+        if (report.alpha !== null) {
+            const entries = engine.getPreparationScaling(report.method, Math.min(Math.max(n, 4), 8));
+            const signal = (e) => e.signal === null ? '–' : `${e.impurity > 1e-3 ? '~' : ''}${e.signal.toFixed(2)}`;
+            scaling = `
+                <table class="nmr-prep-scaling" title="α/ε with equal spins (~: only approximately pseudo-pure)">
+                    <tr><th>spins</th>${entries.map(e => `<td class="${e.spins === n ? 'nmr-prep-current' : ''}">${e.spins}</td>`).join('')}</tr>
+                    <tr><th>α/ε</th>${entries.map(e => `<td class="${e.spins === n ? 'nmr-prep-current' : ''}">${signal(e)}</td>`).join('')}</tr>
+                </table>`;
+        }
+        
+        el.innerHTML = `
+            <div class="nmr-prep-stats">
+                <span>${report.alpha === null ? `ε = ${eps.toExponential(1)}` : `α = ${report.signal.toFixed(3)} ε`}</span>
+                <span>${report.qubits} qubit${report.qubits === 1 ? '' : 's'}</span>
+                <span>${report.scans} scan${report.scans === 1 ? '' : 's'}</span>
+            </div>
+            ${scaling}
+            ${notes.map(note => `<div class="nmr-prep-note">${note}</div>`).join('')}
+        `;
+    }
+    
     onCircuitChanged(circuit, quantumState) {
         this.setCircuit(circuit);
         this.updateFromQuantumState(quantumState);
@@ -0,0 +1,1337 @@
+// OpenQASM 2.0 / 3.0 interchange for the circuit model
+
+// Gates the simulator executes natively; anything else in a circuit is a #define'd custom unitary
+const QASM_BUILTIN_TYPES = new Set([
+    'H', 'X', 'Y', 'Z', 'S', 'T', 'I', 'RX', 'RY', 'RZ', 'P', 'U3',
+    'CX', 'CY', 'CZ', 'CP', 'CRX', 'CRY', 'CRZ', 'SWAP', 'MEASURE'
+]);
+
+// Custom gates are exported as qubi_<NAME> with the original #define kept in a "// qubi:" comment
+const QASM_CUSTOM_PREFIX = 'qubi_';
+
+// Statements we recognize but cannot simulate
+const QASM_UNSUPPORTED = new Set([
+    'while', 'def', 'defcal', 'cal', 'extern', 'input', 'output', 'const', 'let', 'int', 'uint', 'float',
+    'angle', 'bool', 'complex', 'duration', 'stretch', 'delay', 'box', 'return', 'break', 'continue', 'switch'
+]);
+
+function qasmError(line, message) {
+    return new Error(line ? `Line ${line}: ${message}` : message);
+}
+
+/**
+ * Angle as a readable OpenQASM expression: multiples of pi/d when exact, otherwise a plain number.
+ * @param {number} rad
+ * @returns {string}
+ */
+function qasmFormatAngle(rad) {
+    if (Math.abs(rad) < 1e-12) return '0';
+    const ratio = rad / Math.PI;
+    for (let d = 1; d <= 16; d++) {
+        const n = Math.round(ratio * d);
+        if (n !== 0 && Math.abs(ratio * d - n) < 1e-9 && Math.abs(n) <= 64) {
+            const sign = n < 0 ? '-' : '';
+            const mag = Math.abs(n) === 1 ? 'pi' : `${Math.abs(n)}*pi`;
+            return d === 1 ? `${sign}${mag}` : `${sign}${mag}/${d}`;
+        }
+    }
+    return String(parseFloat(rad.toPrecision(15)));
+}
+
+/**
+ * Tokens for an OpenQASM source. "// qubi: …" comments are returned separately as annotations.
+ * @param {string} source
+ * @returns {{tokens: Array<{type:string, value:string|number, line:number}>, annotations: Array<{line:number, text:string}>}}
+ */
+function qasmTokenize(source) {
+    const src = String(source ?? '');
+    const tokens = [];
+    const annotations = [];
+    const symbols2 = ['->', '==', '!=', '<=', '>=', '**', '&&', '||'];
+    const symbols1 = '[](){};,:=+-*/^@<>!~';
+    let i = 0;
+    let line = 1;
+
+    while (i < src.length) {
+        const ch = src[i];
+        if (ch === '\n') { line++; i++; continue; }
+        if (/\s/.test(ch)) { i++; continue; }
+
+        if (src.startsWith('//', i)) {
+            let end = src.indexOf('\n', i);
+            if (end === -1) end = src.length;
+            const m = src.slice(i + 2, end).match(/^\s*qubi:\s*(.*)$/);
+            if (m) annotations.push({ line, text: m[1].trim() });
+            i = end;
+            continue;
+        }
+        if (src.startsWith('/*', i)) {
+            const end = src.indexOf('*/', i + 2);
+            if (end === -1) throw qasmError(line, 'Unclosed /* comment');
+            line += (src.slice(i, end).match(/\n/g) || []).length;
+            i = end + 2;
+            continue;
+        }
+
+        const rest = src.slice(i);
+        const num = rest.match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+        if (num) {
+            tokens.push({ type: 'number', value: parseFloat(num[0]), line });
+            i += num[0].length;
+            continue;
+        }
+        const ident = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+        if (ident) {
+            tokens.push({ type: 'ident', value: ident[0], line });
+            i += ident[0].length;
+            continue;
+        }
+        if (ch === 'π' || ch === 'τ') {
+            tokens.push({ type: 'ident', value: ch === 'π' ? 'pi' : 'tau', line });
+            i++;
+            continue;
+        }
+        if (ch === '"') {
+            const end = src.indexOf('"', i + 1);
+            if (end === -1) throw qasmError(line, 'Unclosed string');
+            tokens.push({ type: 'string', value: src.slice(i + 1, end), line });
+            i = end + 1;
+            continue;
+        }
+        if (ch === '$') {
+            throw qasmError(line, 'Physical qubits ($n) are not supported; declare a qubit register instead');
+        }
+        const two = src.substr(i, 2);
+        if (symbols2.includes(two)) {
+            tokens.push({ type: 'symbol', value: two, line });
+            i += 2;
+            continue;
+        }
+        if (symbols1.includes(ch)) {
+            tokens.push({ type: 'symbol', value: ch, line });
+            i++;
+            continue;
+        }
+        throw qasmError(line, `Unexpected character "${ch}"`);
+    }
+
+    return { tokens, annotations };
+}
+
+/**
+ * Reads OpenQASM 2.0 / 3.0 into a QuantumCircuit: qreg/qubit and creg/bit declarations, the qelib1 /
+ * stdgates gate set, parameterized rotations, user `gate` definitions (inlined), measurement,
+ * if (…) conditions and for loops. Registers are flattened to qubit indices in declaration order.
+ * Gates the simulator lacks (ch, cu3, rzz, …) are decomposed into native ones, exact up to global phase.
+ */
+class QasmImporter {
+    constructor(circuit) {
+        this.circuit = circuit;
+    }
+
+    /**
+     * @param {string} source
+     * @returns {{circuit: QuantumCircuit, version: string, qubitRegisters: Array<{name:string, size:number, offset:number}>, defineLines: string[]}}
+     */
+    import(source) {
+        const { tokens, annotations } = qasmTokenize(source);
+        this.tokens = tokens;
+        this.pos = 0;
+        this.version = null;
+        this.qubitRegisters = [];
+        this.bitRegisters = new Map(); // name → size
+        this.gateDefs = new Map(); // name → gatedef / opaque statement
+        this.numQubits = 0;
+
+        // "// qubi: #define NAME [...]" annotations restore exported custom gates exactly
+        this.defineLines = [];
+        this.customGates = new Set();
+        for (const note of annotations) {
+            const m = note.text.match(/^#define\s+([A-Za-z]{1,4})\b/);
+            if (m) {
+                this.defineLines.push(note.text);
+                this.customGates.add(m[1].toUpperCase());
+            }
+        }
+
+        const program = this.parseStatements(false);
+        const ops = [];
+        this.run(program, { params: {}, qubits: null, loops: {} }, ops);
+
+        this.circuit.clear();
+        while (this.circuit.numQubits < Math.max(1, this.numQubits)) {
+            this.circuit.addQubit();
+        }
+        for (const [name, size] of this.bitRegisters) {
+            this.circuit.addClassicalRegister(name, size, true);
+        }
+        this.buildCircuit(ops, 0);
+
+        return {
+            circuit: this.circuit,
+            version: this.version || '2.0',
+            qubitRegisters: this.qubitRegisters.map(reg => ({ ...reg })),
+            defineLines: [...this.defineLines]
+        };
+    }
+
+    // ---------- Parsing ----------
+
+    peek(offset = 0) {
+        return this.tokens[this.pos + offset] || null;
+    }
+
+    advance() {
+        const tok = this.tokens[this.pos];
+        if (tok) this.pos++;
+        return tok;
+    }
+
+    lastLine() {
+        const tok = this.tokens[Math.min(this.pos, this.tokens.length - 1)];
+        return tok ? tok.line : 0;
+    }
+
+    isSymbol(value, offset = 0) {
+        const tok = this.peek(offset);
+        return !!tok && tok.type === 'symbol' && tok.value === value;
+    }
+
+    isIdent(value, offset = 0) {
+        const tok = this.peek(offset);
+        return !!tok && tok.type === 'ident' && (value === undefined || tok.value === value);
+    }
+
+    expectSymbol(value) {
+        const tok = this.advance();
+        if (!tok || tok.type !== 'symbol' || tok.value !== value) {
+            throw qasmError(tok ? tok.line : this.lastLine(), `Expected "${value}"${tok ? ` but found "${tok.value}"` : ' at end of file'}`);
+        }
+        return tok;
+    }
+
+    expectIdent() {
+        const tok = this.advance();
+        if (!tok || tok.type !== 'ident') {
+            throw qasmError(tok ? tok.line : this.lastLine(), `Expected a name${tok ? ` but found "${tok.value}"` : ' at end of file'}`);
+        }
+        return tok;
+    }
+
+    expectInteger() {
+        const tok = this.advance();
+        if (!tok || tok.type !== 'number' || !Number.isInteger(tok.value)) {
+            throw qasmError(tok ? tok.line : this.lastLine(), 'Expected an integer');
+        }
+        return tok.value;
+    }
+
+    // Statements until EOF, or until the closing "}" when inBlock
+    parseStatements(inBlock) {
+        const statements = [];
+        while (this.pos < this.tokens.length) {
+            if (inBlock && this.isSymbol('}')) return statements;
+            const stmt = this.parseStatement();
+            if (stmt) statements.push(stmt);
+        }
+        if (inBlock) throw qasmError(this.lastLine(), 'Missing "}"');
+        return statements;
+    }
+
+    // "{ statements }" or a single statement
+    parseBody() {
+        if (this.isSymbol('{')) {
+            this.advance();
+            const body = this.parseStatements(true);
+            this.expectSymbol('}');
+            return body;
+        }
+        const stmt = this.parseStatement();
+        return stmt ? [stmt] : [];
+    }
+
+    parseStatement() {
+        const tok = this.peek();
+        const line = tok.line;
+
+        if (tok.type === 'symbol' && tok.value === ';') {
+            this.advance();
+            return null;
+        }
+        if (tok.type !== 'ident') {
+            throw qasmError(line, `Unexpected "${tok.value}"`);
+        }
+
+        switch (tok.value) {
+            case 'OPENQASM': {
+                this.advance();
+                const ver = this.advance();
+                if (!ver || ver.type !== 'number') throw qasmError(line, 'OPENQASM needs a version number');
+                this.version = Number.isInteger(ver.value) ? `${ver.value}.0` : String(ver.value);
+                if (!/^[23]\./.test(this.version)) throw qasmError(line, `Unsupported OpenQASM version ${this.version}`);
+                this.expectSymbol(';');
+                return null;
+            }
+            case 'include': {
+                this.advance();
+                const file = this.advance();
+                if (!file || file.type !== 'string') throw qasmError(line, 'include needs a quoted file name');
+                this.expectSymbol(';');
+                return null;
+            }
+            case 'qreg':
+            case 'creg': {
+                this.advance();
+                const name = this.expectIdent().value;
+                this.expectSymbol('[');
+                const size = this.expectInteger();
+                this.expectSymbol(']');
+                this.expectSymbol(';');
+                return { kind: tok.value, name, size, line };
+            }
+            case 'qubit':
+            case 'bit': {
+                this.advance();
+                let size = 1;
+                let sized = false;
+                if (this.isSymbol('[')) {
+                    this.advance();
+                    size = this.expectInteger();
+                    this.expectSymbol(']');
+                    sized = true;
+                }
+                const name = this.expectIdent().value;
+                if (this.isSymbol('=')) {
+                    // bit c = measure q;
+                    this.advance();
+                    if (!this.isIdent('measure')) throw qasmError(line, 'Only "= measure …" initializers are supported');
+                    this.advance();
+                    const qubit = this.parseArgument();
+                    this.expectSymbol(';');
+                    return [
+                        { kind: tok.value === 'qubit' ? 'qreg' : 'creg', name, size, sized, line },
+                        { kind: 'measure', qubit, target: { name, index: null }, line }
+                    ];
+                }
+                this.expectSymbol(';');
+                return { kind: tok.value === 'qubit' ? 'qreg' : 'creg', name, size, sized, line };
+            }
+            case 'gate':
+            case 'opaque': {
+                this.advance();
+                const name = this.expectIdent().value;
+                const params = [];
+                if (this.isSymbol('(')) {
+                    this.advance();
+                    while (!this.isSymbol(')')) {
+                        params.push(this.expectIdent().value);
+                        if (this.isSymbol(',')) this.advance();
+                    }
+                    this.expectSymbol(')');
+                }
+                const args = [this.expectIdent().value];
+                while (this.isSymbol(',')) {
+                    this.advance();
+                    args.push(this.expectIdent().value);
+                }
+                if (tok.value === 'opaque') {
+                    this.expectSymbol(';');
+                    return { kind: 'gatedef', name, params, args, body: null, line };
+                }
+                this.expectSymbol('{');
+                const body = this.parseStatements(true);
+                this.expectSymbol('}');
+                return { kind: 'gatedef', name, params, args, body, line };
+            }
+            case 'measure': {
+                this.advance();
+                const qubit = this.parseArgument();
+                let target = null;
+                if (this.isSymbol('->')) {
+                    this.advance();
+                    target = this.parseArgument();
+                }
+                this.expectSymbol(';');
+                return { kind: 'measure', qubit, target, line };
+            }
+            case 'barrier': {
+                this.advance();
+                while (this.pos < this.tokens.length && !this.isSymbol(';')) this.advance();
+                this.expectSymbol(';');
+                return null;
+            }
+            case 'reset':
+                throw qasmError(line, 'reset is not supported by the simulator');
+            case 'if':
+                return this.parseIf();
+            case 'for':
+                return this.parseFor();
+            default:
+                break;
+        }
+
+        if (QASM_UNSUPPORTED.has(tok.value)) {
+            throw qasmError(line, `Unsupported OpenQASM statement "${tok.value}"`);
+        }
+
+        // c[0] = measure q[0];
+        if (this.isSymbol('=', 1) || (this.isSymbol('[', 1) && this.findAssignment())) {
+            const target = this.parseArgument();
+            this.expectSymbol('=');
+            if (!this.isIdent('measure')) throw qasmError(line, 'Only measurement results can be assigned to bits');
+            this.advance();
+            const qubit = this.parseArgument();
+            this.expectSymbol(';');
+            return { kind: 'measure', qubit, target, line };
+        }
+
+        return this.parseGateCall();
+    }
+
+    // True when the statement at pos looks like "name[...] = …"
+    findAssignment() {
+        let depth = 0;
+        for (let k = this.pos + 1; k < this.tokens.length; k++) {
+            const t = this.tokens[k];
+            if (t.type !== 'symbol') continue;
+            if (t.value === '[') depth++;
+            else if (t.value === ']') {
+                depth--;
+                if (depth === 0) {
+                    const next = this.tokens[k + 1];
+                    return !!next && next.type === 'symbol' && next.value === '=';
+                }
+            } else if (t.value === ';') return false;
+        }
+        return false;
+    }
+
+    parseIf() {
+        const line = this.advance().line;
+        this.expectSymbol('(');
+        let negate = false;
+        if (this.isSymbol('!')) {
+            this.advance();
+            negate = true;
+        }
+        const register = this.expectIdent().value;
+        let index = null;
+        if (this.isSymbol('[')) {
+            this.advance();
+            index = this.parseExpression();
+            this.expectSymbol(']');
+        }
+        let value = null;
+        if (this.isSymbol('==')) {
+            this.advance();
+            value = this.parseExpression();
+        } else if (this.isSymbol('!=')) {
+            throw qasmError(line, 'Only == conditions are supported');
+        }
+        this.expectSymbol(')');
+        if (value === null) {
+            if (index === null) throw qasmError(line, `Compare the register with a value, e.g. if (${register} == 1)`);
+            value = { kind: 'number', value: negate ? 0 : 1 };
+        } else if (negate) {
+            throw qasmError(line, '"!" can only prefix a single bit');
+        }
+
+        const body = this.parseBody();
+        let elseBody = null;
+        if (this.isIdent('else')) {
+            this.advance();
+            elseBody = this.parseBody();
+        }
+        return { kind: 'if', register, index, value, body, elseBody, line };
+    }
+
+    parseFor() {
+        const line = this.advance().line;
+        // Optional loop variable type: uint, int, int[32], …
+        if (this.isIdent() && !this.isIdent('in', 1)) {
+            this.advance();
+            if (this.isSymbol('[')) {
+                this.advance();
+                this.parseExpression();
+                this.expectSymbol(']');
+            }
+        }
+        const variable = this.expectIdent().value;
+        if (!this.isIdent('in')) throw qasmError(line, 'Expected "in" in for loop');
+        this.advance();
+
+        let range = null;
+        let values = null;
+        if (this.isSymbol('[')) {
+            this.advance();
+            const parts = [this.parseExpression()];
+            while (this.isSymbol(':')) {
+                this.advance();
+                parts.push(this.parseExpression());
+            }
+            this.expectSymbol(']');
+            if (parts.length < 2) throw qasmError(line, 'for loop range needs [start:end] or [start:step:end]');
+            range = parts.length === 2
+                ? { start: parts[0], step: null, end: parts[1] }
+                : { start: parts[0], step: parts[1], end: parts[2] };
+        } else if (this.isSymbol('{')) {
+            this.advance();
+            values = [];
+            while (!this.isSymbol('}')) {
+                values.push(this.parseExpression());
+                if (this.isSymbol(',')) this.advance();
+            }
+            this.expectSymbol('}');
+        } else {
+            throw qasmError(line, 'for loop needs a [start:end] range or a {…} set');
+        }
+
+        const body = this.parseBody();
+        return { kind: 'for', variable, range, values, body, line };
+    }
+
+    parseGateCall() {
+        const line = this.peek().line;
+        const modifiers = [];
+        while (this.isIdent('ctrl') || this.isIdent('inv') || this.isIdent('negctrl') || this.isIdent('pow')) {
+            const mod = this.advance().value;
+            if (mod === 'negctrl' || mod === 'pow') throw qasmError(line, `"${mod} @" is not supported`);
+            let count = 1;
+            if (mod === 'ctrl' && this.isSymbol('(')) {
+                this.advance();
+                count = this.parseExpression();
+                this.expectSymbol(')');
+            }
+            this.expectSymbol('@');
+            modifiers.push({ type: mod, count });
+        }
+
+        const name = this.expectIdent().value;
+        const params = [];
+        if (this.isSymbol('(')) {
+            this.advance();
+            while (!this.isSymbol(')')) {
+                params.push(this.parseExpression());
+                if (this.isSymbol(',')) this.advance();
+                else if (!this.isSymbol(')')) throw qasmError(line, `Expected "," or ")" in parameters of ${name}`);
+            }
+            this.expectSymbol(')');
+        }
+        const args = [this.parseArgument()];
+        while (this.isSymbol(',')) {
+            this.advance();
+            args.push(this.parseArgument());
+        }
+        this.expectSymbol(';');
+        return { kind: 'call', name, modifiers, params, args, line };
+    }
+
+    // q  or  q[index]
+    parseArgument() {
+        const name = this.expectIdent().value;
+        let index = null;
+        if (this.isSymbol('[')) {
+            this.advance();
+            index = this.parseExpression();
+            this.expectSymbol(']');
+        }
+        return { name, index };
+    }
+
+    // ---------- Expressions ----------
+
+    parseExpression() {
+        let left = this.parseTerm();
+        while (this.isSymbol('+') || this.isSymbol('-')) {
+            const op = this.advance().value;
+            left = { kind: 'binary', op, left, right: this.parseTerm() };
+        }
+        return left;
+    }
+
+    parseTerm() {
+        let left = this.parseUnary();
+        while (this.isSymbol('*') || this.isSymbol('/')) {
+            const op = this.advance().value;
+            left = { kind: 'binary', op, left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.isSymbol('-')) {
+            this.advance();
+            return { kind: 'negate', value: this.parseUnary() };
+        }
+        if (this.isSymbol('+')) {
+            this.advance();
+            return this.parseUnary();
+        }
+        return this.parsePower();
+    }
+
+    parsePower() {
+        const base = this.parsePrimary();
+        if (this.isSymbol('^') || this.isSymbol('**')) {
+            this.advance();
+            return { kind: 'binary', op: '^', left: base, right: this.parseUnary() };
+        }
+        return base;
+    }
+
+    parsePrimary() {
+        const tok = this.advance();
+        if (!tok) throw qasmError(this.lastLine(), 'Expected an expression');
+        if (tok.type === 'number') return { kind: 'number', value: tok.value };
+        if (tok.type === 'symbol' && tok.value === '(') {
+            const inner = this.parseExpression();
+            this.expectSymbol(')');
+            return inner;
+        }
+        if (tok.type === 'ident') {
+            if (this.isSymbol('(')) {
+                this.advance();
+                const arg = this.parseExpression();
+                this.expectSymbol(')');
+                return { kind: 'call', name: tok.value, arg, line: tok.line };
+            }
+            return { kind: 'name', name: tok.value, line: tok.line };
+        }
+        throw qasmError(tok.line, `Unexpected "${tok.value}" in expression`);
+    }
+
+    evaluate(expr, env) {
+        switch (expr.kind) {
+            case 'number':
+                return expr.value;
+            case 'negate':
+                return -this.evaluate(expr.value, env);
+            case 'binary': {
+                const a = this.evaluate(expr.left, env);
+                const b = this.evaluate(expr.right, env);
+                if (expr.op === '+') return a + b;
+                if (expr.op === '-') return a - b;
+                if (expr.op === '*') return a * b;
+                if (expr.op === '/') return a / b;
+                return Math.pow(a, b);
+            }
+            case 'call': {
+                const fns = {
+                    sin: Math.sin, cos: Math.cos, tan: Math.tan, exp: Math.exp, ln: Math.log, sqrt: Math.sqrt,
+                    arcsin: Math.asin, arccos: Math.acos, arctan: Math.atan, asin: Math.asin, acos: Math.acos, atan: Math.atan
+                };
+                if (!fns[expr.name]) throw qasmError(expr.line, `Unknown function "${expr.name}"`);
+                return fns[expr.name](this.evaluate(expr.arg, env));
+            }
+            case 'name': {
+                if (Object.prototype.hasOwnProperty.call(env.params, expr.name)) return env.params[expr.name];
+                if (Object.prototype.hasOwnProperty.call(env.loops, expr.name)) return env.loops[expr.name];
+                if (expr.name === 'pi') return Math.PI;
+                if (expr.name === 'tau') return 2 * Math.PI;
+                if (expr.name === 'euler') return Math.E;
+                throw qasmError(expr.line, `Unknown identifier "${expr.name}"`);
+            }
+            default:
+                throw new Error('Invalid expression');
+        }
+    }
+
+    evaluateInteger(expr, env, line, what) {
+        const value = this.evaluate(expr, env);
+        if (!Number.isInteger(value)) throw qasmError(line, `${what} must be an integer`);
+        return value;
+    }
+
+    // ---------- Interpretation ----------
+
+    /**
+     * Runs statements into ops: {kind:'column', gates:[spec]} or {kind:'block', type:'REPEAT'|'IF', params, body}.
+     * env.qubits is set inside gate bodies (argument name → global qubit index).
+     */
+    run(statements, env, ops) {
+        for (const stmt of statements) {
+            if (Array.isArray(stmt)) {
+                this.run(stmt, env, ops);
+                continue;
+            }
+            switch (stmt.kind) {
+                case 'qreg':
+                    this.declareQubits(stmt, env);
+                    break;
+                case 'creg':
+                    if (env.qubits) throw qasmError(stmt.line, 'Registers cannot be declared inside a gate');
+                    if (this.bitRegisters.has(stmt.name)) throw qasmError(stmt.line, `Register "${stmt.name}" is already declared`);
+                    if (stmt.size < 1 || stmt.size > QUBI_MAX_CREG_SIZE) {
+                        throw qasmError(stmt.line, `Classical register "${stmt.name}" must have 1–${QUBI_MAX_CREG_SIZE} bits`);
+                    }
+                    this.bitRegisters.set(stmt.name, stmt.size);
+                    break;
+                case 'gatedef':
+                    if (env.qubits) throw qasmError(stmt.line, 'Gates cannot be defined inside a gate');
+                    this.gateDefs.set(stmt.name, stmt);
+                    break;
+                case 'call':
+                    this.runCall(stmt, env, ops);
+                    break;
+                case 'measure':
+                    this.runMeasure(stmt, env, ops);
+                    break;
+                case 'if':
+                    this.runIf(stmt, env, ops);
+                    break;
+                case 'for':
+                    this.runFor(stmt, env, ops);
+                    break;
+                default:
+                    break;
+            }
+        }
+    }
+
+    declareQubits(stmt, env) {
+        if (env.qubits) throw qasmError(stmt.line, 'Registers cannot be declared inside a gate');
+        if (this.qubitRegisters.some(reg => reg.name === stmt.name) || this.bitRegisters.has(stmt.name)) {
+            throw qasmError(stmt.line, `Register "${stmt.name}" is already declared`);
+        }
+        if (stmt.size < 1) throw qasmError(stmt.line, `Register "${stmt.name}" needs at least one qubit`);
+        this.qubitRegisters.push({ name: stmt.name, size: stmt.size, offset: this.numQubits });
+        this.numQubits += stmt.size;
+    }
+
+    // Global qubit indices an argument refers to (a whole register broadcasts)
+    resolveQubits(arg, env, line) {
+        if (env.qubits) {
+            if (arg.index !== null) throw qasmError(line, 'Gate arguments cannot be indexed inside a gate body');
+            if (!Object.prototype.hasOwnProperty.call(env.qubits, arg.name)) {
+                throw qasmError(line, `Unknown qubit argument "${arg.name}"`);
+            }
+            return [env.qubits[arg.name]];
+        }
+        const reg = this.qubitRegisters.find(r => r.name === arg.name);
+        if (!reg) throw qasmError(line, `Unknown qubit register "${arg.name}"`);
+        if (arg.index === null) {
+            return Array.from({ length: reg.size }, (_, k) => reg.offset + k);
+        }
+        const index = this.evaluateInteger(arg.index, env, line, 'Qubit index');
+        if (index < 0 || index >= reg.size) throw qasmError(line, `${arg.name}[${index}] is out of range (size ${reg.size})`);
+        return [reg.offset + index];
+    }
+
+    // [{register, bit, explicitBit}] for a classical argument
+    resolveBits(arg, env, line) {
+        const size = this.bitRegisters.get(arg.name);
+        if (size === undefined) throw qasmError(line, `Unknown classical register "${arg.name}"`);
+        if (arg.index === null) {
+            return Array.from({ length: size }, (_, k) => ({ register: arg.name, bit: k, explicitBit: size > 1 }));
+        }
+        const bit = this.evaluateInteger(arg.index, env, line, 'Bit index');
+        if (bit < 0 || bit >= size) throw qasmError(line, `${arg.name}[${bit}] is out of range (size ${size})`);
+        return [{ register: arg.name, bit, explicitBit: true }];
+    }
+
+    runMeasure(stmt, env, ops) {
+        if (env.qubits) throw qasmError(stmt.line, 'measure is not allowed inside a gate');
+        const qubits = this.resolveQubits(stmt.qubit, env, stmt.line);
+        if (!stmt.target) {
+            ops.push({ kind: 'column', gates: qubits.map(q => ({ type: 'MEASURE', qubit: q, params: {} })) });
+            return;
+        }
+        const bits = this.resolveBits(stmt.target, env, stmt.line);
+        if (bits.length !== qubits.length) {
+            throw qasmError(stmt.line, `measure: ${qubits.length} qubit(s) into ${bits.length} bit(s)`);
+        }
+        ops.push({
+            kind: 'column',
+            gates: qubits.map((q, k) => ({ type: 'MEASURE', qubit: q, params: { cbit: bits[k] } }))
+        });
+    }
+
+    runIf(stmt, env, ops) {
+        if (env.qubits) throw qasmError(stmt.line, 'if is not allowed inside a gate');
+        const size = this.bitRegisters.get(stmt.register);
+        if (size === undefined) throw qasmError(stmt.line, `Unknown classical register "${stmt.register}"`);
+        const bit = stmt.index === null ? null : this.evaluateInteger(stmt.index, env, stmt.line, 'Bit index');
+        if (bit !== null && (bit < 0 || bit >= size)) throw qasmError(stmt.line, `${stmt.register}[${bit}] is out of range (size ${size})`);
+        const value = this.evaluateInteger(stmt.value, env, stmt.line, 'Condition value');
+        if (bit !== null && value !== 0 && value !== 1) throw qasmError(stmt.line, 'A single bit compares against 0 or 1');
+
+        const body = [];
+        this.run(stmt.body, env, body);
+        ops.push({ kind: 'block', type: 'IF', params: { register: stmt.register, bit, value }, body });
+
+        if (stmt.elseBody) {
+            if (bit === null && size !== 1) throw qasmError(stmt.line, 'else is only supported for single-bit conditions');
+            const elseOps = [];
+            this.run(stmt.elseBody, env, elseOps);
+            ops.push({ kind: 'block', type: 'IF', params: { register: stmt.register, bit, value: 1 - value }, body: elseOps });
+        }
+    }
+
+    runFor(stmt, env, ops) {
+        let values;
+        if (stmt.values) {
+            values = stmt.values.map(v => this.evaluateInteger(v, env, stmt.line, 'Loop value'));
+        } else {
+            const start = this.evaluateInteger(stmt.range.start, env, stmt.line, 'Loop start');
+            const step = stmt.range.step ? this.evaluateInteger(stmt.range.step, env, stmt.line, 'Loop step') : 1;
+            const end = this.evaluateInteger(stmt.range.end, env, stmt.line, 'Loop end');
+            if (step === 0) throw qasmError(stmt.line, 'Loop step cannot be 0');
+            values = [];
+            for (let v = start; step > 0 ? v <= end : v >= end; v += step) {
+                values.push(v);
+                if (values.length > 100000) throw qasmError(stmt.line, 'Loop is too long');
+            }
+        }
+        if (values.length === 0) return;
+
+        // A body that never reads the loop variable is a plain REPEAT; otherwise unroll it
+        if (!this.usesName(stmt.body, stmt.variable)) {
+            const body = [];
+            this.run(stmt.body, env, body);
+            if (values.length === 1) {
+                ops.push(...body);
+            } else {
+                ops.push({ kind: 'block', type: 'REPEAT', params: { count: values.length }, body });
+            }
+            return;
+        }
+        for (const v of values) {
+            this.run(stmt.body, { ...env, loops: { ...env.loops, [stmt.variable]: v } }, ops);
+        }
+    }
+
+    usesName(node, name) {
+        if (Array.isArray(node)) return node.some(n => this.usesName(n, name));
+        if (!node || typeof node !== 'object') return false;
+        if (node.kind === 'name' && node.name === name) return true;
+        return Object.values(node).some(v => v && typeof v === 'object' && this.usesName(v, name));
+    }
+
+    runCall(stmt, env, ops) {
+        const params = stmt.params.map(p => this.evaluate(p, env));
+        const lists = stmt.args.map(arg => this.resolveQubits(arg, env, stmt.line));
+        const width = Math.max(...lists.map(l => l.length));
+        if (lists.some(l => l.length !== 1 && l.length !== width)) {
+            throw qasmError(stmt.line, `${stmt.name}: registers of different sizes cannot be broadcast together`);
+        }
+
+        let ctrl = 0;
+        let inverse = false;
+        for (const mod of stmt.modifiers) {
+            if (mod.type === 'inv') inverse = !inverse;
+            else ctrl += typeof mod.count === 'number' ? mod.count : this.evaluateInteger(mod.count, env, stmt.line, 'ctrl count');
+        }
+
+        const applications = [];
+        for (let k = 0; k < width; k++) {
+            const qubits = lists.map(l => (l.length === 1 ? l[0] : l[k]));
+            if (new Set(qubits).size !== qubits.length) {
+                throw qasmError(stmt.line, `${stmt.name}: the same qubit is used twice`);
+            }
+            let columns = this.expandGate(stmt.name, params, qubits, ctrl, stmt.line);
+            if (inverse) columns = this.invertColumns(columns, stmt.name, stmt.line);
+            applications.push(columns);
+        }
+
+        // h q; on a register stays one column, like H (0,1,2)
+        const parallel = width > 1 && applications.every(cols =>
+            cols.length === 1 && cols[0].length === 1 && !cols[0][0].target && !cols[0][0].multiQubits &&
+            !(cols[0][0].params && cols[0][0].params.jointQubits));
+        if (parallel) {
+            ops.push({ kind: 'column', gates: applications.map(cols => cols[0][0]) });
+            return;
+        }
+        for (const cols of applications) {
+            for (const gates of cols) ops.push({ kind: 'column', gates });
+        }
+    }
+
+    /**
+     * One gate application as columns of gate specs {type, qubit, target?, params?, multiQubits?}.
+     * qubits are global indices; the first ctrl of them are extra controls from "ctrl @".
+     */
+    expandGate(name, params, qubits, ctrl, line) {
+        const arity = (nParams, nQubits) => {
+            if (params.length !== nParams) throw qasmError(line, `${name} takes ${nParams} parameter(s), got ${params.length}`);
+            if (qubits.length !== nQubits + ctrl) throw qasmError(line, `${name} acts on ${nQubits + ctrl} qubit(s), got ${qubits.length}`);
+        };
+        const one = (type, q, angle) => (angle === undefined
+            ? { type, qubit: q, params: {} }
+            : { type, qubit: q, params: { angle } });
+        const rot = (axis, q, angle) => {
+            const wrapped = Math.abs(angle % (2 * Math.PI)) < 1e-12;
+            return wrapped ? [] : [[one(`R${axis}`, q, angle)]];
+        };
+        const cx = (c, t) => [[{ type: 'CX', qubit: t, target: c, params: {} }]];
+        const controlled = (type, controls, t) => (controls.length === 1
+            ? [[{ type, qubit: t, target: controls[0], params: {} }]]
+            : [[{ type, qubit: t, target: null, params: {}, multiQubits: [...controls] }]]);
+        const controlledAngle = (type, controls, t, angle) => (controls.length === 1
+            ? [[{ type, qubit: t, target: controls[0], params: { angle } }]]
+            : [[{ type, qubit: t, target: null, params: { angle }, multiQubits: [...controls] }]]);
+        const u3 = (theta, phi, lambda, q) => [...rot('Z', q, lambda), ...rot('Y', q, theta), ...rot('Z', q, phi)];
+
+        // Exported custom unitaries (qubi_NAME with a "// qubi: #define" annotation)
+        if (name.startsWith(QASM_CUSTOM_PREFIX) && this.customGates.has(name.slice(QASM_CUSTOM_PREFIX.length).toUpperCase())) {
+            if (ctrl) throw qasmError(line, `ctrl @ is not supported on custom gate ${name}`);
+            const type = name.slice(QASM_CUSTOM_PREFIX.length).toUpperCase();
+            if (qubits.length === 1) return [[one(type, qubits[0])]];
+            return [[{ type, qubit: qubits[0], params: { jointQubits: [...qubits] } }]];
+        }
+
+        // Multi-controlled Paulis: ccx, ccz, c3x, c4x and the exporter's mc<k>x / mc<k>y / mc<k>z
+        const mc = name.match(/^(?:mc(\d+)([xyz])|c([34])x|cc([xz]))$/);
+        const pauli = { x: 'X', y: 'Y', z: 'Z', cx: 'X', cy: 'Y', cz: 'Z', X: 'X', CX: 'X' };
+        if (mc || (ctrl && pauli[name])) {
+            let baseControls;
+            let axis;
+            if (mc) {
+                baseControls = mc[1] ? parseInt(mc[1], 10) : (mc[3] ? parseInt(mc[3], 10) : 2);
+                axis = (mc[2] || (mc[3] ? 'x' : mc[4])).toUpperCase();
+            } else {
+                baseControls = /^c/i.test(name) ? 1 : 0;
+                axis = pauli[name];
+            }
+            arity(0, baseControls + 1);
+            const all = qubits.slice(0, qubits.length - 1);
+            return controlled(`C${axis}`, all, qubits[qubits.length - 1]);
+        }
+        // Controlled phase and rotations: cp, crx, …, ctrl @ p / rx / … and the exporter's mc<k>p
+        const angleBase = {
+            p: 'P', phase: 'P', u1: 'P', rx: 'RX', ry: 'RY', rz: 'RZ',
+            cp: 'P', cphase: 'P', cu1: 'P', crx: 'RX', cry: 'RY', crz: 'RZ'
+        };
+        const mcp = name.match(/^mc(\d+)p$/);
+        if (mcp || (angleBase[name] && (ctrl || /^c/.test(name)))) {
+            const baseControls = mcp ? parseInt(mcp[1], 10) : (/^c/.test(name) ? 1 : 0);
+            arity(1, baseControls + 1);
+            const base = mcp ? 'P' : angleBase[name];
+            return controlledAngle(`C${base}`, qubits.slice(0, qubits.length - 1), qubits[qubits.length - 1], params[0]);
+        }
+        if (ctrl) throw qasmError(line, `ctrl @ is only supported on x, y, z, p, rx, ry, rz (and their controlled forms), not ${name}`);
+
+        const [a, b, c] = qubits;
+        const [p0, p1, p2, p3] = params;
+        switch (name) {
+            case 'h': case 'x': case 'y': case 'z': case 's': case 't':
+                arity(0, 1);
+                return [[one(name.toUpperCase(), a)]];
+            case 'id': case 'i':
+                arity(0, 1);
+                return [[one('I', a)]];
+            case 'sdg':
+                arity(0, 1);
+                return [[one('P', a, -Math.PI / 2)]];
+            case 'tdg':
+                arity(0, 1);
+                return [[one('P', a, -Math.PI / 4)]];
+            case 'sx':
+                arity(0, 1);
+                return rot('X', a, Math.PI / 2);
+            case 'sxdg':
+                arity(0, 1);
+                return rot('X', a, -Math.PI / 2);
+            case 'rx': case 'ry': case 'rz':
+                arity(1, 1);
+                return [[one(name.toUpperCase(), a, p0)]];
+            case 'p': case 'phase': case 'u1':
+                arity(1, 1);
+                return [[one('P', a, p0)]];
+            case 'u2':
+                arity(2, 1);
+                return [[{ type: 'U3', qubit: a, params: { theta: Math.PI / 2, phi: p0, lambda: p1 } }]];
+            case 'u3': case 'u': case 'U':
+                arity(3, 1);
+                return [[{ type: 'U3', qubit: a, params: { theta: p0, phi: p1, lambda: p2 } }]];
+            case 'cx': case 'CX':
+                arity(0, 2);
+                return cx(a, b);
+            case 'cy': case 'cz':
+                arity(0, 2);
+                return controlled(name.toUpperCase(), [a], b);
+            case 'swap':
+                arity(0, 2);
+                return [[{ type: 'SWAP', qubit: a, target: b, params: {} }]];
+            case 'ch':
+                arity(0, 2);
+                return [...rot('Y', b, Math.PI / 4), ...cx(a, b), ...rot('Y', b, -Math.PI / 4)];
+            case 'cu3': case 'cu': {
+                if (name === 'cu' && params.length === 4) {
+                    arity(4, 2);
+                } else {
+                    arity(3, 2);
+                }
+                // qelib1: u1((λ+φ)/2) c; u1((λ-φ)/2) t; cx; u3(-θ/2,0,-(φ+λ)/2) t; cx; u3(θ/2,φ,0) t
+                return [
+                    ...rot('Z', a, (p2 + p1) / 2 + (p3 || 0)),
+                    ...rot('Z', b, (p2 - p1) / 2),
+                    ...cx(a, b),
+                    ...u3(-p0 / 2, 0, -(p1 + p2) / 2, b),
+                    ...cx(a, b),
+                    ...u3(p0 / 2, p1, 0, b)
+                ];
+            }
+            case 'rzz':
+                arity(1, 2);
+                return [...cx(a, b), ...rot('Z', b, p0), ...cx(a, b)];
+            case 'rxx':
+                arity(1, 2);
+                return [[one('H', a), one('H', b)], ...cx(a, b), ...rot('Z', b, p0), ...cx(a, b), [one('H', a), one('H', b)]];
+            case 'ryy':
+                arity(1, 2);
+                return [
+                    [one('RX', a, Math.PI / 2), one('RX', b, Math.PI / 2)],
+                    ...cx(a, b), ...rot('Z', b, p0), ...cx(a, b),
+                    [one('RX', a, -Math.PI / 2), one('RX', b, -Math.PI / 2)]
+                ];
+            case 'cswap':
+                arity(0, 3);
+                return [...cx(c, b), ...controlled('CX', [a, b], c), ...cx(c, b)];
+            default:
+                break;
+        }
+
+        const def = this.gateDefs.get(name);
+        if (!def) throw qasmError(line, `Unknown gate "${name}"`);
+        if (!def.body) throw qasmError(line, `Opaque gate "${name}" has no definition to simulate`);
+        if (params.length !== def.params.length) throw qasmError(line, `${name} takes ${def.params.length} parameter(s), got ${params.length}`);
+        if (qubits.length !== def.args.length) throw qasmError(line, `${name} acts on ${def.args.length} qubit(s), got ${qubits.length}`);
+
+        const env = { params: {}, qubits: {}, loops: {} };
+        def.params.forEach((p, k) => { env.params[p] = params[k]; });
+        def.args.forEach((arg, k) => { env.qubits[arg] = qubits[k]; });
+        const bodyOps = [];
+        this.run(def.body, env, bodyOps);
+        return bodyOps.map(op => op.gates);
+    }
+
+    // Columns of the inverse operation (reverse order, each gate inverted)
+    invertColumns(columns, name, line) {
+        const inverses = { S: -Math.PI / 2, T: -Math.PI / 4 };
+        return [...columns].reverse().map(gates => gates.map(g => {
+            if (g.type === 'U3') {
+                // U3(θ,φ,λ)† = U3(-θ,-λ,-φ)
+                const { theta, phi, lambda } = g.params;
+                return { ...g, params: { theta: -theta, phi: -lambda, lambda: -phi } };
+            }
+            if (GateAngleParams[g.type]) return { ...g, params: { angle: -g.params.angle } };
+            if (inverses[g.type] !== undefined) return { type: 'P', qubit: g.qubit, params: { angle: inverses[g.type] } };
+            if (['H', 'X', 'Y', 'Z', 'I', 'CX', 'CY', 'CZ', 'SWAP'].includes(g.type)) return g;
+            throw qasmError(line, `inv @ ${name}: ${g.type} cannot be inverted here`);
+        }));
+    }
+
+    buildCircuit(ops, startColumn) {
+        let column = startColumn;
+        for (const op of ops) {
+            if (op.kind === 'column') {
+                if (op.gates.length === 0) continue;
+                for (const g of op.gates) {
+                    this.circuit.addGate(g.type, g.qubit, column, g.target ?? null, g.params || {}, g.multiQubits || null);
+                }
+                column++;
+            } else if (op.type === 'REPEAT') {
+                const repeatColumn = column;
+                this.circuit.addControlFlow('REPEAT', column, { count: op.params.count });
+                column = this.buildCircuit(op.body, column + 1);
+                this.circuit.addControlFlow('END', column, {
+                    endingType: 'REPEAT',
+                    endingLabel: `REPEAT ${op.params.count}`,
+                    matchedRepeatColumn: repeatColumn
+                });
+                column++;
+            } else {
+                const ifColumn = column;
+                this.circuit.addControlFlow('IF', column, { ...op.params });
+                column = this.buildCircuit(op.body, column + 1);
+                this.circuit.addControlFlow('END', column, {
+                    endingType: 'IF',
+                    endingLabel: `IF ${formatQubiCondition(op.params)}`,
+                    matchedIfColumn: ifColumn
+                });
+                column++;
+            }
+        }
+        return column;
+    }
+}
+
+/**
+ * Writes a circuit as OpenQASM 2.0 or 3.0. 3.0 keeps REPEAT as for-loops, IF blocks as if (…) { … }
+ * and multi-controlled gates as ctrl(n) @; 2.0 unrolls loops, prefixes each conditioned gate with
+ * if(c==v) and defines mc<k>x / mc<k>y / mc<k>z gates from cu1/ccx. Custom #define gates become
+ * qubi_NAME declarations (U(θ,φ,λ) for one qubit, a KAK-synthesized U/cx body for two, opaque beyond) with
+ * the matrix in a "// qubi:" comment.
+ */
+class QasmExporter {
+    /**
+     * @param {object} [options]
+     * @param {'2.0'|'3.0'} [options.version]
+     * @param {Object<string,string>} [options.defineLines] custom gate name → its original #define line
+     */
+    constructor(options = {}) {
+        this.version = options.version === '2.0' ? '2.0' : '3.0';
+        this.defineLines = options.defineLines || {};
+    }
+
+    export(circuit) {
+        const v3 = this.version === '3.0';
+        const cregs = (circuit.classicalRegisters || []).map(reg => ({ name: reg.name, size: reg.size }));
+        const taken = new Set(cregs.map(r => r.name));
+        const qreg = ['q', 'qr', 'qubits'].find(n => !taken.has(n)) || 'q_reg';
+        taken.add(qreg);
+
+        const tree = this.buildTree(circuit);
+        const gates = [];
+        this.collectGates(tree, gates);
+
+        // Plain MEASURE needs somewhere to write in 2.0
+        let measReg = null;
+        if (!v3 && gates.some(g => g.type === 'MEASURE' && !(g.params && g.params.cbit))) {
+            measReg = ['meas', 'm', 'meas_bits'].find(n => !taken.has(n)) || 'meas_q';
+            cregs.push({ name: measReg, size: circuit.numQubits });
+        }
+
+        const lines = [];
+        lines.push(v3 ? 'OPENQASM 3.0;' : 'OPENQASM 2.0;');
+        lines.push(v3 ? 'include "stdgates.inc";' : 'include "qelib1.inc";');
+
+        const definitions = this.gateDefinitions(gates, v3);
+        if (definitions.length) lines.push('', ...definitions);
+
+        lines.push('');
+        lines.push(v3 ? `qubit[${circuit.numQubits}] ${qreg};` : `qreg ${qreg}[${circuit.numQubits}];`);
+        for (const reg of cregs) {
+            lines.push(v3 ? `bit[${reg.size}] ${reg.name};` : `creg ${reg.name}[${reg.size}];`);
+        }
+        if (tree.length) lines.push('');
+
+        const ctx = { v3, qreg, measReg, lines, condition: null, sizes: new Map(cregs.map(r => [r.name, r.size])) };
+        this.emitNodes(tree, ctx, 0);
+        return lines.join('\n') + '\n';
+    }
+
+    // Nested [{kind:'gates', gates} | {kind:'REPEAT'|'IF', params, body}] in column order
+    buildTree(circuit) {
+        const byColumn = new Map();
+        for (const gate of circuit.gates) {
+            if (!byColumn.has(gate.column)) byColumn.set(gate.column, []);
+            byColumn.get(gate.column).push(gate);
+        }
+        const cfByColumn = new Map(circuit.controlFlow.map(cf => [cf.column, cf]));
+        const columns = [...new Set([...byColumn.keys(), ...cfByColumn.keys()])].sort((a, b) => a - b);
+
+        const root = [];
+        const stack = [root];
+        for (const col of columns) {
+            const cf = cfByColumn.get(col);
+            if (cf && (cf.type === 'REPEAT' || cf.type === 'IF')) {
+                const node = { kind: cf.type, params: cf.params || {}, body: [] };
+                stack[stack.length - 1].push(node);
+                stack.push(node.body);
+            } else if (cf && cf.type === 'END' && stack.length > 1) {
+                stack.pop();
+            }
+            if (byColumn.has(col)) {
+                stack[stack.length - 1].push({ kind: 'gates', gates: byColumn.get(col) });
+            }
+        }
+        return root;
+    }
+
+    collectGates(nodes, out) {
+        for (const node of nodes) {
+            if (node.kind === 'gates') out.push(...node.gates);
+            else this.collectGates(node.body, out);
+        }
+    }
+
+    gateDefinitions(gates, v3) {
+        const lines = [];
+        const customTypes = [...new Set(gates.map(g => g.type).filter(t => !QASM_BUILTIN_TYPES.has(t)))];
+        for (const type of customTypes) {
+            const matrix = typeof GateMatrices !== 'undefined' ? GateMatrices[type] : null;
+            if (!matrix) throw new Error(`Custom gate ${type} has no matrix to export`);
+            const dim = Math.round(Math.sqrt(matrix.length));
+            const k = Math.round(Math.log2(dim));
+            const name = `${QASM_CUSTOM_PREFIX}${type}`;
+            lines.push(`// qubi: ${this.defineLines[type] || this.formatDefine(type, matrix, dim)}`);
+            if (k === 1) {
+                const [theta, phi, lambda] = this.zyzAngles(matrix);
+                lines.push(`gate ${name} a { U(${qasmFormatAngle(theta)}, ${qasmFormatAngle(phi)}, ${qasmFormatAngle(lambda)}) a; }`);
+            } else if (k === 2 && typeof GateSynthesis !== 'undefined') {
+                // KAK synthesis: U gates around at most three cx, with a0 the low bit of the matrix
+                const body = GateSynthesis.twoQubitSequence(matrix).flatMap(step => {
+                    if (!step.matrix) return [`cx a${step.control}, a${step.target};`];
+                    const angles = this.zyzAngles(step.matrix).map(qasmFormatAngle);
+                    return angles.every(a => a === '0') ? [] : [`U(${angles.join(', ')}) a${step.qubit};`];
+                });
+                lines.push(`gate ${name} a0, a1 { ${body.join(' ')} }`);
+            } else {
+                const args = Array.from({ length: k }, (_, i) => `a${i}`).join(', ');
+                lines.push(`opaque ${name} ${args};`);
+            }
+        }
+
+        if (v3) return lines;
+
+        // 2.0 has no ctrl(n) @: define the multi-controlled gates used, smallest first
+        let maxControls = 0;
+        const needed = new Set();
+        for (const g of gates) {
+            const n = g.multiQubits ? g.multiQubits.length : 0;
+            if (['CX', 'CY', 'CZ', 'CP'].includes(g.type) && n > 1 && !(n === 2 && g.type === 'CX')) {
+                needed.add(`${g.type}${n}`);
+                maxControls = Math.max(maxControls, n);
+            }
+        }
+        if (needed.size === 0) return lines;
+
+        const args = (n) => [...Array.from({ length: n }, (_, i) => `c${i}`), 't'];
+        const mcx = (n, controls, target) => {
+            if (n === 1) return `cx ${controls[0]}, ${target};`;
+            if (n === 2) return `ccx ${controls[0]}, ${controls[1]}, ${target};`;
+            return `mc${n}x ${[...controls, target].join(', ')};`;
+        };
+        // mc<k>p(lam): phase lam on |1…1⟩, recursively from cu1 and mc<k-1>x
+        for (let n = 2; n <= maxControls; n++) {
+            const a = args(n);
+            const controls = a.slice(0, n);
+            const last = controls[n - 1];
+            const rest = controls.slice(0, n - 1);
+            const inner = n - 1 === 1 ? `cu1(lam/2) ${rest[0]}, t;` : `mc${n - 1}p(lam/2) ${[...rest, 't'].join(', ')};`;
+            lines.push(`gate mc${n}p(lam) ${a.join(', ')} { cu1(lam/2) ${last}, t; ${mcx(n - 1, rest, last)} cu1(-lam/2) ${last}, t; ${mcx(n - 1, rest, last)} ${inner} }`);
+            if (n >= 3) {
+                lines.push(`gate mc${n}x ${a.join(', ')} { h t; mc${n}p(pi) ${a.join(', ')}; h t; }`);
+            }
+            if (needed.has(`CZ${n}`)) {
+                lines.push(`gate mc${n}z ${a.join(', ')} { mc${n}p(pi) ${a.join(', ')}; }`);
+            }
+            if (needed.has(`CY${n}`)) {
+                lines.push(`gate mc${n}y ${a.join(', ')} { sdg t; ${mcx(n, controls, 't')} s t; }`);
+            }
+        }
+        return lines;
+    }
+
+    // U = e^{iα} RZ(φ) RY(θ) RZ(λ) for a 2×2 unitary; returns [θ, φ, λ]
+    zyzAngles(m) {
+        const [a, b, c] = m;
+        const abs = (z) => Math.hypot(z.re, z.im);
+        const arg = (z) => Math.atan2(z.im, z.re);
+        const theta = 2 * Math.atan2(abs(c), abs(a));
+        if (abs(c) < 1e-12) return [0, 0, arg(m[3]) - arg(a)];
+        if (abs(a) < 1e-12) return [theta, arg(c) - arg({ re: -b.re, im: -b.im }), 0];
+        return [theta, arg(c) - arg(a), arg({ re: -b.re, im: -b.im }) - arg(a)];
+    }
+
+    formatDefine(type, matrix, dim) {
+        const num = (x) => parseFloat(x.toFixed(12));
+        const entry = (z) => {
+            const re = num(z.re);
+            const im = num(z.im);
+            if (im === 0) return `${re}`;
+            if (re === 0) return `${im}i`;
+            return `${re}${im < 0 ? '-' : '+'}${Math.abs(im)}i`;
+        };
+        const rows = [];
+        for (let r = 0; r < dim; r++) {
+            rows.push(matrix.slice(r * dim, (r + 1) * dim).map(entry).join(' '));
+        }
+        return `#define ${type} [${rows.join('; ')}]`;
+    }
+
+    emitNodes(nodes, ctx, depth) {
+        const indent = '  '.repeat(depth);
+        for (const node of nodes) {
+            if (node.kind === 'gates') {
+                for (const gate of node.gates) {
+                    const stmt = this.formatGate(gate, ctx);
+                    ctx.lines.push(indent + (ctx.condition ? `${ctx.condition} ${stmt}` : stmt));
+                }
+            } else if (node.kind === 'REPEAT') {
+                const count = node.params.count || 2;
+                if (ctx.v3) {
+                    const variable = depth === 0 ? 'i' : `i${depth}`;
+                    ctx.lines.push(indent + `for uint ${variable} in [0:${count - 1}] {`);
+                    this.emitNodes(node.body, ctx, depth + 1);
+                    ctx.lines.push(indent + '}');
+                } else {
+                    for (let i = 0; i < count; i++) this.emitNodes(node.body, ctx, depth);
+                    if (ctx.lines.length > 200000) throw new Error('Unrolled REPEAT blocks are too large for OpenQASM 2.0; export as 3.0');
+                }
+            } else {
+                const { register, bit, value } = node.params;
+                if (ctx.v3) {
+                    const target = bit !== null && bit !== undefined ? `${register}[${bit}]` : register;
+                    ctx.lines.push(indent + `if (${target} == ${value}) {`);
+                    this.emitNodes(node.body, ctx, depth + 1);
+                    ctx.lines.push(indent + '}');
+                    continue;
+                }
+                if (ctx.condition) throw new Error('Nested IF blocks need OpenQASM 3.0');
+                if (bit !== null && bit !== undefined && ctx.sizes.get(register) !== 1) {
+                    throw new Error(`IF ${register}[${bit}] tests one bit of a larger register; OpenQASM 2.0 only compares whole registers (export as 3.0)`);
+                }
+                const writes = [];
+                this.collectGates(node.body, writes);
+                if (writes.some(g => g.type === 'MEASURE' && g.params && g.params.cbit && g.params.cbit.register === register)) {
+                    throw new Error(`IF ${register} measures into its own register; export as OpenQASM 3.0`);
+                }
+                ctx.condition = `if(${register}==${value})`;
+                this.emitNodes(node.body, ctx, depth);
+                ctx.condition = null;
+            }
+        }
+    }
+
+    formatGate(gate, ctx) {
+        const { type, qubit, target, params, multiQubits } = gate;
+        const q = (i) => `${ctx.qreg}[${i}]`;
+
+        if (type === 'MEASURE') {
+            const cbit = params && params.cbit;
+            if (cbit) {
+                const dest = cbit.explicitBit === false ? cbit.register : `${cbit.register}[${cbit.bit}]`;
+                return ctx.v3 ? `${dest} = measure ${q(qubit)};` : `measure ${q(qubit)} -> ${dest};`;
+            }
+            return ctx.v3 ? `measure ${q(qubit)};` : `measure ${q(qubit)} -> ${ctx.measReg}[${qubit}];`;
+        }
+        if (params && Array.isArray(params.jointQubits) && params.jointQubits.length > 0) {
+            return `${QASM_CUSTOM_PREFIX}${type} ${params.jointQubits.map(q).join(', ')};`;
+        }
+        if (['CX', 'CY', 'CZ'].includes(type)) {
+            const controls = multiQubits && multiQubits.length ? multiQubits : [target];
+            const base = type[1].toLowerCase();
+            const wires = [...controls, qubit].map(q).join(', ');
+            if (controls.length === 1) return `c${base} ${wires};`;
+            if (controls.length === 2 && base === 'x') return `ccx ${wires};`;
+            return ctx.v3 ? `ctrl(${controls.length}) @ ${base} ${wires};` : `mc${controls.length}${base} ${wires};`;
+        }
+        if (type === 'SWAP') return `swap ${q(qubit)}, ${q(target)};`;
+        if (type === 'U3') {
+            const angles = GateAngleParams.U3.map(k => qasmFormatAngle(params[k]));
+            return `u3(${angles.join(', ')}) ${q(qubit)};`;
+        }
+        if (GateAngleParams[type]) {
+            const angle = qasmFormatAngle(params && params.angle !== undefined ? params.angle : Math.PI / 2);
+            const base = ControlledGateBase[type] || type;
+            const name = base === 'P' ? (ctx.v3 ? 'p' : 'u1') : base.toLowerCase();
+            if (!ControlledGateBase[type]) return `${name}(${angle}) ${q(qubit)};`;
+            const controls = multiQubits && multiQubits.length ? multiQubits : [target];
+            const wires = [...controls, qubit].map(q).join(', ');
+            if (controls.length === 1) return `${base === 'P' ? (ctx.v3 ? 'cp' : 'cu1') : `c${name}`}(${angle}) ${wires};`;
+            if (ctx.v3) return `ctrl(${controls.length}) @ ${name}(${angle}) ${wires};`;
+            if (type === 'CP') return `mc${controls.length}p(${angle}) ${wires};`;
+            throw new Error(`${type} with ${controls.length} controls needs OpenQASM 3.0`);
+        }
+        if (type === 'I') return `id ${q(qubit)};`;
+        if (QASM_BUILTIN_TYPES.has(type)) return `${type.toLowerCase()} ${q(qubit)};`;
+        return `${QASM_CUSTOM_PREFIX}${type} ${q(qubit)};`;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QasmImporter, QasmExporter, qasmTokenize, qasmFormatAngle };
+}
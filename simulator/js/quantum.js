@@ -13,6 +13,180 @@ const Complex = {
     fromPolar: (r, theta) => ({ re: r * Math.cos(theta), im: r * Math.sin(theta) })
 };
 
+// Seedable PRNG (mulberry32) returning floats in [0, 1), used for reproducible shot sampling
+function createSeededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Draw `shots` outcomes from a {bitstring: probability} map; returns {bitstring: count}
+function sampleCounts(probabilities, shots, random = Math.random) {
+    const outcomes = Object.keys(probabilities);
+    const cumulative = [];
+    let total = 0;
+    for (const outcome of outcomes) {
+        total += probabilities[outcome];
+        cumulative.push(total);
+    }
+
+    const counts = {};
+    for (let s = 0; s < shots; s++) {
+        const r = random() * total;
+        // First outcome whose cumulative probability exceeds r
+        let lo = 0, hi = cumulative.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (cumulative[mid] > r) hi = mid;
+            else lo = mid + 1;
+        }
+        counts[outcomes[lo]] = (counts[outcomes[lo]] || 0) + 1;
+    }
+    return counts;
+}
+
+// Total-variation distance ½·Σ|p(x) - n(x)/N| between exact probabilities and observed counts
+function totalVariationDistance(probabilities, counts, shots) {
+    const outcomes = new Set([...Object.keys(probabilities), ...Object.keys(counts)]);
+    let sum = 0;
+    for (const outcome of outcomes) {
+        sum += Math.abs((probabilities[outcome] || 0) - (counts[outcome] || 0) / shots);
+    }
+    return sum / 2;
+}
+
+// ========== PAULI OBSERVABLES ==========
+// A Hamiltonian is a list of terms {coeff, ops}, ops = [{qubit, pauli: 'X'|'Y'|'Z'}] (empty ops = identity)
+
+// Parse a Pauli-sum like "0.5*Z0Z1 + 0.3*X0 - Y1 + 2"; throws Error on malformed input.
+// A factor group without indices is positional like a ket: in "XIX" the rightmost letter is qubit 0.
+function parsePauliHamiltonian(text) {
+    const source = String(text ?? '').replace(/\s+/g, '').toUpperCase();
+    if (!source) throw new Error('Hamiltonian is empty (e.g. 0.5*Z0Z1 + 0.3*X0)');
+    const termPattern = /^([+-]?)(\d+\.?\d*(?:E[+-]?\d+)?|\.\d+(?:E[+-]?\d+)?)?(\*?)((?:[IXYZ]\d*\*?)*)/;
+    const terms = [];
+    let pos = 0;
+    while (pos < source.length) {
+        const m = source.slice(pos).match(termPattern);
+        const [whole, sign, number, star, factors] = m;
+        if (!whole || (number === undefined && !factors) || (pos > 0 && !sign) || (star && (!number || !factors)) || /\*$/.test(factors)) {
+            throw new Error(`Unexpected "${source.slice(pos, pos + 8)}" in Hamiltonian`);
+        }
+        const ops = [];
+        if (factors && !/\d/.test(factors)) {
+            if (factors.includes('*')) throw new Error(`Use indexed factors (e.g. Z0*Z1) or a plain string (e.g. ZZ), not "${factors}"`);
+            [...factors].reverse().forEach((pauli, qubit) => {
+                if (pauli !== 'I') ops.push({ qubit, pauli });
+            });
+        }
+        for (const [, pauli, index] of (/\d/.test(factors) ? factors : '').matchAll(/([IXYZ])(\d*)/g)) {
+            if (pauli === 'I') continue;
+            if (index === '') throw new Error(`${pauli} needs a qubit index (e.g. ${pauli}0)`);
+            const qubit = parseInt(index, 10);
+            if (ops.some(op => op.qubit === qubit)) throw new Error(`Qubit ${qubit} appears twice in one Pauli term`);
+            ops.push({ qubit, pauli });
+        }
+        const magnitude = number === undefined ? 1 : parseFloat(number);
+        terms.push({ coeff: sign === '-' ? -magnitude : magnitude, ops: ops.sort((a, b) => a.qubit - b.qubit) });
+        pos += whole.length;
+    }
+    return terms;
+}
+
+// "Z0Z1", "X0" or "I" for a term's ops
+function formatPauliString(ops) {
+    return ops.length ? ops.map(op => `${op.pauli}${op.qubit}`).join('') : 'I';
+}
+
+// Bit masks for P|i⟩ = phase(i)|i ⊕ flip⟩: phase(i) = i^nY · (-1)^popcount(i & sign)
+function pauliMasks(ops) {
+    let flip = 0, sign = 0, nY = 0;
+    for (const { qubit, pauli } of ops) {
+        if (pauli !== 'Z') flip |= 1 << qubit;
+        if (pauli !== 'X') sign |= 1 << qubit;
+        if (pauli === 'Y') nY++;
+    }
+    return { flip, sign, nY };
+}
+
+function bitParity(x) {
+    let parity = 0;
+    while (x) {
+        parity ^= 1;
+        x &= x - 1;
+    }
+    return parity;
+}
+
+// Single-qubit products P·Q = i^power·R for P ≠ Q
+const PAULI_PRODUCTS = {
+    XY: [1, 'Z'], YZ: [1, 'X'], ZX: [1, 'Y'],
+    YX: [3, 'Z'], ZY: [3, 'X'], XZ: [3, 'Y']
+};
+
+// Product of two Pauli strings as {power, ops}: a·b = i^power · ops
+function multiplyPauliStrings(a, b) {
+    const byQubit = new Map(a.map(op => [op.qubit, op.pauli]));
+    let power = 0;
+    for (const { qubit, pauli } of b) {
+        const left = byQubit.get(qubit);
+        if (!left) {
+            byQubit.set(qubit, pauli);
+        } else if (left === pauli) {
+            byQubit.delete(qubit);
+        } else {
+            const [p, result] = PAULI_PRODUCTS[left + pauli];
+            power += p;
+            byQubit.set(qubit, result);
+        }
+    }
+    const ops = [...byQubit].map(([qubit, pauli]) => ({ qubit, pauli })).sort((x, y) => x.qubit - y.qubit);
+    return { power: power % 4, ops };
+}
+
+// ⟨H⟩ = Σ coeff·⟨P⟩ on a QuantumState or DensityMatrixState
+function hamiltonianExpectation(state, terms) {
+    return terms.reduce((sum, term) => sum + term.coeff * (term.ops.length ? state.expectationPauli(term.ops) : 1), 0);
+}
+
+// Var(H) = ⟨H²⟩ - ⟨H⟩²; anticommuting pairs cancel in H², the rest contribute ±⟨P_a·P_b⟩
+function hamiltonianVariance(state, terms) {
+    let square = 0;
+    for (const a of terms) {
+        for (const b of terms) {
+            const { power, ops } = multiplyPauliStrings(a.ops, b.ops);
+            if (power % 2) continue;
+            square += (power === 2 ? -1 : 1) * a.coeff * b.coeff * (ops.length ? state.expectationPauli(ops) : 1);
+        }
+    }
+    const mean = hamiltonianExpectation(state, terms);
+    return Math.max(0, square - mean * mean);
+}
+
+// Compare two unitaries (2D arrays of Complex) up to global phase: b ≈ e^{iφ}·a with φ = arg Tr(a†b).
+// Returns {equivalent, phase, distance} where distance is the largest |b - e^{iφ}a| entry.
+function compareUnitaries(a, b, tolerance = 1e-8) {
+    if (a.length !== b.length) {
+        return { equivalent: false, phase: 0, distance: Infinity };
+    }
+    let overlap = Complex.create(0);
+    a.forEach((row, i) => row.forEach((value, j) => {
+        overlap = Complex.add(overlap, Complex.mul(Complex.conj(value), b[i][j]));
+    }));
+    const phase = Math.atan2(overlap.im, overlap.re);
+    const rotation = Complex.fromPolar(1, phase);
+    let distance = 0;
+    a.forEach((row, i) => row.forEach((value, j) => {
+        distance = Math.max(distance, Complex.abs(Complex.sub(b[i][j], Complex.mul(rotation, value))));
+    }));
+    return { equivalent: distance <= tolerance, phase, distance };
+}
+
 // Standard gate matrices (2x2 flattened) for generalized application
 const GateMatrices = {
     // Single qubit gates
@@ -79,7 +253,46 @@ function getRotationMatrixStatic(axis, angle) {
     return GateMatrices['I'];
 }
 
-// Build multi-controlled gate matrix (e.g., Toffoli)
+// Angle parameters (radians) of the parameterized gates, in the order Qubi writes them
+const GateAngleParams = {
+    'RX': ['angle'], 'RY': ['angle'], 'RZ': ['angle'], 'P': ['angle'],
+    'U3': ['theta', 'phi', 'lambda'],
+    'CP': ['angle'], 'CRX': ['angle'], 'CRY': ['angle'], 'CRZ': ['angle']
+};
+
+// Controlled parameterized gates → the single-qubit gate applied to the target
+const ControlledGateBase = { 'CP': 'P', 'CRX': 'RX', 'CRY': 'RY', 'CRZ': 'RZ' };
+
+// 2x2 matrix of a parameterized gate (the target part for CP/CRX/CRY/CRZ); a missing angle is π/2
+function getParameterizedGateMatrix(type, params = {}) {
+    const angle = (key) => (params && typeof params[key] === 'number' ? params[key] : Math.PI / 2);
+
+    if (ControlledGateBase[type]) {
+        return getParameterizedGateMatrix(ControlledGateBase[type], params);
+    }
+    if (type === 'RX' || type === 'RY' || type === 'RZ') {
+        return getRotationMatrixStatic(type[1], angle('angle'));
+    }
+    if (type === 'P') {
+        // P(φ) = diag(1, e^(iφ))
+        return [Complex.create(1), Complex.create(0), Complex.create(0), Complex.fromPolar(1, angle('angle'))];
+    }
+    if (type === 'U3') {
+        // U3(θ,φ,λ) = [[cos(θ/2), -e^(iλ)sin(θ/2)], [e^(iφ)sin(θ/2), e^(i(φ+λ))cos(θ/2)]]
+        const theta = angle('theta');
+        const phi = angle('phi');
+        const lambda = angle('lambda');
+        const c = Math.cos(theta / 2);
+        const s = Math.sin(theta / 2);
+        return [
+            Complex.create(c), Complex.fromPolar(-s, lambda),
+            Complex.fromPolar(s, phi), Complex.fromPolar(c, phi + lambda)
+        ];
+    }
+    return GateMatrices['I'];
+}
+
+// Build multi-controlled gate matrix (e.g., Toffoli); baseGate is 'X' | 'Y' | 'Z' or a 2x2 matrix
 function buildMultiControlledMatrix(baseGate, numControls) {
     const totalQubits = numControls + 1;
     const dim = 1 << totalQubits;
@@ -99,7 +312,9 @@ function buildMultiControlledMatrix(baseGate, numControls) {
     
     // Get base 2x2 matrix
     let baseMatrix;
-    if (baseGate === 'X') {
+    if (Array.isArray(baseGate)) {
+        baseMatrix = baseGate;
+    } else if (baseGate === 'X') {
         baseMatrix = GateMatrices['X'];
     } else if (baseGate === 'Y') {
         baseMatrix = GateMatrices['Y'];
@@ -138,6 +353,7 @@ class QuantumState {
         this.amplitudes[0] = Complex.create(1, 0); // Start in |00...0⟩ state
         this.measured = false;
         this.measurementResult = null;
+        this.classical = {}; // Classical register values written by MEASURE q -> c
         this.useOptimizedGates = useOptimizedGates;
     }
     
@@ -162,6 +378,16 @@ class QuantumState {
         this.amplitudes = complexAmps.map(amp => Complex.scale(amp, 1/norm));
     }
 
+    // Independent copy (used for step snapshots)
+    clone() {
+        const copy = new QuantumState(this.numQubits, this.useOptimizedGates);
+        copy.amplitudes = [...this.amplitudes];
+        copy.measured = this.measured;
+        copy.measurementResult = this.measurementResult;
+        copy.classical = { ...this.classical };
+        return copy;
+    }
+
     // ========== GENERALIZED GATE APPLICATION ==========
     // Apply any k-qubit gate using matrix multiplication
     // matrix: flattened 2^k × 2^k matrix (row-major)
@@ -536,6 +762,28 @@ class QuantumState {
         }
     }
 
+    // Apply a 2x2 matrix to the target when every control is |1⟩ (CP, CRX, CRY, CRZ)
+    applyControlledGate(matrix, controls, target) {
+        if (!this.useOptimizedGates) {
+            this.applyGateGeneral(buildMultiControlledMatrix(matrix, controls.length), [target, ...controls]);
+            return;
+        }
+
+        const newAmplitudes = this.amplitudes.map(a => ({ ...a }));
+        const step = 1 << target;
+
+        for (let i = 0; i < this.dimension; i++) {
+            if (i & step) continue;
+            if (!controls.every(c => ((i >> c) & 1) === 1)) continue;
+
+            const a0 = this.amplitudes[i];
+            const a1 = this.amplitudes[i | step];
+            newAmplitudes[i] = Complex.add(Complex.mul(matrix[0], a0), Complex.mul(matrix[1], a1));
+            newAmplitudes[i | step] = Complex.add(Complex.mul(matrix[2], a0), Complex.mul(matrix[3], a1));
+        }
+        this.amplitudes = newAmplitudes;
+    }
+
     // Apply rotation gate with angle
     // Convention: qubit 0 is the rightmost (LSB), qubit n-1 is the leftmost (MSB)
     applyRotationGate(axis, qubitIndex, angle) {
@@ -571,8 +819,8 @@ class QuantumState {
         }
     }
 
-    // Measure a qubit
-    measure(qubitIndex) {
+    // Measure a qubit (random: optional [0, 1) generator for reproducible runs)
+    measure(qubitIndex, random = Math.random) {
         if (qubitIndex < 0 || qubitIndex >= this.numQubits) {
             throw new Error(`Invalid qubit index: ${qubitIndex}`);
         }
@@ -582,7 +830,7 @@ class QuantumState {
         const prob1 = this.getProbability(qubitIndex, 1);
 
         // Collapse state based on measurement
-        const result = Math.random() < prob0 ? 0 : 1;
+        const result = random() < prob0 ? 0 : 1;
         this.collapseState(qubitIndex, result);
 
         return result;
@@ -622,6 +870,20 @@ class QuantumState {
         return probs;
     }
 
+    // ⟨ψ|P|ψ⟩ for a Pauli string (real for Hermitian P)
+    expectationPauli(ops) {
+        const { flip, sign, nY } = pauliMasks(ops);
+        let re = 0, im = 0;
+        for (let i = 0; i < this.dimension; i++) {
+            const term = Complex.mul(Complex.conj(this.amplitudes[i ^ flip]), this.amplitudes[i]);
+            const s = bitParity(i & sign) ? -1 : 1;
+            re += s * term.re;
+            im += s * term.im;
+        }
+        // Multiply by i^nY and keep the real part
+        return [re, -im, -re, im][nY % 4];
+    }
+
     // Get state vector representation
     getStateVectorString() {
         let result = '';
@@ -757,8 +1019,320 @@ class QuantumState {
     }
 }
 
+// ========== NOISE CHANNELS ==========
+// Single-qubit Kraus operators (2x2 flattened, row-major); p is the channel strength in [0, 1]
+const NoiseChannels = {
+    labels: {
+        depolarizing: 'Depolarizing',
+        amplitudeDamping: 'Amplitude damping',
+        phaseDamping: 'Phase damping',
+        bitFlip: 'Bit flip',
+        phaseFlip: 'Phase flip'
+    },
+
+    // ρ → (1 - p)ρ + p·I/2
+    depolarizing: (p) => {
+        const a = Math.sqrt(1 - 3 * p / 4);
+        const b = Math.sqrt(p / 4);
+        return [
+            GateMatrices['I'].map(c => Complex.scale(c, a)),
+            GateMatrices['X'].map(c => Complex.scale(c, b)),
+            GateMatrices['Y'].map(c => Complex.scale(c, b)),
+            GateMatrices['Z'].map(c => Complex.scale(c, b))
+        ];
+    },
+
+    // Energy relaxation |1⟩ → |0⟩ with probability γ
+    amplitudeDamping: (gamma) => [
+        [Complex.create(1), Complex.create(0), Complex.create(0), Complex.create(Math.sqrt(1 - gamma))],
+        [Complex.create(0), Complex.create(Math.sqrt(gamma)), Complex.create(0), Complex.create(0)]
+    ],
+
+    // Loss of coherence without energy exchange
+    phaseDamping: (lambda) => [
+        [Complex.create(1), Complex.create(0), Complex.create(0), Complex.create(Math.sqrt(1 - lambda))],
+        [Complex.create(0), Complex.create(0), Complex.create(0), Complex.create(Math.sqrt(lambda))]
+    ],
+
+    bitFlip: (p) => [
+        GateMatrices['I'].map(c => Complex.scale(c, Math.sqrt(1 - p))),
+        GateMatrices['X'].map(c => Complex.scale(c, Math.sqrt(p)))
+    ],
+
+    phaseFlip: (p) => [
+        GateMatrices['I'].map(c => Complex.scale(c, Math.sqrt(1 - p))),
+        GateMatrices['Z'].map(c => Complex.scale(c, Math.sqrt(p)))
+    ],
+
+    // Kraus set for a {type, p} channel description, or null if unknown/zero strength
+    krausOperators(channel) {
+        if (!channel || !Object.prototype.hasOwnProperty.call(this.labels, channel.type)) return null;
+        const p = Math.min(1, Math.max(0, Number(channel.p) || 0));
+        if (p === 0) return null;
+        return this[channel.type](p);
+    }
+};
+
+// Mixed-state simulator with the same gate API as QuantumState.
+// ρ is stored vectorized inside a 2n-qubit QuantumState: row index in the high n bits,
+// column index in the low n bits, so U ρ U† is U on qubit q + n and U* on qubit q.
+class DensityMatrixState {
+    static MAX_QUBITS = 8;
+
+    constructor(numQubits = 1, useOptimizedGates = true) {
+        this.numQubits = numQubits;
+        this.dimension = Math.pow(2, numQubits);
+        this.isDensityMatrix = true;
+        this.useOptimizedGates = useOptimizedGates;
+        this.rho = new QuantumState(2 * numQubits, useOptimizedGates); // |0...0⟩⟨0...0|
+        this.measured = false;
+        this.measurementResult = null;
+        this.classical = {};
+    }
+
+    setOptimization(enabled) {
+        this.useOptimizedGates = enabled;
+        this.rho.setOptimization(enabled);
+    }
+
+    clone() {
+        const copy = new DensityMatrixState(this.numQubits, this.useOptimizedGates);
+        copy.rho.amplitudes = [...this.rho.amplitudes];
+        copy.measured = this.measured;
+        copy.measurementResult = this.measurementResult;
+        copy.classical = { ...this.classical };
+        return copy;
+    }
+
+    // ρ[row][col] as a Complex
+    getElement(row, col) {
+        return this.rho.amplitudes[row * this.dimension + col];
+    }
+
+    // Full density matrix as a 2D array of Complex
+    getDensityMatrix() {
+        const matrix = [];
+        for (let i = 0; i < this.dimension; i++) {
+            const row = [];
+            for (let j = 0; j < this.dimension; j++) {
+                row.push({ ...this.getElement(i, j) });
+            }
+            matrix.push(row);
+        }
+        return matrix;
+    }
+
+    // Load a pure state |ψ⟩⟨ψ| from amplitudes
+    setState(amplitudes) {
+        const pure = new QuantumState(this.numQubits, this.useOptimizedGates);
+        pure.setState(amplitudes);
+        for (let i = 0; i < this.dimension; i++) {
+            for (let j = 0; j < this.dimension; j++) {
+                this.rho.amplitudes[i * this.dimension + j] = Complex.mul(pure.amplitudes[i], Complex.conj(pure.amplitudes[j]));
+            }
+        }
+    }
+
+    applyGateGeneral(matrix, qubitIndices) {
+        this.rho.applyGateGeneral(matrix, qubitIndices.map(q => q + this.numQubits));
+        this.rho.applyGateGeneral(matrix.map(Complex.conj), qubitIndices);
+    }
+
+    applyGate(gate, qubitIndex) {
+        if (qubitIndex < 0 || qubitIndex >= this.numQubits) {
+            throw new Error(`Invalid qubit index: ${qubitIndex}`);
+        }
+        this.applyGateGeneral(this.getGateMatrix(gate), [qubitIndex]);
+    }
+
+    applyTwoQubitGate(gate, controlQubit, targetQubit) {
+        if (controlQubit === targetQubit) {
+            throw new Error('Control and target qubits must be different');
+        }
+        const n = this.numQubits;
+        if (gate === 'CY') {
+            // Complex matrix: the column side needs the conjugate
+            this.applyGateGeneral(GateMatrices['CY'], [targetQubit, controlQubit]);
+        } else {
+            // CX, CZ and SWAP are real, so the same permutation/phase acts on both sides
+            this.rho.applyTwoQubitGate(gate, controlQubit + n, targetQubit + n);
+            this.rho.applyTwoQubitGate(gate, controlQubit, targetQubit);
+        }
+    }
+
+    applyMultiControlledZ(controls = [], target = null) {
+        const n = this.numQubits;
+        const hasTarget = target !== null && target !== undefined;
+        this.rho.applyMultiControlledZ(controls.map(q => q + n), hasTarget ? target + n : null);
+        this.rho.applyMultiControlledZ(controls, hasTarget ? target : null);
+    }
+
+    applyMultiControlledX(controls, target) {
+        const n = this.numQubits;
+        this.rho.applyMultiControlledX(controls.map(q => q + n), target + n);
+        this.rho.applyMultiControlledX(controls, target);
+    }
+
+    applyMultiControlledY(controls, target) {
+        this.applyGateGeneral(buildMultiControlledMatrix('Y', controls.length), [target, ...controls]);
+    }
+
+    applyControlledGate(matrix, controls, target) {
+        this.applyGateGeneral(buildMultiControlledMatrix(matrix, controls.length), [target, ...controls]);
+    }
+
+    applyRotationGate(axis, qubitIndex, angle) {
+        this.applyGateGeneral(this.getRotationMatrix(axis, angle), [qubitIndex]);
+    }
+
+    // ρ → Σ K ρ K† for single-qubit Kraus operators on one qubit
+    applyKraus(operators, qubitIndex) {
+        const original = this.rho.amplitudes;
+        const sum = new Array(original.length).fill(null).map(() => Complex.create(0, 0));
+        for (const k of operators) {
+            this.rho.amplitudes = original;
+            this.applyGateGeneral(k, [qubitIndex]);
+            for (let i = 0; i < sum.length; i++) {
+                sum[i] = Complex.add(sum[i], this.rho.amplitudes[i]);
+            }
+        }
+        this.rho.amplitudes = sum;
+    }
+
+    // channel: {type, p} (see NoiseChannels)
+    applyNoiseChannel(channel, qubitIndex) {
+        const operators = NoiseChannels.krausOperators(channel);
+        if (operators) this.applyKraus(operators, qubitIndex);
+    }
+
+    measure(qubitIndex, random = Math.random) {
+        if (qubitIndex < 0 || qubitIndex >= this.numQubits) {
+            throw new Error(`Invalid qubit index: ${qubitIndex}`);
+        }
+        const prob0 = this.getProbability(qubitIndex, 0);
+        const result = random() < prob0 ? 0 : 1;
+        this.collapseState(qubitIndex, result);
+        return result;
+    }
+
+    measureAll() {
+        const results = [];
+        for (let i = 0; i < this.numQubits; i++) {
+            results.push(this.measure(i));
+        }
+        this.measured = true;
+        this.measurementResult = results;
+        return results;
+    }
+
+    getProbability(qubitIndex, value) {
+        let prob = 0;
+        for (let i = 0; i < this.dimension; i++) {
+            if (((i >> qubitIndex) & 1) === value) {
+                prob += this.getElement(i, i).re;
+            }
+        }
+        return Math.max(0, prob);
+    }
+
+    getAllProbabilities() {
+        const probs = {};
+        for (let i = 0; i < this.dimension; i++) {
+            const binary = i.toString(2).padStart(this.numQubits, '0');
+            probs[binary] = Math.max(0, this.getElement(i, i).re);
+        }
+        return probs;
+    }
+
+    // Tr(ρP) = Σ_i ρ[i][i ⊕ flip]·phase(i) for a Pauli string
+    expectationPauli(ops) {
+        const { flip, sign, nY } = pauliMasks(ops);
+        let re = 0, im = 0;
+        for (let i = 0; i < this.dimension; i++) {
+            const element = this.getElement(i, i ^ flip);
+            const s = bitParity(i & sign) ? -1 : 1;
+            re += s * element.re;
+            im += s * element.im;
+        }
+        return [re, -im, -re, im][nY % 4];
+    }
+
+    // Tr(ρ²): 1 for pure states, 1/2^n for the maximally mixed state
+    getPurity() {
+        return this.rho.amplitudes.reduce((sum, c) => sum + Complex.abs2(c), 0);
+    }
+
+    // Diagonal populations, e.g. "0.9000|00⟩⟨00| + 0.1000|11⟩⟨11|"
+    getStateVectorString() {
+        const terms = [];
+        for (let i = 0; i < this.dimension; i++) {
+            const p = this.getElement(i, i).re;
+            if (p > 1e-6) {
+                const binary = i.toString(2).padStart(this.numQubits, '0');
+                terms.push(`${p.toFixed(4)}|${binary}⟩⟨${binary}|`);
+            }
+        }
+        return terms.join(' + ') || '0';
+    }
+
+    getGateMatrix(gate) {
+        return this.rho.getGateMatrix(gate);
+    }
+
+    getRotationMatrix(axis, angle) {
+        return this.rho.getRotationMatrix(axis, angle);
+    }
+
+    // Project onto the measured outcome and renormalize by the trace
+    collapseState(qubitIndex, result) {
+        let trace = 0;
+        for (let i = 0; i < this.dimension; i++) {
+            for (let j = 0; j < this.dimension; j++) {
+                if (((i >> qubitIndex) & 1) !== result || ((j >> qubitIndex) & 1) !== result) {
+                    this.rho.amplitudes[i * this.dimension + j] = Complex.create(0, 0);
+                }
+            }
+            trace += this.getElement(i, i).re;
+        }
+        if (trace > 1e-10) {
+            this.rho.amplitudes = this.rho.amplitudes.map(c => Complex.scale(c, 1 / trace));
+        }
+    }
+
+    // Single-qubit reduced density matrix [ρ00, ρ01, ρ10, ρ11]
+    getReducedDensityMatrix(qubitIndex) {
+        const reduced = [Complex.create(0), Complex.create(0), Complex.create(0), Complex.create(0)];
+        const bit = 1 << qubitIndex;
+        for (let i = 0; i < this.dimension; i++) {
+            if (i & bit) continue;
+            for (let a = 0; a < 2; a++) {
+                for (let b = 0; b < 2; b++) {
+                    const el = this.getElement(i | (a ? bit : 0), i | (b ? bit : 0));
+                    reduced[a * 2 + b] = Complex.add(reduced[a * 2 + b], el);
+                }
+            }
+        }
+        return reduced;
+    }
+
+    // Unnormalized Bloch vector: mixed states lie inside the sphere
+    getBlochCoordinates(qubitIndex) {
+        const [rho00, rho01, , rho11] = this.getReducedDensityMatrix(qubitIndex);
+        return {
+            x: 2 * rho01.re,
+            y: -2 * rho01.im,
+            z: rho00.re - rho11.re
+        };
+    }
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { QuantumState };
+    module.exports = {
+        QuantumState, DensityMatrixState, NoiseChannels,
+        createSeededRandom, sampleCounts, totalVariationDistance,
+        parsePauliHamiltonian, formatPauliString, hamiltonianExpectation, hamiltonianVariance,
+        compareUnitaries
+    };
 }
 
@@ -0,0 +1,210 @@
+/**
+ * Outline panel under the Qubi editor: the active tab's imports, #define / #gate definitions and REPEAT blocks,
+ * the uses of a custom gate across all tabs (Shift+F12), and an inline rename form (F2).
+ */
+
+class QubiOutlineUI {
+    static KIND_LABELS = { import: '#import', define: '#define', gate: '#gate', repeat: 'loop' };
+
+    // getWorkspace() -> QubiWorkspace of all tabs; getActiveFileName() -> name of the tab in the editor;
+    // openLocation(fileName, line, start, end) reveals a range; applyEdits(Map fileName -> code) writes a rename back
+    constructor(containerId, { getWorkspace, getActiveFileName, openLocation, applyEdits }) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.error(`Outline container '${containerId}' not found`);
+            return;
+        }
+
+        this.getWorkspace = getWorkspace;
+        this.getActiveFileName = getActiveFileName;
+        this.openLocation = openLocation;
+        this.applyEdits = applyEdits;
+        this.references = null; // {name, file, list} shown under the outline
+        this.renaming = null; // {name, file} while the rename form is open
+        this.collapsed = localStorage.getItem('qubiOutlineCollapsed') === 'true';
+
+        this.buildUI();
+    }
+
+    buildUI() {
+        this.container.innerHTML = `
+            <button type="button" class="qubi-outline-header" aria-expanded="${!this.collapsed}">
+                <span class="qubi-outline-caret">▾</span> Outline
+            </button>
+            <div class="qubi-outline-body">
+                <ul class="qubi-outline-list"></ul>
+                <div class="qubi-outline-rename"></div>
+                <div class="qubi-outline-refs"></div>
+            </div>
+        `;
+
+        this.headerEl = this.container.querySelector('.qubi-outline-header');
+        this.listEl = this.container.querySelector('.qubi-outline-list');
+        this.renameEl = this.container.querySelector('.qubi-outline-rename');
+        this.refsEl = this.container.querySelector('.qubi-outline-refs');
+        this.container.classList.toggle('collapsed', this.collapsed);
+
+        this.headerEl.addEventListener('click', () => {
+            this.collapsed = !this.collapsed;
+            localStorage.setItem('qubiOutlineCollapsed', String(this.collapsed));
+            this.container.classList.toggle('collapsed', this.collapsed);
+            this.headerEl.setAttribute('aria-expanded', String(!this.collapsed));
+        });
+    }
+
+    // Re-read the active tab; called after edits and tab switches
+    refresh() {
+        if (!this.container) return;
+        const fileName = this.getActiveFileName();
+        const scan = this.getWorkspace().getScan(fileName);
+        const items = scan ? scan.outline : [];
+
+        this.listEl.innerHTML = '';
+        if (items.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'qubi-outline-empty';
+            empty.textContent = 'No imports, definitions or REPEAT blocks';
+            this.listEl.appendChild(empty);
+        }
+        for (const item of items) {
+            const row = document.createElement('li');
+            row.className = `qubi-outline-item kind-${item.kind}`;
+            row.style.paddingLeft = `${0.5 + item.depth}rem`;
+            row.title = item.endLine > item.line ? `Lines ${item.line + 1}–${item.endLine + 1}` : `Line ${item.line + 1}`;
+
+            const kind = document.createElement('span');
+            kind.className = 'qubi-outline-kind';
+            kind.textContent = QubiOutlineUI.KIND_LABELS[item.kind];
+            const label = document.createElement('span');
+            label.className = 'qubi-outline-label';
+            label.textContent = item.label;
+            const line = document.createElement('span');
+            line.className = 'qubi-outline-line';
+            line.textContent = item.line + 1;
+
+            row.append(kind, label, line);
+            row.addEventListener('click', () => {
+                // An import opens the imported tab; everything else jumps within this one
+                if (item.kind === 'import' && this.getWorkspace().getFile(item.label)) {
+                    this.openLocation(item.label, 0, 0, 0);
+                } else {
+                    this.openLocation(fileName, item.line, item.start, item.end);
+                }
+            });
+            this.listEl.appendChild(row);
+        }
+
+        if (this.references) this.showReferences(this.references.file, this.references.name);
+    }
+
+    showReferences(fileName, name) {
+        const found = this.getWorkspace().findReferences(fileName, name);
+        this.references = found ? { file: fileName, name } : null;
+        this.refsEl.innerHTML = '';
+        if (!found) return;
+        this.expand();
+
+        const title = document.createElement('div');
+        title.className = 'qubi-outline-subtitle';
+        title.textContent = `Uses of ${name} (${found.references.length - 1})`;
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'qubi-outline-close';
+        close.title = 'Clear';
+        close.textContent = '×';
+        close.addEventListener('click', () => this.clearReferences());
+        title.appendChild(close);
+        this.refsEl.appendChild(title);
+
+        const workspace = this.getWorkspace();
+        const list = document.createElement('ul');
+        list.className = 'qubi-outline-list';
+        for (const ref of found.references) {
+            const row = document.createElement('li');
+            row.className = 'qubi-outline-item' + (ref.isDefinition ? ' is-definition' : '');
+            const where = document.createElement('span');
+            where.className = 'qubi-outline-kind';
+            where.textContent = `${ref.file}:${ref.line + 1}`;
+            const text = document.createElement('span');
+            text.className = 'qubi-outline-label';
+            text.textContent = workspace.getFile(ref.file).code.split('\n')[ref.line].trim();
+            row.append(where, text);
+            row.addEventListener('click', () => this.openLocation(ref.file, ref.line, ref.start, ref.end));
+            list.appendChild(row);
+        }
+        this.refsEl.appendChild(list);
+    }
+
+    clearReferences() {
+        this.references = null;
+        this.refsEl.innerHTML = '';
+    }
+
+    startRename(fileName, name) {
+        const workspace = this.getWorkspace();
+        const found = workspace.findReferences(fileName, name);
+        if (!found) return;
+        this.renaming = { file: fileName, name };
+        this.expand();
+
+        const files = new Set(found.references.map(ref => ref.file));
+        this.renameEl.innerHTML = `
+            <div class="qubi-outline-subtitle">Rename ${found.definition.kind === 'define' ? '#define' : '#gate'} ${name}</div>
+            <div class="qubi-outline-rename-row">
+                <input type="text" class="qubi-outline-rename-input" spellcheck="false" autocomplete="off" aria-label="New gate name">
+                <button type="button" class="btn btn-small btn-primary qubi-outline-rename-apply">Rename</button>
+            </div>
+            <div class="qubi-outline-hint">${found.references.length} place${found.references.length === 1 ? '' : 's'} in ${files.size} file${files.size === 1 ? '' : 's'}</div>
+            <div class="qubi-outline-error"></div>
+        `;
+        const input = this.renameEl.querySelector('input');
+        const errorEl = this.renameEl.querySelector('.qubi-outline-error');
+        input.value = name;
+
+        const commit = () => {
+            let edits;
+            try {
+                edits = this.getWorkspace().rename(fileName, name, input.value);
+            } catch (e) {
+                errorEl.textContent = e.message;
+                return;
+            }
+            this.cancelRename();
+            if (edits.size > 0) this.applyEdits(edits);
+            if (this.references && this.references.name === name) {
+                this.showReferences(fileName, input.value.trim());
+            }
+        };
+
+        this.renameEl.querySelector('.qubi-outline-rename-apply').addEventListener('click', commit);
+        input.addEventListener('input', () => { errorEl.textContent = ''; });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                commit();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.cancelRename();
+            }
+        });
+        input.focus();
+        input.select();
+    }
+
+    cancelRename() {
+        this.renaming = null;
+        this.renameEl.innerHTML = '';
+    }
+
+    expand() {
+        if (!this.collapsed) return;
+        this.collapsed = false;
+        this.container.classList.remove('collapsed');
+        this.headerEl.setAttribute('aria-expanded', 'true');
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QubiOutlineUI };
+}
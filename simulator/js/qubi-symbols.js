@@ -0,0 +1,231 @@
+/**
+ * Qubi symbol index over the open file tabs: where #define and #gate names are defined and called,
+ * workspace-wide rename, and a per-file outline. #import resolves file names like the preprocessor does.
+ */
+
+// Names no custom gate may take
+const QUBI_BUILTIN_GATE_NAMES = new Set([
+    ...QUBI_BUILTIN_MATRIX_GATES,
+    ...Object.keys(GateAngleParams),
+    ...QUBI_RESERVED_GATE_NAMES,
+    'QREG', 'ALIAS'
+]);
+
+class QubiWorkspace {
+    // files: [{name, code}] — the open tabs
+    constructor(files) {
+        this.files = (files || []).map(f => ({ name: String(f.name || ''), code: String(f.code || '') }));
+        this.scans = new Map(); // lower-case file name -> scan()
+    }
+
+    /**
+     * One pass over a file's code (comments ignored). Positions are {line, start, end} with end exclusive.
+     * @param {string} code
+     * @returns {{
+     *   definitions: Map<string, {name: string, kind: 'define' | 'gate', line: number, start: number, end: number, endLine: number}>,
+     *   calls: Array<{name: string, line: number, start: number, end: number}>,
+     *   imports: Array<{file: string, line: number, start: number, end: number}>,
+     *   outline: Array<{kind: 'import' | 'define' | 'gate' | 'repeat', label: string, line: number, start: number, end: number, endLine: number, depth: number}>
+     * }}
+     */
+    static scan(code) {
+        const stripped = globalThis.QubiLex ? globalThis.QubiLex.lexStripComments(String(code || '')) : String(code || '');
+        const lines = stripped.split('\n');
+        const definitions = new Map();
+        const calls = [];
+        const imports = [];
+        const outline = [];
+        const blocks = []; // open #gate / REPEAT / IF entries, closed by #endgate / END
+
+        const closeBlock = (line, kinds) => {
+            for (let k = blocks.length - 1; k >= 0; k--) {
+                if (!kinds.includes(blocks[k].kind)) continue;
+                const [block] = blocks.splice(k, 1);
+                if (block.item) block.item.endLine = line;
+                if (block.definition) block.definition.endLine = line;
+                return;
+            }
+        };
+        const depth = () => blocks.filter(b => b.kind !== 'if').length;
+
+        lines.forEach((text, line) => {
+            const trimmed = text.trim();
+            if (!trimmed) return;
+
+            const importMatch = text.match(/^(\s*#(?:import|include)\s+)([A-Za-z0-9._-]+)\s*$/i);
+            if (importMatch) {
+                const start = importMatch[1].length;
+                imports.push({ file: importMatch[2], line, start, end: start + importMatch[2].length });
+                outline.push({ kind: 'import', label: importMatch[2], line, start, end: start + importMatch[2].length, endLine: line, depth: depth() });
+                return;
+            }
+            const defineMatch = text.match(/^(\s*#define\s+)([A-Za-z]{1,4})\b/i);
+            const gateMatch = text.match(/^(\s*#gate\s+)([A-Za-z_]\w*)/i);
+            if (defineMatch || gateMatch) {
+                const m = defineMatch || gateMatch;
+                const kind = defineMatch ? 'define' : 'gate';
+                const name = defineMatch ? m[2].toUpperCase() : m[2];
+                const start = m[1].length;
+                const definition = { name, kind, line, start, end: start + m[2].length, endLine: line };
+                if (!definitions.has(name)) definitions.set(name, definition);
+                const item = { kind, label: name, line, start, end: definition.end, endLine: line, depth: depth() };
+                outline.push(item);
+                if (kind === 'gate') blocks.push({ kind: 'gate', item, definition });
+                return;
+            }
+            if (/^#endgate\b/i.test(trimmed)) {
+                closeBlock(line, ['gate']);
+                return;
+            }
+            if (trimmed.startsWith('#')) return;
+
+            const repeatMatch = trimmed.match(/^REPEAT\s+(\d+)$/);
+            if (repeatMatch) {
+                const start = text.indexOf('REPEAT');
+                const item = { kind: 'repeat', label: `REPEAT ${repeatMatch[1]}`, line, start, end: start + 6, endLine: line, depth: depth() };
+                outline.push(item);
+                blocks.push({ kind: 'repeat', item });
+                return;
+            }
+            if (/^IF\b/.test(trimmed)) {
+                blocks.push({ kind: 'if' });
+                return;
+            }
+            if (trimmed === 'END') {
+                closeBlock(line, ['repeat', 'if']);
+                return;
+            }
+            if (/^(REPEAT|CREG|PARAM|QREG|ALIAS)\b/.test(trimmed)) return;
+
+            const callMatch = text.match(/^(\s*)([A-Za-z][A-Za-z0-9]*)/);
+            if (callMatch) {
+                const start = callMatch[1].length;
+                calls.push({ name: callMatch[2], line, start, end: start + callMatch[2].length });
+            }
+        });
+
+        return { definitions, calls, imports, outline };
+    }
+
+    getFile(name) {
+        const want = String(name || '').trim().toLowerCase();
+        return this.files.find(f => f.name.toLowerCase() === want) || null;
+    }
+
+    getScan(fileName) {
+        const file = this.getFile(fileName);
+        if (!file) return null;
+        const key = file.name.toLowerCase();
+        if (!this.scans.has(key)) this.scans.set(key, QubiWorkspace.scan(file.code));
+        return this.scans.get(key);
+    }
+
+    // The file and everything it #imports (transitively), in the order the preprocessor expands them
+    importClosure(fileName) {
+        const order = [];
+        const visit = (name) => {
+            const file = this.getFile(name);
+            if (!file || order.includes(file)) return;
+            order.push(file);
+            for (const imp of this.getScan(file.name).imports) visit(imp.file);
+        };
+        visit(fileName);
+        return order;
+    }
+
+    /**
+     * Where a custom gate used in fileName is defined: the file's own #define / #gate, else the first imported one.
+     * @returns {{file: string, name: string, kind: 'define' | 'gate', line: number, start: number, end: number} | null}
+     */
+    findDefinition(fileName, name) {
+        for (const file of this.importClosure(fileName)) {
+            const definition = this.getScan(file.name).definitions.get(name);
+            if (definition) return { file: file.name, ...definition };
+        }
+        return null;
+    }
+
+    /**
+     * Every occurrence of the gate that `name` means in fileName, across all tabs that resolve it to the same definition.
+     * @returns {{definition: object, references: Array<{file: string, line: number, start: number, end: number, isDefinition: boolean}>} | null}
+     */
+    findReferences(fileName, name) {
+        const definition = this.findDefinition(fileName, name);
+        if (!definition) return null;
+        const references = [{
+            file: definition.file, line: definition.line, start: definition.start, end: definition.end, isDefinition: true
+        }];
+        for (const file of this.files) {
+            const resolved = this.findDefinition(file.name, name);
+            if (!resolved || resolved.file !== definition.file || resolved.line !== definition.line) continue;
+            for (const call of this.getScan(file.name).calls) {
+                if (call.name === name) references.push({ file: file.name, line: call.line, start: call.start, end: call.end, isDefinition: false });
+            }
+        }
+        return { definition, references };
+    }
+
+    /**
+     * Rename a custom gate everywhere it resolves to the same definition.
+     * Throws when the new name is invalid or already visible from a file that sees the definition.
+     * @returns {Map<string, string>} file name -> new code, only for files that change
+     */
+    rename(fileName, name, newName) {
+        const found = this.findReferences(fileName, name);
+        if (!found) throw new Error(`"${name}" is not a #define or #gate name`);
+        const { definition, references } = found;
+        const target = String(newName || '').trim();
+
+        if (target === name) return new Map();
+        if (definition.kind === 'define' && !/^[A-Z]{1,4}$/.test(target)) {
+            throw new Error(`Invalid gate name "${target}": #define names are 1–4 uppercase letters (A–Z)`);
+        }
+        if (definition.kind === 'gate' && !/^[A-Z][A-Z0-9]*$/.test(target)) {
+            throw new Error(`Invalid gate name "${target}": #gate names are uppercase letters and digits, starting with a letter`);
+        }
+        if (QUBI_BUILTIN_GATE_NAMES.has(target)) {
+            throw new Error(`"${target}" is a built-in gate or keyword`);
+        }
+        for (const file of this.files) {
+            if (!this.importClosure(file.name).some(f => f.name === definition.file)) continue;
+            const clash = this.findDefinition(file.name, target);
+            if (clash) throw new Error(`"${target}" is already defined in ${clash.file} (line ${clash.line + 1})`);
+        }
+
+        const edits = new Map();
+        for (const file of this.files) {
+            const hits = references.filter(r => r.file === file.name);
+            if (hits.length === 0) continue;
+            const lines = file.code.split('\n');
+            // Right to left so earlier offsets on a line stay valid
+            for (const hit of [...hits].sort((a, b) => b.line - a.line || b.start - a.start)) {
+                const text = lines[hit.line];
+                lines[hit.line] = text.slice(0, hit.start) + target + text.slice(hit.end);
+            }
+            edits.set(file.name, lines.join('\n'));
+        }
+        return edits;
+    }
+
+    /**
+     * The custom-gate name under a caret offset, when it sits on a definition or a call.
+     * @returns {{name: string, line: number, start: number, end: number} | null}
+     */
+    static symbolAt(code, offset) {
+        const text = String(code || '');
+        const before = text.slice(0, offset);
+        const line = before.split('\n').length - 1;
+        const column = offset - (before.lastIndexOf('\n') + 1);
+        const { definitions, calls } = QubiWorkspace.scan(text);
+        const hit = (p) => p.line === line && column >= p.start && column <= p.end;
+        const definition = [...definitions.values()].find(hit);
+        if (definition) return { name: definition.name, line, start: definition.start, end: definition.end };
+        const call = calls.find(hit);
+        return call ? { name: call.name, line, start: call.start, end: call.end } : null;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QubiWorkspace, QUBI_BUILTIN_GATE_NAMES };
+}
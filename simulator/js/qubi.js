@@ -181,8 +181,80 @@ function parseQubiRotationAngle(spec) {
     return NaN;
 }
 
+/**
+ * Parse an angle that may reference a PARAM: a literal (see parseQubiRotationAngle) or
+ * [-][k*]name[/d] with plain numbers k and d, e.g. theta, -theta, 2*theta, theta/2.
+ * @param {string} spec
+ * @param {Map<string, number> | null} parameters PARAM name → value (radians)
+ * @returns {{ value: number, ref: {name: string, scale: number} | null }} value NaN if invalid
+ */
+function parseQubiAngle(spec, parameters = null) {
+    const s = String(spec).trim();
+    const literal = parseQubiRotationAngle(s);
+    if (!isNaN(literal)) return { value: literal, ref: null };
+    const m = s.match(/^(-)?\s*(?:(\d+\.?\d*|\.\d+)\s*\*\s*)?([A-Za-z_]\w*)(?:\s*\/\s*(\d+\.?\d*|\.\d+))?$/);
+    if (!m || !parameters || !parameters.has(m[3])) return { value: NaN, ref: null };
+    const factor = m[2] !== undefined ? parseFloat(m[2]) : 1;
+    const divisor = m[4] !== undefined ? parseFloat(m[4]) : 1;
+    if (!(divisor > 0)) return { value: NaN, ref: null };
+    const scale = (m[1] ? -1 : 1) * factor / divisor;
+    return { value: scale * parameters.get(m[3]), ref: { name: m[3], scale } };
+}
+
+/**
+ * Parse the angle list of a parameterized gate into gate params ({angle} or {theta, phi, lambda}),
+ * adding params.paramRefs for angles bound to a PARAM. A single omitted angle is π/2.
+ * @param {string | undefined} raw text after the qubits
+ * @param {string[]} keys GateAngleParams entry
+ * @param {Map<string, number> | null} parameters
+ * @returns {object | null} null when the count or an angle is invalid
+ */
+function qubiParseAngleArgs(raw, keys, parameters = null) {
+    const text = raw == null ? '' : String(raw).trim().replace(/\s*([*/])\s*/g, '$1');
+    if (!text) return keys.length === 1 ? { [keys[0]]: Math.PI / 2 } : null;
+    const parts = text.match(/\S+(?:\s+(?:deg(?:rees)?|rad(?:ians)?)\b)?/gi) || [];
+    if (parts.length !== keys.length) return null;
+    const params = {};
+    const refs = {};
+    for (let i = 0; i < keys.length; i++) {
+        const { value, ref } = parseQubiAngle(parts[i], parameters);
+        if (isNaN(value)) return null;
+        params[keys[i]] = value;
+        if (ref) refs[keys[i]] = ref;
+    }
+    if (Object.keys(refs).length) params.paramRefs = refs;
+    return params;
+}
+
+/**
+ * Qubi text for a gate angle: the PARAM expression when bound, otherwise a multiple of π.
+ * @param {number} value radians
+ * @param {{name: string, scale: number} | null} ref
+ */
+function formatQubiAngle(value, ref = null) {
+    if (!ref) return String(parseFloat((value / Math.PI).toFixed(4)));
+    const sign = ref.scale < 0 ? '-' : '';
+    const magnitude = Math.abs(ref.scale);
+    if (Math.abs(magnitude - 1) < 1e-12) return `${sign}${ref.name}`;
+    const divisor = 1 / magnitude;
+    if (Math.abs(divisor - Math.round(divisor)) < 1e-9) return `${sign}${ref.name}/${Math.round(divisor)}`;
+    return `${sign}${parseFloat(magnitude.toFixed(6))}*${ref.name}`;
+}
+
+/** Copy of gate params with its own paramRefs, so circuit gates never share bindings. */
+function qubiCloneAngleParams(params) {
+    const copy = { ...params };
+    if (params.paramRefs) {
+        copy.paramRefs = Object.fromEntries(
+            Object.entries(params.paramRefs).map(([key, ref]) => [key, { ...ref }])
+        );
+    }
+    return copy;
+}
+
 if (typeof globalThis !== 'undefined') {
     globalThis.parseQubiRotationAngle = parseQubiRotationAngle;
+    globalThis.parseQubiAngle = parseQubiAngle;
 }
 
 /** @returns {{ span: string, next: number } | null} */
@@ -235,6 +307,127 @@ function qubiParseParenBracketSegments(inner) {
 
 const QUBI_MULTI_PAREN_FORBIDDEN = new Set(['CX', 'CY', 'CZ', 'SWAP']);
 
+// Classical registers are stored as plain integers, so keep them well inside 32 bits
+const QUBI_MAX_CREG_SIZE = 30;
+
+/** @param {{register:string, bit:number|null, value:number}} condition */
+function formatQubiCondition(condition) {
+    const target = condition.bit !== null && condition.bit !== undefined
+        ? `${condition.register}[${condition.bit}]`
+        : condition.register;
+    return `${target} == ${condition.value}`;
+}
+
+// Names a composite gate (#gate) cannot take, on top of the built-in and #define gates
+const QUBI_RESERVED_GATE_NAMES = new Set(['REPEAT', 'END', 'IF', 'CREG', 'PARAM', 'ASSERT', 'MEASURE', 'SWAP', 'CX', 'CY', 'CZ']);
+
+// Gates with a built-in matrix, captured before any #define adds its own to GateMatrices
+const QUBI_BUILTIN_MATRIX_GATES = new Set(Object.keys(GateMatrices));
+
+// ASSERT STATE targets as Bloch vectors [x, y, z]
+const QUBI_ASSERT_STATES = {
+    '0': [0, 0, 1], '1': [0, 0, -1],
+    '+': [1, 0, 0], '-': [-1, 0, 0],
+    'i': [0, 1, 0], '+i': [0, 1, 0], '-i': [0, -1, 0]
+};
+
+// Tolerance of an ASSERT without ± (exact simulation, so only rounding error is allowed)
+const QUBI_ASSERT_TOLERANCE = 1e-6;
+
+// ASSERT ENTANGLED checks every split of the listed qubits, so keep the list short
+const QUBI_ASSERT_MAX_ENTANGLED = 6;
+
+/**
+ * Actual angle of a composite gate call: a literal (kept in units of π) or a PARAM reference [-][k*]name[/d].
+ * @param {string} spec
+ * @returns {{ pi: number } | { ref: {name: string, scale: number} } | null}
+ */
+function qubiGateAngleBinding(spec) {
+    const s = String(spec).trim().replace(/\s*([*/])\s*/g, '$1');
+    const literal = parseQubiRotationAngle(s);
+    if (!isNaN(literal)) return { pi: literal / Math.PI };
+    const m = s.match(/^-?(?:(?:\d+\.?\d*|\.\d+)\*)?([A-Za-z_]\w*)(?:\/(?:\d+\.?\d*|\.\d+))?$/);
+    if (!m) return null;
+    const { ref } = parseQubiAngle(s, new Map([[m[1], 0]]));
+    return ref ? { ref } : null;
+}
+
+/**
+ * Substitute a composite gate's qubit and angle names into one body line; the leading gate name is kept.
+ * Angle names may be scaled like PARAM references (theta/2, -2*theta).
+ * @param {string} line comment-free body line
+ * @param {Map<string, number>} qubits formal qubit name → qubit index
+ * @param {Map<string, object>} angles formal parameter name → qubiGateAngleBinding result
+ * @returns {string}
+ */
+function qubiBindGateLine(line, qubits, angles) {
+    const m = line.match(/^(\s*[A-Za-z]\w*)(.*)$/);
+    if (!m) return line;
+    const tail = m[2].replace(/\s*([*/])\s*/g, '$1').replace(
+        /(?<![\w.])(-)?(?:(\d+\.?\d*|\.\d+)\*)?([A-Za-z_]\w*)(?:\/(\d+\.?\d*|\.\d+))?/g,
+        (match, minus, factor, name, divisor) => {
+            if (angles.has(name)) {
+                const scale = (minus ? -1 : 1) * (factor !== undefined ? parseFloat(factor) : 1) /
+                    (divisor !== undefined ? parseFloat(divisor) : 1);
+                const bound = angles.get(name);
+                if (bound.ref) return formatQubiAngle(0, { name: bound.ref.name, scale: scale * bound.ref.scale });
+                return String(parseFloat((scale * bound.pi).toPrecision(15)));
+            }
+            if (match === name && qubits.has(name)) return String(qubits.get(name));
+            return match;
+        }
+    );
+    return m[1] + tail;
+}
+
+/**
+ * Replace named qubits (reg[i], reg[a:b], reg, alias) in one line by their indices. Inside (…) or […] a name
+ * becomes a comma list; elsewhere one qubit is written as an index and several as [i,j,…].
+ * Declarations, IF conditions and classical targets after -> are left alone.
+ * @param {string} line comment-free source line
+ * @param {Map<string, number[]>} names QREG or ALIAS name → qubit indices
+ * @returns {string}
+ * @throws {Error} for an unknown register or an index outside the register
+ */
+function qubiResolveQubitNames(line, names) {
+    if (!names.size || /^\s*(QREG|CREG|PARAM|IF|REPEAT|END|#)/.test(line)) return line;
+    const m = line.match(/^(\s*ALIAS\s+[A-Za-z_]\w*\s*=)(.*)$/) || line.match(/^(\s*[A-Za-z]\w*)(.*)$/);
+    if (!m) return line;
+    const arrow = m[2].indexOf('->');
+    const body = arrow === -1 ? m[2] : m[2].slice(0, arrow);
+    const tail = arrow === -1 ? '' : m[2].slice(arrow);
+    const resolved = body.replace(
+        /(?<![\w.])([A-Za-z_]\w*)(\s*\[\s*(\d*)\s*(:)?\s*(\d*)\s*\])?/g,
+        (match, name, index, start, colon, end, offset) => {
+            if (!names.has(name)) {
+                if (index !== undefined) throw new Error(`Unknown qubit register "${name}" (declare it with QREG ${name}[n])`);
+                return match;
+            }
+            const qubits = names.get(name);
+            let picked = qubits;
+            if (index !== undefined && colon) {
+                const from = start === '' ? 0 : parseInt(start, 10);
+                const to = end === '' ? qubits.length : parseInt(end, 10);
+                if (from >= to || to > qubits.length) {
+                    throw new Error(`${name}[${start}:${end}] is empty or outside ${name} (${qubits.length} qubit${qubits.length === 1 ? '' : 's'})`);
+                }
+                picked = qubits.slice(from, to);
+            } else if (index !== undefined) {
+                const i = parseInt(start, 10);
+                if (!(i < qubits.length)) {
+                    throw new Error(`${name}[${start}] is outside ${name} (${qubits.length} qubit${qubits.length === 1 ? '' : 's'})`);
+                }
+                picked = [qubits[i]];
+            }
+            const before = body.slice(0, offset);
+            const depth = (before.match(/[([]/g) || []).length - (before.match(/[)\]]/g) || []).length;
+            if (depth > 0) return picked.join(',');
+            return picked.length === 1 ? String(picked[0]) : `[${picked.join(',')}]`;
+        }
+    );
+    return m[1] + resolved + tail;
+}
+
 class QubiParser {
     constructor() {
         this.tokens = [];
@@ -294,6 +487,325 @@ class QubiParser {
         return null;
     }
 
+    /**
+     * Classical-register lines: CREG c[2], MEASURE q -> c / c[i], IF c == v / IF c[i] == v.
+     * @param {string} line trimmed source line
+     * @param {number} lineNum
+     * @returns {object | null} token, or null when the line is not a (well-formed) classical statement
+     */
+    static tryTokenizeClassical(line, lineNum) {
+        const cregMatch = line.match(/^CREG\s+([A-Za-z_]\w*)\s*\[\s*(\d+)\s*\]$/);
+        if (cregMatch) {
+            const size = parseInt(cregMatch[2], 10);
+            if (size < 1 || size > QUBI_MAX_CREG_SIZE) return null;
+            return { type: 'CREG', name: cregMatch[1], size, line: lineNum };
+        }
+
+        const measureMatch = line.match(/^MEASURE\s+(\d+)\s*->\s*([A-Za-z_]\w*)(?:\s*\[\s*(\d+)\s*\])?$/);
+        if (measureMatch) {
+            const explicitBit = measureMatch[3] !== undefined;
+            return {
+                type: 'GATE',
+                gate: 'MEASURE',
+                qubits: [parseInt(measureMatch[1], 10)],
+                isControlled: false,
+                params: {
+                    cbit: {
+                        register: measureMatch[2],
+                        bit: explicitBit ? parseInt(measureMatch[3], 10) : 0,
+                        explicitBit
+                    }
+                },
+                line: lineNum
+            };
+        }
+
+        // Value may be decimal or 0b-prefixed binary
+        const ifMatch = line.match(/^IF\s+([A-Za-z_]\w*)(?:\s*\[\s*(\d+)\s*\])?\s*==\s*(0b[01]+|\d+)$/);
+        if (ifMatch) {
+            const raw = ifMatch[3];
+            const value = raw.startsWith('0b') ? parseInt(raw.slice(2), 2) : parseInt(raw, 10);
+            return {
+                type: 'IF',
+                register: ifMatch[1],
+                bit: ifMatch[2] !== undefined ? parseInt(ifMatch[2], 10) : null,
+                value,
+                line: lineNum
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * PARAM declaration: PARAM name = angle (a literal, see parseQubiRotationAngle).
+     * @param {string} line trimmed source line
+     * @param {number} lineNum
+     * @returns {object | null} token, or null when the line is not a well-formed PARAM
+     */
+    static tryTokenizeParam(line, lineNum) {
+        const match = line.match(/^PARAM\s+([A-Za-z_]\w*)\s*=\s*(.+)$/);
+        if (!match) return null;
+        const value = parseQubiRotationAngle(match[2]);
+        if (isNaN(value)) return null;
+        return { type: 'PARAM', name: match[1], value, line: lineNum };
+    }
+
+    /**
+     * @param {string[]} lines comment-stripped source lines
+     * @returns {Map<string, number>} PARAM name → value (radians); the first declaration wins
+     */
+    static collectParameters(lines) {
+        const parameters = new Map();
+        lines.forEach((raw, lineNum) => {
+            const tok = QubiParser.tryTokenizeParam(raw.trim(), lineNum);
+            if (tok && !parameters.has(tok.name)) parameters.set(tok.name, tok.value);
+        });
+        return parameters;
+    }
+
+    /**
+     * ASSERT statement, checked against the state reached at its line:
+     * PROB bits ≈ p, STATE q |ψ>, ENTANGLED q q …, UNITARY ≈ gates (gates separated by ;). Each takes an
+     * optional ± tolerance; ~ or = may stand for ≈ and +- for ±. Qubits are indices, optionally written q0.
+     * @param {string} line trimmed, comment-free source line with qubit names resolved
+     * @returns {{ type: 'ASSERT', kind: 'PROB'|'STATE'|'ENTANGLED'|'UNITARY', tolerance: number, source: string,
+     *   bits?: string, expected?: number, qubit?: number, state?: string, bloch?: number[], qubits?: number[], target?: string }}
+     * @throws {Error} naming the expected form
+     */
+    static parseAssertion(line) {
+        const m = line.match(/^ASSERT(?:\s+([A-Z]+))?\s*(.*)$/);
+        const usage = 'ASSERT needs PROB, STATE, ENTANGLED or UNITARY (e.g. ASSERT PROB 01 ≈ 0.5 ± 0.01, ASSERT STATE q0 |+>)';
+        if (!m || !m[1]) throw new Error(usage);
+        const kind = m[1];
+        let body = m[2].trim();
+        let tolerance = QUBI_ASSERT_TOLERANCE;
+        const tol = body.match(/\s*(?:±|\+-)\s*(\S*)$/);
+        if (tol) {
+            tolerance = Number(tol[1]);
+            if (!tol[1] || !(tolerance >= 0)) throw new Error(`ASSERT ${kind}: tolerance after ± must be a non-negative number`);
+            body = body.slice(0, tol.index).trim();
+        }
+        const approx = '(?:≈|~=?|==?)';
+        const qubit = (text) => {
+            const q = String(text).match(/^q?(\d+)$/);
+            return q ? parseInt(q[1], 10) : null;
+        };
+        const assertion = { type: 'ASSERT', kind, tolerance, source: line };
+
+        if (kind === 'PROB') {
+            const p = body.match(new RegExp(`^\\|?([01]+)(?:>|⟩)?\\s*${approx}\\s*(\\S+)$`));
+            const expected = p ? Number(p[2]) : NaN;
+            if (!p) throw new Error('ASSERT PROB needs a basis state and a probability (e.g. ASSERT PROB 01 ≈ 0.5 ± 0.01)');
+            if (!(expected >= 0 && expected <= 1)) throw new Error(`ASSERT PROB: "${p[2]}" is not a probability between 0 and 1`);
+            return { ...assertion, bits: p[1], expected };
+        }
+        if (kind === 'STATE') {
+            const s = body.match(/^(\S+)\s+\|([^>⟩]+)(?:>|⟩)$/);
+            if (!s || qubit(s[1]) === null) throw new Error('ASSERT STATE needs one qubit and a state (e.g. ASSERT STATE q0 |+>)');
+            if (!QUBI_ASSERT_STATES[s[2]]) throw new Error(`ASSERT STATE: unknown state |${s[2]}>; use |0>, |1>, |+>, |->, |i> or |-i>`);
+            return { ...assertion, qubit: qubit(s[1]), state: s[2], bloch: QUBI_ASSERT_STATES[s[2]] };
+        }
+        if (kind === 'ENTANGLED') {
+            const parts = body.replace(/[[\],]/g, ' ').trim().split(/\s+/).filter(Boolean);
+            const qubits = parts.map(qubit);
+            if (qubits.length < 2 || qubits.includes(null)) {
+                throw new Error('ASSERT ENTANGLED needs two or more qubits (e.g. ASSERT ENTANGLED 0 1)');
+            }
+            if (new Set(qubits).size !== qubits.length) throw new Error('ASSERT ENTANGLED: each qubit may be listed once');
+            if (qubits.length > QUBI_ASSERT_MAX_ENTANGLED) {
+                throw new Error(`ASSERT ENTANGLED takes at most ${QUBI_ASSERT_MAX_ENTANGLED} qubits`);
+            }
+            return { ...assertion, qubits };
+        }
+        if (kind === 'UNITARY') {
+            const u = body.match(new RegExp(`^${approx}\\s*(.+)$`));
+            if (!u) throw new Error('ASSERT UNITARY needs ≈ and gates (e.g. ASSERT UNITARY ≈ H, ASSERT UNITARY ≈ H 0; CX [0,1])');
+            return { ...assertion, target: u[1].trim() };
+        }
+        throw new Error(usage);
+    }
+
+    /**
+     * Whether a name belongs to a built-in gate or to one of the source's #defines. GateMatrices is
+     * not consulted: it keeps the #define of every source compiled on the page.
+     * @param {string} name
+     * @param {Set<string>} [defines] #define names of the source being checked
+     * @returns {boolean}
+     */
+    static isGateNameTaken(name, defines = new Set()) {
+        return QUBI_RESERVED_GATE_NAMES.has(name) || QUBI_BUILTIN_MATRIX_GATES.has(name) ||
+            !!GateAngleParams[name] || defines.has(name);
+    }
+
+    /**
+     * Names given by the #define lines of a source.
+     * @param {string[]} lines comment-stripped source lines
+     * @returns {Set<string>}
+     */
+    static collectDefineNames(lines) {
+        const names = new Set();
+        for (const raw of lines) {
+            const m = raw.trim().match(/^#define\s+([A-Za-z]{1,4})\s/i);
+            if (m) names.add(m[1].toUpperCase());
+        }
+        return names;
+    }
+
+    /**
+     * Header of a composite gate: #gate NAME(p, …) q0 q1 … — the angle parameters are optional.
+     * @param {string} line trimmed, comment-free source line
+     * @param {Set<string>} [defines] #define names of the same source, which the gate may not reuse
+     * @returns {{ name: string, params: string[], qubits: string[] }}
+     * @throws {Error} when the header is malformed or the name is taken
+     */
+    static parseGateHeader(line, defines = new Set()) {
+        const m = line.match(/^#gate\s+([^\s(]+)\s*(?:\(([^)]*)\))?(.*)$/i);
+        if (!m) throw new Error('#gate requires a name and qubit names (e.g. #gate BELL a b)');
+        const name = m[1];
+        if (!/^[A-Z][A-Z0-9]*$/.test(name)) {
+            throw new Error(`#gate ${name}: name must be uppercase letters and digits, starting with a letter`);
+        }
+        if (QubiParser.isGateNameTaken(name, defines)) {
+            throw new Error(`#gate ${name}: name is already taken by a built-in or #define gate`);
+        }
+        const params = m[2] === undefined ? [] : m[2].split(',').map((p) => p.trim()).filter(Boolean);
+        const qubits = m[3].trim().split(/[\s,]+/).filter(Boolean);
+        if (!qubits.length) {
+            throw new Error(`#gate ${name}: list its qubit names after the name (e.g. #gate ${name} a b)`);
+        }
+        const formals = [...params, ...qubits];
+        const invalid = formals.find((f) => !/^[A-Za-z_]\w*$/.test(f));
+        if (invalid !== undefined) throw new Error(`#gate ${name}: "${invalid}" is not a valid parameter or qubit name`);
+        if (new Set(formals).size !== formals.length) {
+            throw new Error(`#gate ${name}: parameter and qubit names must be distinct`);
+        }
+        return { name, params, qubits };
+    }
+
+    /**
+     * Call of a composite gate: NAME q or NAME [q0,q1,…], followed by one angle per parameter.
+     * @param {string} line trimmed, comment-free source line
+     * @param {Map<string, object>} definitions gate name → parseGateHeader result
+     * @returns {{ definition: object, qubits: number[], args: string[], call: string } | null} null when the
+     *   line does not call a defined gate
+     * @throws {Error} when the qubits or angles do not fit the definition
+     */
+    static parseGateCall(line, definitions) {
+        const m = line.match(/^([A-Z][A-Z0-9]*)(?![\w(])\s*(.*)$/);
+        if (!m || !definitions.has(m[1])) return null;
+        const definition = definitions.get(m[1]);
+        const { name } = definition;
+        let rest = m[2].trim();
+        let qubits = null;
+        if (rest.startsWith('[')) {
+            const t = qubiTakeBalanced(rest, 0, '[', ']');
+            qubits = t ? qubiParseIntList(t.span.slice(1, -1)) : null;
+            rest = t ? rest.slice(t.next).trim() : '';
+        } else {
+            const single = rest.match(/^(\d+)(?:\s+(.*))?$/);
+            if (single) {
+                qubits = [parseInt(single[1], 10)];
+                rest = (single[2] || '').trim();
+            }
+        }
+        const n = definition.qubits.length;
+        if (!qubits || qubits.length !== n || new Set(qubits).size !== n) {
+            const example = n === 1 ? '0' : `[${Array.from({ length: n }, (_, i) => i).join(',')}]`;
+            throw new Error(`${name} acts on ${n} distinct qubit${n === 1 ? '' : 's'} (e.g. ${name} ${example})`);
+        }
+        const args = rest
+            ? rest.replace(/\s*([*/])\s*/g, '$1').match(/\S+(?:\s+(?:deg(?:rees)?|rad(?:ians)?)\b)?/gi)
+            : [];
+        if (args.length !== definition.params.length) {
+            const expected = definition.params.length
+                ? `${definition.params.length} angle${definition.params.length === 1 ? '' : 's'} (${definition.params.join(', ')})`
+                : 'no angles';
+            throw new Error(`${name} takes ${expected}`);
+        }
+        const register = n === 1 ? String(qubits[0]) : `[${qubits.join(',')}]`;
+        return { definition, qubits, args, call: [name, register, ...args].join(' ') };
+    }
+
+    /**
+     * Composite gates declared in a source, so calls may precede their #gate block.
+     * @param {string[]} lines comment-stripped source lines
+     * @returns {Map<string, object>} name → parseGateHeader result plus body lines and header line;
+     *   malformed headers are skipped and the first declaration wins
+     */
+    static collectGateDefinitions(lines) {
+        const definitions = new Map();
+        const defines = QubiParser.collectDefineNames(lines);
+        for (let i = 0; i < lines.length; i++) {
+            if (!/^#gate\b/i.test(lines[i].trim())) continue;
+            let end = i + 1;
+            while (end < lines.length && !/^#endgate\b/i.test(lines[end].trim())) end++;
+            try {
+                const header = QubiParser.parseGateHeader(lines[i].trim(), defines);
+                if (!definitions.has(header.name)) {
+                    definitions.set(header.name, { ...header, body: lines.slice(i + 1, end), line: i });
+                }
+            } catch { /* reported by the validator */ }
+            i = end;
+        }
+        return definitions;
+    }
+
+    /**
+     * Qubit names of a source: each QREG name[n] takes the next n qubits (from 0, in source order) and
+     * ALIAS name = qubits names a qubit or a list of them.
+     * @param {string[]} lines comment-stripped source lines
+     * @returns {{ names: Map<string, number[]>, errors: Map<number, string> }} errors by line index
+     */
+    static collectQubitNames(lines) {
+        const names = new Map();
+        const errors = new Map();
+        const parameters = QubiParser.collectParameters(lines);
+        const defines = QubiParser.collectDefineNames(lines);
+        let nextQubit = 0;
+        lines.forEach((raw, lineNum) => {
+            const line = raw.trim();
+            if (!/^(QREG|ALIAS)\b/.test(line)) return;
+            const qreg = line.match(/^QREG\s+([^\s[]+)\s*\[\s*(\d+)\s*\]$/);
+            const alias = line.match(/^ALIAS\s+(\S+)\s*=\s*(.+)$/);
+            if (!qreg && !alias) {
+                errors.set(lineNum, line.startsWith('QREG')
+                    ? 'QREG requires a name and a size (e.g. QREG data[4])'
+                    : 'ALIAS requires a name and its qubits (e.g. ALIAS ctrl = data[0])');
+                return;
+            }
+            const name = (qreg || alias)[1];
+            if (!/^[A-Za-z_]\w*$/.test(name)) {
+                errors.set(lineNum, `"${name}" is not a valid qubit name`);
+            } else if (names.has(name)) {
+                errors.set(lineNum, `Qubit name "${name}" is already declared`);
+            } else if (parameters.has(name)) {
+                errors.set(lineNum, `"${name}" is already a PARAM`);
+            } else if (QubiParser.isGateNameTaken(name, defines) ||
+                /^(QREG|ALIAS|deg(rees)?|rad(ians)?)$/i.test(name)) {
+                errors.set(lineNum, `"${name}" is reserved and cannot name qubits`);
+            } else if (qreg) {
+                const size = parseInt(qreg[2], 10);
+                if (size < 1) {
+                    errors.set(lineNum, `QREG ${name} needs at least one qubit`);
+                    return;
+                }
+                names.set(name, Array.from({ length: size }, (_, i) => nextQubit + i));
+                nextQubit += size;
+            } else {
+                try {
+                    const target = qubiResolveQubitNames(line, names).match(/=\s*(\d+|\[([\d,\s]+)\])$/);
+                    const qubits = target ? (target[2] !== undefined ? qubiParseIntList(target[2]) : [parseInt(target[1], 10)]) : null;
+                    if (!qubits) throw new Error(`ALIAS ${name} must name qubits (e.g. ALIAS ${name} = data[0] or [0,1])`);
+                    names.set(name, qubits);
+                } catch (e) {
+                    errors.set(lineNum, e.message);
+                }
+            }
+        });
+        return { names, errors };
+    }
+
     parse(code) {
         this.tokens = this.tokenize(code);
         this.current = 0;
@@ -315,85 +827,108 @@ class QubiParser {
             ? globalThis.QubiLex.lexStripComments(code)
             : code;
         const lines = stripped.split('\n');
+        // PARAMs are visible on every line, so a reference may precede its declaration
+        const parameters = QubiParser.collectParameters(lines);
 
         for (let lineNum = 0; lineNum < lines.length; lineNum++) {
             const line = lines[lineNum].trim();
             if (!line) continue;
 
-            // RX/RY/RZ (q0,q1,…) [angle] — same rotation on each wire (parallel); omitted angle → π/2
-            const rotParenMatch = line.match(/^(RX|RY|RZ)\s*\(\s*([^)]+)\)(?:\s+(.+))?$/i);
-            if (rotParenMatch) {
-                const gateName = rotParenMatch[1].toUpperCase();
-                const qubits = rotParenMatch[2].split(',').map(q => parseInt(q.trim(), 10));
-                const angleRaw = rotParenMatch[3];
-                const angleRad =
-                    angleRaw != null && String(angleRaw).trim()
-                        ? parseQubiRotationAngle(String(angleRaw).trim())
-                        : Math.PI / 2;
-                if (
-                    qubits.length >= 1 &&
-                    qubits.every(q => Number.isInteger(q) && !isNaN(q) && q >= 0) &&
-                    !isNaN(angleRad)
-                ) {
+            // Composite gate call expanded by the preprocessor: #group NAME qubits angles … #endgroup
+            const groupMatch = line.match(/^#group\s+(([A-Z][A-Z0-9]*)\s+(\d+|\[[\d,\s]*\]).*)$/);
+            if (groupMatch) {
+                tokens.push({
+                    type: 'GROUP',
+                    name: groupMatch[2],
+                    call: groupMatch[1],
+                    qubits: qubiParseIntList(groupMatch[3].replace(/[[\]]/g, '')) || [],
+                    line: lineNum
+                });
+                continue;
+            }
+            if (line === '#endgroup') {
+                tokens.push({ type: 'ENDGROUP', line: lineNum });
+                continue;
+            }
+
+            // PARAM name = angle — declared in the pre-scan above
+            if (/^PARAM\b/.test(line)) {
+                const tok = QubiParser.tryTokenizeParam(line, lineNum);
+                if (tok) tokens.push(tok);
+                continue;
+            }
+
+            // QREG name[n] / ALIAS name = qubits — the preprocessor has already resolved the names used elsewhere
+            if (/^(QREG|ALIAS)\b/.test(line)) {
+                const qregMatch = line.match(/^QREG\s+([A-Za-z_]\w*)\s*\[\s*(\d+)\s*\]$/);
+                const aliasMatch = line.match(/^ALIAS\s+([A-Za-z_]\w*)\s*=\s*(\d+|\[[\d,\s]+\])$/);
+                if (qregMatch) {
+                    tokens.push({ type: 'QREG', name: qregMatch[1], size: parseInt(qregMatch[2], 10), line: lineNum });
+                } else if (aliasMatch) {
+                    const qubits = qubiParseIntList(aliasMatch[2].replace(/[[\]]/g, ''));
+                    if (qubits) tokens.push({ type: 'ALIAS', name: aliasMatch[1], qubits, line: lineNum });
+                }
+                continue;
+            }
+
+            // CP/CRX/CRY/CRZ [c…,t] [angle] — controls first, target last; omitted angle → π/2
+            const ctrlRotMatch = line.match(/^(CP|CRX|CRY|CRZ)\s*\[\s*([^\]]+)\](?:\s+(.+))?$/i);
+            if (ctrlRotMatch) {
+                const gateName = ctrlRotMatch[1].toUpperCase();
+                const qubits = qubiParseIntList(ctrlRotMatch[2]);
+                const params = qubiParseAngleArgs(ctrlRotMatch[3], GateAngleParams[gateName], parameters);
+                if (qubits && qubits.length >= 2 && new Set(qubits).size === qubits.length && params) {
                     tokens.push({
                         type: 'GATE',
                         gate: gateName,
                         qubits,
-                        isControlled: false,
-                        params: { angle: angleRad },
+                        isControlled: true,
+                        params,
                         line: lineNum
                     });
                 }
                 continue;
             }
 
-            // RX/RY/RZ [q0,q1,…] [angle] — same rotation on each wire (parallel, bracket form); omitted angle → π/2
-            const rotBracketMatch = line.match(/^(RX|RY|RZ)\s*\[\s*([^\]]+)\](?:\s+(.+))?$/i);
-            if (rotBracketMatch) {
-                const gateName = rotBracketMatch[1].toUpperCase();
-                const qubits = rotBracketMatch[2].split(',').map((q) => parseInt(q.trim(), 10));
-                const angleRaw = rotBracketMatch[3];
-                const angleRad =
-                    angleRaw != null && String(angleRaw).trim()
-                        ? parseQubiRotationAngle(String(angleRaw).trim())
-                        : Math.PI / 2;
+            // RX/RY/RZ/P/U3 (q0,q1,…) or [q0,q1,…] or q [angles] — same gate on each wire (parallel);
+            // angles are literals or PARAM references, an omitted single angle → π/2
+            const rotMatch =
+                line.match(/^(RX|RY|RZ|P|U3)\s*\(\s*([^)]+)\)(?:\s+(.+))?$/i) ||
+                line.match(/^(RX|RY|RZ|P|U3)\s*\[\s*([^\]]+)\](?:\s+(.+))?$/i) ||
+                line.match(/^(RX|RY|RZ|P|U3)\s+(\d+)(?:\s+(.+))?$/i);
+            if (rotMatch) {
+                const gateName = rotMatch[1].toUpperCase();
+                const qubits = rotMatch[2].split(',').map((q) => parseInt(q.trim(), 10));
+                const params = qubiParseAngleArgs(rotMatch[3], GateAngleParams[gateName], parameters);
                 if (
                     qubits.length >= 1 &&
                     qubits.every((q) => Number.isInteger(q) && !isNaN(q) && q >= 0) &&
-                    !isNaN(angleRad)
+                    params
                 ) {
                     tokens.push({
                         type: 'GATE',
                         gate: gateName,
                         qubits,
                         isControlled: false,
-                        params: { angle: angleRad },
+                        params,
                         line: lineNum
                     });
                 }
                 continue;
             }
+            
+            // ASSERT … — checked by the test runner, occupies no column
+            if (/^ASSERT\b/.test(line)) {
+                try {
+                    tokens.push({ ...QubiParser.parseAssertion(line), line: lineNum });
+                } catch { /* reported by the validator */ }
+                continue;
+            }
 
-            // RX/RY/RZ qubit [angle] — single-wire rotation; omitted angle → π/2 (same as parallel RX (q) path)
-            const rotSingleMatch = line.match(/^(RX|RY|RZ)\s+(\d+)(?:\s+(.+))?$/i);
-            if (rotSingleMatch) {
-                const gateName = rotSingleMatch[1].toUpperCase();
-                const qubit = parseInt(rotSingleMatch[2], 10);
-                const angleRaw = rotSingleMatch[3];
-                const angleRad =
-                    angleRaw != null && String(angleRaw).trim()
-                        ? parseQubiRotationAngle(String(angleRaw).trim())
-                        : Math.PI / 2;
-                if (!isNaN(angleRad) && !isNaN(qubit)) {
-                    tokens.push({
-                        type: 'GATE',
-                        gate: gateName,
-                        qubits: [qubit],
-                        isControlled: false,
-                        params: { angle: angleRad },
-                        line: lineNum
-                    });
-                }
+            // Classical registers, measurement into a register, IF blocks
+            if (/^(CREG|IF)\b/.test(line) || /^MEASURE\b.*->/.test(line)) {
+                const tok = QubiParser.tryTokenizeClassical(line, lineNum);
+                if (tok) tokens.push(tok);
                 continue;
             }
             
@@ -455,7 +990,11 @@ class QubiParser {
         
         if (token.type === 'REPEAT') {
             return this.parseRepeat(token);
-        } else if (token.type === 'GATE') {
+        } else if (token.type === 'IF') {
+            return this.parseIf(token);
+        } else if (token.type === 'GROUP') {
+            return this.parseGroup(token);
+        } else if (['GATE', 'CREG', 'PARAM', 'QREG', 'ALIAS', 'ASSERT'].includes(token.type)) {
             return token;
         } else if (token.type === 'END') {
             return { type: 'END' };
@@ -465,41 +1004,65 @@ class QubiParser {
     }
 
     parseRepeat(repeatToken) {
-        const count = repeatToken.value;
+        return {
+            type: 'REPEAT',
+            count: repeatToken.value,
+            instructions: this.parseBlockBody()
+        };
+    }
+
+    parseIf(ifToken) {
+        return {
+            type: 'IF',
+            register: ifToken.register,
+            bit: ifToken.bit,
+            value: ifToken.value,
+            line: ifToken.line,
+            instructions: this.parseBlockBody()
+        };
+    }
+
+    // Composite gate call: its expanded body, up to (and consuming) the matching #endgroup
+    parseGroup(groupToken) {
+        const instructions = [];
+        while (!this.isAtEnd()) {
+            if (this.peek().type === 'ENDGROUP') {
+                this.advance();
+                break;
+            }
+            const instruction = this.parseInstruction();
+            if (instruction) {
+                instructions.push(instruction);
+            }
+        }
+        return {
+            type: 'GROUP',
+            name: groupToken.name,
+            call: groupToken.call,
+            qubits: groupToken.qubits,
+            instructions
+        };
+    }
+
+    // Instructions up to (and consuming) the END that closes the current block; nested blocks parse themselves
+    parseBlockBody() {
         const instructions = [];
-        let depth = 1; // Track nested REPEAT blocks
         
-        while (!this.isAtEnd() && depth > 0) {
+        while (!this.isAtEnd()) {
             const token = this.peek();
-            if (!token) break;
-            
-            if (token.type === 'REPEAT') {
-                depth++;
-                const instruction = this.parseInstruction();
-                if (instruction) instructions.push(instruction);
-            } else if (token.type === 'END') {
-                depth--;
-                if (depth > 0) {
-                    // This END belongs to a nested REPEAT, include it
-                    const instruction = this.parseInstruction();
-                    if (instruction) instructions.push(instruction);
-                } else {
-                    // This END belongs to our REPEAT, consume it
-                    this.advance();
-                }
-            } else {
-                const instruction = this.parseInstruction();
-                if (instruction) {
-                    instructions.push(instruction);
-                }
+            if (token.type === 'END') {
+                this.advance();
+                break;
+            }
+            // An #endgroup closes the enclosing composite gate call; leave it for parseGroup
+            if (token.type === 'ENDGROUP') break;
+            const instruction = this.parseInstruction();
+            if (instruction) {
+                instructions.push(instruction);
             }
         }
         
-        return {
-            type: 'REPEAT',
-            count: count,
-            instructions: instructions
-        };
+        return instructions;
     }
 
     peek() {
@@ -521,6 +1084,7 @@ class QubiExecutor {
     constructor(circuit) {
         this.circuit = circuit;
         this.parser = new QubiParser();
+        this.sourceLines = null; // preprocessed line -> source line, from the last execute()
     }
 
     /**
@@ -528,18 +1092,23 @@ class QubiExecutor {
      * Supports preprocessing directives:
      * - #import file.qubi  (alias: #include)
      * - #define NAME [ ... ]  (NAME: 1–4 uppercase letters A–Z; square matrix 2^k×2^k, unitary)
+     * - #gate NAME(p, …) q0 q1 … / #endgate  (composite gate; calls NAME [0,1] 0.5 expand into its body)
      * @param {string} code
      * @param {object} [opts]
      * @param {(filename:string)=>string|null|undefined} [opts.resolveImport]
      * @param {(gateName:string)=>void} [opts.onDefineGate]
      */
     execute(code, opts = {}) {
-        const { code: preprocessed } = this.preprocess(code, opts);
+        const { code: preprocessed, sourceLines } = this.preprocess(code, opts);
         const instructions = this.parser.parse(preprocessed);
         this.circuit.clear();
+        this.sourceLines = sourceLines;
         
-        // Find max qubit index needed
-        const maxQubit = this.findMaxQubit(instructions);
+        // Find max qubit index needed; declared registers count even where unused
+        const registerQubits = instructions
+            .filter(instruction => instruction.type === 'QREG')
+            .reduce((total, instruction) => total + instruction.size, 0);
+        const maxQubit = Math.max(this.findMaxQubit(instructions), registerQubits - 1);
         while (this.circuit.numQubits <= maxQubit) {
             this.circuit.addQubit();
         }
@@ -557,6 +1126,8 @@ class QubiExecutor {
 
         const seen = new Set();
         const MAX_IMPORT_DEPTH = 20;
+        const gateDefinitions = new Map(); // #gate blocks of the program and its imports
+        const defineNames = new Set(); // #define gates of this pass, which #gate blocks may not reuse
 
         const parseComplexToken = (raw) => {
             const src = String(raw ?? '').trim();
@@ -713,6 +1284,7 @@ class QubiExecutor {
             if (!isUnitary(flat, dim)) {
                 throw new Error(`#define ${name}: matrix is not unitary (U†U must equal I)`);
             }
+            defineNames.add(name);
             GateMatrices[name] = flat;
             if (onDefineGate) onDefineGate(name, displayName || null, colorId || null);
         };
@@ -723,11 +1295,16 @@ class QubiExecutor {
             }
             const lines = String(src ?? '').split(/\r?\n/);
             const out = [];
+            const origins = []; // origins[k]: line of src that output line k came from
+            const emit = (text, i) => {
+                out.push(text);
+                for (let n = text.split('\n').length; n > 0; n--) origins.push(i);
+            };
             for (let i = 0; i < lines.length; i++) {
                 const rawLine = lines[i];
                 const line = rawLine.trim();
-                if (!line) { out.push(rawLine); continue; }
-                if (line.startsWith('//')) { out.push(rawLine); continue; }
+                if (!line) { emit(rawLine, i); continue; }
+                if (line.startsWith('//')) { emit(rawLine, i); continue; }
 
                 const importMatch = line.match(/^#(?:import|include)\s+([A-Za-z0-9._-]+)$/i);
                 if (importMatch) {
@@ -744,13 +1321,45 @@ class QubiExecutor {
                     if (typeof imported !== 'string') {
                         throw new Error(`#import ${file}: file not found`);
                     }
-                    const expandedImport = expand(imported, depth + 1, file);
-                    out.push(`// --- begin import: ${file} ---`);
-                    out.push(expandedImport);
-                    out.push(`// --- end import: ${file} ---`);
+                    const expandedImport = expand(imported, depth + 1, file).code;
+                    emit(`// --- begin import: ${file} ---`, i);
+                    emit(expandedImport, i);
+                    emit(`// --- end import: ${file} ---`, i);
                     continue;
                 }
 
+                if (/^#gate\b/i.test(line)) {
+                    const end = lines.findIndex((l, j) => j > i && /^#endgate\b/i.test(l.trim()));
+                    const header = QubiParser.parseGateHeader(globalThis.QubiLex.stripTrailingLineCommentOneLine(line), defineNames);
+                    if (end === -1) throw new Error(`#gate ${header.name}: missing #endgate`);
+                    if (gateDefinitions.has(header.name)) throw new Error(`#gate ${header.name} is already defined`);
+                    const body = globalThis.QubiLex.lexStripComments(lines.slice(i + 1, end).join('\n'))
+                        .split('\n').map((l) => l.trim()).filter(Boolean);
+                    let blockDepth = 0;
+                    for (const bodyLine of body) {
+                        if (/^#gate\b/i.test(bodyLine)) throw new Error(`#gate ${header.name}: #gate blocks cannot be nested`);
+                        if (/^(PARAM|CREG|QREG|ALIAS)\b/.test(bodyLine)) {
+                            throw new Error(`#gate ${header.name}: declare ${bodyLine.split(/\s/)[0]} outside the #gate block`);
+                        }
+                        if (/^ASSERT\b/.test(bodyLine)) throw new Error(`#gate ${header.name}: ASSERT belongs outside the #gate block`);
+                        if (/^(REPEAT|IF)\b/.test(bodyLine)) blockDepth++;
+                        else if (bodyLine === 'END') blockDepth--;
+                        if (blockDepth < 0) throw new Error(`#gate ${header.name}: END without matching REPEAT or IF`);
+                    }
+                    if (blockDepth > 0) throw new Error(`#gate ${header.name}: REPEAT or IF without matching END`);
+                    gateDefinitions.set(header.name, { ...header, body });
+                    for (let j = i; j <= end; j++) emit(`// ${lines[j]}`, j);
+                    i = end;
+                    continue;
+                }
+                if (/^#endgate\b/i.test(line)) {
+                    throw new Error('#endgate without matching #gate');
+                }
+                // Qubits are allocated in source order, so only the main file may name them
+                if (depth > 0 && /^(QREG|ALIAS)\b/.test(line)) {
+                    throw new Error(`#import ${stackKey}: declare QREG and ALIAS in the main file, not in imports`);
+                }
+
                 const defineMatch = line.match(/^#define\s+([A-Za-z]{1,4})\s+(\[.*?\])\s*(.*)?$/i);
                 if (defineMatch) {
                     const extras = (defineMatch[3] || '').trim();
@@ -772,16 +1381,57 @@ class QubiExecutor {
                     if (extParts.length >= 1 && extParts[0] !== null) displayName = extParts[0];
                     if (extParts.length >= 2 && extParts[1] !== null) colorId = extParts[1].toLowerCase();
                     defineGateFromMatrixSpec(defineMatch[1], defineMatch[2], displayName, colorId);
-                    out.push(`// ${rawLine}`);
+                    emit(`// ${rawLine}`, i);
                     continue;
                 }
 
-                out.push(rawLine);
+                emit(rawLine, i);
             }
+            return { code: out.join('\n'), origins };
+        };
+
+        // A call becomes its body between #group / #endgroup markers, with qubits and angles bound
+        const instantiate = (call, stack, qubitNames) => {
+            const { definition } = call;
+            if (stack.includes(definition.name)) {
+                throw new Error(`#gate ${definition.name}: recursive call (${[...stack, definition.name].join(' → ')})`);
+            }
+            const qubits = new Map(definition.qubits.map((name, i) => [name, call.qubits[i]]));
+            const angles = new Map(definition.params.map((name, i) => {
+                const bound = qubiGateAngleBinding(call.args[i]);
+                if (!bound) throw new Error(`${definition.name}: invalid angle "${call.args[i]}" for ${name}`);
+                return [name, bound];
+            }));
+            const out = [`#group ${call.call}`];
+            for (const bodyLine of definition.body) {
+                const line = qubiResolveQubitNames(qubiBindGateLine(bodyLine, qubits, angles), qubitNames);
+                const inner = QubiParser.parseGateCall(line.trim(), gateDefinitions);
+                out.push(inner ? instantiate(inner, [...stack, definition.name], qubitNames) : line);
+            }
+            out.push('#endgroup');
             return out.join('\n');
         };
 
-        return { code: expand(code, 0, 'main') };
+        // Named qubits (QREG / ALIAS) become indices, then each composite gate call becomes its body
+        const resolveLines = ({ code: src, origins }) => {
+            const stripped = globalThis.QubiLex.lexStripComments(src).split('\n');
+            const { names, errors } = QubiParser.collectQubitNames(stripped);
+            if (errors.size) throw new Error(errors.values().next().value);
+            if (names.size === 0 && gateDefinitions.size === 0) return { code: src, sourceLines: origins };
+            const sourceLines = [];
+            const code = src.split('\n').map((rawLine, i) => {
+                const original = stripped[i] || '';
+                const line = qubiResolveQubitNames(original, names);
+                const call = QubiParser.parseGateCall(line.trim(), gateDefinitions);
+                const resolved = call ? instantiate(call, [], names) : (line === original ? rawLine : line);
+                for (let n = resolved.split('\n').length; n > 0; n--) sourceLines.push(origins[i]);
+                return resolved;
+            }).join('\n');
+            return { code, sourceLines };
+        };
+
+        // sourceLines[k]: line of `code` that preprocessed line k came from (an #import line for imported code)
+        return resolveLines(expand(code, 0, 'main'));
     }
     
     buildVisualCircuit(instructions, startColumn) {
@@ -790,6 +1440,7 @@ class QubiExecutor {
         for (const instruction of instructions) {
             if (instruction.type === 'REPEAT') {
                 // Add REPEAT control flow block
+                const repeatColumn = column;
                 this.circuit.addControlFlow('REPEAT', column, { count: instruction.count });
                 column++;
                 
@@ -800,14 +1451,63 @@ class QubiExecutor {
                 this.circuit.addControlFlow('END', column, { 
                     endingType: 'REPEAT',
                     endingLabel: `REPEAT ${instruction.count}`,
-                    matchedRepeatColumn: column - instruction.instructions.length - 1
+                    matchedRepeatColumn: repeatColumn
                 });
                 column++;
+            } else if (instruction.type === 'IF') {
+                const reg = this.circuit.getClassicalRegister(instruction.register);
+                if (!reg) {
+                    throw new Error(`IF uses unknown classical register "${instruction.register}" (declare it with CREG or MEASURE q -> ${instruction.register})`);
+                }
+                if (instruction.bit !== null && instruction.bit >= reg.size) {
+                    throw new Error(`IF ${instruction.register}[${instruction.bit}]: bit index out of range for register of size ${reg.size}`);
+                }
+                
+                const ifColumn = column;
+                const condition = { register: instruction.register, bit: instruction.bit, value: instruction.value };
+                this.circuit.addControlFlow('IF', column, condition);
+                column++;
+                
+                column = this.buildVisualCircuit(instruction.instructions, column);
+                
+                this.circuit.addControlFlow('END', column, {
+                    endingType: 'IF',
+                    endingLabel: `IF ${formatQubiCondition(condition)}`,
+                    matchedIfColumn: ifColumn
+                });
+                column++;
+            } else if (instruction.type === 'GROUP') {
+                const groupColumn = column;
+                column = this.buildVisualCircuit(instruction.instructions, column);
+                if (column > groupColumn) {
+                    this.circuit.addGateGroup(instruction.name, instruction.call, instruction.qubits, groupColumn, column - 1);
+                }
+            } else if (instruction.type === 'CREG') {
+                const existing = this.circuit.getClassicalRegister(instruction.name);
+                if (existing && existing.declared) {
+                    throw new Error(`Classical register "${instruction.name}" is already declared`);
+                }
+                this.circuit.addClassicalRegister(instruction.name, instruction.size, true);
+            } else if (instruction.type === 'QREG') {
+                this.circuit.addQubitRegister(instruction.name, instruction.size);
+            } else if (instruction.type === 'ALIAS') {
+                this.circuit.addQubitAlias(instruction.name, instruction.qubits);
+            } else if (instruction.type === 'PARAM') {
+                if (this.circuit.getParameter(instruction.name)) {
+                    throw new Error(`PARAM "${instruction.name}" is already declared`);
+                }
+                this.circuit.addParameter(instruction.name, instruction.value);
+            } else if (instruction.type === 'ASSERT') {
+                const { type, line, ...assertion } = instruction;
+                this.circuit.addAssertion({ ...assertion, column, line: this.sourceLines ? this.sourceLines[line] : line });
             } else if (instruction.type === 'GATE') {
                 this.executeGate(instruction, column);
+                if (this.sourceLines && instruction.line !== undefined) {
+                    this.circuit.columnSourceLines.set(column, this.sourceLines[instruction.line]);
+                }
                 column++;
             }
-            // Skip END tokens in parsed instructions - they're handled with REPEAT
+            // Skip END tokens in parsed instructions - they're handled with their block
         }
         
         return column;
@@ -816,7 +1516,7 @@ class QubiExecutor {
     findMaxQubit(instructions) {
         let max = -1;
         for (const instruction of instructions) {
-            if (instruction.type === 'REPEAT') {
+            if (instruction.type === 'REPEAT' || instruction.type === 'IF' || instruction.type === 'GROUP') {
                 const nestedMax = this.findMaxQubit(instruction.instructions);
                 max = Math.max(max, nestedMax);
             } else if (instruction.type === 'GATE') {
@@ -829,6 +1529,8 @@ class QubiExecutor {
                         max = Math.max(max, qubit);
                     }
                 }
+            } else if (instruction.type === 'ALIAS') {
+                max = Math.max(max, ...instruction.qubits);
             }
         }
         return max;
@@ -843,6 +1545,8 @@ class QubiExecutor {
                     const innerExpanded = this.expandRepeats(instruction.instructions);
                     expanded.push(...innerExpanded);
                 }
+            } else if (instruction.type === 'GROUP') {
+                expanded.push(...this.expandRepeats(instruction.instructions));
             } else {
                 expanded.push(instruction);
             }
@@ -862,23 +1566,54 @@ class QubiExecutor {
         }
 
         const qList = qubits || [];
+        if (ControlledGateBase[gate]) {
+            // CP/CRX/CRY/CRZ [c…,t]: one gate, controls in multiQubits
+            if (qList.length < 2) {
+                throw new Error(`${gate} needs a control and a target, e.g. ${gate} [0,1] 0.5`);
+            }
+            const target = qList[qList.length - 1];
+            this.circuit.addGate(gate, target, column, null, qubiCloneAngleParams(params || {}), qList.slice(0, -1));
+            return;
+        }
+        if (gate === 'MEASURE' && params && params.cbit) {
+            this._declareMeasureTarget(params.cbit);
+        }
         for (const qubit of qList) {
-            if (['RX', 'RY', 'RZ'].includes(gate)) {
+            if (gate === 'MEASURE' && params && params.cbit) {
+                this.circuit.addGate(gate, qubit, column, null, { cbit: { ...params.cbit } });
+            } else if (['RX', 'RY', 'RZ'].includes(gate)) {
                 const angle = params && params.angle !== undefined ? params.angle : Math.PI / 2;
-                this.circuit.addGate(gate, qubit, column, null, { angle });
+                this.circuit.addGate(gate, qubit, column, null, { ...qubiCloneAngleParams(params || {}), angle });
+            } else if (gate === 'P' || gate === 'U3') {
+                this.circuit.addGate(gate, qubit, column, null, qubiCloneAngleParams(params || {}));
             } else {
                 this.circuit.addGate(gate, qubit, column);
             }
         }
     }
 
+    // MEASURE q -> c[i] creates c on first use; declared registers keep their CREG size
+    _declareMeasureTarget(cbit) {
+        const reg = this.circuit.getClassicalRegister(cbit.register);
+        if (reg && reg.declared) {
+            if (cbit.bit >= reg.size) {
+                throw new Error(`MEASURE -> ${cbit.register}[${cbit.bit}]: bit index out of range for register of size ${reg.size}`);
+            }
+            return;
+        }
+        if (cbit.bit >= QUBI_MAX_CREG_SIZE) {
+            throw new Error(`MEASURE -> ${cbit.register}[${cbit.bit}]: classical registers hold at most ${QUBI_MAX_CREG_SIZE} bits`);
+        }
+        this.circuit.addClassicalRegister(cbit.register, cbit.bit + 1, false);
+    }
+
     /**
      * One bracket register: CX/CY/CZ [c,…,t], SWAP [a,b], joint custom unitary, or broadcast single-qubit gates.
      */
     _executeBracketGateSegment(gate, qubits, column, params) {
         const n = qubits.length;
         if (gate === 'MEASURE') {
-            throw new Error('MEASURE does not use […] register syntax; use MEASURE q');
+            throw new Error('MEASURE does not use […] register syntax; use MEASURE q or MEASURE q -> c');
         }
 
         if (['CX', 'CY', 'CZ'].includes(gate)) {
@@ -935,6 +1670,58 @@ class QubiExecutor {
         throw new Error(`Gate "${gate}" cannot be used with bracket […] syntax here (not supported or unknown register).`);
     }
 
+    /**
+     * Qubi text for qubit indices under the circuit's QREG / ALIAS names; plain indices when none are declared.
+     * Runs of three or more consecutive qubits of one register print as a slice, e.g. data[0:3].
+     * @param {QuantumCircuit} circuit
+     * @param {boolean} [useAliases] prefer a single-qubit ALIAS over register[index]
+     * operand() names a whole register or a multi-qubit ALIAS when the qubits match one exactly.
+     * @returns {{ one: (qubit: number) => string, list: (qubits: number[]) => string, operand: (qubits: number[]) => string | null }}
+     */
+    qubitFormatter(circuit, useAliases = true) {
+        const registers = circuit.qubitRegisters || [];
+        const aliasOf = new Map();
+        if (useAliases) {
+            for (const alias of circuit.qubitAliases || []) {
+                if (alias.qubits.length === 1 && !aliasOf.has(alias.qubits[0])) aliasOf.set(alias.qubits[0], alias.name);
+            }
+        }
+        const registerOf = (q) => aliasOf.has(q) ? null : registers.find(reg => q >= reg.start && q < reg.start + reg.size);
+        const one = (q) => {
+            if (aliasOf.has(q)) return aliasOf.get(q);
+            const reg = registerOf(q);
+            return reg ? `${reg.name}[${q - reg.start}]` : String(q);
+        };
+        const list = (qubits) => {
+            const parts = [];
+            let i = 0;
+            while (i < qubits.length) {
+                const reg = registerOf(qubits[i]);
+                let end = i + 1;
+                while (reg && end < qubits.length && qubits[end] === qubits[end - 1] + 1 && registerOf(qubits[end]) === reg) end++;
+                if (end - i >= 3) {
+                    parts.push(`${reg.name}[${qubits[i] - reg.start}:${qubits[end - 1] - reg.start + 1}]`);
+                    i = end;
+                } else {
+                    parts.push(one(qubits[i]));
+                    i++;
+                }
+            }
+            return parts.join(',');
+        };
+        const sameQubits = (a, b) => a.length === b.length && a.every((q, i) => q === b[i]);
+        const operand = (qubits) => {
+            if (qubits.length === 1) return one(qubits[0]);
+            if (useAliases) {
+                const alias = (circuit.qubitAliases || []).find(a => sameQubits(a.qubits, qubits));
+                if (alias) return alias.name;
+            }
+            const reg = registers.find(r => r.size === qubits.length && qubits.every((q, i) => q === r.start + i));
+            return reg ? reg.name : null;
+        };
+        return { one, list, operand };
+    }
+
     generateCode(circuit, existingCode = '') {
         // Generate Qubi code from circuit, preserving comments from existing code
         const lines = [];
@@ -960,11 +1747,22 @@ class QubiExecutor {
             controlFlowByColumn[cf.column] = cf;
         }
         
-        // Get all columns (gates + control flow)
+        // Unedited #gate calls print as their call line; the outermost call covers any nested ones
+        const groupByColumn = new Map();
+        const groupedColumns = new Set();
+        const intactGroups = circuit.gateGroups ? circuit.getIntactGateGroups() : [];
+        intactGroups.sort((a, b) => (a.startColumn - b.startColumn) || (b.endColumn - a.endColumn));
+        for (const group of intactGroups) {
+            if (groupedColumns.has(group.startColumn)) continue;
+            groupByColumn.set(group.startColumn, group);
+            for (let col = group.startColumn; col <= group.endColumn; col++) groupedColumns.add(col);
+        }
+        
+        // Get all columns (gates + control flow); a call is one column
         const allColumns = [...new Set([
             ...Object.keys(gatesByColumn).map(Number),
             ...Object.keys(controlFlowByColumn).map(Number)
-        ])].sort((a, b) => a - b);
+        ])].filter(col => !groupedColumns.has(col) || groupByColumn.has(col)).sort((a, b) => a - b);
         
         // Extract comments from existing code (skip if existingCode is empty/whitespace only)
         if (existingCode.trim().length > 0 && globalThis.QubiLex) {
@@ -1000,6 +1798,9 @@ class QubiExecutor {
                     continue;
                 }
 
+                // CREG/PARAM declarations occupy no column (they are regenerated at the top), nor do ASSERTs
+                if (/^(CREG|PARAM|QREG|ALIAS|ASSERT)\b/.test(execTrim)) continue;
+
                 const cstart = globalThis.QubiLex.findLineCommentStart(rawLine);
                 if (cstart !== -1) {
                     const tail = rawLine.slice(cstart).trimEnd();
@@ -1034,14 +1835,36 @@ class QubiExecutor {
                     } else {
                         standaloneComments.push(existingLines[i]);
                     }
-                } else {
+                } else if (!/^(CREG|PARAM|QREG|ALIAS|ASSERT)\b/.test(line)) {
                     instructionIndex++;
                 }
             }
         }
         
+        // Declared classical registers go after the leading comments; implicit ones are recreated by MEASURE q -> c
+        // Qubit names: QREG and ALIAS declarations lead, and every qubit list below uses them
+        const qubitText = this.qubitFormatter(circuit);
+        const declaredText = this.qubitFormatter(circuit, false);
+        const cregLines = (circuit.qubitRegisters || []).map(reg => `QREG ${reg.name}[${reg.size}]`);
+        cregLines.push(...(circuit.qubitAliases || []).map(alias => `ALIAS ${alias.name} = ${alias.qubits.length === 1
+            ? declaredText.one(alias.qubits[0])
+            : `[${declaredText.list(alias.qubits)}]`}`));
+        cregLines.push(...(circuit.classicalRegisters || [])
+            .filter(reg => reg.declared)
+            .map(reg => `CREG ${reg.name}[${reg.size}]`));
+        cregLines.push(...(circuit.parameters || []).map(param => `PARAM ${param.name} = ${formatQubiAngle(param.value)}`));
+        
         let indentLevel = 0;
         let outputIndex = 0;
+
+        // ASSERTs occupy no column: each goes just before the column it is checked ahead of
+        const assertions = [...(circuit.assertions || [])].sort((a, b) => a.column - b.column);
+        let nextAssertion = 0;
+        const pushAssertions = (upToColumn) => {
+            while (nextAssertion < assertions.length && assertions[nextAssertion].column <= upToColumn) {
+                lines.push('  '.repeat(indentLevel) + assertions[nextAssertion++].source);
+            }
+        };
         
         for (const col of allColumns) {
             // Add comments associated with this column
@@ -1050,15 +1873,29 @@ class QubiExecutor {
                     lines.push(comment);
                 }
             }
+            if (outputIndex === 0) {
+                lines.push(...cregLines);
+            }
+            pushAssertions(col);
+            
+            const gateCall = groupByColumn.get(col);
+            const cf = gateCall ? null : controlFlowByColumn[col];
+            const gates = gateCall ? null : gatesByColumn[col];
             
-            const cf = controlFlowByColumn[col];
-            const gates = gatesByColumn[col];
+            if (gateCall) {
+                const register = qubitText.operand(gateCall.qubits) || `[${qubitText.list(gateCall.qubits)}]`;
+                const args = gateCall.call.replace(/^\S+\s+(?:\d+|\[[^\]]*\])\s*/, '');
+                lines.push('  '.repeat(indentLevel) + [gateCall.name, register, args].filter(Boolean).join(' '));
+            }
             
             // Handle control flow
             if (cf) {
                 if (cf.type === 'REPEAT') {
                     lines.push('  '.repeat(indentLevel) + `REPEAT ${cf.params.count}`);
                     indentLevel++;
+                } else if (cf.type === 'IF') {
+                    lines.push('  '.repeat(indentLevel) + `IF ${formatQubiCondition(cf.params)}`);
+                    indentLevel++;
                 } else if (cf.type === 'END') {
                     indentLevel = Math.max(0, indentLevel - 1);
                     lines.push('  '.repeat(indentLevel) + 'END');
@@ -1067,25 +1904,30 @@ class QubiExecutor {
             
             // Handle gates at this column
             if (gates && gates.length > 0) {
-            // Group gates by type and qubits/targets. Rotations must include angle in the key so different
-            // angles on the same column stay separate; same angle + same type merges for RX (0,1,2) θ output.
+            // Group gates by type and qubits/targets. Parameterized gates include their angle text in the key so
+            // different angles on the same column stay separate; same text + same type merges for RX [0,1,2] θ output.
             const defaultRotAngle = Math.PI / 2;
-            const rotAngleKey = (gate) => {
-                const a =
-                    gate.params && typeof gate.params.angle === 'number'
-                        ? gate.params.angle
-                        : defaultRotAngle;
-                return Math.round(a * 1e9);
+            const angleText = (gate) => {
+                const params = gate.params || {};
+                const refs = params.paramRefs || {};
+                return GateAngleParams[gate.type]
+                    .map(k => formatQubiAngle(typeof params[k] === 'number' ? params[k] : defaultRotAngle, refs[k] || null))
+                    .join(' ');
             };
+            const controlsOf = (gate) => (gate.multiQubits && gate.multiQubits.length ? gate.multiQubits : [gate.target]);
             const gateGroups = {};
             for (const gate of gates) {
                 let key = `${gate.type}_${gate.target || 'single'}`;
-                if (gate.params && Array.isArray(gate.params.jointQubits) && gate.params.jointQubits.length > 0) {
+                if (gate.type === 'MEASURE' && gate.params && gate.params.cbit) {
+                    key = `MEASURE_${gate.qubit}_${gate.params.cbit.register}_${gate.params.cbit.bit}`;
+                } else if (gate.params && Array.isArray(gate.params.jointQubits) && gate.params.jointQubits.length > 0) {
                     key = `${gate.type}_JOINT_${gate.params.jointQubits.join(',')}`;
                 } else if (['CX', 'CY', 'CZ'].includes(gate.type) && gate.multiQubits && gate.multiQubits.length) {
                     key = `${gate.type}_MULTI_${gate.multiQubits.join(',')}_${gate.qubit}`;
-                } else if (['RX', 'RY', 'RZ'].includes(gate.type)) {
-                    key = `${gate.type}_a${rotAngleKey(gate)}`;
+                } else if (ControlledGateBase[gate.type]) {
+                    key = `${gate.type}_C${controlsOf(gate).join(',')}_${gate.qubit}`;
+                } else if (GateAngleParams[gate.type]) {
+                    key = `${gate.type}_a${angleText(gate)}`;
                 }
                 if (!gateGroups[key]) {
                     gateGroups[key] = [];
@@ -1105,9 +1947,9 @@ class QubiExecutor {
 
             const cxCyCzBracketStr = (g) => {
                 if (g.multiQubits && g.multiQubits.length) {
-                    return `[${[...g.multiQubits, g.qubit].join(',')}]`;
+                    return `[${qubitText.list([...g.multiQubits, g.qubit])}]`;
                 }
-                return `[${g.target},${g.qubit}]`;
+                return `[${qubitText.list([g.target, g.qubit])}]`;
             };
 
             for (const btyp of ['CX', 'CY', 'CZ']) {
@@ -1124,59 +1966,38 @@ class QubiExecutor {
                 if (consumed.has(group)) continue;
                 const g0 = group[0];
 
-                if (['CX', 'CY', 'CZ'].includes(g0.type) && g0.multiQubits && g0.multiQubits.length > 0) {
+                if (g0.type === 'MEASURE' && g0.params && g0.params.cbit) {
+                    const { register, bit, explicitBit } = g0.params.cbit;
+                    const dest = explicitBit === false ? register : `${register}[${bit}]`;
+                    lines.push(indent + `MEASURE ${qubitText.one(g0.qubit)} -> ${dest}`);
+                } else if (ControlledGateBase[g0.type]) {
+                    lines.push(indent + `${g0.type} [${qubitText.list([...controlsOf(g0), g0.qubit])}] ${angleText(g0)}`);
+                } else if (['CX', 'CY', 'CZ'].includes(g0.type) && g0.multiQubits && g0.multiQubits.length > 0) {
                     // Multi-controlled gate
                     const controls = g0.multiQubits;
                     const target = g0.qubit;
-                        lines.push(indent + `${g0.type} [${[...controls, target].join(',')}]`);
+                        lines.push(indent + `${g0.type} [${qubitText.list([...controls, target])}]`);
                 } else if (g0.target !== null && g0.target !== undefined) {
                     // Two-qubit gate
                     const control = g0.target;
                     const target = g0.qubit;
-                        lines.push(indent + `${g0.type} [${control},${target}]`);
-                } else if (['RX', 'RY', 'RZ'].includes(g0.type)) {
-                    const angleRad =
-                        g0.params && typeof g0.params.angle === 'number'
-                            ? g0.params.angle
-                            : defaultRotAngle;
-                    const anglePi = angleRad / Math.PI;
-                    const angleStr = parseFloat(anglePi.toFixed(4));
+                        lines.push(indent + `${g0.type} [${qubitText.list([control, target])}]`);
+                } else if (GateAngleParams[g0.type]) {
                     const qubits = group.map(g => g.qubit).sort((a, b) => a - b);
-                    const mixedAngle = group.some(g => {
-                        const ar =
-                            g.params && typeof g.params.angle === 'number'
-                                ? g.params.angle
-                                : defaultRotAngle;
-                        return Math.abs(ar - angleRad) > 1e-6;
-                    });
-                    if (mixedAngle) {
-                        for (const g of [...group].sort((a, b) => a.qubit - b.qubit)) {
-                            const ar =
-                                g.params && typeof g.params.angle === 'number'
-                                    ? g.params.angle
-                                    : defaultRotAngle;
-                            lines.push(
-                                indent +
-                                    `${g.type} ${g.qubit} ${parseFloat((ar / Math.PI).toFixed(4))}`
-                            );
-                        }
-                    } else if (qubits.length === 1) {
-                        lines.push(indent + `${g0.type} ${qubits[0]} ${angleStr}`);
-                    } else {
-                        lines.push(indent + `${g0.type} [${qubits.join(',')}] ${angleStr}`);
-                    }
+                    const qubitStr = qubits.length === 1 ? qubitText.one(qubits[0]) : `[${qubitText.list(qubits)}]`;
+                    lines.push(indent + `${g0.type} ${qubitStr} ${angleText(g0)}`);
                 } else if (g0.params && Array.isArray(g0.params.jointQubits) && g0.params.jointQubits.length > 0) {
                     const qs = [...g0.params.jointQubits];
-                    lines.push(indent + `${g0.type} [${qs.join(',')}]`);
+                    lines.push(indent + `${g0.type} [${qubitText.list(qs)}]`);
                 } else {
                     // Single-qubit gates (H, X, …), parallel without per-wire params
                     const qubits = group.map(g => g.qubit).sort((a, b) => a - b);
                     const gateType = g0.type;
 
                     if (qubits.length === 1) {
-                        lines.push(indent + `${gateType} ${qubits[0]}`);
+                        lines.push(indent + `${gateType} ${qubitText.one(qubits[0])}`);
                     } else {
-                        lines.push(indent + `${gateType} (${qubits.join(',')})`);
+                        lines.push(indent + `${gateType} (${qubitText.operand(qubits) || qubitText.list(qubits)})`);
                     }
                 }
             }
@@ -1189,6 +2010,11 @@ class QubiExecutor {
             outputIndex++;
         }
         
+        if (allColumns.length === 0) {
+            lines.push(...cregLines);
+        }
+        pushAssertions(Infinity);
+        
         // Add standalone comments at the end
         if (standaloneComments.length > 0) {
             lines.push(...standaloneComments);
@@ -1204,6 +2030,6 @@ if (typeof globalThis !== 'undefined') {
 
 // Export
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { QubiParser, QubiExecutor, QubiLex: globalThis.QubiLex, parseQubiRotationAngle };
+    module.exports = { QubiParser, QubiExecutor, QubiLex: globalThis.QubiLex, parseQubiRotationAngle, parseQubiAngle };
 }
 
@@ -0,0 +1,60 @@
+// Simulation Web Worker: runs a circuit on TypedQuantumState off the main thread (driven by SimulationRunner)
+//
+// In:  {type: 'run', id, circuit: {numQubits, useOptimizedGates, gates, controlFlow, matrices},
+//       sequence: [gate index per executed gate], stepEnds: [sequence index], snapshotEvery, shots: {count, seed} | null}
+// Out: {type: 'progress', id, done, total}
+//      {type: 'step', id, step, data: Float64Array | null, classical}   (data only every snapshotEvery steps and on the last)
+//      {type: 'done', id, data, classical, shotResult}
+//      {type: 'error', id, message}
+
+importScripts('quantum.js', 'statevector.js', 'circuit.js');
+
+const PROGRESS_INTERVAL_MS = 100;
+
+function buildCircuit(spec) {
+    // #define / #gate matrices registered on the page
+    Object.assign(GateMatrices, spec.matrices);
+    const circuit = new QuantumCircuit(spec.numQubits, spec.useOptimizedGates);
+    circuit.gates = spec.gates;
+    circuit.controlFlow = spec.controlFlow;
+    circuit.maxColumn = Math.max(0, ...spec.gates.map(gate => gate.column));
+    return circuit;
+}
+
+function run({ id, circuit: spec, sequence, stepEnds, snapshotEvery, shots }) {
+    const circuit = buildCircuit(spec);
+    circuit.state = new TypedQuantumState(circuit.numQubits, circuit.useOptimizedGates);
+
+    let step = 0;
+    let lastProgress = Date.now();
+    for (let i = 0; i < sequence.length; i++) {
+        circuit.executeGate(circuit.gates[sequence[i]]);
+
+        if (stepEnds[step] === i) {
+            const last = step === stepEnds.length - 1;
+            const data = last || (step + 1) % snapshotEvery === 0 ? circuit.state.data.slice() : null;
+            self.postMessage({ type: 'step', id, step, data, classical: { ...circuit.state.classical } },
+                data ? [data.buffer] : []);
+            step++;
+        }
+        if (Date.now() - lastProgress >= PROGRESS_INTERVAL_MS) {
+            self.postMessage({ type: 'progress', id, done: i + 1, total: sequence.length });
+            lastProgress = Date.now();
+        }
+    }
+
+    const state = circuit.state;
+    const shotResult = shots ? circuit.sampleShots(shots.count, shots.seed) : null;
+    const data = state.data;
+    self.postMessage({ type: 'done', id, data, classical: state.classical, shotResult }, [data.buffer]);
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+    if (message.type !== 'run') return;
+    try {
+        run(message);
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, message: error.message || String(error) });
+    }
+};
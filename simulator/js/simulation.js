@@ -0,0 +1,139 @@
+// Background circuit simulation (client side of simulation-worker.js)
+
+class SimulationRunner {
+    static WORKER_URL = 'js/simulation-worker.js';
+    static SNAPSHOT_BUDGET_BYTES = 256 * 1024 * 1024; // Step snapshots kept per run (one state is 16·2^n bytes)
+
+    constructor(workerUrl = SimulationRunner.WORKER_URL) {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.nextId = 1;
+        this.active = null; // {id, resolve, reject, onProgress, onStep, numQubits}
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof Float64Array !== 'undefined';
+    }
+
+    // Step snapshots to skip between kept ones so a run stays within SNAPSHOT_BUDGET_BYTES
+    static snapshotInterval(numQubits, steps) {
+        const perState = 16 * Math.pow(2, numQubits);
+        const keep = Math.max(1, Math.floor(SimulationRunner.SNAPSHOT_BUDGET_BYTES / perState));
+        return Math.max(1, Math.ceil(steps / keep));
+    }
+
+    /**
+     * Run the executed gates of a circuit in the worker.
+     * @param {QuantumCircuit} circuit
+     * @param {Array<{gate}>} trace - execution trace (circuit.buildExecutionTrace())
+     * @param {number[]} stepEnds - trace index of the last gate of each step
+     * @param {{shots?: {count, seed}, onProgress?: (done, total) => void, onStep?: (step, state|null) => void}} options
+     * @returns {Promise<{state: TypedQuantumState, shotResult}>} rejects if cancelled or the worker fails
+     */
+    run(circuit, trace, stepEnds, options = {}) {
+        this.cancel();
+        if (!this.worker) {
+            try {
+                this.worker = new Worker(this.workerUrl);
+            } catch (error) {
+                // Browsers refuse workers on some origins (e.g. file:// pages)
+                return Promise.reject(error);
+            }
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                this.fail(new Error(event.message || 'Simulation worker failed to start'));
+            };
+        }
+
+        const id = this.nextId++;
+        const gateIndex = new Map(circuit.gates.map((gate, i) => [gate, i]));
+        const matrices = {};
+        for (const gate of circuit.gates) {
+            if (GateMatrices[gate.type]) matrices[gate.type] = GateMatrices[gate.type];
+        }
+
+        return new Promise((resolve, reject) => {
+            this.active = {
+                id, resolve, reject,
+                onProgress: options.onProgress || null,
+                onStep: options.onStep || null,
+                numQubits: circuit.numQubits,
+                useOptimizedGates: circuit.useOptimizedGates
+            };
+            this.worker.postMessage({
+                type: 'run',
+                id,
+                circuit: {
+                    numQubits: circuit.numQubits,
+                    useOptimizedGates: circuit.useOptimizedGates,
+                    gates: JSON.parse(JSON.stringify(circuit.gates)),
+                    controlFlow: JSON.parse(JSON.stringify(circuit.controlFlow)),
+                    matrices
+                },
+                sequence: trace.map(step => gateIndex.get(step.gate)),
+                stepEnds,
+                snapshotEvery: SimulationRunner.snapshotInterval(circuit.numQubits, stepEnds.length),
+                shots: options.shots || null
+            });
+        });
+    }
+
+    // Stop the run in progress (its promise rejects with {cancelled: true})
+    cancel() {
+        if (!this.active) return;
+        const { reject } = this.active;
+        this.active = null;
+        // A busy worker only stops by being terminated; the next run starts a fresh one
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        const error = new Error('Simulation cancelled');
+        error.cancelled = true;
+        reject(error);
+    }
+
+    isRunning() {
+        return this.active !== null;
+    }
+
+    toState(data, classical) {
+        const { numQubits, useOptimizedGates } = this.active;
+        const state = new TypedQuantumState(numQubits, useOptimizedGates, data);
+        state.classical = { ...classical };
+        return state;
+    }
+
+    handleMessage(message) {
+        const active = this.active;
+        if (!active || message.id !== active.id) return;
+
+        if (message.type === 'progress') {
+            if (active.onProgress) active.onProgress(message.done, message.total);
+        } else if (message.type === 'step') {
+            if (active.onStep) active.onStep(message.step, message.data ? this.toState(message.data, message.classical) : null);
+        } else if (message.type === 'done') {
+            const state = this.toState(message.data, message.classical);
+            this.active = null;
+            active.resolve({ state, shotResult: message.shotResult });
+        } else if (message.type === 'error') {
+            this.fail(new Error(message.message));
+        }
+    }
+
+    fail(error) {
+        const active = this.active;
+        this.active = null;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (active) active.reject(error);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimulationRunner };
+}
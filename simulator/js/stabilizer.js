@@ -0,0 +1,579 @@
+// Stabilizer (Clifford) simulation backend
+
+// Aaronson–Gottesman tableau: the state is stored as the n stabilizer generators that fix it
+// (plus n destabilizers), so Clifford circuits cost O(n²) bits instead of 2^n amplitudes.
+// Rows 0..n-1 are destabilizers, n..2n-1 stabilizers and 2n a scratch row. Each row is a Pauli
+// string (-1)^r · ⊗ P_q with P_q encoded as (x, z): I = (0,0), X = (1,0), Y = (1,1), Z = (0,1),
+// packed 32 qubits per word.
+class StabilizerState {
+    static MAX_QUBITS = 500;
+    static MAX_LISTED_OUTCOME_BITS = 16; // Outcome lists go up to 2^16 equally likely bitstrings
+    static CLIFFORD_GATES = new Set(['I', 'H', 'X', 'Y', 'Z', 'S', 'CX', 'CY', 'CZ', 'SWAP', 'MEASURE']);
+
+    // True when the gate maps stabilizer states to stabilizer states (T, rotations and #define gates do not)
+    static supportsGate(gate) {
+        if (!StabilizerState.CLIFFORD_GATES.has(gate.type)) return false;
+        if (gate.params && Array.isArray(gate.params.jointQubits) && gate.params.jointQubits.length > 0) return false;
+        // Toffoli and other multi-controlled gates are not Clifford
+        return !gate.multiQubits || gate.multiQubits.length <= 1;
+    }
+
+    constructor(numQubits = 1, useOptimizedGates = true) {
+        this.numQubits = numQubits;
+        this.dimension = Math.pow(2, numQubits);
+        this.isStabilizer = true;
+        this.useOptimizedGates = useOptimizedGates;
+        this.words = Math.ceil(numQubits / 32);
+        const rows = 2 * numQubits + 1;
+        this.x = new Uint32Array(rows * this.words);
+        this.z = new Uint32Array(rows * this.words);
+        this.r = new Uint8Array(rows);
+        // |0...0⟩: destabilizer q is X_q, stabilizer q is Z_q
+        for (let q = 0; q < numQubits; q++) {
+            this.x[q * this.words + (q >>> 5)] |= 1 << (q & 31);
+            this.z[(numQubits + q) * this.words + (q >>> 5)] |= 1 << (q & 31);
+        }
+        this.measured = false;
+        this.measurementResult = null;
+        this.classical = {}; // Classical register values written by MEASURE q -> c
+        this.cachedCanonical = null;
+    }
+
+    // Gate updates are bit operations either way
+    setOptimization(enabled) {
+        this.useOptimizedGates = enabled;
+    }
+
+    // Called by every method that changes the tableau
+    changed() {
+        this.cachedCanonical = null;
+    }
+
+    clone() {
+        const copy = new StabilizerState(0, this.useOptimizedGates);
+        copy.numQubits = this.numQubits;
+        copy.dimension = this.dimension;
+        copy.words = this.words;
+        copy.x = this.x.slice();
+        copy.z = this.z.slice();
+        copy.r = this.r.slice();
+        copy.measured = this.measured;
+        copy.measurementResult = this.measurementResult;
+        copy.classical = { ...this.classical };
+        copy.cachedCanonical = this.cachedCanonical;
+        return copy;
+    }
+
+    checkQubit(qubitIndex) {
+        if (qubitIndex < 0 || qubitIndex >= this.numQubits) {
+            throw new Error(`Invalid qubit index: ${qubitIndex}`);
+        }
+    }
+
+    // ========== TABLEAU ROWS ==========
+
+    getX(row, q) {
+        return (this.x[row * this.words + (q >>> 5)] >>> (q & 31)) & 1;
+    }
+
+    getZ(row, q) {
+        return (this.z[row * this.words + (q >>> 5)] >>> (q & 31)) & 1;
+    }
+
+    // Row h ← row i · row h, with the sign worked out from the i-powers of the single-qubit products
+    rowsum(h, i) {
+        const W = this.words;
+        const hBase = h * W, iBase = i * W;
+        let phase = 2 * this.r[h] + 2 * this.r[i];
+        for (let w = 0; w < W; w++) {
+            const x1 = this.x[iBase + w], z1 = this.z[iBase + w];
+            const x2 = this.x[hBase + w], z2 = this.z[hBase + w];
+            const onlyX = x1 & ~z1, onlyY = x1 & z1, onlyZ = ~x1 & z1;
+            // X·Y = iZ, Y·Z = iX, Z·X = iY and the reverse orders give -i
+            const plus = (onlyX & x2 & z2) | (onlyY & z2 & ~x2) | (onlyZ & x2 & ~z2);
+            const minus = (onlyX & z2 & ~x2) | (onlyY & x2 & ~z2) | (onlyZ & x2 & z2);
+            phase += popcount32(plus) - popcount32(minus);
+            this.x[hBase + w] = x1 ^ x2;
+            this.z[hBase + w] = z1 ^ z2;
+        }
+        this.r[h] = ((phase % 4) + 4) % 4 === 2 ? 1 : 0;
+    }
+
+    copyRow(to, from) {
+        const W = this.words;
+        this.x.copyWithin(to * W, from * W, (from + 1) * W);
+        this.z.copyWithin(to * W, from * W, (from + 1) * W);
+        this.r[to] = this.r[from];
+    }
+
+    swapRows(a, b) {
+        if (a === b) return;
+        const scratch = 2 * this.numQubits;
+        this.copyRow(scratch, a);
+        this.copyRow(a, b);
+        this.copyRow(b, scratch);
+    }
+
+    clearRow(row) {
+        const W = this.words;
+        this.x.fill(0, row * W, (row + 1) * W);
+        this.z.fill(0, row * W, (row + 1) * W);
+        this.r[row] = 0;
+    }
+
+    // Set row to the Pauli string ops (sign +)
+    setRow(row, ops) {
+        this.clearRow(row);
+        const base = row * this.words;
+        for (const { qubit, pauli } of ops) {
+            this.checkQubit(qubit);
+            const bit = 1 << (qubit & 31);
+            if (pauli !== 'Z') this.x[base + (qubit >>> 5)] |= bit;
+            if (pauli !== 'X') this.z[base + (qubit >>> 5)] |= bit;
+        }
+    }
+
+    // True when rows a and b anticommute
+    anticommutes(a, b) {
+        const W = this.words;
+        let parity = 0;
+        for (let w = 0; w < W; w++) {
+            parity ^= popcount32((this.x[a * W + w] & this.z[b * W + w]) ^ (this.z[a * W + w] & this.x[b * W + w])) & 1;
+        }
+        return parity === 1;
+    }
+
+    // {qubit, pauli} ops of a row (identity factors left out)
+    rowOps(row) {
+        const ops = [];
+        for (let q = 0; q < this.numQubits; q++) {
+            const x = this.getX(row, q), z = this.getZ(row, q);
+            if (x || z) ops.push({ qubit: q, pauli: x ? (z ? 'Y' : 'X') : 'Z' });
+        }
+        return ops;
+    }
+
+    // ========== CLIFFORD GATES ==========
+
+    applyH(q) {
+        const W = this.words, w = q >>> 5, bit = 1 << (q & 31);
+        for (let row = 0; row < 2 * this.numQubits; row++) {
+            const k = row * W + w;
+            const xb = this.x[k] & bit, zb = this.z[k] & bit;
+            if (xb && zb) this.r[row] ^= 1;
+            this.x[k] = (this.x[k] & ~bit) | zb;
+            this.z[k] = (this.z[k] & ~bit) | xb;
+        }
+        this.changed();
+    }
+
+    applyS(q) {
+        const W = this.words, w = q >>> 5, bit = 1 << (q & 31);
+        for (let row = 0; row < 2 * this.numQubits; row++) {
+            const k = row * W + w;
+            if (!(this.x[k] & bit)) continue;
+            if (this.z[k] & bit) this.r[row] ^= 1;
+            this.z[k] ^= bit;
+        }
+        this.changed();
+    }
+
+    // Pauli gates only flip the signs of the rows they anticommute with
+    applyPauli(pauli, q) {
+        const W = this.words, w = q >>> 5, bit = 1 << (q & 31);
+        for (let row = 0; row < 2 * this.numQubits; row++) {
+            const k = row * W + w;
+            const xb = this.x[k] & bit ? 1 : 0, zb = this.z[k] & bit ? 1 : 0;
+            if (pauli === 'X') this.r[row] ^= zb;
+            else if (pauli === 'Z') this.r[row] ^= xb;
+            else this.r[row] ^= xb ^ zb;
+        }
+        this.changed();
+    }
+
+    applyCX(control, target) {
+        const W = this.words;
+        const wc = control >>> 5, bc = 1 << (control & 31);
+        const wt = target >>> 5, bt = 1 << (target & 31);
+        for (let row = 0; row < 2 * this.numQubits; row++) {
+            const base = row * W;
+            const xc = this.x[base + wc] & bc ? 1 : 0, zc = this.z[base + wc] & bc ? 1 : 0;
+            const xt = this.x[base + wt] & bt ? 1 : 0, zt = this.z[base + wt] & bt ? 1 : 0;
+            if (xc && zt && xt === zc) this.r[row] ^= 1;
+            if (xc) this.x[base + wt] ^= bt;
+            if (zt) this.z[base + wc] ^= bc;
+        }
+        this.changed();
+    }
+
+    applyGate(gate, qubitIndex) {
+        this.checkQubit(qubitIndex);
+        if (gate === 'H') this.applyH(qubitIndex);
+        else if (gate === 'S') this.applyS(qubitIndex);
+        else if (gate === 'X' || gate === 'Y' || gate === 'Z') this.applyPauli(gate, qubitIndex);
+        else if (gate !== 'I') throw new Error(`${gate} is not a Clifford gate`);
+    }
+
+    applyTwoQubitGate(gate, controlQubit, targetQubit) {
+        this.checkQubit(controlQubit);
+        this.checkQubit(targetQubit);
+        if (controlQubit === targetQubit) throw new Error(`${gate} needs two different qubits`);
+        if (gate === 'CX') {
+            this.applyCX(controlQubit, targetQubit);
+        } else if (gate === 'CZ') {
+            this.applyH(targetQubit);
+            this.applyCX(controlQubit, targetQubit);
+            this.applyH(targetQubit);
+        } else if (gate === 'CY') {
+            // CY = S · CX · S† on the target, with S† = S³
+            for (let k = 0; k < 3; k++) this.applyS(targetQubit);
+            this.applyCX(controlQubit, targetQubit);
+            this.applyS(targetQubit);
+        } else if (gate === 'SWAP') {
+            this.applyCX(controlQubit, targetQubit);
+            this.applyCX(targetQubit, controlQubit);
+            this.applyCX(controlQubit, targetQubit);
+        } else {
+            throw new Error(`${gate} is not a Clifford gate`);
+        }
+    }
+
+    // Only the single-control forms are Clifford
+    applyMultiControlled(gate, controls, target) {
+        if (controls.length === 0) this.applyGate(gate.substring(1), target);
+        else if (controls.length === 1) this.applyTwoQubitGate(gate, controls[0], target);
+        else throw new Error(`${'C'.repeat(controls.length)}${gate.substring(1)} is not a Clifford gate`);
+    }
+
+    applyMultiControlledX(controls, target) {
+        this.applyMultiControlled('CX', controls, target);
+    }
+
+    applyMultiControlledY(controls, target) {
+        this.applyMultiControlled('CY', controls, target);
+    }
+
+    applyMultiControlledZ(controls = [], target = null) {
+        this.applyMultiControlled('CZ', controls, target);
+    }
+
+    applyGateGeneral() {
+        throw new Error('Matrix gates are not Clifford gates');
+    }
+
+    applyControlledGate() {
+        throw new Error('Controlled rotations are not Clifford gates');
+    }
+
+    applyRotationGate(axis) {
+        throw new Error(`R${axis} is not a Clifford gate`);
+    }
+
+    // ========== MEASUREMENT AND READOUT ==========
+
+    // First stabilizer row that anticommutes with Z_q (the outcome of measuring q is random), or -1
+    randomPivot(q) {
+        const n = this.numQubits;
+        for (let p = n; p < 2 * n; p++) {
+            if (this.getX(p, q)) return p;
+        }
+        return -1;
+    }
+
+    // Outcome of measuring q when it is certain (no stabilizer anticommutes with Z_q)
+    deterministicOutcome(q) {
+        const n = this.numQubits;
+        const scratch = 2 * n;
+        this.clearRow(scratch);
+        for (let i = 0; i < n; i++) {
+            if (this.getX(i, q)) this.rowsum(scratch, i + n);
+        }
+        return this.r[scratch];
+    }
+
+    measure(qubitIndex, random = Math.random) {
+        this.checkQubit(qubitIndex);
+        const prob0 = this.getProbability(qubitIndex, 0);
+        const result = random() < prob0 ? 0 : 1;
+        this.collapseState(qubitIndex, result);
+        return result;
+    }
+
+    measureAll() {
+        const results = [];
+        for (let i = 0; i < this.numQubits; i++) {
+            results.push(this.measure(i));
+        }
+        this.measured = true;
+        this.measurementResult = results;
+        return results;
+    }
+
+    getProbability(qubitIndex, value) {
+        this.checkQubit(qubitIndex);
+        if (this.randomPivot(qubitIndex) >= 0) return 0.5;
+        return this.deterministicOutcome(qubitIndex) === value ? 1 : 0;
+    }
+
+    collapseState(qubitIndex, result) {
+        this.checkQubit(qubitIndex);
+        const n = this.numQubits;
+        const p = this.randomPivot(qubitIndex);
+        if (p < 0) {
+            if (this.deterministicOutcome(qubitIndex) !== result) {
+                throw new Error(`q${qubitIndex} cannot be measured as ${result}`);
+            }
+            return;
+        }
+        for (let i = 0; i < 2 * n; i++) {
+            if (i !== p && this.getX(i, qubitIndex)) this.rowsum(i, p);
+        }
+        this.copyRow(p - n, p);
+        this.setRow(p, [{ qubit: qubitIndex, pauli: 'Z' }]);
+        this.r[p] = result;
+        this.changed();
+    }
+
+    // ⟨ψ|P|ψ⟩ for a Pauli string: 0 unless ±P is in the stabilizer group
+    expectationPauli(ops) {
+        const n = this.numQubits;
+        const scratch = 2 * n;
+        this.setRow(scratch, ops);
+        for (let p = n; p < 2 * n; p++) {
+            if (this.anticommutes(p, scratch)) return 0;
+        }
+        // ±P is the product of the stabilizers whose destabilizer anticommutes with P
+        const members = [];
+        for (let i = 0; i < n; i++) {
+            if (this.anticommutes(i, scratch)) members.push(i + n);
+        }
+        this.clearRow(scratch);
+        for (const row of members) this.rowsum(scratch, row);
+        return this.r[scratch] ? -1 : 1;
+    }
+
+    getBlochCoordinates(qubitIndex) {
+        const x = this.expectationPauli([{ qubit: qubitIndex, pauli: 'X' }]);
+        const y = this.expectationPauli([{ qubit: qubitIndex, pauli: 'Y' }]);
+        const z = this.expectationPauli([{ qubit: qubitIndex, pauli: 'Z' }]);
+        const r = Math.sqrt(x*x + y*y + z*z);
+        if (r > 1e-10) {
+            return { x: x/r, y: y/r, z: z/r };
+        }
+        return { x: 0, y: 0, z: 1 };
+    }
+    // ========== GENERATORS AND OUTCOMES ==========
+
+    // Stabilizer rows in reduced row-echelon form (computed on a copy, cached until the next gate):
+    // the first xRank generators have X/Y pivots and the rest are Z-only. A Z-basis measurement of
+    // every qubit gives offset ⊕ (any subset of directions), each of the 2^xRank outcomes equally likely.
+    canonicalForm() {
+        if (this.cachedCanonical) return this.cachedCanonical;
+        const n = this.numQubits, W = this.words;
+        const t = this.clone();
+        let next = n;
+        const eliminate = (get) => {
+            const pivots = [];
+            for (let q = 0; q < n && next < 2 * n; q++) {
+                let k = next;
+                while (k < 2 * n && !get(k, q)) k++;
+                if (k === 2 * n) continue;
+                t.swapRows(next, k);
+                for (let j = n; j < 2 * n; j++) {
+                    if (j !== next && get(j, q)) t.rowsum(j, next);
+                }
+                pivots.push(q);
+                next++;
+            }
+            return pivots;
+        };
+        eliminate((row, q) => t.getX(row, q));
+        const xRank = next - n;
+        const zPivots = eliminate((row, q) => t.getZ(row, q));
+
+        const offset = new Uint32Array(W);
+        zPivots.forEach((q, j) => {
+            if (t.r[n + xRank + j]) offset[q >>> 5] |= 1 << (q & 31);
+        });
+        const directions = [];
+        const zRows = [];
+        for (let j = 0; j < n; j++) {
+            const row = n + j;
+            if (j < xRank) directions.push(t.x.slice(row * W, (row + 1) * W));
+            else zRows.push({ z: t.z.slice(row * W, (row + 1) * W), r: t.r[row] });
+        }
+        const generators = [];
+        for (let row = n; row < 2 * n; row++) {
+            generators.push((t.r[row] ? '-' : '+') + formatPauliString(t.rowOps(row)));
+        }
+        this.cachedCanonical = { xRank, offset, directions, zRows, generators };
+        return this.cachedCanonical;
+    }
+
+    // Canonical generators as signed Pauli strings, e.g. ['+X0X1X2', '+Z0Z2', '+Z1Z2']
+    getStabilizers() {
+        return this.canonicalForm().generators;
+    }
+
+    getStateVectorString() {
+        return `⟨${this.getStabilizers().join(', ')}⟩`;
+    }
+
+    // Number of equally likely outcomes is 2^outcomeBits
+    get outcomeBits() {
+        return this.canonicalForm().xRank;
+    }
+
+    // Whether getAllProbabilities() can list every outcome
+    canListOutcomes() {
+        return this.outcomeBits <= StabilizerState.MAX_LISTED_OUTCOME_BITS;
+    }
+
+    // e.g. "2^150 equally likely outcomes" for panels that cannot list them
+    outcomeSummary() {
+        const k = this.outcomeBits;
+        if (k === 0) return '1 certain outcome';
+        return `${k <= 20 ? Math.pow(2, k) : `2^${k}`} equally likely outcomes`;
+    }
+
+    // Bitstring with qubits[0] leftmost
+    formatOutcome(words, qubits) {
+        return qubits.map(q => (words[q >>> 5] >>> (q & 31)) & 1).join('');
+    }
+
+    allQubitsMsbFirst() {
+        return Array.from({ length: this.numQubits }, (_, i) => this.numQubits - 1 - i);
+    }
+
+    // Exact distribution of the listed qubits (qubits[0] is the leftmost bit of each key).
+    // Throws when it has more than 2^MAX_LISTED_OUTCOME_BITS outcomes.
+    getMarginalProbabilities(qubits) {
+        const { offset, directions } = this.canonicalForm();
+        const project = (words) => Uint8Array.from(qubits, q => (words[q >>> 5] >>> (q & 31)) & 1);
+        // Independent projected directions (GF(2) elimination)
+        const basis = [];
+        for (const direction of directions) {
+            const v = project(direction);
+            for (const b of basis) {
+                if (v[b.pivot]) for (let j = 0; j < v.length; j++) v[j] ^= b.v[j];
+            }
+            const pivot = v.indexOf(1);
+            if (pivot >= 0) basis.push({ v, pivot });
+        }
+        if (basis.length > StabilizerState.MAX_LISTED_OUTCOME_BITS) {
+            throw new Error(`2^${basis.length} equally likely outcomes, too many to list`);
+        }
+
+        const p = Math.pow(2, -basis.length);
+        const current = project(offset);
+        const probs = { [current.join('')]: p };
+        // Gray code: each step toggles one basis vector
+        for (let g = 1; g < 1 << basis.length; g++) {
+            const { v } = basis[31 - Math.clz32(g & -g)];
+            for (let j = 0; j < v.length; j++) current[j] ^= v[j];
+            probs[current.join('')] = p;
+        }
+        return probs;
+    }
+
+    getAllProbabilities() {
+        return this.getMarginalProbabilities(this.allQubitsMsbFirst());
+    }
+
+    // Probability of one full-register outcome (qubit n-1 first), for any number of outcomes
+    getOutcomeProbability(bits) {
+        const n = this.numQubits;
+        if (bits.length !== n) return 0;
+        const words = new Uint32Array(this.words);
+        for (let q = 0; q < n; q++) {
+            if (bits[n - 1 - q] === '1') words[q >>> 5] |= 1 << (q & 31);
+        }
+        const { xRank, zRows } = this.canonicalForm();
+        for (const { z, r } of zRows) {
+            let parity = 0;
+            for (let w = 0; w < this.words; w++) parity ^= popcount32(words[w] & z[w]) & 1;
+            if (parity !== r) return 0;
+        }
+        return Math.pow(2, -xRank);
+    }
+
+    // Draw full-register outcomes without listing the distribution; returns {bitstring: count}
+    sampleOutcomes(shots, random = Math.random) {
+        const { offset, directions } = this.canonicalForm();
+        const qubits = this.allQubitsMsbFirst();
+        const counts = {};
+        const words = new Uint32Array(this.words);
+        for (let s = 0; s < shots; s++) {
+            words.set(offset);
+            for (const direction of directions) {
+                if (random() < 0.5) continue;
+                for (let w = 0; w < this.words; w++) words[w] ^= direction[w];
+            }
+            const outcome = this.formatOutcome(words, qubits);
+            counts[outcome] = (counts[outcome] || 0) + 1;
+        }
+        return counts;
+    }
+
+    // ρ_A = (1/2^|A|) Σ g over the stabilizer-group elements g supported on A,
+    // as a 2D array of Complex with bit j of the index being qubit subset[j]
+    reducedDensityMatrix(subset) {
+        subset.forEach(q => this.checkQubit(q));
+        const n = this.numQubits;
+        const t = this.clone();
+        // Pivot out every X and Z bit outside A; the rows never used as a pivot generate the group on A
+        const free = Array.from({ length: n }, (_, j) => n + j);
+        for (let q = 0; q < n; q++) {
+            if (subset.includes(q)) continue;
+            for (const get of [(row) => t.getX(row, q), (row) => t.getZ(row, q)]) {
+                const k = free.findIndex(get);
+                if (k < 0) continue;
+                const [pivot] = free.splice(k, 1);
+                for (const row of free) {
+                    if (get(row)) t.rowsum(row, pivot);
+                }
+            }
+        }
+
+        const dim = 1 << subset.length;
+        const rho = Array.from({ length: dim }, () => Array.from({ length: dim }, () => ({ re: 0, im: 0 })));
+        const scratch = 2 * n;
+        t.clearRow(scratch);
+        const addElement = () => {
+            // g|b⟩ = (-1)^r · i^nY · (-1)^popcount(b & z) |b ⊕ x⟩
+            let flip = 0, sign = 0, nY = 0;
+            subset.forEach((q, j) => {
+                const x = t.getX(scratch, q), z = t.getZ(scratch, q);
+                flip |= x << j;
+                sign |= z << j;
+                if (x && z) nY++;
+            });
+            const phase = (nY + 2 * t.r[scratch]) % 4;
+            for (let b = 0; b < dim; b++) {
+                const s = bitParity(b & sign) ? -1 : 1;
+                const cell = rho[b ^ flip][b];
+                if (phase % 2 === 0) cell.re += (phase === 0 ? s : -s) / dim;
+                else cell.im += (phase === 1 ? s : -s) / dim;
+            }
+        };
+        addElement();
+        for (let g = 1; g < 1 << free.length; g++) {
+            t.rowsum(scratch, free[31 - Math.clz32(g & -g)]);
+            addElement();
+        }
+        return rho;
+    }
+
+}
+
+// Set bits of a 32-bit word
+function popcount32(v) {
+    v = v - ((v >>> 1) & 0x55555555);
+    v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+    return Math.imul((v + (v >>> 4)) & 0x0F0F0F0F, 0x01010101) >>> 24;
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StabilizerState };
+}
@@ -0,0 +1,466 @@
+// Typed-array statevector engine
+
+// QuantumState with the amplitudes packed into one Float64Array (re at 2i, im at 2i + 1).
+// Gates update the buffer in place with the same arithmetic, in the same order, as QuantumState,
+// so both engines give bit-identical results; this one just skips the 2^n {re, im} objects per gate.
+class TypedQuantumState {
+    constructor(numQubits = 1, useOptimizedGates = true, data = null) {
+        this.numQubits = numQubits;
+        this.dimension = Math.pow(2, numQubits);
+        this.data = data || new Float64Array(2 * this.dimension);
+        if (!data) this.data[0] = 1; // Start in |00...0⟩ state
+        this.measured = false;
+        this.measurementResult = null;
+        this.classical = {}; // Classical register values written by MEASURE q -> c
+        this.useOptimizedGates = useOptimizedGates;
+        this.cachedAmplitudes = null;
+        this.cachedProbabilities = null;
+    }
+
+    setOptimization(enabled) {
+        this.useOptimizedGates = enabled;
+    }
+
+    // {re, im} view of the buffer for code written against QuantumState.amplitudes.
+    // Built on first read and reused until the next gate changes the buffer.
+    get amplitudes() {
+        if (!this.cachedAmplitudes) {
+            const amplitudes = new Array(this.dimension);
+            for (let i = 0; i < this.dimension; i++) {
+                amplitudes[i] = Complex.create(this.data[2 * i], this.data[2 * i + 1]);
+            }
+            this.cachedAmplitudes = amplitudes;
+        }
+        return this.cachedAmplitudes;
+    }
+
+    // Called by every method that writes the buffer
+    changed() {
+        this.cachedAmplitudes = null;
+        this.cachedProbabilities = null;
+    }
+
+    getState() {
+        return this.amplitudes.map(amp => ({ real: amp.re, imag: amp.im }));
+    }
+
+    // Set the state from amplitudes (real numbers or complex objects) and normalize
+    setState(amplitudes) {
+        const complexAmps = amplitudes.map(amp =>
+            typeof amp === 'number' ? Complex.create(amp, 0) : amp
+        );
+        const norm = Math.sqrt(complexAmps.reduce((sum, amp) => sum + Complex.abs2(amp), 0));
+        complexAmps.forEach((amp, i) => {
+            const scaled = Complex.scale(amp, 1 / norm);
+            this.data[2 * i] = scaled.re;
+            this.data[2 * i + 1] = scaled.im;
+        });
+        this.changed();
+    }
+
+    clone() {
+        const copy = new TypedQuantumState(this.numQubits, this.useOptimizedGates, this.data.slice());
+        copy.measured = this.measured;
+        copy.measurementResult = this.measurementResult;
+        copy.classical = { ...this.classical };
+        return copy;
+    }
+
+    checkQubit(qubitIndex) {
+        if (!Number.isInteger(qubitIndex) || qubitIndex < 0 || qubitIndex >= this.numQubits) {
+            throw new Error(`Invalid qubit index: ${qubitIndex}`);
+        }
+    }
+
+    // ========== GATE APPLICATION ==========
+
+    // 2×2 matrix on one qubit (QuantumState's k = 1 path, applyGateOptimized and the optimized rotation)
+    applySingleQubitMatrix(matrix, qubitIndex) {
+        this.checkQubit(qubitIndex);
+        const d = this.data;
+        const [m0, m1, m2, m3] = matrix;
+        const step = 1 << qubitIndex;
+
+        for (let i = 0; i < this.dimension; i += 2 * step) {
+            for (let j = 0; j < step; j++) {
+                const p0 = 2 * (i + j);
+                const p1 = 2 * (i + j + step);
+                const a0re = d[p0], a0im = d[p0 + 1];
+                const a1re = d[p1], a1im = d[p1 + 1];
+
+                d[p0] = (m0.re * a0re - m0.im * a0im) + (m1.re * a1re - m1.im * a1im);
+                d[p0 + 1] = (m0.re * a0im + m0.im * a0re) + (m1.re * a1im + m1.im * a1re);
+                d[p1] = (m2.re * a0re - m2.im * a0im) + (m3.re * a1re - m3.im * a1im);
+                d[p1 + 1] = (m2.re * a0im + m2.im * a0re) + (m3.re * a1im + m3.im * a1re);
+            }
+        }
+        this.changed();
+    }
+
+    // Any k-qubit gate: flattened 2^k × 2^k row-major matrix, qubitIndices[0] is the gate's least significant bit
+    applyGateGeneral(matrix, qubitIndices) {
+        qubitIndices.forEach(q => this.checkQubit(q));
+        const k = qubitIndices.length;
+        if (k === 1) {
+            this.applySingleQubitMatrix(matrix, qubitIndices[0]);
+            return;
+        }
+        if (k === 2) {
+            this.applyTwoQubitMatrix(matrix, qubitIndices[0], qubitIndices[1]);
+            return;
+        }
+
+        const d = this.data;
+        const gateSize = 1 << k;
+        let participantMask = 0;
+        for (const q of qubitIndices) participantMask |= (1 << q);
+
+        // Offsets of the 2^k states in a group relative to its base (all participating qubits 0)
+        const offsets = new Int32Array(gateSize);
+        for (let bits = 0; bits < gateSize; bits++) {
+            for (let b = 0; b < k; b++) {
+                if ((bits >> b) & 1) offsets[bits] |= (1 << qubitIndices[b]);
+            }
+        }
+        const group = new Float64Array(2 * gateSize);
+
+        for (let base = 0; base < this.dimension; base++) {
+            if (base & participantMask) continue;
+
+            for (let col = 0; col < gateSize; col++) {
+                group[2 * col] = d[2 * (base | offsets[col])];
+                group[2 * col + 1] = d[2 * (base | offsets[col]) + 1];
+            }
+            for (let row = 0; row < gateSize; row++) {
+                let re = 0, im = 0;
+                for (let col = 0; col < gateSize; col++) {
+                    const factor = matrix[row * gateSize + col];
+                    if (factor.re !== 0 || factor.im !== 0) {
+                        const are = group[2 * col], aim = group[2 * col + 1];
+                        re = re + (factor.re * are - factor.im * aim);
+                        im = im + (factor.re * aim + factor.im * are);
+                    }
+                }
+                d[2 * (base | offsets[row])] = re;
+                d[2 * (base | offsets[row]) + 1] = im;
+            }
+        }
+        this.changed();
+    }
+
+    // 4×4 matrix on (q0, q1), q0 the least significant bit of the matrix index
+    applyTwoQubitMatrix(matrix, q0, q1) {
+        const d = this.data;
+        const step0 = 1 << q0;
+        const step1 = 1 << q1;
+        const getBits = (idx) => ((idx >> q0) & 1) | (((idx >> q1) & 1) << 1);
+        const offsets = [0, step1, step0, step0 | step1];
+        const rows = offsets.map(offset => getBits(offset) * 4);
+        const cols = offsets.map(offset => getBits(offset));
+        const amps = new Float64Array(8);
+
+        for (let base = 0; base < this.dimension; base++) {
+            if (base & (step0 | step1)) continue;
+
+            for (let s = 0; s < 4; s++) {
+                amps[2 * s] = d[2 * (base | offsets[s])];
+                amps[2 * s + 1] = d[2 * (base | offsets[s]) + 1];
+            }
+            for (let s = 0; s < 4; s++) {
+                const m00 = matrix[rows[s] + cols[0]], m01 = matrix[rows[s] + cols[1]];
+                const m10 = matrix[rows[s] + cols[2]], m11 = matrix[rows[s] + cols[3]];
+                const p = 2 * (base | offsets[s]);
+                d[p] = ((m00.re * amps[0] - m00.im * amps[1]) + (m01.re * amps[2] - m01.im * amps[3]))
+                    + ((m10.re * amps[4] - m10.im * amps[5]) + (m11.re * amps[6] - m11.im * amps[7]));
+                d[p + 1] = ((m00.re * amps[1] + m00.im * amps[0]) + (m01.re * amps[3] + m01.im * amps[2]))
+                    + ((m10.re * amps[5] + m10.im * amps[4]) + (m11.re * amps[7] + m11.im * amps[6]));
+            }
+        }
+        this.changed();
+    }
+
+    applyGate(gate, qubitIndex) {
+        this.checkQubit(qubitIndex);
+        const gateMatrix = this.getGateMatrix(gate);
+        if (this.useOptimizedGates && gateMatrix.length === 4) {
+            this.applySingleQubitMatrix(gateMatrix, qubitIndex);
+        } else {
+            this.applyGateGeneral(gateMatrix, [qubitIndex]);
+        }
+    }
+
+    // CX/CY/CZ/SWAP by moving amplitudes
+    applyTwoQubitGateOptimized(gate, controlQubit, targetQubit) {
+        if (!['CX', 'CY', 'CZ', 'SWAP'].includes(gate)) {
+            throw new Error(`Unknown two-qubit gate: ${gate}`);
+        }
+        this.checkQubit(controlQubit);
+        this.checkQubit(targetQubit);
+        const d = this.data;
+        const controlMask = 1 << controlQubit;
+        const targetMask = 1 << targetQubit;
+
+        for (let i = 0; i < this.dimension; i++) {
+            if (gate === 'SWAP') {
+                // Each pair once, from the side with the control bit set
+                if ((i & controlMask) && !(i & targetMask)) this.swapAmplitudes(i, i ^ controlMask ^ targetMask);
+                continue;
+            }
+            if (!(i & controlMask)) continue;
+            const p = 2 * i;
+            if (gate === 'CZ') {
+                if (i & targetMask) {
+                    d[p] = d[p] * -1;
+                    d[p + 1] = d[p + 1] * -1;
+                }
+            } else if (!(i & targetMask)) {
+                const q = 2 * (i | targetMask);
+                if (gate === 'CX') {
+                    this.swapAmplitudes(i, i | targetMask);
+                } else {
+                    // Y: |0⟩ → i|1⟩, |1⟩ → -i|0⟩
+                    const re0 = d[p], im0 = d[p + 1];
+                    d[p] = d[q + 1];
+                    d[p + 1] = -d[q];
+                    d[q] = -im0;
+                    d[q + 1] = re0;
+                }
+            }
+        }
+        this.changed();
+    }
+
+    swapAmplitudes(i, j) {
+        const d = this.data;
+        const re = d[2 * i], im = d[2 * i + 1];
+        d[2 * i] = d[2 * j];
+        d[2 * i + 1] = d[2 * j + 1];
+        d[2 * j] = re;
+        d[2 * j + 1] = im;
+    }
+
+    applyTwoQubitGate(gate, controlQubit, targetQubit) {
+        if (controlQubit === targetQubit) {
+            throw new Error('Control and target qubits must be different');
+        }
+
+        if (this.useOptimizedGates || !GateMatrices[gate]) {
+            this.applyTwoQubitGateOptimized(gate, controlQubit, targetQubit);
+        } else {
+            this.applyGateGeneral(GateMatrices[gate], [targetQubit, controlQubit]);
+        }
+    }
+
+    // Mask with a bit set for each control
+    controlMask(controls) {
+        return controls.reduce((mask, c) => mask | (1 << c), 0);
+    }
+
+    // Phase flip when all controls and the target are |1⟩
+    applyMultiControlledZ(controls = [], target = null) {
+        const participants = target !== null && target !== undefined ? [...controls, target] : [...controls];
+        const mask = this.controlMask(participants);
+        const d = this.data;
+        for (let i = 0; i < this.dimension; i++) {
+            if ((i & mask) === mask) {
+                d[2 * i] = d[2 * i] * -1;
+                d[2 * i + 1] = d[2 * i + 1] * -1;
+            }
+        }
+        this.changed();
+    }
+
+    applyMultiControlledX(controls, target) {
+        if (!this.useOptimizedGates) {
+            this.applyGateGeneral(buildMultiControlledMatrix('X', controls.length), [target, ...controls]);
+            return;
+        }
+        const mask = this.controlMask(controls);
+        const targetMask = 1 << target;
+        for (let i = 0; i < this.dimension; i++) {
+            if ((i & mask) === mask && !(i & targetMask)) this.swapAmplitudes(i, i | targetMask);
+        }
+        this.changed();
+    }
+
+    applyMultiControlledY(controls, target) {
+        if (!this.useOptimizedGates) {
+            this.applyGateGeneral(buildMultiControlledMatrix('Y', controls.length), [target, ...controls]);
+            return;
+        }
+        const mask = this.controlMask(controls);
+        const targetMask = 1 << target;
+        const d = this.data;
+        for (let i = 0; i < this.dimension; i++) {
+            if ((i & mask) !== mask || (i & targetMask)) continue;
+            const p = 2 * i;
+            const q = 2 * (i | targetMask);
+            const re0 = d[p], im0 = d[p + 1];
+            d[p] = d[q + 1];
+            d[p + 1] = -d[q];
+            d[q] = -im0;
+            d[q + 1] = re0;
+        }
+        this.changed();
+    }
+
+    // 2x2 matrix on the target when every control is |1⟩ (CP, CRX, CRY, CRZ)
+    applyControlledGate(matrix, controls, target) {
+        if (!this.useOptimizedGates) {
+            this.applyGateGeneral(buildMultiControlledMatrix(matrix, controls.length), [target, ...controls]);
+            return;
+        }
+        const [m0, m1, m2, m3] = matrix;
+        const mask = this.controlMask(controls);
+        const step = 1 << target;
+        const d = this.data;
+
+        for (let i = 0; i < this.dimension; i++) {
+            if ((i & step) || (i & mask) !== mask) continue;
+            const p0 = 2 * i;
+            const p1 = 2 * (i | step);
+            const a0re = d[p0], a0im = d[p0 + 1];
+            const a1re = d[p1], a1im = d[p1 + 1];
+            d[p0] = (m0.re * a0re - m0.im * a0im) + (m1.re * a1re - m1.im * a1im);
+            d[p0 + 1] = (m0.re * a0im + m0.im * a0re) + (m1.re * a1im + m1.im * a1re);
+            d[p1] = (m2.re * a0re - m2.im * a0im) + (m3.re * a1re - m3.im * a1im);
+            d[p1 + 1] = (m2.re * a0im + m2.im * a0re) + (m3.re * a1im + m3.im * a1re);
+        }
+        this.changed();
+    }
+
+    applyRotationGate(axis, qubitIndex, angle) {
+        const gateMatrix = this.getRotationMatrix(axis, angle);
+        if (this.useOptimizedGates) {
+            this.applySingleQubitMatrix(gateMatrix, qubitIndex);
+        } else {
+            this.applyGateGeneral(gateMatrix, [qubitIndex]);
+        }
+    }
+
+    // ========== MEASUREMENT AND READOUT ==========
+
+    measure(qubitIndex, random = Math.random) {
+        this.checkQubit(qubitIndex);
+        const prob0 = this.getProbability(qubitIndex, 0);
+        const result = random() < prob0 ? 0 : 1;
+        this.collapseState(qubitIndex, result);
+        return result;
+    }
+
+    measureAll() {
+        const results = [];
+        for (let i = 0; i < this.numQubits; i++) {
+            results.push(this.measure(i));
+        }
+        this.measured = true;
+        this.measurementResult = results;
+        return results;
+    }
+
+    // |amplitude|² of basis state i
+    probabilityAt(i) {
+        const re = this.data[2 * i], im = this.data[2 * i + 1];
+        return re * re + im * im;
+    }
+
+    getProbability(qubitIndex, value) {
+        let prob = 0;
+        for (let i = 0; i < this.dimension; i++) {
+            if (((i >> qubitIndex) & 1) === value) prob += this.probabilityAt(i);
+        }
+        return prob;
+    }
+
+    // Shared between the panels that read it after a run; callers must not modify the returned object
+    getAllProbabilities() {
+        if (!this.cachedProbabilities) {
+            const probs = {};
+            for (let i = 0; i < this.dimension; i++) {
+                probs[i.toString(2).padStart(this.numQubits, '0')] = this.probabilityAt(i);
+            }
+            this.cachedProbabilities = probs;
+        }
+        return this.cachedProbabilities;
+    }
+
+    // ⟨ψ|P|ψ⟩ for a Pauli string
+    expectationPauli(ops) {
+        const { flip, sign, nY } = pauliMasks(ops);
+        const d = this.data;
+        let re = 0, im = 0;
+        for (let i = 0; i < this.dimension; i++) {
+            const j = i ^ flip;
+            const cre = d[2 * j], cim = -d[2 * j + 1];
+            const are = d[2 * i], aim = d[2 * i + 1];
+            const s = bitParity(i & sign) ? -1 : 1;
+            re += s * (cre * are - cim * aim);
+            im += s * (cre * aim + cim * are);
+        }
+        return [re, -im, -re, im][nY % 4];
+    }
+
+    getStateVectorString() {
+        return QuantumState.prototype.getStateVectorString.call(this);
+    }
+
+    getGateMatrix(gate) {
+        return QuantumState.prototype.getGateMatrix.call(this, gate);
+    }
+
+    getRotationMatrix(axis, angle) {
+        return getRotationMatrixStatic(axis, angle);
+    }
+
+    collapseState(qubitIndex, result) {
+        const d = this.data;
+        let normSq = 0;
+        for (let i = 0; i < this.dimension; i++) {
+            if (((i >> qubitIndex) & 1) !== result) {
+                d[2 * i] = 0;
+                d[2 * i + 1] = 0;
+            }
+            normSq += this.probabilityAt(i);
+        }
+        const norm = Math.sqrt(normSq);
+        if (norm > 1e-10) {
+            const scale = 1 / norm;
+            for (let i = 0; i < 2 * this.dimension; i++) d[i] = d[i] * scale;
+        }
+        this.changed();
+    }
+
+    getBlochCoordinates(qubitIndex) {
+        const d = this.data;
+        const step = 1 << qubitIndex;
+        let rho00 = 0, rho11 = 0;
+        let rho01_re = 0, rho01_im = 0;
+
+        for (let i = 0; i < this.dimension; i++) {
+            if (i & step) {
+                rho11 += this.probabilityAt(i);
+                continue;
+            }
+            rho00 += this.probabilityAt(i);
+            // amp_i · conj(amp_j) with j the |1⟩ partner
+            const are = d[2 * i], aim = d[2 * i + 1];
+            const bre = d[2 * (i | step)], bim = -d[2 * (i | step) + 1];
+            rho01_re += are * bre - aim * bim;
+            rho01_im += are * bim + aim * bre;
+        }
+
+        const x = 2 * rho01_re;
+        const y = -2 * rho01_im;
+        const z = rho00 - rho11;
+        const r = Math.sqrt(x*x + y*y + z*z);
+        if (r > 1e-10) {
+            return { x: x/r, y: y/r, z: z/r };
+        }
+        return { x: 0, y: 0, z: 1 };
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TypedQuantumState };
+}
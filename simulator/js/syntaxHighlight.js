@@ -1,10 +1,19 @@
 // Qubi Syntax Highlighter
 
 /**
- * @typedef {'ctrl-last' | 'swap2' | 'broadcast' | 'rotation' | 'measure-q' | 'repeat-block' | 'repeat-end' | 'custom-joint'} QubiAcLayout
+ * @typedef {'ctrl-last' | 'swap2' | 'broadcast' | 'rotation' | 'measure-q' | 'repeat-block' | 'if-block' | 'repeat-end' | 'custom-joint'} QubiAcLayout
  * @typedef {{ insert: string, label: string, desc: string, examples?: string[], kind?: string, acLayout?: QubiAcLayout, acMeta?: { jointQ?: number } }} QubiAcItem
  */
 
+// Gates and keywords every editor (and headless check) accepts; #define adds to the gates at run time
+const QUBI_EDITOR_GATES = [
+    'H', 'X', 'Y', 'Z', 'S', 'T',
+    'RX', 'RY', 'RZ', 'P', 'U3',
+    'CX', 'CY', 'CZ', 'CP', 'CRX', 'CRY', 'CRZ', 'SWAP',
+    'MEASURE'
+];
+const QUBI_EDITOR_KEYWORDS = ['REPEAT', 'END', 'IF', 'CREG', 'PARAM', 'QREG', 'ALIAS', 'ASSERT'];
+
 const _qubiEx1 = /** @type {string[]} */ (['G 0', 'G (0,1,2)', 'G [0,1]']);
 const _qubiExRot = /** @type {string[]} */ (['G 0', 'G [0,1] 0.5', 'G (0,1) 90deg']);
 const _qubiExCtrl = /** @type {string[]} */ (['G [0,1]', 'G [0,1,2]', 'G ([0,1],[2,3])']);
@@ -26,13 +35,25 @@ const QUBI_BUILTIN_COMPLETIONS = /** @type {QubiAcItem[]} */ ([
     { insert: 'RX', label: 'RX', desc: 'Rotate around X (optional angle in π, deg, or rad)', examples: _qubiExRot.map((s) => s.replace('G', 'RX')), acLayout: 'rotation' },
     { insert: 'RY', label: 'RY', desc: 'Rotate around Y (optional angle in π, deg, or rad)', examples: _qubiExRot.map((s) => s.replace('G', 'RY')), acLayout: 'rotation' },
     { insert: 'RZ', label: 'RZ', desc: 'Rotate around Z (optional angle in π, deg, or rad)', examples: _qubiExRot.map((s) => s.replace('G', 'RZ')), acLayout: 'rotation' },
+    { insert: 'P', label: 'P', desc: 'Phase shift diag(1, e^{iφ}) (angle in π, deg, rad, or a PARAM)', examples: ['P 0 0.25', 'P (0,1) 45deg', 'P 0 phi'], acLayout: 'rotation' },
+    { insert: 'U3', label: 'U3', desc: 'General single-qubit rotation U3(θ, φ, λ)', examples: ['U3 0 0.5 0 1', 'U3 (0,1) 0.5 0.25 0', 'U3 0 theta 0 0'], acLayout: 'rotation' },
     { insert: 'CX', label: 'CX', desc: 'Controlled-X (CNOT, Toffoli, …): NOT on the last wire', examples: _qubiExCtrl.map((s) => s.replace('G', 'CX')), acLayout: 'ctrl-last' },
     { insert: 'CY', label: 'CY', desc: 'Controlled-Y on the last wire', examples: _qubiExCtrl.map((s) => s.replace('G', 'CY')), acLayout: 'ctrl-last' },
     { insert: 'CZ', label: 'CZ', desc: 'Controlled-Z on the last wire', examples: _qubiExCtrl.map((s) => s.replace('G', 'CZ')), acLayout: 'ctrl-last' },
+    { insert: 'CP', label: 'CP', desc: 'Controlled phase shift on the last wire', examples: ['CP [0,1] 0.5', 'CP [0,1,2] 90deg', 'CP [0,1] phi'], acLayout: 'ctrl-last' },
+    { insert: 'CRX', label: 'CRX', desc: 'Controlled RX on the last wire', examples: ['CRX [0,1] 0.5', 'CRX [0,1] theta'], acLayout: 'ctrl-last' },
+    { insert: 'CRY', label: 'CRY', desc: 'Controlled RY on the last wire', examples: ['CRY [0,1] 0.5', 'CRY [0,1] theta'], acLayout: 'ctrl-last' },
+    { insert: 'CRZ', label: 'CRZ', desc: 'Controlled RZ on the last wire', examples: ['CRZ [0,1] 0.5', 'CRZ [0,1] theta'], acLayout: 'ctrl-last' },
     { insert: 'SWAP', label: 'SWAP', desc: 'Swap two qubits', examples: ['SWAP [0,1]', 'SWAP [1,0]'], acLayout: 'swap2' },
-    { insert: 'MEASURE', label: 'MEASURE', desc: 'Projective measurement', examples: ['MEASURE 0', 'MEASURE 1'], acLayout: 'measure-q' },
+    { insert: 'MEASURE', label: 'MEASURE', desc: 'Projective measurement, optionally stored in a classical bit', examples: ['MEASURE 0', 'MEASURE 0 -> c', 'MEASURE 1 -> c[1]'], acLayout: 'measure-q' },
     { insert: 'REPEAT', label: 'REPEAT', desc: 'Repeat the following block N times (closes with END)', examples: ['REPEAT 3', 'H 0', 'END'], acLayout: 'repeat-block' },
-    { insert: 'END', label: 'END', desc: 'End innermost REPEAT block', examples: ['REPEAT 2', 'X 0', 'END'], acLayout: 'repeat-end' },
+    { insert: 'IF', label: 'IF', desc: 'Run the following block only when a classical register (or bit) equals a value (closes with END)', examples: ['IF c == 1', 'X 0', 'END'], acLayout: 'if-block' },
+    { insert: 'CREG', label: 'CREG', desc: 'Declare a classical register of n bits', examples: ['CREG c[2]', 'MEASURE 0 -> c[0]'] },
+    { insert: 'QREG', label: 'QREG', desc: 'Declare a named qubit register of n wires; index it as name[i] or slice it as name[a:b]', examples: ['QREG data[4]', 'H data', 'CX [data[0], data[3]]'] },
+    { insert: 'ALIAS', label: 'ALIAS', desc: 'Give one or more qubits another name, usable wherever a qubit index is', examples: ['ALIAS ctrl = data[0]', 'ALIAS pair = data[1:3]', 'CX [ctrl, anc[0]]'] },
+    { insert: 'PARAM', label: 'PARAM', desc: 'Declare a named angle with a live slider; use it in place of a rotation angle', examples: ['PARAM theta = 0.3', 'RX 0 theta', 'RY 1 theta/2'] },
+    { insert: 'ASSERT', label: 'ASSERT', desc: 'Check the state at this line when the Tests tab runs: PROB, STATE, ENTANGLED or UNITARY, with an optional ± tolerance', examples: ['ASSERT PROB 01 ≈ 0.5 ± 0.01', 'ASSERT STATE q0 |+>', 'ASSERT ENTANGLED 0 1', 'ASSERT UNITARY ≈ H'] },
+    { insert: 'END', label: 'END', desc: 'End innermost REPEAT or IF block', examples: ['REPEAT 2', 'X 0', 'END'], acLayout: 'repeat-end' },
     { insert: '#import', label: '#import', desc: 'Include another .qubi file', examples: ['#import lib.qubi', '#import ./parts/circuit.qubi'] },
     { insert: '#include', label: '#include', desc: 'Alias of #import', examples: ['#include lib.qubi'] },
     {
@@ -40,7 +61,14 @@ const QUBI_BUILTIN_COMPLETIONS = /** @type {QubiAcItem[]} */ ([
         label: '#define',
         desc: 'Define a custom unitary from a bracket matrix',
         examples: ['#define U [1 0; 0 1]', '#define R [0 -1i; 1i 0]', '#define I4 [1 0 0 0; 0 1 0 0; 0 0 1 0; 0 0 0 1]']
-    }
+    },
+    {
+        insert: '#gate',
+        label: '#gate',
+        desc: 'Define a composite gate from other gates (closes with #endgate); call it like a built-in gate',
+        examples: ['#gate ROT(theta) a b', '  CX [a,b]', '  RZ b theta/2', '#endgate', 'ROT [0,1] 0.5']
+    },
+    { insert: '#endgate', label: '#endgate', desc: 'End a #gate block', examples: ['#endgate'] }
 ]);
 
 /** @param {string} name @param {number} nQubits */
@@ -100,14 +128,25 @@ class QubiSyntaxHighlighter {
         this.debounceDelay = 400; // ms to wait before full syntax validation
         this.lineErrors = new Map(); // Store error messages for each line
         
-        this.validGates = new Set([
-            'H', 'X', 'Y', 'Z', 'S', 'T',
-            'RX', 'RY', 'RZ',
-            'CX', 'CY', 'CZ', 'SWAP',
-            'MEASURE'
-        ]);
+        this.validGates = new Set(QUBI_EDITOR_GATES);
         
-        this.keywords = new Set(['REPEAT', 'END']);
+        this.keywords = new Set(QUBI_EDITOR_KEYWORDS);
+        this.resolveImport = null; // (filename) => source | null, for #gate blocks in imported files
+        // Navigation hooks set by the host, each called with the custom-gate symbol under the caret:
+        // F12 / Ctrl+click → onGoToDefinition, Shift+F12 → onFindReferences, F2 → onRenameSymbol
+        this.onGoToDefinition = null;
+        this.onFindReferences = null;
+        this.onRenameSymbol = null;
+        this.symbolHighlight = null; // gate name whose uses are marked in the editor
+        // Debugger: gutter breakpoints (line -> {condition, enabled}) and the line execution is paused before.
+        // Clicking a line number toggles a breakpoint, Shift+click adds one and asks for its condition;
+        // both call onBreakpointsChanged(line, {editCondition}).
+        this.breakpoints = new Map();
+        this.pausedLine = null;
+        this.onBreakpointsChanged = null;
+        // Test runner: ASSERT results (line -> {passed, message}) from the last run, cleared on the next edit
+        this.assertionResults = new Map();
+        this._lineCount = this.textarea.value.split('\n').length;
         
         // Create tooltip elements
         this.tooltip = this.createTooltip();
@@ -135,6 +174,8 @@ class QubiSyntaxHighlighter {
         const { preserveUndo = false } = opts || {};
         const text = code == null ? '' : String(code);
         if (!this.textarea) return;
+        // A whole-text replacement is not a line insertion, so breakpoints stay where they are
+        this._lineCount = text.split('\n').length;
 
         if (preserveUndo) {
             // Prefer an undoable edit that integrates with native Ctrl+Z.
@@ -478,6 +519,7 @@ class QubiSyntaxHighlighter {
                     `<div class="qubi-ac-panel qubi-ac-panel-meas" aria-label="Measurement syntax">` +
                     `<div class="qubi-ac-panel-h">Syntax</div>` +
                     `<p class="qubi-ac-panel-note"><code>MEASURE q</code> — one non-negative integer: the wire you measure. Bracket lists are not used here.</p>` +
+                    `<p class="qubi-ac-panel-note qubi-ac-panel-note-dim">Keep the outcome: <code>MEASURE q -&gt; c[i]</code> writes bit <code>i</code> of register <code>c</code> (<code>-&gt; c</code> means <code>c[0]</code>).</p>` +
                     `</div>`
                 );
             case 'repeat-block':
@@ -487,11 +529,19 @@ class QubiSyntaxHighlighter {
                     `<p class="qubi-ac-panel-note"><code>REPEAT N</code> starts a block; <code>END</code> closes the innermost <code>REPEAT</code>. Lines between them are repeated <code>N</code> times.</p>` +
                     `</div>`
                 );
+            case 'if-block':
+                return (
+                    `<div class="qubi-ac-panel qubi-ac-panel-repeat" aria-label="IF block">` +
+                    `<div class="qubi-ac-panel-h">Classical condition</div>` +
+                    `<p class="qubi-ac-panel-note"><code>IF c == v</code> compares the whole register (bit 0 is the lowest); <code>IF c[i] == 0|1</code> tests one bit. Lines up to <code>END</code> only run when it holds.</p>` +
+                    `<p class="qubi-ac-panel-note qubi-ac-panel-note-dim">Registers come from <code>CREG c[n]</code> or the first <code>MEASURE q -&gt; c</code>.</p>` +
+                    `</div>`
+                );
             case 'repeat-end':
                 return (
                     `<div class="qubi-ac-panel qubi-ac-panel-repeat" aria-label="END keyword">` +
-                    `<div class="qubi-ac-panel-h">Pairs with REPEAT</div>` +
-                    `<p class="qubi-ac-panel-note"><code>END</code> closes the <em>innermost</em> open <code>REPEAT</code> — place it after the lines you want repeated.</p>` +
+                    `<div class="qubi-ac-panel-h">Pairs with REPEAT / IF</div>` +
+                    `<p class="qubi-ac-panel-note"><code>END</code> closes the <em>innermost</em> open <code>REPEAT</code> or <code>IF</code> — place it after the lines the block covers.</p>` +
                     `</div>`
                 );
             case 'custom-joint': {
@@ -732,6 +782,10 @@ class QubiSyntaxHighlighter {
         this.textarea.addEventListener('input', () => {
             this.hideTooltip();
             this.hideMatrixPopup();
+            this.symbolHighlight = null;
+            this.pausedLine = null;
+            this.assertionResults.clear();
+            this.shiftBreakpoints();
             this.updateHighlightImmediate(); // Show text immediately
             this.updateLineNumbers(); // Update line numbers immediately
             this.updateWrapperWidth(); // Update wrapper width for horizontal scrolling
@@ -758,6 +812,7 @@ class QubiSyntaxHighlighter {
         // Tab indent vs autocomplete (Tab / Enter accept suggestion)
         this.textarea.addEventListener('keydown', (e) => {
             if (this.tryAutocompleteKeydown(e)) return;
+            if (this.trySymbolKeydown(e)) return;
             if (e.key === 'Tab') {
                 e.preventDefault();
                 const start = this.textarea.selectionStart;
@@ -772,6 +827,13 @@ class QubiSyntaxHighlighter {
         
         // Show tooltip on cursor position change (click or arrow keys)
         this.textarea.addEventListener('click', (e) => {
+            if ((e.ctrlKey || e.metaKey) && this.onGoToDefinition) {
+                const symbol = this.getSymbolAtCursor();
+                if (symbol) {
+                    this.onGoToDefinition(symbol);
+                    return;
+                }
+            }
             this.updateAutocompletePanel();
             this.checkErrorAtCursor(e);
         });
@@ -824,14 +886,32 @@ class QubiSyntaxHighlighter {
         // Line numbers hover
         if (this.lineNumbers) {
             this.lineNumbers.addEventListener('mouseover', (e) => {
-                if (e.target.classList.contains('line-num') && e.target.classList.contains('error')) {
-                    const lineNum = parseInt(e.target.textContent) - 1;
-                    const errorMsg = this.lineErrors.get(lineNum);
-                    if (errorMsg) {
-                        const rect = e.target.getBoundingClientRect();
-                        this.showTooltip(errorMsg, rect.right + 10, rect.top);
-                    }
+                if (!e.target.classList.contains('line-num')) return;
+                const lineNum = parseInt(e.target.textContent) - 1;
+                const errorMsg = this.lineErrors.get(lineNum);
+                const breakpoint = this.breakpoints.get(lineNum);
+                const assertion = this.assertionResults.get(lineNum);
+                const rect = e.target.getBoundingClientRect();
+                if (errorMsg) {
+                    this.showTooltip(errorMsg, rect.right + 10, rect.top);
+                } else if (assertion && !assertion.passed) {
+                    this.showTooltip(`ASSERT failed: ${assertion.message}`, rect.right + 10, rect.top);
+                } else if (breakpoint && breakpoint.condition) {
+                    this.showTooltip(`Break when ${breakpoint.condition}`, rect.right + 10, rect.top);
+                }
+            });
+
+            this.lineNumbers.addEventListener('click', (e) => {
+                if (!e.target.classList.contains('line-num')) return;
+                const line = parseInt(e.target.textContent) - 1;
+                if (e.shiftKey) {
+                    if (!this.breakpoints.has(line)) this.breakpoints.set(line, { condition: '', enabled: true });
+                } else {
+                    this.toggleBreakpoint(line);
                 }
+                this.hideTooltip();
+                this.updateLineNumbers();
+                if (this.onBreakpointsChanged) this.onBreakpointsChanged(line, { editCondition: e.shiftKey });
             });
             
             this.lineNumbers.addEventListener('mouseout', (e) => {
@@ -842,6 +922,98 @@ class QubiSyntaxHighlighter {
         }
     }
     
+    // Custom-gate name (#define / #gate or a call) under the caret
+    getSymbolAtCursor() {
+        if (!this.textarea || typeof QubiWorkspace === 'undefined') return null;
+        return QubiWorkspace.symbolAt(this.textarea.value, this.textarea.selectionStart);
+    }
+
+    trySymbolKeydown(e) {
+        if (e.key === 'Escape' && this.symbolHighlight) {
+            this.setSymbolHighlight(null);
+            return true;
+        }
+        let hook = null;
+        if (e.key === 'F12') hook = e.shiftKey ? this.onFindReferences : this.onGoToDefinition;
+        else if (e.key === 'F2') hook = this.onRenameSymbol;
+        if (!hook) return false;
+        e.preventDefault();
+        const symbol = this.getSymbolAtCursor();
+        if (symbol) hook(symbol);
+        return true;
+    }
+
+    // Mark every call and definition of a gate name (null clears); cleared again on the next edit
+    setSymbolHighlight(name) {
+        this.symbolHighlight = name || null;
+        this.updateHighlight();
+    }
+
+    // Select a range and scroll it into view, e.g. after go-to-definition
+    revealLocation(line, start, end) {
+        if (!this.textarea) return;
+        const lines = this.textarea.value.split('\n');
+        const target = Math.max(0, Math.min(line, lines.length - 1));
+        const offset = lines.slice(0, target).reduce((sum, text) => sum + text.length + 1, 0);
+        this.textarea.focus({ preventScroll: true });
+        this.textarea.setSelectionRange(offset + start, offset + end);
+        this.scrollToLine(target);
+    }
+
+    // Scroll a line into view without moving the caret
+    scrollToLine(line) {
+        const wrapper = this.textarea ? this.textarea.closest('.code-editor-wrapper') : null;
+        if (!wrapper) return;
+        const lineHeight = parseFloat(getComputedStyle(this.textarea).lineHeight) || 22;
+        const paddingTop = parseFloat(getComputedStyle(this.textarea).paddingTop) || 16;
+        const y = paddingTop + line * lineHeight;
+        if (y < wrapper.scrollTop || y + lineHeight > wrapper.scrollTop + wrapper.clientHeight) {
+            wrapper.scrollTop = Math.max(0, y - wrapper.clientHeight / 3);
+        }
+        this.syncScroll();
+    }
+
+    toggleBreakpoint(line) {
+        if (this.breakpoints.has(line)) this.breakpoints.delete(line);
+        else this.breakpoints.set(line, { condition: '', enabled: true });
+        this.updateLineNumbers();
+    }
+
+    // Marks the line execution is paused before (null clears) and scrolls to it
+    setPausedLine(line) {
+        this.pausedLine = line === undefined ? null : line;
+        this.updateLineNumbers();
+        if (this.pausedLine !== null) this.scrollToLine(this.pausedLine);
+    }
+
+    // Marks ASSERT lines passed or failed by the test runner; the Map is kept (and cleared on edit) in place
+    setAssertionResults(results) {
+        this.assertionResults = results || new Map();
+        this.updateHighlight();
+        this.updateLineNumbers();
+    }
+
+    // Keep breakpoints on their statements when an edit adds or removes lines above them.
+    // Lines are inserted or removed just above the caret, so only later breakpoints move.
+    shiftBreakpoints() {
+        const lineCount = this.textarea.value.split('\n').length;
+        const delta = lineCount - this._lineCount;
+        this._lineCount = lineCount;
+        if (delta === 0 || this.breakpoints.size === 0) return;
+        const caretLine = this.textarea.value.slice(0, this.textarea.selectionStart).split('\n').length - 1;
+        // Inserted lines end at the caret; removed lines were the ones just below it
+        const editLine = delta > 0 ? caretLine - delta : caretLine;
+        const moved = new Map();
+        for (const [line, breakpoint] of this.breakpoints) {
+            if (line <= editLine) moved.set(line, breakpoint);
+            else if (line > editLine - Math.min(delta, 0)) moved.set(line + delta, breakpoint);
+        }
+        // In place: the host shares this Map with the file tab it belongs to
+        this.breakpoints.clear();
+        for (const [line, breakpoint] of moved) this.breakpoints.set(line, breakpoint);
+        if (this.onBreakpointsChanged) this.onBreakpointsChanged(null, { editCondition: false });
+    }
+
     checkErrorAtCursor(e) {
         if (this._acOpen) {
             this.hideTooltip();
@@ -973,7 +1145,17 @@ class QubiSyntaxHighlighter {
         for (let i = 0; i < lines.length; i++) {
             const errorMsg = this.lineErrors.get(i);
             const isError = !!errorMsg;
-            html += `<span class="line-num${isError ? ' error' : ''}">${i + 1}</span>`;
+            const breakpoint = this.breakpoints.get(i);
+            let classes = isError ? ' error' : '';
+            if (breakpoint) {
+                classes += ' breakpoint';
+                if (breakpoint.condition) classes += ' conditional';
+                if (!breakpoint.enabled) classes += ' disabled';
+            }
+            if (i === this.pausedLine) classes += ' paused';
+            const assertion = this.assertionResults.get(i);
+            if (assertion && !isError) classes += assertion.passed ? ' assert-passed' : ' assert-failed';
+            html += `<span class="line-num${classes}">${i + 1}</span>`;
         }
         
         this.lineNumbers.innerHTML = html;
@@ -994,8 +1176,17 @@ class QubiSyntaxHighlighter {
             }
         }
 
-        let inRepeat = 0;
-        const repeatStack = [];
+        const fileParameters = globalThis.QubiParser ? globalThis.QubiParser.collectParameters(strippedLines) : new Map();
+        this.parameters = fileParameters;
+        const gateDefinitions = this.collectGateDefinitions(strippedLines);
+        const qubitNames = globalThis.QubiParser
+            ? globalThis.QubiParser.collectQubitNames(strippedLines)
+            : { names: new Map(), errors: new Map() };
+        qubitNames.errors.forEach((message, lineNum) => this.lineErrors.set(lineNum, message));
+        const declaredParams = new Set();
+        const blockStack = []; // {line, type} for open REPEAT / IF blocks
+        const registers = new Map(); // classical register name → {size, declared}
+        let gateBlock = null; // {line, qubits, parameters, blocks} while inside #gate … #endgate
 
         for (let i = 0; i < strippedLines.length; i++) {
             if (this.lineErrors.has(i)) {
@@ -1010,28 +1201,173 @@ class QubiSyntaxHighlighter {
                 continue;
             }
 
-            const error = this.getLineError(line);
+            if (/^#gate\b/i.test(line)) {
+                if (gateBlock) {
+                    this.lineErrors.set(i, '#gate blocks cannot be nested (missing #endgate above)');
+                    continue;
+                }
+                gateBlock = { line: i, qubits: new Map(), parameters: fileParameters, blocks: blockStack.length };
+                try {
+                    const header = QubiParser.parseGateHeader(line, QubiParser.collectDefineNames(strippedLines));
+                    if (gateDefinitions.get(header.name)?.line !== i) {
+                        this.lineErrors.set(i, `#gate ${header.name} is already defined`);
+                    }
+                    // Body lines are checked with qubit names as indices and parameter names as PARAMs
+                    header.qubits.forEach((name, k) => gateBlock.qubits.set(name, k));
+                    gateBlock.parameters = new Map([...fileParameters, ...header.params.map(name => [name, 0])]);
+                } catch (e) {
+                    this.lineErrors.set(i, e.message);
+                }
+                continue;
+            }
+            if (/^#endgate\b/i.test(line)) {
+                if (!gateBlock) {
+                    this.lineErrors.set(i, '#endgate without matching #gate');
+                    continue;
+                }
+                while (blockStack.length > gateBlock.blocks) {
+                    const block = blockStack.pop();
+                    this.lineErrors.set(block.line, `${block.type} without matching END inside the #gate block`);
+                }
+                gateBlock = null;
+                continue;
+            }
+            if (gateBlock && /^(PARAM|CREG|QREG|ALIAS)\b/.test(line)) {
+                this.lineErrors.set(i, 'Declare PARAM, CREG, QREG and ALIAS outside the #gate block');
+                continue;
+            }
+            if (gateBlock && /^ASSERT\b/.test(line)) {
+                this.lineErrors.set(i, 'ASSERT belongs outside the #gate block');
+                continue;
+            }
+            if (/^(QREG|ALIAS)\b/.test(line)) {
+                continue; // checked by collectQubitNames above
+            }
+
+            let checked = gateBlock ? qubiBindGateLine(line, gateBlock.qubits, new Map()) : line;
+            try {
+                checked = qubiResolveQubitNames(checked, qubitNames.names);
+            } catch (e) {
+                this.lineErrors.set(i, e.message);
+                continue;
+            }
+            this.parameters = gateBlock ? gateBlock.parameters : fileParameters;
+            const callError = this.getGateCallError(checked, gateDefinitions);
+            const error = callError !== undefined ? callError : this.getLineError(checked);
+            this.parameters = fileParameters;
             if (error) {
                 this.lineErrors.set(i, error);
                 continue;
             }
 
             if (line.startsWith('REPEAT')) {
-                inRepeat++;
-                repeatStack.push(i);
+                blockStack.push({ line: i, type: 'REPEAT' });
+            } else if (line.startsWith('IF')) {
+                blockStack.push({ line: i, type: 'IF' });
+                const registerError = this.getRegisterError(line, registers);
+                if (registerError) this.lineErrors.set(i, registerError);
+            } else if (line.startsWith('CREG') || /^MEASURE\b.*->/.test(line)) {
+                const registerError = this.getRegisterError(line, registers);
+                if (registerError) this.lineErrors.set(i, registerError);
+            } else if (line.startsWith('PARAM')) {
+                const name = line.match(/^PARAM\s+(\w+)/)[1];
+                if (declaredParams.has(name)) this.lineErrors.set(i, `PARAM "${name}" is already declared`);
+                declaredParams.add(name);
             } else if (line === 'END') {
-                if (inRepeat <= 0) {
-                    this.lineErrors.set(i, 'END without matching REPEAT');
+                if (blockStack.length === 0) {
+                    this.lineErrors.set(i, 'END without matching REPEAT or IF');
                 } else {
-                    inRepeat--;
-                    repeatStack.pop();
+                    blockStack.pop();
                 }
             }
         }
 
-        for (const lineNum of repeatStack) {
-            this.lineErrors.set(lineNum, 'REPEAT without matching END');
+        for (const block of blockStack) {
+            this.lineErrors.set(block.line, `${block.type} without matching END`);
+        }
+        if (gateBlock) {
+            this.lineErrors.set(gateBlock.line, '#gate without matching #endgate');
+        }
+    }
+
+    // #gate definitions visible to this file: its own blocks and those of (recursively) imported files
+    collectGateDefinitions(lines) {
+        if (!globalThis.QubiParser) return new Map();
+        const definitions = QubiParser.collectGateDefinitions(lines);
+        const visited = new Set();
+        const visitImports = (fileLines) => {
+            for (const raw of fileLines) {
+                const m = raw.trim().match(/^#(?:import|include)\s+([A-Za-z0-9._-]+)$/i);
+                if (!m || !this.resolveImport || visited.has(m[1].toLowerCase())) continue;
+                visited.add(m[1].toLowerCase());
+                const source = this.resolveImport(m[1]);
+                if (typeof source !== 'string') continue;
+                const importedLines = globalThis.QubiLex.lexStripComments(source).split('\n');
+                QubiParser.collectGateDefinitions(importedLines).forEach((definition, name) => {
+                    if (!definitions.has(name)) definitions.set(name, { ...definition, line: -1 });
+                });
+                visitImports(importedLines);
+            }
+        };
+        visitImports(lines);
+        return definitions;
+    }
+
+    // Call of a #gate composite gate: its error message, null when valid, undefined when the line is no call
+    getGateCallError(line, definitions) {
+        let call;
+        try {
+            call = QubiParser.parseGateCall(line, definitions);
+        } catch (e) {
+            return e.message;
+        }
+        if (!call) return undefined;
+        const parameters = this.parameters || new Map();
+        for (const arg of call.args) {
+            if (!isNaN(parseQubiAngle(arg, parameters).value)) continue;
+            const unknown = (arg.replace(/\b(?:deg(?:rees)?|rad(?:ians)?)\b/gi, '').match(/[A-Za-z_]\w*/g) || [])
+                .find((name) => !parameters.has(name));
+            return unknown
+                ? `Unknown PARAM "${unknown}" (declare it with PARAM ${unknown} = 0.5)`
+                : `${call.definition.name}: invalid angle "${arg}" (a π-multiple, …deg, …rad or a PARAM name)`;
+        }
+        return null;
+    }
+
+    // Register bookkeeping for one classical line (already syntax-checked); mirrors QubiExecutor
+    getRegisterError(line, registers) {
+        const tok = globalThis.QubiParser ? globalThis.QubiParser.tryTokenizeClassical(line, 0) : null;
+        if (!tok) return null;
+
+        if (tok.type === 'CREG') {
+            const existing = registers.get(tok.name);
+            if (existing && existing.declared) return `Classical register "${tok.name}" is already declared`;
+            registers.set(tok.name, { size: tok.size, declared: true });
+            return null;
         }
+
+        if (tok.type === 'GATE') {
+            const { register, bit } = tok.params.cbit;
+            const reg = registers.get(register);
+            if (reg && reg.declared) {
+                return bit < reg.size ? null : `${register}[${bit}] is out of range (register has ${reg.size} bit${reg.size === 1 ? '' : 's'})`;
+            }
+            if (bit >= QUBI_MAX_CREG_SIZE) return `Classical registers hold at most ${QUBI_MAX_CREG_SIZE} bits`;
+            registers.set(register, { size: Math.max(reg ? reg.size : 0, bit + 1), declared: false });
+            return null;
+        }
+
+        const reg = registers.get(tok.register);
+        if (!reg) {
+            return `Unknown classical register "${tok.register}". Declare it with CREG ${tok.register}[n] or MEASURE q -> ${tok.register} first`;
+        }
+        if (tok.bit !== null) {
+            if (tok.bit >= reg.size) return `${tok.register}[${tok.bit}] is out of range (register has ${reg.size} bit${reg.size === 1 ? '' : 's'})`;
+            if (tok.value > 1) return `A single bit compares against 0 or 1 (got ${tok.value})`;
+        } else if (reg.declared && tok.value >= Math.pow(2, reg.size)) {
+            return `${tok.value} does not fit in ${tok.register} (${reg.size} bit${reg.size === 1 ? '' : 's'})`;
+        }
+        return null;
     }
     
     getLineError(line) {
@@ -1099,7 +1435,7 @@ class QubiSyntaxHighlighter {
 
         // Unknown preprocessor directive
         if (/^#/.test(line)) {
-            return 'Unknown directive. Valid directives: #import, #include, #define';
+            return 'Unknown directive. Valid directives: #import, #include, #define, #gate, #endgate';
         }
 
         // REPEAT N
@@ -1113,6 +1449,41 @@ class QubiSyntaxHighlighter {
         // END
         if (line === 'END') return null;
         
+        // Classical registers: CREG c[2], MEASURE q -> c[i], IF c == v
+        if (/^(CREG|IF)\b/.test(line) || /^MEASURE\b.*->/.test(line)) {
+            if (globalThis.QubiParser && globalThis.QubiParser.tryTokenizeClassical(line, 0)) return null;
+            if (line.startsWith('CREG')) return 'CREG requires a name and a size of 1–30 bits (e.g., CREG c[2])';
+            if (line.startsWith('IF')) return 'IF requires a register condition (e.g., IF c == 1 or IF c[0] == 1)';
+            return 'Invalid MEASURE target. Use MEASURE q -> c or MEASURE q -> c[i]';
+        }
+        
+        // PARAM theta = 0.5
+        if (/^PARAM\b/.test(line)) {
+            if (globalThis.QubiParser && globalThis.QubiParser.tryTokenizeParam(line, 0)) return null;
+            return 'PARAM requires a name and a literal angle (e.g., PARAM theta = 0.5, PARAM phi = 45deg)';
+        }
+        
+        // ASSERT PROB / STATE / ENTANGLED / UNITARY; UNITARY targets are checked like gate lines
+        if (/^ASSERT\b/.test(line)) {
+            if (!globalThis.QubiParser) return null;
+            let assertion;
+            try {
+                assertion = globalThis.QubiParser.parseAssertion(line);
+            } catch (e) {
+                return e.message;
+            }
+            if (assertion.kind !== 'UNITARY') return null;
+            for (const part of assertion.target.split(';').map(p => p.trim())) {
+                const bare = /^[A-Z][A-Z0-9]*$/.test(part);
+                if (!part || part === 'ASSERT' || (bare && part !== 'I' && !this.validGates.has(part))) {
+                    return `ASSERT UNITARY: "${part}" is not a gate (e.g. ASSERT UNITARY ≈ H, ASSERT UNITARY ≈ CX [0,1])`;
+                }
+                const error = bare ? null : this.getLineError(part);
+                if (error) return `ASSERT UNITARY: ${error}`;
+            }
+            return null;
+        }
+        
         // Extract the first word (potential gate name)
         const firstWord = line.split(/[\s(\[]/)[0];
         
@@ -1123,13 +1494,14 @@ class QubiSyntaxHighlighter {
                 Object.prototype.hasOwnProperty.call(globalThis.GateMatrices, firstWord));
 
         if (!this.validGates.has(firstWord) && !this.keywords.has(firstWord) && !dynamicGateOk) {
-            return `"${firstWord}" is not a recognized gate. Valid gates: H, X, Y, Z, S, T, RX, RY, RZ, CX, CY, CZ, SWAP, MEASURE`;
+            return `"${firstWord}" is not a recognized gate. Valid gates: H, X, Y, Z, S, T, RX, RY, RZ, P, U3, CX, CY, CZ, CP, CRX, CRY, CRZ, SWAP, MEASURE`;
         }
         
-        // Rotation gates: RX q [θ], RX (q,…) [θ], RX [q,…] [θ]; omitted θ defaults to π/2 (executor-aligned)
-        if (/^(RX|RY|RZ)\b/i.test(line)) {
+        // Rotation gates: RX q [θ], RX (q,…) [θ], RX [q,…] [θ]; omitted θ defaults to π/2 (executor-aligned).
+        // P takes one angle and U3 three (θ φ λ); any angle may be a PARAM name.
+        if (/^(RX|RY|RZ|P|U3)\b/i.test(line)) {
             const g = firstWord.toUpperCase();
-            const bracket = line.match(/^(RX|RY|RZ)\s*\[\s*([^\]]+)\](?:\s+(.+))?$/i);
+            const bracket = line.match(/^(RX|RY|RZ|P|U3)\s*\[\s*([^\]]+)\](?:\s+(.+))?$/i);
             if (bracket) {
                 const inner = bracket[2].trim();
                 if (!/^[\d,\s]+$/.test(inner)) {
@@ -1139,19 +1511,10 @@ class QubiSyntaxHighlighter {
                 if (!qs.length || !qs.every((q) => Number.isInteger(q) && q >= 0)) {
                     return 'Invalid qubit indices in [ ]';
                 }
-                const angPart = bracket[3];
-                if (angPart != null && String(angPart).trim()) {
-                    const ang =
-                        typeof globalThis.parseQubiRotationAngle === 'function'
-                            ? globalThis.parseQubiRotationAngle(String(angPart).trim())
-                            : NaN;
-                    if (isNaN(ang)) {
-                        return `${g} […]: angle must be a π-multiple, …deg, or …rad (e.g. ${g} [0,1] 0.5)`;
-                    }
-                }
-                return null;
+                return this.getAngleError(g, bracket[3],
+                    `${g} […]: angle must be a π-multiple, …deg, …rad or a PARAM name (e.g. ${g} [0,1] 0.5)`);
             }
-            const paren = line.match(/^(RX|RY|RZ)\s*\(\s*([^)]+)\)(?:\s+(.+))?$/i);
+            const paren = line.match(/^(RX|RY|RZ|P|U3)\s*\(\s*([^)]+)\)(?:\s+(.+))?$/i);
             if (paren) {
                 const inner = paren[2].trim();
                 if (!/^[\d,\s]+$/.test(inner)) {
@@ -1161,34 +1524,30 @@ class QubiSyntaxHighlighter {
                 if (!qs.length || !qs.every(q => Number.isInteger(q) && q >= 0)) {
                     return 'Invalid qubit indices in ( )';
                 }
-                const angPart = paren[3];
-                if (angPart != null && String(angPart).trim()) {
-                    const ang =
-                        typeof globalThis.parseQubiRotationAngle === 'function'
-                            ? globalThis.parseQubiRotationAngle(String(angPart).trim())
-                            : NaN;
-                    if (isNaN(ang)) {
-                        return `${g} (…): angle must be a π-multiple, …deg, or …rad (e.g. ${g} (0,1) 0.5)`;
-                    }
-                }
-                return null;
+                return this.getAngleError(g, paren[3],
+                    `${g} (…): angle must be a π-multiple, …deg, …rad or a PARAM name (e.g. ${g} (0,1) 0.5)`);
             }
-            const single = line.match(/^(RX|RY|RZ)\s+(\d+)(?:\s+(.+))?$/i);
+            const single = line.match(/^(RX|RY|RZ|P|U3)\s+(\d+)(?:\s+(.+))?$/i);
             if (single) {
-                const angPart = single[3];
-                if (angPart != null && String(angPart).trim()) {
-                    const ang =
-                        typeof globalThis.parseQubiRotationAngle === 'function'
-                            ? globalThis.parseQubiRotationAngle(String(angPart).trim())
-                            : NaN;
-                    if (isNaN(ang)) {
-                        return `${g} needs a valid angle: π-multiple, …deg, or …rad (e.g. ${g} 0 1rad)`;
-                    }
-                }
-                return null;
+                return this.getAngleError(g, single[3],
+                    `${g} needs a valid angle: π-multiple, …deg, …rad or a PARAM name (e.g. ${g} 0 1rad)`);
             }
             return `Invalid ${g} syntax`;
         }
+
+        // Controlled rotations: CP [controls…, target] [φ]
+        if (/^(CP|CRX|CRY|CRZ)\b/.test(line)) {
+            const g = firstWord;
+            const m = line.match(/^(CP|CRX|CRY|CRZ)\s*\[([^\]]*)\](?:\s+(.+))?$/);
+            if (!m) return `${g} needs [controls…, target] and an optional angle (e.g. ${g} [0,1] 0.5)`;
+            const qs = qubiParseIntList(m[2]);
+            if (!qs) return 'Invalid qubit list in brackets. Use numbers separated by commas (e.g., [0,1,2])';
+            if (qs.length < 2 || new Set(qs).size !== qs.length) {
+                return `${g} needs at least one control and a target on distinct qubits (e.g. ${g} [0,1] 0.5)`;
+            }
+            return this.getAngleError(g, m[3],
+                `${g} […]: angle must be a π-multiple, …deg, …rad or a PARAM name (e.g. ${g} [0,1] 0.5)`);
+        }
         
         // Gate with shorthand: H 0
         if (/^[A-Z0-9]+\s+\d+$/.test(line)) {
@@ -1245,6 +1604,18 @@ class QubiSyntaxHighlighter {
         return 'Invalid syntax. Examples: H 0, H (0,1,2), CX [0,1], CX ([0,1], [2,3]), RZ [0,1] 0.5';
     }
     
+    // Angle list of a parameterized gate; names resolve against this.parameters (set by validateLines)
+    getAngleError(gate, angPart, message) {
+        const keys = GateAngleParams[gate];
+        const parameters = this.parameters || new Map();
+        if (qubiParseAngleArgs(angPart, keys, parameters)) return null;
+        const text = String(angPart ?? '').replace(/\b(?:deg(?:rees)?|rad(?:ians)?)\b/gi, '');
+        const unknown = (text.match(/[A-Za-z_]\w*/g) || []).find((name) => !parameters.has(name));
+        if (unknown) return `Unknown PARAM "${unknown}" (declare it with PARAM ${unknown} = 0.5)`;
+        if (keys.length > 1) return `${gate} needs ${keys.length} angles (${keys.join(', ')}), e.g. ${gate} 0 0.5 0 1`;
+        return message;
+    }
+    
     updateHighlight() {
         if (!this.highlight) return;
         
@@ -1258,7 +1629,8 @@ class QubiSyntaxHighlighter {
             const errorMsg = this.lineErrors.get(index);
             const r = this.highlightLineWithEmbeddedComments(line, inBlock, errorMsg);
             inBlock = r.inBlock;
-            return r.html;
+            const assertion = this.assertionResults.get(index);
+            return assertion && !assertion.passed && !errorMsg ? `<span class="line-assert-failed">${r.html}</span>` : r.html;
         });
         
         // Add a trailing newline to match textarea behavior
@@ -1387,9 +1759,15 @@ class QubiSyntaxHighlighter {
         let remaining = line;
 
         // Preprocessor directives — color the entire line
-        const ppMatch = remaining.match(/^(\s*)(#(?:import|include|define)\b)(.*)/i);
+        const ppMatch = remaining.match(/^(\s*)(#(?:import|include|define|gate|endgate)\b)(.*)/i);
         if (ppMatch) {
             result += ppMatch[1]; // leading whitespace
+            const defined = this.symbolHighlight && ppMatch[3].match(/^(\s+)([A-Za-z_]\w*)(.*)$/);
+            if (defined && /^#(define|gate)$/i.test(ppMatch[2]) && defined[2].toUpperCase() === this.symbolHighlight.toUpperCase()) {
+                result += `<span class="token-preprocessor">${this.escapeHtml(ppMatch[2] + defined[1])}` +
+                    `<span class="token-symbol-use">${this.escapeHtml(defined[2])}</span>${this.escapeHtml(defined[3])}</span>`;
+                return result;
+            }
             result += `<span class="token-preprocessor">${this.escapeHtml(ppMatch[2])}${this.escapeHtml(ppMatch[3])}</span>`;
             return result;
         }
@@ -1411,8 +1789,8 @@ class QubiSyntaxHighlighter {
                 break;
             }
             
-            // Keywords (REPEAT, END)
-            const keywordMatch = remaining.match(/^(REPEAT|END)\b/);
+            // Keywords (REPEAT, END, IF, CREG, PARAM, QREG, ALIAS, ASSERT and its kind)
+            const keywordMatch = remaining.match(/^(REPEAT|END|IF|CREG|PARAM|QREG|ALIAS|ASSERT(?:\s+(?:PROB|STATE|ENTANGLED|UNITARY)\b)?)\b/);
             if (keywordMatch) {
                 result += `<span class="token-keyword">${keywordMatch[1]}</span>`;
                 remaining = remaining.substring(keywordMatch[1].length);
@@ -1420,12 +1798,13 @@ class QubiSyntaxHighlighter {
             }
             
             // Gate names (uppercase)
-            const gateMatch = remaining.match(/^([A-Z]+)/);
+            const gateMatch = remaining.match(/^([A-Z][A-Z0-9]*)/);
             if (gateMatch) {
                 const gate = gateMatch[1];
                 const isValid = this.validGates.has(gate);
                 const tokenClass = hasError && !isValid ? 'token-invalid' : 'token-gate';
-                result += `<span class="${tokenClass}">${gate}</span>`;
+                const useClass = result.trim() === '' && gate === this.symbolHighlight ? ' token-symbol-use' : '';
+                result += `<span class="${tokenClass}${useClass}">${gate}</span>`;
                 remaining = remaining.substring(gate.length);
                 continue;
             }
@@ -1509,13 +1888,8 @@ class QubiSyntaxHighlighter {
  */
 function qubiHighlightCodeToHtml(code) {
     const shim = Object.create(QubiSyntaxHighlighter.prototype);
-    shim.validGates = new Set([
-        'H', 'X', 'Y', 'Z', 'S', 'T',
-        'RX', 'RY', 'RZ',
-        'CX', 'CY', 'CZ', 'SWAP',
-        'MEASURE'
-    ]);
-    shim.keywords = new Set(['REPEAT', 'END']);
+    shim.validGates = new Set(QUBI_EDITOR_GATES);
+    shim.keywords = new Set(QUBI_EDITOR_KEYWORDS);
     const text = code == null ? '' : String(code);
     const lines = text.split('\n');
     let inBlock = false;
@@ -1533,12 +1907,31 @@ function qubiHighlightCodeToHtml(code) {
     return parts.join('\n') + '\n';
 }
 
+/**
+ * The editor's line errors for Qubi source, without the editor DOM (used by the command-line runner).
+ * @param {string} code
+ * @param {object} [opts]
+ * @param {(filename:string)=>string|null} [opts.resolveImport] source of an #import, for its #gate blocks
+ * @param {Iterable<string>} [opts.extraGates] #define names, which the editor learns when the code runs
+ * @returns {Map<number, string>} 0-based line → message, as shown on hover over the red line number
+ */
+function qubiValidateCode(code, opts = {}) {
+    const shim = Object.create(QubiSyntaxHighlighter.prototype);
+    shim.textarea = { value: code == null ? '' : String(code) };
+    shim.lineErrors = new Map();
+    shim.validGates = new Set([...QUBI_EDITOR_GATES, ...(opts.extraGates || [])]);
+    shim.keywords = new Set(QUBI_EDITOR_KEYWORDS);
+    shim.resolveImport = typeof opts.resolveImport === 'function' ? opts.resolveImport : null;
+    shim.validateLines();
+    return shim.lineErrors;
+}
+
 if (typeof window !== 'undefined') {
     window.qubiHighlightCodeToHtml = qubiHighlightCodeToHtml;
 }
 
 // Export
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { QubiSyntaxHighlighter, qubiHighlightCodeToHtml };
+    module.exports = { QubiSyntaxHighlighter, qubiHighlightCodeToHtml, qubiValidateCode };
 }
 
@@ -0,0 +1,242 @@
+// Gate synthesis: Euler angles of single-qubit unitaries and the KAK (Cartan) decomposition of two-qubit ones.
+// Matrices are flat row-major arrays of Complex, like GateMatrices; in a 4×4, qubit 0 is the low bit.
+
+const GateSynthesis = {
+    TOLERANCE: 1e-9,
+
+    multiply(a, b) {
+        const n = Math.round(Math.sqrt(a.length));
+        const product = [];
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                let sum = Complex.create(0);
+                for (let k = 0; k < n; k++) sum = Complex.add(sum, Complex.mul(a[i * n + k], b[k * n + j]));
+                product.push(sum);
+            }
+        }
+        return product;
+    },
+
+    // high ⊗ low: high acts on qubit 1, low on qubit 0
+    kron(high, low) {
+        const product = [];
+        for (let i = 0; i < 4; i++) {
+            for (let j = 0; j < 4; j++) product.push(Complex.mul(high[(i >> 1) * 2 + (j >> 1)], low[(i & 1) * 2 + (j & 1)]));
+        }
+        return product;
+    },
+
+    adjoint(m) {
+        const n = Math.round(Math.sqrt(m.length));
+        return m.map((_, k) => Complex.conj(m[(k % n) * n + Math.floor(k / n)]));
+    },
+
+    transpose(m) {
+        const n = Math.round(Math.sqrt(m.length));
+        return m.map((_, k) => m[(k % n) * n + Math.floor(k / n)]);
+    },
+
+    // Product of a sequence of 2×2 matrices in time order (first applied first)
+    chain(...matrices) {
+        return matrices.reduce((product, m) => this.multiply(m, product), GateMatrices['I']);
+    },
+
+    /**
+     * Euler angles with U = e^{iα}·RZ(phi)·RY(theta)·RZ(lambda); the global phase α is dropped.
+     * @param {Array<{re: number, im: number}>} m 2×2 unitary
+     * @returns {{theta: number, phi: number, lambda: number}}
+     */
+    zyz(m) {
+        const arg = (z) => Math.atan2(z.im, z.re);
+        const theta = 2 * Math.atan2(Complex.abs(m[2]), Complex.abs(m[0]));
+        if (Complex.abs(m[2]) < this.TOLERANCE) return { theta: 0, phi: arg(m[3]) - arg(m[0]), lambda: 0 };
+        if (Complex.abs(m[0]) < this.TOLERANCE) return { theta, phi: arg(m[2]) - arg(Complex.scale(m[1], -1)), lambda: 0 };
+        // m11 / (-m01) ∝ e^{i·phi} and m11 / m10 ∝ e^{i·lambda}, free of the global phase
+        return { theta, phi: arg(m[3]) - arg(Complex.scale(m[1], -1)), lambda: arg(m[3]) - arg(m[2]) };
+    },
+
+    // Columns of the magic (Bell) basis, in which local SU(2)⊗SU(2) gates are real orthogonal
+    magicBasis() {
+        const s = Math.SQRT1_2;
+        const c = (re, im = 0) => Complex.create(re * s, im * s);
+        return [
+            c(1), c(0, 1), c(0), c(0),
+            c(0), c(0), c(0, 1), c(1),
+            c(0), c(0), c(0, 1), c(-1),
+            c(1), c(0, -1), c(0), c(0)
+        ];
+    },
+
+    determinant(m) {
+        const n = Math.round(Math.sqrt(m.length));
+        const a = m.map(z => ({ ...z }));
+        let det = Complex.create(1);
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Complex.abs(a[row * n + col]) > Complex.abs(a[pivot * n + col])) pivot = row;
+            }
+            if (Complex.abs(a[pivot * n + col]) < 1e-14) return Complex.create(0);
+            if (pivot !== col) {
+                for (let k = 0; k < n; k++) [a[col * n + k], a[pivot * n + k]] = [a[pivot * n + k], a[col * n + k]];
+                det = Complex.scale(det, -1);
+            }
+            const p = a[col * n + col];
+            det = Complex.mul(det, p);
+            const inverse = Complex.scale(Complex.conj(p), 1 / Complex.abs2(p));
+            for (let row = col + 1; row < n; row++) {
+                const factor = Complex.mul(a[row * n + col], inverse);
+                for (let k = col; k < n; k++) a[row * n + k] = Complex.sub(a[row * n + k], Complex.mul(factor, a[col * n + k]));
+            }
+        }
+        return det;
+    },
+
+    /**
+     * KAK decomposition U = e^{iα}·(after[1] ⊗ after[0])·exp(i(a·XX + b·YY + c·ZZ))·(before[1] ⊗ before[0]).
+     * @param {Array<{re: number, im: number}>} u 4×4 unitary
+     * @returns {{before: Array, after: Array, coefficients: number[]}} 2×2 factors per qubit and [a, b, c]
+     */
+    kak(u) {
+        // Scale into SU(4), then move to the magic basis
+        const det = this.determinant(u);
+        const u4 = u.map(z => Complex.mul(z, Complex.fromPolar(1, -Math.atan2(det.im, det.re) / 4)));
+        const magic = this.magicBasis();
+        const up = this.multiply(this.multiply(this.adjoint(magic), u4), magic);
+        // Up^T·Up is symmetric and unitary, so its real and imaginary parts are commuting real symmetric matrices
+        // with a common orthogonal eigenbasis P; a generic mix of the two finds it
+        const square = this.multiply(this.transpose(up), up);
+        let p = null;
+        for (const mix of [0.6180339887, 1.4142135623, -0.8660254037, 2.7182818284]) {
+            const real = [0, 1, 2, 3].map(i => [0, 1, 2, 3].map(j => Complex.create(square[i * 4 + j].re + mix * square[i * 4 + j].im)));
+            const { vectors } = StateAnalysis.hermitianEigen(real);
+            const candidate = [];
+            for (let i = 0; i < 4; i++) for (let k = 0; k < 4; k++) candidate.push(Complex.create(vectors[k][i].re));
+            const diagonal = this.multiply(this.multiply(this.transpose(candidate), square), candidate);
+            if (diagonal.every((z, k) => k % 5 === 0 || Complex.abs(z) < 1e-7)) {
+                p = candidate;
+                break;
+            }
+        }
+        if (!p) throw new Error('KAK decomposition did not converge');
+        if (this.determinant(p).re < 0) for (let i = 0; i < 4; i++) p[i * 4] = Complex.scale(p[i * 4], -1);
+
+        const d = this.multiply(this.multiply(this.transpose(p), square), p);
+        const thetas = [0, 1, 2, 3].map(k => Math.atan2(d[k * 5].im, d[k * 5].re) / 2);
+        // det K1 = 1 needs Σθ ≡ 0 (mod 2π); each θ is only fixed mod π
+        if (Math.abs(Math.cos(thetas.reduce((sum, t) => sum + t, 0)) + 1) < 1e-6) thetas[0] += Math.PI;
+        const k1 = this.multiply(up, this.multiply(p, thetas.flatMap((_, i) => [0, 1, 2, 3].map(j =>
+            Complex.fromPolar(i === j ? 1 : 0, -thetas[i])))));
+        const toComputational = (m) => this.multiply(this.multiply(magic, m), this.adjoint(magic));
+        const after = this.splitLocal(toComputational(k1));
+        const before = this.splitLocal(toComputational(this.transpose(p)));
+
+        // In the magic basis XX, YY and ZZ are diagonal with orthogonal ±1 patterns, so each coefficient is a projection
+        const pattern = (pauli) => {
+            const m = this.multiply(this.multiply(this.adjoint(magic), this.kron(GateMatrices[pauli], GateMatrices[pauli])), magic);
+            return [0, 1, 2, 3].map(k => m[k * 5].re);
+        };
+        const coefficients = ['X', 'Y', 'Z'].map(pauli => pattern(pauli).reduce((sum, sign, k) => sum + sign * thetas[k], 0) / 4);
+        return { before, after, coefficients };
+    },
+
+    // [low, high] with m = high ⊗ low (up to phase), for a 4×4 that is a tensor product
+    splitLocal(m) {
+        let best = 0;
+        m.forEach((z, k) => { if (Complex.abs(z) > Complex.abs(m[best])) best = k; });
+        const i = Math.floor(best / 4), j = best % 4;
+        const low = [0, 1, 2, 3].map(k => m[((i >> 1) * 2 + (k >> 1)) * 4 + (j >> 1) * 2 + (k & 1)]);
+        const pivot = m[best];
+        const scale = Complex.scale(Complex.conj(pivot), 1 / Complex.abs2(pivot));
+        const high = [0, 1, 2, 3].map(k => Complex.mul(m[((k >> 1) * 2 + (i & 1)) * 4 + (k & 1) * 2 + (j & 1)], scale));
+        return [this.normalize(low), this.normalize(high)];
+    },
+
+    // Scale a 2×2 to determinant 1
+    normalize(m) {
+        const det = Complex.sub(Complex.mul(m[0], m[3]), Complex.mul(m[1], m[2]));
+        const factor = Complex.fromPolar(1 / Math.sqrt(Complex.abs(det)), -Math.atan2(det.im, det.re) / 2);
+        return m.map(z => Complex.mul(z, factor));
+    },
+
+    /**
+     * A two-qubit unitary as single-qubit gates and at most three CX, in time order:
+     * [{qubit, matrix}, {control, target}, …] with qubits 0 (low bit) and 1. Exact up to global phase.
+     * One interaction term costs one CX when it is a quarter turn (CX, CZ, …) and two otherwise; more take three.
+     * With interaction 'zz' each term is instead one {zz: θ} step, exp(iθ·ZZ), as in NMR free evolution.
+     * @param {Array<{re: number, im: number}>} u 4×4 unitary
+     * @param {{interaction?: 'cx'|'zz'}} [options]
+     * @returns {Array<object>}
+     */
+    twoQubitSequence(u, { interaction = 'cx' } = {}) {
+        const { before, after, coefficients } = this.kak(u);
+        const steps = [{ qubit: 0, matrix: before[0] }, { qubit: 1, matrix: before[1] }];
+        const local = (qubit, matrix) => steps.push({ qubit, matrix });
+        const cx = (control, target) => steps.push({ control, target });
+        const rz = (angle) => getRotationMatrixStatic('Z', angle);
+        const ry = (angle) => getRotationMatrixStatic('Y', angle);
+
+        // Shift each θ into (-π/4, π/4]: exp(iπ/2·PP) = i·P⊗P, so an odd number of quarter turns leaves a local P⊗P
+        const reduced = coefficients.map((value, k) => {
+            let turns = Math.round(value / (Math.PI / 2));
+            if (value - turns * Math.PI / 2 < -Math.PI / 4 + this.TOLERANCE) turns--;
+            if (turns % 2 !== 0) {
+                local(0, GateMatrices['XYZ'[k]]);
+                local(1, GateMatrices['XYZ'[k]]);
+            }
+            const theta = value - turns * Math.PI / 2;
+            return Math.abs(theta) < this.TOLERANCE ? 0 : theta;
+        });
+        const terms = reduced.map((theta, k) => ({ theta, pauli: 'XYZ'[k] })).filter(term => term.theta !== 0);
+
+        // V·Z·V† = P, so exp(iθ·PP) = (V⊗V)·exp(iθ·ZZ)·(V†⊗V†)
+        const basis = (pauli) => pauli === 'Z' ? GateMatrices['I']
+            : pauli === 'X' ? GateMatrices['H'] : this.multiply(GateMatrices['S'], GateMatrices['H']);
+        const aroundZZ = (pauli, emit) => {
+            const v = basis(pauli);
+            local(0, this.adjoint(v));
+            local(1, this.adjoint(v));
+            emit();
+            local(0, v);
+            local(1, v);
+        };
+
+        if (interaction === 'zz') {
+            // The terms commute, so each is its own ZZ evolution
+            for (const { theta, pauli } of terms) aroundZZ(pauli, () => steps.push({ zz: theta }));
+        } else if (terms.length === 1) {
+            const { theta, pauli } = terms[0];
+            aroundZZ(pauli, () => {
+                if (Math.abs(theta - Math.PI / 4) < this.TOLERANCE) {
+                    // exp(iπ/4·ZZ) = CZ·(RZ(-π/2) ⊗ RZ(-π/2)) up to phase, and CZ = H·CX·H on the target
+                    local(0, GateMatrices['H']);
+                    cx(1, 0);
+                    local(0, this.multiply(rz(-Math.PI / 2), GateMatrices['H']));
+                    local(1, rz(-Math.PI / 2));
+                } else {
+                    cx(1, 0);
+                    local(0, rz(-2 * theta));
+                    cx(1, 0);
+                }
+            });
+        } else if (terms.length > 1) {
+            // Vatan & Williams, Phys. Rev. A 69, 032315 (2004): three CX for exp(i(a·XX + b·YY + c·ZZ))
+            const [a, b, c] = reduced;
+            local(1, rz(-Math.PI / 2));
+            cx(1, 0);
+            local(0, rz(Math.PI / 2 - 2 * c));
+            local(1, ry(2 * a - Math.PI / 2));
+            cx(0, 1);
+            local(1, ry(Math.PI / 2 - 2 * b));
+            cx(1, 0);
+            local(0, rz(Math.PI / 2));
+        }
+        steps.push({ qubit: 0, matrix: after[0] }, { qubit: 1, matrix: after[1] });
+        return steps;
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GateSynthesis };
+}
@@ -0,0 +1,146 @@
+/**
+ * Tests tab: runs the ASSERT statements of every open Qubi tab and lists pass / fail per assertion;
+ * clicking a line opens it in the editor.
+ */
+
+class TestRunnerUI {
+    // onRunAll() runs every tab and calls update() with the report; onReveal(fileName, line) opens a line
+    constructor(containerId, { onRunAll, onReveal }) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.error(`Test runner container '${containerId}' not found`);
+            return;
+        }
+
+        this.onRunAll = onRunAll;
+        this.onReveal = onReveal;
+        this.report = null;
+
+        this.buildUI();
+    }
+
+    buildUI() {
+        this.container.innerHTML = `
+            <div class="test-runner-panel">
+                <div class="test-runner-toolbar">
+                    <button type="button" class="btn btn-small btn-primary test-runner-run" title="Check the ASSERT statements of every open tab">▶ Run all tabs</button>
+                    <span class="test-runner-summary"></span>
+                </div>
+                <div class="test-runner-files"></div>
+            </div>
+        `;
+
+        this.summaryEl = this.container.querySelector('.test-runner-summary');
+        this.filesEl = this.container.querySelector('.test-runner-files');
+        this.container.querySelector('.test-runner-run').addEventListener('click', () => this.onRunAll());
+
+        this.render();
+    }
+
+    /**
+     * Show the results of a run.
+     * @param {Array<{fileName: string, errors?: Array<{line: number, message: string}>,
+     *   results?: Array<{assertion: {line: number, source: string}, passed: boolean, checks: number, message: string|null}>}>} report
+     *   one entry per tab: errors when it does not compile, else its ASSERT results (0-based lines)
+     */
+    update(report) {
+        this.report = report;
+        this.render();
+    }
+
+    render() {
+        if (!this.container) return;
+        this.filesEl.innerHTML = '';
+        if (!this.report) {
+            this.summaryEl.textContent = 'Add ASSERT lines (e.g. ASSERT PROB 00 ≈ 0.5) to a tab, then run.';
+            return;
+        }
+
+        let passed = 0, failed = 0, skipped = 0, broken = 0;
+        const quiet = [];
+        for (const file of this.report) {
+            if (file.errors) {
+                broken++;
+                this.filesEl.appendChild(this.renderFile(file.fileName, file.errors.map(error => ({
+                    status: 'error', line: error.line, text: error.message
+                }))));
+                continue;
+            }
+            if (file.results.length === 0) {
+                quiet.push(file.fileName);
+                continue;
+            }
+            this.filesEl.appendChild(this.renderFile(file.fileName, file.results.map(result => {
+                const status = !result.passed ? 'failed' : result.checks === 0 ? 'skipped' : 'passed';
+                if (status === 'failed') failed++;
+                else if (status === 'skipped') skipped++;
+                else passed++;
+                return {
+                    status,
+                    line: result.assertion.line,
+                    text: result.assertion.source,
+                    message: status === 'skipped' ? 'Never reached (inside an IF block that did not run)' : result.message
+                };
+            })));
+        }
+
+        const parts = [`${passed} passed`, `${failed} failed`];
+        if (skipped) parts.push(`${skipped} not reached`);
+        if (broken) parts.push(`${broken} tab${broken === 1 ? '' : 's'} with errors`);
+        this.summaryEl.textContent = parts.join(', ');
+        this.summaryEl.classList.toggle('has-failures', failed > 0 || broken > 0);
+        if (quiet.length) {
+            const note = document.createElement('div');
+            note.className = 'test-runner-quiet';
+            note.textContent = `No ASSERT statements in ${quiet.join(', ')}`;
+            this.filesEl.appendChild(note);
+        }
+    }
+
+    renderFile(fileName, rows) {
+        const section = document.createElement('section');
+        section.className = 'test-runner-file';
+        const heading = document.createElement('div');
+        heading.className = 'test-runner-file-name';
+        heading.textContent = fileName;
+        const list = document.createElement('ul');
+        list.className = 'test-runner-results';
+
+        const icons = { passed: '✓', failed: '✗', skipped: '○', error: '!' };
+        for (const row of rows) {
+            const item = document.createElement('li');
+            item.className = `test-runner-result ${row.status}`;
+
+            const icon = document.createElement('span');
+            icon.className = 'test-runner-icon';
+            icon.textContent = icons[row.status];
+
+            const where = document.createElement('button');
+            where.type = 'button';
+            where.className = 'test-runner-line';
+            where.textContent = `${row.line + 1}`;
+            where.title = `Open ${fileName} at line ${row.line + 1}`;
+            where.addEventListener('click', () => this.onReveal(fileName, row.line));
+
+            const text = document.createElement('span');
+            text.className = 'test-runner-source';
+            text.textContent = row.text;
+
+            item.append(icon, where, text);
+            if (row.message) {
+                const message = document.createElement('div');
+                message.className = 'test-runner-message';
+                message.textContent = row.message;
+                item.appendChild(message);
+            }
+            list.appendChild(item);
+        }
+        section.append(heading, list);
+        return section;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TestRunnerUI };
+}
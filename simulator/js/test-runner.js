@@ -0,0 +1,216 @@
+/**
+ * Qubi test runner: compiles a program the way the editor checks it and evaluates its ASSERT statements against
+ * the state reached at each one (once per REPEAT iteration):
+ *   ASSERT PROB 01 ≈ 0.5 ± 0.01      ASSERT STATE q0 |+>      ASSERT ENTANGLED 0 1      ASSERT UNITARY ≈ H 0; CX [0,1]
+ */
+
+const QubiTestRunner = {
+    /**
+     * Build a fresh circuit from Qubi source; any problem is reported on the editor's (0-based) line.
+     * @param {string} code
+     * @param {object} [opts]
+     * @param {(filename:string)=>string|null} [opts.resolveImport]
+     * @param {boolean} [opts.useOptimizedGates]
+     * @param {'statevector'|'density'} [opts.mode]
+     * @returns {{circuit: QuantumCircuit} | {errors: Array<{line: number, message: string}>}}
+     */
+    compile(code, opts = {}) {
+        const source = String(code ?? '');
+        const lines = source.split('\n');
+        const resolveImport = typeof opts.resolveImport === 'function' ? opts.resolveImport : null;
+        const circuit = new QuantumCircuit(1, opts.useOptimizedGates !== false);
+        if (opts.mode) circuit.setSimulationMode(opts.mode);
+        const executor = new QubiExecutor(circuit);
+        const failed = (error) => ({ errors: [{ line: this.locateError(error.message, lines), message: error.message }] });
+
+        // #define names become valid gates once the preprocessor has read them, as in the editor
+        const defined = [];
+        let preprocessError = null;
+        try {
+            executor.preprocess(source, { resolveImport, onDefineGate: (name) => defined.push(name) });
+        } catch (error) {
+            preprocessError = error;
+        }
+        const lineErrors = typeof qubiValidateCode === 'function'
+            ? qubiValidateCode(source, { resolveImport, extraGates: defined })
+            : new Map();
+        // The validator usually reports the same problem on its own line; otherwise place the preprocessor's
+        if (preprocessError && lineErrors.size === 0) {
+            lineErrors.set(this.locateError(preprocessError.message, lines), preprocessError.message);
+        }
+        if (lineErrors.size > 0) {
+            return {
+                errors: [...lineErrors].sort(([a], [b]) => a - b).map(([line, message]) => ({ line, message }))
+            };
+        }
+        try {
+            executor.execute(source, { resolveImport });
+        } catch (error) {
+            return failed(error);
+        }
+        return { circuit };
+    },
+
+    // Line of a preprocess / build error, found like the editor does: the #define, #gate or #import it names,
+    // else the last non-empty line
+    locateError(message, lines) {
+        const ref = String(message).match(/^#(define|gate|import|include)\s+([^\s:]+)/i);
+        if (ref) {
+            const kind = /^(import|include)$/i.test(ref[1]) ? '(?:import|include)' : '(?:define|gate)';
+            const name = ref[2].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const pattern = new RegExp(`^\\s*#${kind}\\s+${name}\\b`, 'i');
+            const line = lines.findIndex(text => pattern.test(text));
+            if (line !== -1) return line;
+        }
+        for (let i = lines.length - 1; i >= 0; i--) {
+            if (lines[i].trim()) return i;
+        }
+        return 0;
+    },
+
+    /**
+     * Check every ASSERT of a compiled circuit. MEASURE outcomes come from a seeded RNG, so a run repeats exactly.
+     * An ASSERT inside a REPEAT is checked on every iteration and fails on the first one that breaks it;
+     * one inside an IF block is checked only when the block runs.
+     * @param {QuantumCircuit} circuit
+     * @param {object} [opts]
+     * @param {number|string} [opts.seed]
+     * @returns {Array<{assertion: object, passed: boolean, checks: number, message: string|null}>} in line order;
+     *   checks is 0 for an ASSERT that never ran
+     */
+    run(circuit, { seed = 1 } = {}) {
+        const results = new Map(circuit.assertions.map(assertion => [assertion, { assertion, passed: true, checks: 0, message: null }]));
+        if (results.size === 0) return [];
+
+        const ifBlocks = circuit.getBlockPairs().filter(pair => pair.type === 'IF');
+        const savedState = circuit.state;
+        const savedRandom = circuit.random;
+        const executed = [];
+        try {
+            circuit.random = createSeededRandom(Number(seed) >>> 0);
+            circuit.state = circuit.createState();
+            for (const step of circuit.buildExecutionTrace(true)) {
+                if (step.gate) {
+                    circuit.executeGate(step.gate);
+                    executed.push(step.gate);
+                    continue;
+                }
+                const { assertion, loops } = step;
+                const skipped = ifBlocks.some(pair => pair.startColumn < assertion.column && assertion.column <= pair.endColumn &&
+                    !circuit.evaluateCondition(pair.params, circuit.state));
+                if (skipped) continue;
+                const result = results.get(assertion);
+                result.checks++;
+                if (!result.passed) continue;
+                let failure;
+                try {
+                    failure = this.check(assertion, circuit.state, circuit, executed);
+                } catch (error) {
+                    failure = error.message;
+                }
+                if (failure) {
+                    result.passed = false;
+                    result.message = loops.length ? `${failure} (${this.formatLoops(loops)})` : failure;
+                }
+            }
+        } finally {
+            circuit.state = savedState;
+            circuit.random = savedRandom;
+        }
+        return [...results.values()].sort((a, b) => a.assertion.line - b.assertion.line);
+    },
+
+    /**
+     * Why an assertion does not hold, or null when it does.
+     * @param {object} assertion from QubiParser.parseAssertion
+     * @param {QuantumState|DensityMatrixState} state the state reached at the ASSERT
+     * @param {QuantumCircuit} circuit
+     * @param {Array<object>} executed gates run so far, for UNITARY
+     * @returns {string|null}
+     */
+    check(assertion, state, circuit, executed) {
+        const n = circuit.numQubits;
+        const { tolerance } = assertion;
+        const missing = (q) => `q${q} is not in the circuit (${n} qubit${n === 1 ? '' : 's'})`;
+
+        if (assertion.kind === 'PROB') {
+            const { bits, expected } = assertion;
+            if (bits.length !== n) {
+                return `|${bits}⟩ has ${bits.length} bit${bits.length === 1 ? '' : 's'} but the circuit has ${n} qubits (write q${n - 1} first)`;
+            }
+            const p = state.isStabilizer ? state.getOutcomeProbability(bits) : state.getAllProbabilities()[bits] || 0;
+            return Math.abs(p - expected) <= tolerance ? null : `P(|${bits}⟩) = ${this.format(p)}, expected ${expected} ± ${tolerance}`;
+        }
+        if (assertion.kind === 'STATE') {
+            const { qubit, bloch } = assertion;
+            if (qubit >= n) return missing(qubit);
+            const r = ['X', 'Y', 'Z'].map(pauli => state.expectationPauli([{ qubit, pauli }]));
+            // Fidelity of the qubit's reduced state with the pure target: (1 + r·n) / 2
+            const fidelity = (1 + r[0] * bloch[0] + r[1] * bloch[1] + r[2] * bloch[2]) / 2;
+            if (1 - fidelity <= tolerance) return null;
+            return `q${qubit} has fidelity ${this.format(fidelity)} with |${assertion.state}⟩ (Bloch vector ${r.map(c => this.format(c)).join(', ')})`;
+        }
+        if (assertion.kind === 'ENTANGLED') {
+            const { qubits } = assertion;
+            const outside = qubits.find(q => q >= n);
+            if (outside !== undefined) return missing(outside);
+            const rho = StateAnalysis.reducedDensityMatrix(state, qubits);
+            // Every way of splitting the qubits in two must be entangled; the last qubit stays on the right
+            for (let mask = 1; mask < 1 << (qubits.length - 1); mask++) {
+                const negativity = StateAnalysis.negativity(rho, mask);
+                if (negativity > tolerance) continue;
+                const left = qubits.filter((_, j) => mask & (1 << j)).map(q => `q${q}`).join(' ');
+                const right = qubits.filter((_, j) => !(mask & (1 << j))).map(q => `q${q}`).join(' ');
+                return `${left} and ${right} are not entangled (negativity ${this.format(negativity)})`;
+            }
+            return null;
+        }
+        if (assertion.kind === 'UNITARY') {
+            const actual = circuit.computeSequenceUnitary(executed);
+            const comparison = compareUnitaries(this.targetUnitary(assertion.target, n, circuit.useOptimizedGates), actual, tolerance);
+            if (comparison.equivalent) return null;
+            return `the gates so far differ from ${assertion.target} by up to ${this.format(comparison.distance)} per entry (global phase ignored)`;
+        }
+        return `Unknown ASSERT ${assertion.kind}`;
+    },
+
+    /**
+     * Unitary of an ASSERT UNITARY target on the program's qubits: Qubi gate lines separated by ;.
+     * A bare gate name acts on every qubit: in parallel for a single-qubit gate, else on [0, 1, …]; I is the identity.
+     * @param {string} target
+     * @param {number} numQubits
+     * @param {boolean} [useOptimizedGates]
+     */
+    targetUnitary(target, numQubits, useOptimizedGates = true) {
+        const dim = 1 << numQubits;
+        if (target === 'I') {
+            return Array.from({ length: dim }, (_, i) => Array.from({ length: dim }, (_, j) => ({ re: i === j ? 1 : 0, im: 0 })));
+        }
+        const all = Array.from({ length: numQubits }, (_, q) => q).join(',');
+        let code = target.split(';').map(part => part.trim()).join('\n');
+        if (/^[A-Z][A-Z0-9]*$/.test(target)) {
+            const singleQubit = (GateAngleParams[target] && !ControlledGateBase[target]) || (GateMatrices[target] && GateMatrices[target].length === 4);
+            code = numQubits === 1 ? `${target} 0` : singleQubit ? `${target} (${all})` : `${target} [${all}]`;
+        }
+        const circuit = new QuantumCircuit(numQubits, useOptimizedGates);
+        new QubiExecutor(circuit).execute(code);
+        if (circuit.gates.length === 0) throw new Error(`"${target}" has no gates (write the qubits, e.g. ASSERT UNITARY ≈ H 0)`);
+        if (circuit.numQubits !== numQubits) {
+            throw new Error(`"${target}" uses q${circuit.numQubits - 1}, but the circuit has ${numQubits} qubit${numQubits === 1 ? '' : 's'}`);
+        }
+        return circuit.computeUnitary();
+    },
+
+    formatLoops(loops) {
+        return loops.map(loop => `REPEAT ${loop.count} iteration ${loop.iteration}`).join(', ');
+    },
+
+    format(value) {
+        return String(Math.round(value * 1e4) / 1e4);
+    }
+};
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QubiTestRunner };
+}
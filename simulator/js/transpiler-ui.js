@@ -0,0 +1,277 @@
+/**
+ * Optimize dialog: runs the CircuitTranspiler passes on the current circuit, shows gate count and depth
+ * before/after each pass, and writes the result back to the circuit and Qubi editor on request.
+ * Choosing a device topology enables SWAP routing and draws its connectivity graph; choosing a target gate set
+ * compiles the result to native gates, which opens as Qubi code in a new tab.
+ */
+
+class TranspilerUI {
+    static VERIFY_MAX_QUBITS = 8; // larger circuits skip the unitary cross-check
+
+    // getCircuit() -> the live QuantumCircuit; onApply(optimizedCircuit) replaces it;
+    // onOpenCode(code, targetId) opens compiled code in a new tab and returns the tab name
+    constructor(containerId, { getCircuit, onApply, onOpenCode }) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.error(`Transpiler container '${containerId}' not found`);
+            return;
+        }
+
+        this.getCircuit = getCircuit;
+        this.onApply = onApply;
+        this.onOpenCode = onOpenCode;
+        this.transpiler = new CircuitTranspiler();
+        this.result = null;
+        this.couplingMap = null;
+
+        this.buildUI();
+    }
+
+    buildUI() {
+        const passes = CircuitTranspiler.PASSES.map(pass => `
+            <label class="transpiler-pass">
+                <input type="checkbox" value="${pass.id}" checked${pass.needsDevice || pass.needsTarget ? ' disabled' : ''}> ${pass.label}
+            </label>`).join('');
+        const topologies = CouplingMap.TOPOLOGIES.map(topology => `<option value="${topology.id}">${topology.label}</option>`).join('');
+        const targets = CircuitTranspiler.TARGETS.map(target => `<option value="${target.id}">${target.label}</option>`).join('');
+
+        this.container.innerHTML = `
+            <div class="transpiler-panel">
+                <div class="transpiler-device">
+                    <label class="transpiler-device-select">Device
+                        <select id="transpilerDevice">
+                            <option value="">All-to-all (no routing)</option>
+                            ${topologies}
+                        </select>
+                    </label>
+                    <input type="text" id="transpilerEdges" class="transpiler-edges" placeholder="0-1, 1-2, 2-3, 3-0" spellcheck="false" hidden>
+                    <div id="transpilerGraph" class="transpiler-graph"></div>
+                </div>
+                <div class="transpiler-device">
+                    <label class="transpiler-device-select">Gate set
+                        <select id="transpilerTarget">
+                            <option value="">Keep Qubi gates</option>
+                            ${targets}
+                        </select>
+                    </label>
+                </div>
+                <div class="transpiler-passes">${passes}</div>
+                <div class="transpiler-controls">
+                    <button id="transpilerRunBtn" class="btn btn-small btn-primary">Run passes</button>
+                </div>
+                <div id="transpilerReport" class="transpiler-report"></div>
+                <div class="transpiler-controls">
+                    <button id="transpilerApplyBtn" class="btn btn-small btn-success" disabled>Apply to editor</button>
+                </div>
+            </div>
+        `;
+
+        this.reportEl = this.container.querySelector('#transpilerReport');
+        this.applyBtn = this.container.querySelector('#transpilerApplyBtn');
+        this.deviceSelect = this.container.querySelector('#transpilerDevice');
+        this.edgesInput = this.container.querySelector('#transpilerEdges');
+        this.graphEl = this.container.querySelector('#transpilerGraph');
+        this.routeInput = this.container.querySelector('.transpiler-pass input[value="route"]');
+        this.targetSelect = this.container.querySelector('#transpilerTarget');
+        this.nativeInput = this.container.querySelector('.transpiler-pass input[value="native"]');
+
+        this.container.querySelector('#transpilerRunBtn').addEventListener('click', () => this.run());
+        this.container.querySelectorAll('.transpiler-pass input').forEach(input => {
+            input.addEventListener('change', () => this.run());
+        });
+        this.deviceSelect.addEventListener('change', () => {
+            this.edgesInput.hidden = this.deviceSelect.value !== 'custom';
+            this.routeInput.disabled = !this.deviceSelect.value;
+            this.run();
+        });
+        this.edgesInput.addEventListener('change', () => this.run());
+        this.targetSelect.addEventListener('change', () => {
+            this.nativeInput.disabled = !this.targetSelect.value;
+            this.run();
+        });
+        this.applyBtn.addEventListener('click', () => {
+            if (!this.result) return;
+            // Native gates are #gate calls, so compiled output goes to its own tab with their definitions
+            let note = 'Written to the editor';
+            if (this.isCompiled()) {
+                if (!this.onOpenCode) return;
+                note = `Opened as ${this.escape(this.onOpenCode(this.resultCode(), this.targetSelect.value))}`;
+            } else {
+                if (!this.onApply) return;
+                this.onApply(this.result.circuit);
+            }
+            this.result = null;
+            this.applyBtn.disabled = true;
+            this.reportEl.insertAdjacentHTML('beforeend', `<div class="transpiler-note ok">${note}</div>`);
+        });
+    }
+
+    // Called when the dialog opens
+    open() {
+        this.run();
+    }
+
+    selectedPasses() {
+        return [...this.container.querySelectorAll('.transpiler-pass input:checked:not(:disabled)')].map(input => input.value);
+    }
+
+    run() {
+        const circuit = this.getCircuit();
+        this.result = null;
+        this.applyBtn.disabled = true;
+        try {
+            this.couplingMap = this.deviceSelect.value
+                ? CouplingMap.create(this.deviceSelect.value, circuit.numQubits, this.edgesInput.value)
+                : null;
+            this.result = this.transpiler.optimize(circuit, this.selectedPasses(), {
+                couplingMap: this.couplingMap,
+                target: this.targetSelect.value || null
+            });
+        } catch (error) {
+            this.renderGraph(circuit, null);
+            this.reportEl.innerHTML = `<div class="transpiler-note error">${this.escape(error.message)}</div>`;
+            return;
+        }
+        this.applyBtn.disabled = this.result.steps.length < 2;
+        this.applyBtn.textContent = this.isCompiled() ? 'Open in new tab' : 'Apply to editor';
+        this.renderGraph(circuit, this.result.circuit);
+        this.renderReport(circuit);
+    }
+
+    // Device qubits as nodes and couplings as edges; edges the result uses are drawn solid, those carrying
+    // SWAPs highlighted, and device qubits the circuit does not have dimmed
+    renderGraph(original, routed) {
+        const map = this.couplingMap;
+        if (!map) {
+            this.graphEl.innerHTML = '';
+            return;
+        }
+        const used = new Set(), swapped = new Set();
+        for (const gate of routed ? routed.gates : []) {
+            const wires = this.transpiler.qubits(gate);
+            if (wires.length !== 2) continue;
+            const key = `${Math.min(...wires)}-${Math.max(...wires)}`;
+            (gate.type === 'SWAP' ? swapped : used).add(key);
+        }
+        const unit = 36, pad = 16;
+        const xs = map.positions.map(p => p.x), ys = map.positions.map(p => p.y);
+        const minX = Math.min(...xs), minY = Math.min(...ys);
+        const x = (q) => Math.round(pad + (map.positions[q].x - minX) * unit);
+        const y = (q) => Math.round(pad + (map.positions[q].y - minY) * unit);
+        const width = Math.ceil(2 * pad + (Math.max(...xs) - minX) * unit);
+        const height = Math.ceil(2 * pad + (Math.max(...ys) - minY) * unit);
+        const edges = map.edges.map(([a, b]) => {
+            const key = `${a}-${b}`;
+            const kind = swapped.has(key) ? ' swapped' : used.has(key) ? ' used' : '';
+            return `<line class="transpiler-edge${kind}" x1="${x(a)}" y1="${y(a)}" x2="${x(b)}" y2="${y(b)}"></line>`;
+        }).join('');
+        const nodes = map.positions.map((_, q) => `
+            <g class="transpiler-node${q < original.numQubits ? '' : ' spare'}">
+                <circle cx="${x(q)}" cy="${y(q)}" r="11"></circle>
+                <text x="${x(q)}" y="${y(q) + 4}" text-anchor="middle">${q}</text>
+            </g>`).join('');
+
+        this.graphEl.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${map.name} coupling map">
+                ${edges}${nodes}
+            </svg>
+            <div class="transpiler-graph-legend">
+                ${map.name}: ${map.numQubits} qubit${map.numQubits === 1 ? '' : 's'}, ${map.edges.length} coupling${map.edges.length === 1 ? '' : 's'}
+                · <span class="transpiler-edge-key used"></span> used <span class="transpiler-edge-key swapped"></span> SWAP
+            </div>
+        `;
+    }
+
+    renderReport(original) {
+        const { steps, circuit } = this.result;
+        const first = steps[0];
+        const last = steps[steps.length - 1];
+        const delta = (after, before) => {
+            const d = after - before;
+            return d === 0 ? '' : ` <span class="transpiler-delta ${d < 0 ? 'better' : 'worse'}">${d > 0 ? '+' : ''}${d}</span>`;
+        };
+        const rows = steps.map((step, i) => {
+            const previous = steps[Math.max(0, i - 1)];
+            return `<tr><td>${step.label}</td><td>${step.gateCount}${delta(step.gateCount, previous.gateCount)}</td><td>${step.depth}${delta(step.depth, previous.depth)}</td></tr>`;
+        }).join('');
+
+        this.reportEl.innerHTML = `
+            <table class="transpiler-table">
+                <thead><tr><th>Step</th><th>Gates</th><th>Depth</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="transpiler-summary">
+                Gates ${first.gateCount} → <strong>${last.gateCount}</strong>, depth ${first.depth} → <strong>${last.depth}</strong>
+            </div>
+            ${this.routingSummary(original)}
+            ${this.verify(original, circuit)}
+            <details class="transpiler-preview">
+                <summary>Preview result</summary>
+                <pre>${this.escape(this.resultCode())}</pre>
+            </details>
+        `;
+    }
+
+    // SWAP overhead of the route step, measured against the step before it
+    routingSummary(original) {
+        const { steps } = this.result;
+        const index = steps.findIndex(step => step.id === 'route');
+        if (index < 0) return '';
+        const route = steps[index];
+        const before = steps[index - 1];
+        const distant = original.gates.filter(gate => {
+            const wires = this.transpiler.qubits(gate);
+            return wires.length === 2 && !this.couplingMap.areAdjacent(wires[0], wires[1]);
+        }).length;
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        if (route.swaps === 0) {
+            return `<div class="transpiler-note ok">✓ Every two-qubit gate already acts on neighbouring qubits</div>`;
+        }
+        return `
+            <div class="transpiler-routing">
+                Routing added <strong>${plural(route.swaps, 'SWAP')}</strong> (${route.swaps * 3} CX on hardware):
+                +${route.gateCount - before.gateCount} gates, +${route.depth - before.depth} depth.
+                ${distant ? `${plural(distant, 'gate')} in the original ${distant === 1 ? 'acts' : 'act'} on qubits that are not coupled.` : ''}
+            </div>
+        `;
+    }
+
+    isCompiled() {
+        return !!this.result && this.result.steps.some(step => step.id === 'native');
+    }
+
+    // Qubi code of the result; compiled code starts with the #gate blocks of the native gates it calls
+    resultCode() {
+        const { circuit } = this.result;
+        const code = new QubiExecutor(circuit).generateCode(circuit);
+        if (!this.isCompiled()) return code;
+        const target = CircuitTranspiler.TARGETS.find(t => t.id === this.targetSelect.value);
+        return [`// Compiled for ${target.label}`, ...this.transpiler.nativeDefinitions(circuit), code].join('\n');
+    }
+
+    escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    // Cross-check that the rewrite kept the unitary (up to global phase) when it is small enough to build
+    verify(original, optimized) {
+        if (optimized.numQubits > TranspilerUI.VERIFY_MAX_QUBITS) return '';
+        // Routing on a larger device leaves the extra qubits as they started, so compare against U ⊗ I
+        const reference = original.clone();
+        reference.numQubits = optimized.numQubits;
+        let result;
+        try {
+            result = compareUnitaries(reference.computeUnitary(), optimized.computeUnitary());
+        } catch {
+            return ''; // MEASURE or IF: no unitary to compare
+        }
+        return result.equivalent
+            ? '<div class="transpiler-note ok">✓ Unitary unchanged (up to global phase)</div>'
+            : `<div class="transpiler-note error">✗ Unitary changed (max deviation ${result.distance.toExponential(2)})</div>`;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TranspilerUI };
+}
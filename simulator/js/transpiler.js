@@ -0,0 +1,661 @@
+// Circuit optimization passes. Each pass rewrites the gate list between control-flow markers,
+// so REPEAT/IF blocks keep their boundaries and gates never move into or out of a block.
+
+const SELF_INVERSE_GATES = new Set(['H', 'X', 'Y', 'Z', 'CX', 'CY', 'CZ', 'SWAP']);
+
+// Rotations that add their angles when repeated, and the angle period after which they are the identity
+// up to global phase (CRX/CRY/CRZ(2π) are controlled -I, so they need 4π)
+const ROTATION_PERIODS = {
+    'RX': 2 * Math.PI, 'RY': 2 * Math.PI, 'RZ': 2 * Math.PI, 'P': 2 * Math.PI,
+    'CP': 2 * Math.PI, 'CRX': 4 * Math.PI, 'CRY': 4 * Math.PI, 'CRZ': 4 * Math.PI
+};
+
+// Native gates Qubi has no built-in for, written out as #gate blocks (exact up to global phase). expand()
+// builds the same body as circuit gates from the qubits and {angle, ref} arguments of one call.
+const NATIVE_GATES = {
+    // √X
+    SX: {
+        definition: ['#gate SX a', '  RX a 0.5', '#endgate'],
+        expand: (t, [a]) => [t.single('RX', a, { angle: Math.PI / 2 })]
+    },
+    // π rotation about cos(phi)·X + sin(phi)·Y
+    GPI: {
+        definition: ['#gate GPI(phi) a', '  RZ a -phi', '  X a', '  RZ a phi', '#endgate'],
+        expand: (t, [a], [phi]) => [t.single('RZ', a, t.scaleAngle(phi, -1)), t.single('X', a), t.single('RZ', a, phi)]
+    },
+    // π/2 rotation about cos(phi)·X + sin(phi)·Y
+    GPI2: {
+        definition: ['#gate GPI2(phi) a', '  RZ a -phi', '  RX a 0.5', '  RZ a phi', '#endgate'],
+        expand: (t, [a], [phi]) => [t.single('RZ', a, t.scaleAngle(phi, -1)), t.single('RX', a, { angle: Math.PI / 2 }), t.single('RZ', a, phi)]
+    },
+    // Mølmer–Sørensen interaction exp(-iπ/4·XX)
+    MS: {
+        definition: ['#gate MS a b', '  H a', '  H b', '  CX [a,b]', '  RZ b 0.5', '  CX [a,b]', '  H a', '  H b', '#endgate'],
+        expand: (t, [a, b]) => [
+            t.single('H', a), t.single('H', b), t.cx(a, b), t.single('RZ', b, { angle: Math.PI / 2 }), t.cx(a, b),
+            t.single('H', a), t.single('H', b)
+        ]
+    },
+    // ZZ evolution exp(-i·theta/2·ZZ), e.g. free evolution under a J coupling
+    RZZ: {
+        definition: ['#gate RZZ(theta) a b', '  CX [a,b]', '  RZ b theta', '  CX [a,b]', '#endgate'],
+        expand: (t, [a, b], [theta]) => [t.cx(a, b), t.single('RZ', b, theta), t.cx(a, b)]
+    }
+};
+
+/**
+ * Pass pipeline over a QuantumCircuit. The input circuit is never modified; optimize() returns a rebuilt copy
+ * plus gate count and depth after every pass.
+ */
+class CircuitTranspiler {
+    static PASSES = [
+        { id: 'decompose', label: 'Decompose multi-controlled gates into CX + single-qubit gates' },
+        { id: 'cancel', label: 'Cancel adjacent self-inverse gates (H H, X X, CX CX, …)' },
+        { id: 'merge', label: 'Merge consecutive rotations on the same axis' },
+        { id: 'route', label: 'Route two-qubit gates onto the device with SWAPs', needsDevice: true },
+        { id: 'native', label: 'Compile to the target gate set', needsTarget: true },
+        { id: 'commute', label: 'Commute gates into earlier columns to reduce depth' }
+    ];
+
+    // Native gate sets for the 'native' pass; natives lists the NATIVE_GATES the compiled code may call
+    static TARGETS = [
+        { id: 'ibm', label: 'Superconducting: RZ, SX, X, CX', natives: ['SX'] },
+        { id: 'rotations', label: 'Rotations: RX, RY, RZ, CZ', natives: [] },
+        { id: 'ion', label: 'Trapped ion: GPI, GPI2, MS', natives: ['GPI', 'GPI2', 'MS'] },
+        { id: 'nmr', label: 'NMR: RX, RY, RZ pulses, RZZ J-coupling evolution', natives: ['RZZ'] }
+    ];
+
+    // passIds: subset of PASSES ids; they always run in the PASSES order. 'route' needs options.couplingMap
+    // and 'native' options.target (a TARGETS id).
+    // Returns {circuit, steps: [{id, label, gateCount, depth, swaps?}]} with steps[0] describing the input.
+    optimize(circuit, passIds, options = {}) {
+        const enabled = new Set(passIds);
+        const { couplingMap = null, target = null } = options;
+        const parts = this.splitSegments(circuit);
+        const steps = [{ id: 'input', label: 'Original circuit', gateCount: circuit.getGateCount(), depth: circuit.getDepth() }];
+        const record = (pass, commute) => {
+            const rebuilt = this.rebuild(circuit, parts, commute);
+            steps.push({ id: pass.id, label: pass.label, ...this.size(rebuilt) });
+            return rebuilt;
+        };
+
+        let result = null;
+        for (const pass of CircuitTranspiler.PASSES) {
+            if (!enabled.has(pass.id) || (pass.needsDevice && !couplingMap) || (pass.needsTarget && !target)) continue;
+            if (pass.id === 'route' && couplingMap.numQubits < circuit.numQubits) {
+                throw new Error(`The device has ${couplingMap.numQubits} qubits but the circuit uses ${circuit.numQubits}`);
+            }
+            if (pass.id === 'native') this.checkTarget(target);
+            let swaps = 0;
+            for (const part of parts) {
+                if (!part.gates) continue;
+                if (pass.id === 'decompose') part.gates = part.gates.flatMap(gate => this.decompose(gate));
+                // Merging can expose new cancellations and vice versa, so both run to a fixed point
+                if (pass.id === 'cancel' || pass.id === 'merge') part.gates = this.simplify(part.gates, pass.id === 'merge');
+                if (pass.id === 'route') {
+                    const routed = this.route(part.gates, couplingMap);
+                    part.gates = routed.gates;
+                    swaps += routed.swaps;
+                }
+                if (pass.id === 'native') part.gates = this.nativize(part.gates, target);
+            }
+            result = record(pass, pass.id === 'commute');
+            if (pass.id === 'route') steps[steps.length - 1].swaps = swaps;
+        }
+        return { circuit: result || this.rebuild(circuit, parts, false), steps };
+    }
+
+    // Alternating gate segments and control-flow markers in column order: [{gates}, {marker}, {gates}, …]
+    splitSegments(circuit) {
+        const markers = [...circuit.controlFlow].sort((a, b) => a.column - b.column);
+        const gates = [...circuit.gates].sort((a, b) => a.column - b.column || a.qubit - b.qubit);
+        const parts = [];
+        let g = 0;
+        for (const marker of [...markers, null]) {
+            const segment = [];
+            while (g < gates.length && (!marker || gates[g].column < marker.column)) {
+                segment.push(this.copyGate(gates[g++]));
+            }
+            parts.push({ gates: segment });
+            if (marker) parts.push({ marker });
+        }
+        return parts;
+    }
+
+    copyGate(gate) {
+        return {
+            type: gate.type,
+            qubit: gate.qubit,
+            target: gate.target === undefined ? null : gate.target,
+            params: JSON.parse(JSON.stringify(gate.params || {})),
+            multiQubits: gate.multiQubits ? [...gate.multiQubits] : null
+        };
+    }
+
+    // Copy of the circuit with the parts laid out column by column; native gates become #gate calls
+    rebuild(circuit, parts, commute) {
+        const copy = circuit.clone();
+        copy.gates = [];
+        copy.controlFlow = [];
+        copy.gateGroups = [];
+        copy.maxColumn = 0;
+        const newColumn = new Map(); // old marker column -> new column, for END back-references
+        let column = 0;
+        for (const part of parts) {
+            if (part.marker) {
+                const params = { ...part.marker.params };
+                if (params.matchedRepeatColumn !== undefined) params.matchedRepeatColumn = newColumn.get(params.matchedRepeatColumn);
+                if (params.matchedIfColumn !== undefined) params.matchedIfColumn = newColumn.get(params.matchedIfColumn);
+                newColumn.set(part.marker.column, column);
+                copy.addControlFlow(part.marker.type, column++, params);
+                continue;
+            }
+            for (const layer of this.layout(part.gates, commute)) {
+                if (layer[0].params.native) {
+                    column = this.expandNative(copy, layer[0], column); // always alone in its layer
+                    continue;
+                }
+                layer.forEach(gate => {
+                    const g = this.copyGate(gate);
+                    copy.addGate(g.type, g.qubit, column, g.target, g.params, g.multiQubits);
+                });
+                column++;
+            }
+        }
+        // Routing may pass through device qubits the circuit did not have
+        copy.numQubits = Math.max(copy.numQubits, ...copy.gates.flatMap(gate => this.qubits(gate).map(q => q + 1)));
+        copy.state = copy.createState();
+        return copy;
+    }
+
+    // Gate count and depth with each native gate call counted as one gate in one column
+    size(circuit) {
+        let gateCount = circuit.getGateCount();
+        let depth = circuit.getDepth();
+        for (const group of circuit.gateGroups) {
+            gateCount -= circuit.gates.filter(gate => gate.column >= group.startColumn && gate.column <= group.endColumn).length - 1;
+            depth -= group.endColumn - group.startColumn;
+        }
+        return { gateCount, depth };
+    }
+
+    // ---- gate structure ----
+
+    controls(gate) {
+        if (gate.multiQubits && gate.multiQubits.length) return gate.multiQubits;
+        return gate.target !== null && gate.target !== undefined && gate.type !== 'SWAP' ? [gate.target] : [];
+    }
+
+    qubits(gate) {
+        if (gate.params && Array.isArray(gate.params.jointQubits) && gate.params.jointQubits.length) {
+            return gate.params.jointQubits;
+        }
+        if (gate.type === 'SWAP') return [gate.qubit, gate.target];
+        return [...this.controls(gate), gate.qubit];
+    }
+
+    // How a gate acts on one of its qubits: 'Z' (diagonal), 'X' or 'Y' (built from that Pauli), else null.
+    // Two gates commute when every shared qubit has the same non-null role in both.
+    role(gate, qubit) {
+        if (gate.params && gate.params.jointQubits && gate.params.jointQubits.length) return null;
+        if (gate.type === 'SWAP' || gate.type === 'MEASURE') return null;
+        if (qubit !== gate.qubit) return 'Z'; // controls act as projectors
+        if (['Z', 'S', 'T', 'I', 'RZ', 'P', 'CZ', 'CP', 'CRZ'].includes(gate.type)) return 'Z';
+        if (['X', 'RX', 'CX', 'CRX'].includes(gate.type)) return 'X';
+        if (['Y', 'RY', 'CY', 'CRY'].includes(gate.type)) return 'Y';
+        return null;
+    }
+
+    commutes(a, b) {
+        const shared = this.qubits(a).filter(q => this.qubits(b).includes(q));
+        return shared.every(q => {
+            const role = this.role(a, q);
+            return role !== null && role === this.role(b, q);
+        });
+    }
+
+    // Same gate on the same wires, ignoring angles
+    sameShape(a, b) {
+        if (a.type !== b.type) return false;
+        if ((a.params.jointQubits && a.params.jointQubits.length) || (b.params.jointQubits && b.params.jointQubits.length)) return false;
+        const sameSet = (x, y) => x.length === y.length && x.every(q => y.includes(q));
+        if (a.type === 'SWAP' || a.type === 'CZ' || a.type === 'CP') return sameSet(this.qubits(a), this.qubits(b));
+        return a.qubit === b.qubit && sameSet(this.controls(a), this.controls(b));
+    }
+
+    // ---- cancel + merge ----
+
+    // Cancels self-inverse pairs (and, with merge, folds same-axis rotations) across any gates that commute with them
+    simplify(gates, merge) {
+        let current = gates;
+        for (let round = 0; round < 20; round++) {
+            let changed = false;
+            const result = [];
+            for (const gate of current) {
+                const j = this.findPartner(result, gate, merge);
+                if (j < 0) {
+                    result.push(gate);
+                    continue;
+                }
+                changed = true;
+                if (SELF_INVERSE_GATES.has(gate.type)) {
+                    result.splice(j, 1);
+                } else {
+                    const merged = this.mergeRotations(result[j], gate);
+                    if (this.isIdentityRotation(merged)) result.splice(j, 1);
+                    else result[j] = merged;
+                }
+            }
+            current = result;
+            if (!changed) break;
+        }
+        return current;
+    }
+
+    // Index of the earlier gate that `gate` can cancel or merge with, scanning back over commuting gates
+    findPartner(previous, gate, merge) {
+        const cancellable = SELF_INVERSE_GATES.has(gate.type);
+        const mergeable = merge && ROTATION_PERIODS[gate.type] !== undefined;
+        if (!cancellable && !mergeable) return -1;
+        for (let j = previous.length - 1; j >= 0; j--) {
+            const other = previous[j];
+            if (this.sameShape(other, gate) && (cancellable || this.canMergeAngles(other, gate))) return j;
+            if (!this.commutes(other, gate)) return -1;
+        }
+        return -1;
+    }
+
+    angleOf(gate) {
+        return typeof gate.params.angle === 'number' ? gate.params.angle : Math.PI / 2;
+    }
+
+    // Angles tied to a PARAM only merge with the same PARAM, so the result stays symbolic
+    canMergeAngles(a, b) {
+        const refA = a.params.paramRefs && a.params.paramRefs.angle;
+        const refB = b.params.paramRefs && b.params.paramRefs.angle;
+        if (!refA && !refB) return true;
+        return !!(refA && refB && refA.name === refB.name);
+    }
+
+    mergeRotations(a, b) {
+        const merged = this.copyGate(a);
+        merged.params.angle = this.angleOf(a) + this.angleOf(b);
+        const refA = a.params.paramRefs && a.params.paramRefs.angle;
+        if (refA) {
+            merged.params.paramRefs.angle = { name: refA.name, scale: refA.scale + b.params.paramRefs.angle.scale };
+        }
+        return merged;
+    }
+
+    isIdentityRotation(gate) {
+        const ref = gate.params.paramRefs && gate.params.paramRefs.angle;
+        if (ref && Math.abs(ref.scale) > 1e-12) return false;
+        const period = ROTATION_PERIODS[gate.type];
+        const remainder = ((this.angleOf(gate) % period) + period) % period;
+        return remainder < 1e-10 || period - remainder < 1e-10;
+    }
+
+    // ---- decomposition ----
+
+    // Multi-controlled CX/CY/CZ and any CP/CRX/CRY/CRZ become CX, H and single-qubit rotations/phases
+    decompose(gate) {
+        const controls = this.controls(gate);
+        const t = gate.qubit;
+        if (['CX', 'CY', 'CZ'].includes(gate.type)) {
+            if (controls.length < 2) return [gate];
+            if (gate.type === 'CX') return this.mcx(controls, t);
+            if (gate.type === 'CZ') return this.mcPhase(controls, t, { angle: Math.PI });
+            return [this.single('P', t, { angle: -Math.PI / 2 }), ...this.mcx(controls, t), this.single('P', t, { angle: Math.PI / 2 })];
+        }
+        if (!ControlledGateBase[gate.type] || controls.length === 0) return [gate];
+
+        const angle = { angle: this.angleOf(gate), ref: gate.params.paramRefs && gate.params.paramRefs.angle };
+        if (gate.type === 'CP') return this.mcPhase(controls, t, angle);
+        if (gate.type === 'CRX') return [this.single('H', t), ...this.mcRotation('RZ', controls, t, angle), this.single('H', t)];
+        return this.mcRotation(ControlledGateBase[gate.type], controls, t, angle);
+    }
+
+    single(type, qubit, angle = null) {
+        const params = {};
+        if (angle) {
+            params.angle = angle.angle;
+            if (angle.ref) params.paramRefs = { angle: { name: angle.ref.name, scale: angle.ref.scale } };
+        }
+        return { type, qubit, target: null, params, multiQubits: null };
+    }
+
+    cx(control, target) {
+        return { type: 'CX', qubit: target, target: null, params: {}, multiQubits: [control] };
+    }
+
+    scaleAngle(angle, factor) {
+        return {
+            angle: angle.angle * factor,
+            ref: angle.ref ? { name: angle.ref.name, scale: angle.ref.scale * factor } : null
+        };
+    }
+
+    mcx(controls, t) {
+        if (controls.length === 1) return [this.cx(controls[0], t)];
+        return [this.single('H', t), ...this.mcPhase(controls, t, { angle: Math.PI }), this.single('H', t)];
+    }
+
+    // C^n P(λ) by Barenco et al. Lemma 7.5 with V = P(λ/2); CP itself is P(λ/2) c · CX · P(-λ/2) t · CX · P(λ/2) t
+    mcPhase(controls, t, angle) {
+        const half = this.scaleAngle(angle, 0.5);
+        const minusHalf = this.scaleAngle(angle, -0.5);
+        if (controls.length === 1) {
+            const c = controls[0];
+            return [this.single('P', c, half), this.cx(c, t), this.single('P', t, minusHalf), this.cx(c, t), this.single('P', t, half)];
+        }
+        const last = controls[controls.length - 1];
+        const rest = controls.slice(0, -1);
+        return [
+            ...this.mcPhase([last], t, half),
+            ...this.mcx(rest, last),
+            ...this.mcPhase([last], t, minusHalf),
+            ...this.mcx(rest, last),
+            ...this.mcPhase(rest, t, half)
+        ];
+    }
+
+    // C^n R(θ) for R = RY or RZ: R(θ/2) · C^nX · R(-θ/2) · C^nX, since X R(a) X = R(-a)
+    mcRotation(type, controls, t, angle) {
+        return [
+            this.single(type, t, this.scaleAngle(angle, 0.5)),
+            ...this.mcx(controls, t),
+            this.single(type, t, this.scaleAngle(angle, -0.5)),
+            ...this.mcx(controls, t)
+        ];
+    }
+
+    // ---- routing ----
+
+    // Qubit i starts on device qubit i. Before a two-qubit gate on qubits that are not neighbours, SWAPs move
+    // the first one along a shortest path until it is next to the second. Gates on 3+ qubits are decomposed
+    // first. At the end every qubit is swapped back, so each block starts and ends with the qubits in place.
+    // Returns {gates, swaps} with swaps the number of SWAPs added.
+    route(gates, couplingMap) {
+        const placement = Array.from({ length: couplingMap.numQubits }, (_, q) => q); // circuit qubit -> device qubit
+        const holder = [...placement]; // device qubit -> circuit qubit
+        const routed = [];
+        let swaps = 0;
+        const swapAlong = (path) => {
+            for (let k = 0; k + 1 < path.length; k++) {
+                const [a, b] = [path[k], path[k + 1]];
+                routed.push({ type: 'SWAP', qubit: a, target: b, params: {}, multiQubits: null });
+                [holder[a], holder[b]] = [holder[b], holder[a]];
+                placement[holder[a]] = a;
+                placement[holder[b]] = b;
+                swaps++;
+            }
+        };
+
+        for (const original of gates) {
+            const expanded = this.qubits(original).length > 2 ? this.decompose(original) : [original];
+            for (const gate of expanded) {
+                const wires = this.qubits(gate);
+                if (wires.length > 2) {
+                    throw new Error(`${gate.type} on ${wires.length} qubits cannot be routed; only one- and two-qubit gates can`);
+                }
+                if (wires.length === 2) {
+                    const path = couplingMap.shortestPath(placement[wires[0]], placement[wires[1]]);
+                    if (!path) throw new Error(`q${wires[0]} and q${wires[1]} are not connected on this device`);
+                    swapAlong(path.slice(0, -1));
+                }
+                routed.push(this.placeGate(gate, placement));
+            }
+        }
+
+        // Settle device qubits leaves-first (reverse breadth-first order): the unsettled ones stay connected,
+        // so each qubit can travel home through them without disturbing the settled ones
+        const order = couplingMap.breadthFirstOrder();
+        const unsettled = new Set(order);
+        for (const home of order.reverse()) {
+            if (placement[home] !== home) swapAlong(couplingMap.shortestPath(placement[home], home, unsettled));
+            unsettled.delete(home);
+        }
+        return { gates: routed, swaps };
+    }
+
+    // Copy of a gate with every qubit moved to the device qubit that holds it
+    placeGate(gate, placement) {
+        const placed = this.copyGate(gate);
+        placed.qubit = placement[gate.qubit];
+        if (placed.target !== null) placed.target = placement[placed.target];
+        if (placed.multiQubits) placed.multiQubits = placed.multiQubits.map(q => placement[q]);
+        if (Array.isArray(placed.params.jointQubits)) placed.params.jointQubits = placed.params.jointQubits.map(q => placement[q]);
+        return placed;
+    }
+
+    // ---- native gate sets ----
+
+    // A #define named like a native gate would block its #gate block in the compiled code
+    checkTarget(target) {
+        const spec = CircuitTranspiler.TARGETS.find(t => t.id === target);
+        if (!spec) throw new Error(`Unknown target gate set "${target}"`);
+        const taken = spec.natives.find(name => GateMatrices[name]);
+        if (taken) throw new Error(`#define ${taken} clashes with the native ${taken} gate; rename it to compile for this target`);
+    }
+
+    // Rewrites gates into the target set. Runs of single-qubit gates fuse into one 2×2 that is re-synthesized
+    // from its Euler angles, two-qubit gates go through the KAK decomposition (at most three entangling gates)
+    // and PARAM-bound rotations stay symbolic, turned onto a native axis by constant gates around them.
+    nativize(gates, target) {
+        const out = [];
+        const pending = new Map(); // qubit -> product of the single-qubit pieces not yet emitted
+        const flush = (q) => {
+            if (!pending.has(q)) return;
+            out.push(...this.nativeSingle(pending.get(q), q, target));
+            pending.delete(q);
+        };
+        for (const piece of gates.flatMap(gate => this.lower(gate, target))) {
+            if (piece.matrix) {
+                pending.set(piece.qubit, GateSynthesis.multiply(piece.matrix, pending.get(piece.qubit) || GateMatrices['I']));
+                continue;
+            }
+            this.qubits(piece).forEach(flush);
+            out.push(piece);
+        }
+        [...pending.keys()].sort((a, b) => a - b).forEach(flush);
+        return out;
+    }
+
+    // A gate as native gates and {qubit, matrix} single-qubit pieces that are still to be fused
+    lower(gate, target) {
+        if (gate.type === 'MEASURE') return [gate];
+        const wires = this.qubits(gate);
+        const symbolic = Object.keys(gate.params.paramRefs || {}).length > 0;
+        if (wires.length === 1) return symbolic ? this.lowerRotation(gate, target) : [{ qubit: gate.qubit, matrix: this.singleMatrix(gate) }];
+        if (gate.params.jointQubits && wires.length > 2) {
+            throw new Error(`${gate.type} acts on ${wires.length} qubits; only one- and two-qubit #define gates can be compiled to native gates`);
+        }
+        if (wires.length > 2 || symbolic) return this.decompose(gate).flatMap(part => this.lower(part, target));
+
+        const controls = this.controls(gate);
+        if (gate.type === 'CX' && controls.length === 1) return this.nativeCX(controls[0], gate.qubit, target);
+        if (gate.type === 'CZ' && controls.length === 1) return this.nativeCZ(controls[0], gate.qubit, target);
+        if (gate.type === 'CY' && controls.length === 1) {
+            // S·X·S† = Y
+            return [{ qubit: gate.qubit, matrix: GateSynthesis.adjoint(GateMatrices['S']) }, ...this.nativeCX(controls[0], gate.qubit, target),
+                { qubit: gate.qubit, matrix: GateMatrices['S'] }];
+        }
+        if (gate.type === 'SWAP') {
+            const [a, b] = wires;
+            return [...this.nativeCX(a, b, target), ...this.nativeCX(b, a, target), ...this.nativeCX(a, b, target)];
+        }
+        const steps = GateSynthesis.twoQubitSequence(this.twoQubitMatrix(gate, wires), { interaction: target === 'nmr' ? 'zz' : 'cx' });
+        return steps.flatMap(step => {
+            if (step.matrix) return [{ qubit: wires[step.qubit], matrix: step.matrix }];
+            if (step.zz !== undefined) return [this.nativeGate('RZZ', wires, [{ angle: -2 * step.zz }])];
+            return this.nativeCX(wires[step.control], wires[step.target], target);
+        });
+    }
+
+    singleMatrix(gate) {
+        return GateAngleParams[gate.type] ? getParameterizedGateMatrix(gate.type, gate.params) : GateMatrices[gate.type];
+    }
+
+    // 4×4 of a two-qubit gate with wires[0] as the low bit
+    twoQubitMatrix(gate, wires) {
+        const circuit = new QuantumCircuit(2);
+        const local = this.placeGate(gate, { [wires[0]]: 0, [wires[1]]: 1 });
+        circuit.addGate(local.type, local.qubit, 0, local.target, local.params, local.multiQubits);
+        return circuit.computeUnitary().flat();
+    }
+
+    // PARAM-bound RX/RY/RZ/P/U3, with U3(θ, φ, λ) = RZ(φ)·RY(θ)·RZ(λ) and P = RZ up to phase
+    lowerRotation(gate, target) {
+        const refs = gate.params.paramRefs;
+        const angle = (key) => ({ angle: typeof gate.params[key] === 'number' ? gate.params[key] : Math.PI / 2, ref: refs[key] || null });
+        if (gate.type === 'U3') {
+            return [['Z', 'lambda'], ['Y', 'theta'], ['Z', 'phi']].flatMap(([axis, key]) => this.nativeRotation(axis, gate.qubit, angle(key), target));
+        }
+        return this.nativeRotation(gate.type === 'P' ? 'Z' : gate.type[1], gate.qubit, angle('angle'), target);
+    }
+
+    // A rotation kept as a gate when its angle is symbolic: native where the set has the axis, otherwise
+    // V·RZ·V† with V·Z·V† the axis (V = H for X, S·H for Y)
+    nativeRotation(axis, q, angle, target) {
+        if (!angle.ref) return [{ qubit: q, matrix: getRotationMatrixStatic(axis, angle.angle) }];
+        if (target === 'rotations' || target === 'nmr' || (target === 'ibm' && axis === 'Z')) return [this.single(`R${axis}`, q, angle)];
+        const v = axis === 'X' ? GateMatrices['H'] : axis === 'Y' ? GateSynthesis.multiply(GateMatrices['S'], GateMatrices['H']) : GateMatrices['I'];
+        // RZ(θ) = GPI(θ/2)·GPI(0) up to phase, and GPI(0) = X
+        const rz = target === 'ion'
+            ? [{ qubit: q, matrix: GateMatrices['X'] }, this.nativeGate('GPI', [q], [this.scaleAngle(angle, 0.5)])]
+            : [this.single('RZ', q, angle)];
+        return [{ qubit: q, matrix: GateSynthesis.adjoint(v) }, ...rz, { qubit: q, matrix: v }];
+    }
+
+    nativeCX(control, target, set) {
+        if (set === 'ibm') return [this.cx(control, target)];
+        const h = { qubit: target, matrix: GateMatrices['H'] };
+        return [h, ...this.nativeCZ(control, target, set), h];
+    }
+
+    nativeCZ(a, b, set) {
+        const h = GateMatrices['H'];
+        const rz = getRotationMatrixStatic('Z', Math.PI / 2);
+        const times = (...matrices) => GateSynthesis.chain(...matrices);
+        if (set === 'rotations') return [{ type: 'CZ', qubit: b, target: null, params: {}, multiQubits: [a] }];
+        // CZ = RZZ(-π/2)·(RZ(π/2) ⊗ RZ(π/2)) up to phase
+        if (set === 'nmr') return [this.nativeGate('RZZ', [a, b], [{ angle: -Math.PI / 2 }]), { qubit: a, matrix: rz }, { qubit: b, matrix: rz }];
+        // The same ZZ quarter turn from MS: exp(iπ/4·ZZ) = (H⊗H)·(Z⊗I)·MS·(Z⊗I)·(H⊗H)
+        if (set === 'ion') {
+            return [
+                { qubit: a, matrix: times(h, GateMatrices['Z']) }, { qubit: b, matrix: h },
+                this.nativeGate('MS', [a, b]),
+                { qubit: a, matrix: times(GateMatrices['Z'], h, rz) }, { qubit: b, matrix: times(h, rz) }
+            ];
+        }
+        return [{ qubit: b, matrix: h }, this.cx(a, b), { qubit: b, matrix: h }];
+    }
+
+    // One fused single-qubit unitary as native gates, from U = RZ(φ)·RY(θ)·RZ(λ); nothing for the identity
+    nativeSingle(m, q, target) {
+        const { theta, phi, lambda } = GateSynthesis.zyz(m);
+        const near = (a, b) => Math.abs(this.wrapAngle(a - b)) < 1e-9;
+        const rz = (a) => near(a, 0) ? [] : [this.single('RZ', q, { angle: this.wrapAngle(a) })];
+        const gpi = (name, a) => this.nativeGate(name, [q], [{ angle: this.wrapAngle(a) }]);
+        const flat = near(theta, 0);
+        if (flat && near(phi + lambda, 0)) return [];
+
+        if (target === 'ibm') {
+            if (flat) return rz(phi + lambda);
+            if (near(theta, Math.PI)) return [this.single('X', q), ...rz(phi - lambda - Math.PI)];
+            if (near(theta, Math.PI / 2)) return [...rz(lambda - Math.PI / 2), this.nativeGate('SX', [q]), ...rz(phi + Math.PI / 2)];
+            return [...rz(lambda), this.nativeGate('SX', [q]), ...rz(theta + Math.PI), this.nativeGate('SX', [q]), ...rz(phi + Math.PI)];
+        }
+        if (target === 'ion') {
+            // GPI(b)·GPI(c) = RZ(2(b - c)) and GPI(b) = RZ(2b)·X up to phase
+            if (flat) return [gpi('GPI', 0), gpi('GPI', (phi + lambda) / 2)];
+            if (near(theta, Math.PI)) return [gpi('GPI', (phi - lambda - Math.PI) / 2)];
+            if (near(theta, Math.PI / 2) && near(phi + lambda, 0)) return [gpi('GPI2', phi + Math.PI / 2)];
+            // GPI2(a)·GPI(b)·GPI2(c) = RZ(a)·SX·RZ(2b - a - c)·SX·RZ(c)·X, which matches the Euler angles of U·X
+            const euler = GateSynthesis.zyz(GateSynthesis.multiply(m, GateMatrices['X']));
+            const a = euler.phi + Math.PI, c = euler.lambda;
+            return [gpi('GPI2', c), gpi('GPI', (euler.theta + Math.PI + a + c) / 2), gpi('GPI2', a)];
+        }
+        if (flat) return rz(phi + lambda);
+        return [...rz(lambda), this.single('RY', q, { angle: this.wrapAngle(theta) }), ...rz(phi)];
+    }
+
+    // Angle in (-π, π]
+    wrapAngle(angle) {
+        const wrapped = angle - 2 * Math.PI * Math.round(angle / (2 * Math.PI));
+        return wrapped <= -Math.PI + 1e-12 ? wrapped + 2 * Math.PI : wrapped;
+    }
+
+    // Placeholder for a NATIVE_GATES gate; rebuild() lays out its body and records the call
+    nativeGate(name, qubits, angles = []) {
+        return {
+            type: name,
+            qubit: qubits[0],
+            target: null,
+            params: { jointQubits: [...qubits], native: angles.map(a => ({ angle: a.angle, ref: a.ref || null })) },
+            multiQubits: null
+        };
+    }
+
+    // Body of a native gate from `column` on, grouped as one #gate call; returns the next free column
+    expandNative(circuit, gate, column) {
+        const qubits = gate.params.jointQubits;
+        const angles = gate.params.native;
+        const start = column;
+        for (const layer of this.layout(NATIVE_GATES[gate.type].expand(this, qubits, angles), false)) {
+            layer.forEach(g => circuit.addGate(g.type, g.qubit, column, g.target, g.params, g.multiQubits));
+            column++;
+        }
+        const register = qubits.length === 1 ? String(qubits[0]) : `[${qubits.join(',')}]`;
+        const call = [gate.type, register, ...angles.map(a => formatQubiAngle(a.angle, a.ref))].join(' ');
+        circuit.addGateGroup(gate.type, call, qubits, start, column - 1);
+        return column;
+    }
+
+    // #gate blocks for the native gates a compiled circuit calls, in NATIVE_GATES order
+    nativeDefinitions(circuit) {
+        const used = new Set(circuit.gateGroups.map(group => group.name));
+        return Object.keys(NATIVE_GATES).filter(name => used.has(name)).flatMap(name => NATIVE_GATES[name].definition);
+    }
+
+    // ---- layout ----
+
+    // Gates sharing a column must print as one Qubi line: the same plain gate on several qubits, the same
+    // rotation angle on several qubits, or a bundle of single-control CX/CY/CZ
+    columnKey(gate) {
+        const params = gate.params || {};
+        if (gate.type === 'MEASURE' || gate.type === 'SWAP' || (params.jointQubits && params.jointQubits.length)) return null;
+        const controls = this.controls(gate);
+        if (['CX', 'CY', 'CZ'].includes(gate.type)) return controls.length === 1 ? gate.type : null;
+        if (controls.length > 0) return null;
+        if (GateAngleParams[gate.type]) {
+            return `${gate.type}:${JSON.stringify(GateAngleParams[gate.type].map(k => params[k]))}:${JSON.stringify(params.paramRefs || {})}`;
+        }
+        return Object.keys(params).length === 0 ? gate.type : null;
+    }
+
+    // Without commute a gate can only join the last column; with it, a gate slides left past every
+    // column it commutes with and lands in the earliest compatible one
+    layout(gates, commute) {
+        const layers = [];
+        for (const gate of gates) {
+            const key = this.columnKey(gate);
+            const wires = this.qubits(gate);
+            let landing = -1;
+            for (let k = layers.length - 1; k >= 0; k--) {
+                const layer = layers[k];
+                const disjoint = layer.every(other => this.qubits(other).every(q => !wires.includes(q)));
+                if (key !== null && disjoint && this.columnKey(layer[0]) === key) landing = k;
+                if (!commute || !layer.every(other => this.commutes(other, gate))) break;
+            }
+            if (landing >= 0) layers[landing].push(gate);
+            else layers.push([gate]);
+        }
+        return layers;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CircuitTranspiler };
+}
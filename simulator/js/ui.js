@@ -6,12 +6,53 @@ class CircuitUI {
         const settings = this.getSettings();
 
         this.circuit = new QuantumCircuit(2, settings.useOptimizedGates);
+        this.applySimulationSettings(settings);
 
         // Initialize visualizers only if containers exist
         const qubitVizContainer = document.getElementById('qubitVisualization');
         const graphContainer = document.getElementById('probabilityGraphs');
         this.visualizer = qubitVizContainer ? new QubitVisualizer('qubitVisualization') : null;
         this.graphVisualizer = graphContainer ? new ProbabilityGraphs('probabilityGraphs') : null;
+        this.optimizerPanel = document.getElementById('optimizerContainer') && typeof VariationalOptimizerUI !== 'undefined'
+            ? new VariationalOptimizerUI('optimizerContainer', { onLoadParameters: values => this.setParameterValues(values) })
+            : null;
+        this.entanglementPanel = document.getElementById('entanglementContainer') && typeof EntanglementUI !== 'undefined'
+            ? new EntanglementUI('entanglementContainer')
+            : null;
+        this.unitaryViewer = document.getElementById('unitaryContainer') && typeof UnitaryViewerUI !== 'undefined'
+            ? new UnitaryViewerUI('unitaryContainer', {
+                getCircuit: () => this.circuit,
+                getFiles: () => {
+                    if (typeof this._persistActiveQubiEditorToFile === 'function') this._persistActiveQubiEditorToFile();
+                    return this.qubiFiles;
+                },
+                buildCircuit: (code) => this.buildCircuitFromQubi(code)
+            })
+            : null;
+        this.transpilerPanel = document.getElementById('transpilerContainer') && typeof TranspilerUI !== 'undefined'
+            ? new TranspilerUI('transpilerContainer', {
+                getCircuit: () => this.circuit,
+                onApply: (optimized) => this.applyOptimizedCircuit(optimized),
+                onOpenCode: (code, target) => this.openCompiledCode(code, target)
+            })
+            : null;
+        this.debuggerPanel = document.getElementById('debuggerContainer') && typeof DebuggerUI !== 'undefined'
+            ? new DebuggerUI('debuggerContainer', {
+                onDebug: () => this.startDebugging(),
+                onStep: () => this.debugStep(),
+                onStepBack: () => this.debugStepBack(),
+                onTogglePlayback: () => this.togglePlayback(),
+                onStop: () => this.stopDebugging(),
+                onBreakpointChange: (line, changes) => this.updateBreakpoint(line, changes),
+                onRevealLine: (line) => this.syntaxHighlighter.revealLocation(line, 0, 0)
+            })
+            : null;
+        this.testRunnerPanel = document.getElementById('testsContainer') && typeof TestRunnerUI !== 'undefined'
+            ? new TestRunnerUI('testsContainer', {
+                onRunAll: () => this.runAllTests(),
+                onReveal: (fileName, line) => this.openQubiLocation(fileName, line, 0, 0)
+            })
+            : null;
 
         // Initialize NMR Simulator (will be created when tab is first opened)
         this.nmrSimulator = null;
@@ -23,6 +64,7 @@ class CircuitUI {
         this.selectedGate = null;
         this.draggedGate = null;
         this.customGateMeta = {}; // gateType -> { label, colorBg, colorGlow, displayName }
+        this.collapsedGateGroups = new Set(); // 'NAME@column' of #gate calls drawn as a single box
         this.defineColorMap = {
             purple:  { bg: 'linear-gradient(135deg, #a855f7, #9333ea)', glow: 'rgba(168, 85, 247, 0.45)' },
             red:     { bg: 'linear-gradient(135deg, #ef4444, #dc2626)', glow: 'rgba(239, 68, 68, 0.45)' },
@@ -46,12 +88,46 @@ class CircuitUI {
         this.executionHistory = []; // For step back
         this.historyIndex = -1;
         this.stepStates = []; // Store state at each step for timeline
+        this.debugSession = null; // {next, hit} while debugging: paused before stepStates[next] runs
+        this.shotResult = null; // Sampled counts from the last shots-mode run
+        // Large circuits run in a Web Worker (null when workers are unavailable or failed to start)
+        this.simulationRunner = typeof SimulationRunner !== 'undefined' && SimulationRunner.isSupported()
+            ? new SimulationRunner() : null;
         this.zoomLevel = 1; // Zoom level for circuit view
 
         // Initialize syntax highlighter for Qubi editor
         this.syntaxHighlighter = new QubiSyntaxHighlighter('qubiCode', 'codeHighlight', 'lineNumbers');
+        this.syntaxHighlighter.resolveImport = (filename) => this.resolveQubiImport(filename);
         this.qubiFiles = []; // [{ id, name, code }]
         this.activeQubiFileId = null;
+        this.outlinePanel = document.getElementById('qubiOutlinePanel') && typeof QubiOutlineUI !== 'undefined'
+            ? new QubiOutlineUI('qubiOutlinePanel', {
+                getWorkspace: () => this.getQubiWorkspace(),
+                getActiveFileName: () => this.getActiveQubiFileName(),
+                openLocation: (fileName, line, start, end) => this.openQubiLocation(fileName, line, start, end),
+                applyEdits: (edits) => this.applyQubiWorkspaceEdits(edits)
+            })
+            : null;
+        if (typeof QubiWorkspace !== 'undefined') {
+            this.syntaxHighlighter.onGoToDefinition = (symbol) => {
+                const definition = this.getQubiWorkspace().findDefinition(this.getActiveQubiFileName(), symbol.name);
+                if (definition) this.openQubiLocation(definition.file, definition.line, definition.start, definition.end);
+            };
+            this.syntaxHighlighter.onFindReferences = (symbol) => {
+                this.syntaxHighlighter.setSymbolHighlight(symbol.name);
+                if (this.outlinePanel) this.outlinePanel.showReferences(this.getActiveQubiFileName(), symbol.name);
+            };
+            this.syntaxHighlighter.onRenameSymbol = (symbol) => {
+                if (this.outlinePanel) this.outlinePanel.startRename(this.getActiveQubiFileName(), symbol.name);
+            };
+        }
+        this.syntaxHighlighter.onBreakpointsChanged = (line, { editCondition }) => {
+            this.refreshDebugger();
+            if (editCondition && this.debuggerPanel) {
+                this.switchVizTab('debugger');
+                this.debuggerPanel.editCondition(line);
+            }
+        };
 
         // Bidirectional sync state
         this.isUpdatingFromCircuit = false;
@@ -71,6 +147,7 @@ class CircuitUI {
         this.applyPendingSessionQubiLoad();
 
         this.initializeQubiTabs();
+        if (this.outlinePanel) this.outlinePanel.refresh();
     }
 
     initializeQubiTabs() {
@@ -266,12 +343,22 @@ class CircuitUI {
             const active = this.qubiFiles.find(f => f.id === this.activeQubiFileId);
             const editor = document.getElementById('qubiCode');
             if (active && editor) active.code = String(editor.value || '');
+            if (active && this.syntaxHighlighter && !active.breakpoints) active.breakpoints = this.syntaxHighlighter.breakpoints;
+            if (active && this.syntaxHighlighter && !active.assertionResults) active.assertionResults = this.syntaxHighlighter.assertionResults;
         };
 
         this._loadActiveQubiFileIntoEditor = ({ preserveUndo = false } = {}) => {
             const active = this.qubiFiles.find(f => f.id === this.activeQubiFileId) || this.qubiFiles[0];
             if (!active) return;
             this.setEditorCode(active.code, { preserveUndo, adjustQubits: true });
+            // Breakpoints and test results belong to their tab; the editor edits the same Maps
+            if (!active.breakpoints) active.breakpoints = new Map();
+            if (!active.assertionResults) active.assertionResults = new Map();
+            if (this.syntaxHighlighter) {
+                this.syntaxHighlighter.breakpoints = active.breakpoints;
+                this.syntaxHighlighter.setAssertionResults(active.assertionResults);
+            }
+            this.refreshDebugger();
         };
 
         render();
@@ -281,6 +368,13 @@ class CircuitUI {
         const raw = code == null ? '' : String(code);
         const lines = raw.split(/\r?\n/);
         let maxQ = -1;
+        // QREG registers fix the wire count even before any gate touches them
+        const qubitNames = typeof globalThis.QubiParser !== 'undefined'
+            ? globalThis.QubiParser.collectQubitNames(lines).names
+            : new Map();
+        for (const qubits of qubitNames.values()) {
+            maxQ = Math.max(maxQ, ...qubits);
+        }
 
         for (let i = 0; i < lines.length; i++) {
             let line = lines[i];
@@ -294,10 +388,17 @@ class CircuitUI {
             if (cidx >= 0) line = line.slice(0, cidx).trim();
             if (!line) continue;
 
-            // Control flow: ignore REPEAT count.
-            if (/^REPEAT\b/i.test(line) || /^END\b/i.test(line)) continue;
+            // Control flow, classical registers and parameters: ignore REPEAT count, IF value, CREG size and PARAM value.
+            if (/^(REPEAT|END|IF|CREG|PARAM|QREG|ALIAS)\b/i.test(line)) continue;
+            try {
+                line = qubiResolveQubitNames(line, qubitNames);
+            } catch {
+                continue;
+            }
+            // MEASURE q -> c[i]: only the qubit matters
+            line = line.replace(/\s*->.*$/, '');
 
-            const rotBracket = line.match(/^(RX|RY|RZ)\s*\[\s*([^\]]+)\]/i);
+            const rotBracket = line.match(/^(RX|RY|RZ|P|U3|CP|CRX|CRY|CRZ)\s*\[\s*([^\]]+)\]/i);
             if (rotBracket) {
                 const qs = rotBracket[2].split(',').map((x) => x.trim()).filter(Boolean);
                 for (const p of qs) {
@@ -306,7 +407,7 @@ class CircuitUI {
                 }
                 continue;
             }
-            const rotParen = line.match(/^(RX|RY|RZ)\s*\(\s*([^)]+)\)/i);
+            const rotParen = line.match(/^(RX|RY|RZ|P|U3)\s*\(\s*([^)]+)\)/i);
             if (rotParen) {
                 const qs = rotParen[2].split(',').map((x) => x.trim()).filter(Boolean);
                 for (const p of qs) {
@@ -348,7 +449,7 @@ class CircuitUI {
             }
 
             // Shorthand gate form: GATE q (angles may follow; we only want the qubit index).
-            const singleMatch = line.match(/^[A-Z]+\s+(\d+)\b/i);
+            const singleMatch = line.match(/^[A-Z][A-Z0-9]*\s+(\d+)\b/i);
             if (singleMatch) {
                 const n = parseInt(singleMatch[1], 10);
                 if (Number.isInteger(n)) maxQ = Math.max(maxQ, n);
@@ -362,20 +463,24 @@ class CircuitUI {
         const needed = this.inferRequiredQubitsFromCode(code);
         if (!needed) return;
         const settings = this.getSettings();
-        const maxQubits = settings.maxQubits || 12;
+        // Clifford-only programs run on the stabilizer tableau, far past the state-vector limit
+        const clifford = needed > (settings.maxQubits || 12) && this.isCliffordCode(code);
+        const maxQubits = clifford ? StabilizerState.MAX_QUBITS : settings.maxQubits || 12;
         const desired = Math.max(1, Math.min(needed, maxQubits));
         if (desired !== this.circuit.numQubits) {
             // Prevent setQubitCount() from overwriting the code editor via syncCircuitToCode().
             const prev = this.isUpdatingFromCode;
             this.isUpdatingFromCode = true;
             try {
-                this.setQubitCount(desired);
+                this.setQubitCount(desired, maxQubits);
             } finally {
                 this.isUpdatingFromCode = prev;
             }
         }
         if (needed > maxQubits && this.syntaxHighlighter) {
-            const msg = `References qubit ${needed - 1}, but max qubit limit is ${maxQubits}. Increase in Settings.`;
+            const msg = clifford
+                ? `References qubit ${needed - 1}, but Clifford circuits are limited to ${maxQubits} qubits.`
+                : `References qubit ${needed - 1}, but max qubit limit is ${maxQubits}. Increase in Settings.`;
             const codeLines = (document.getElementById('qubiCode')?.value || '').split('\n');
             let tagged = false;
             for (let i = 0; i < codeLines.length; i++) {
@@ -393,6 +498,16 @@ class CircuitUI {
         }
     }
 
+    // Whether a Qubi program uses only Clifford gates (false if it does not parse)
+    isCliffordCode(code) {
+        if (typeof StabilizerState === 'undefined') return false;
+        try {
+            return this.buildCircuitFromQubi(code).isClifford();
+        } catch {
+            return false;
+        }
+    }
+
     setEditorCode(code, { preserveUndo = false, adjustQubits = false } = {}) {
         const text = code == null ? '' : String(code);
         this.isUpdatingFromCircuit = true;
@@ -626,7 +741,8 @@ class CircuitUI {
             if (numMatch) {
                 const num = parseInt(numMatch[1]);
                 const settings = this.getSettings();
-                const maxQubits = settings.maxQubits || 12;
+                // A Clifford circuit loaded past the limit keeps its width
+                const maxQubits = Math.max(settings.maxQubits || 12, this.circuit.isClifford() ? this.circuit.numQubits : 0);
                 const validNum = Math.max(1, Math.min(num, maxQubits));
                 e.target.value = `${validNum} Qubits`;
                 if (validNum !== num) {
@@ -671,6 +787,21 @@ class CircuitUI {
             });
         }
 
+        // Observables tab: Pauli strings persist across reloads and re-evaluate as they are typed
+        const observablesInput = document.getElementById('observablesInput');
+        if (observablesInput) {
+            const savedObservables = localStorage.getItem('observables');
+            if (savedObservables !== null) observablesInput.value = savedObservables;
+            observablesInput.addEventListener('input', () => {
+                localStorage.setItem('observables', observablesInput.value);
+                if (this.visualizer) this.visualizer.updateObservables(this.circuit.state);
+            });
+        }
+        const exportResultsBtn = document.getElementById('exportResultsCsvBtn');
+        if (exportResultsBtn) {
+            exportResultsBtn.addEventListener('click', () => this.exportResultsCsv());
+        }
+
         // Toggle visualization section collapse/expand
         const toggleVizBtn = document.getElementById('toggleVizSectionBtn');
         if (toggleVizBtn) {
@@ -693,9 +824,10 @@ class CircuitUI {
                 this.handleCodeChange();
             });
 
-            // Listen for error state changes from syntax highlighter
+            // Listen for error state changes from syntax highlighter (fired after each full validation)
             qubiCodeTextarea.addEventListener('qubiErrorStateChanged', () => {
                 this.updateErrorState();
+                if (this.outlinePanel && this.qubiFiles.length > 0) this.outlinePanel.refresh();
             });
         }
 
@@ -722,6 +854,9 @@ class CircuitUI {
         const qubiZipInput = document.getElementById('qubiZipInput');
         if (qubiZipInput) qubiZipInput.addEventListener('change', (e) => this.loadQubiZipFromInput(e));
 
+        const qasmFileInput = document.getElementById('qasmFileInput');
+        if (qasmFileInput) qasmFileInput.addEventListener('change', (e) => this.loadQasmFile(e));
+
         const saveMainBtn = document.getElementById('saveQubiFileBtn');
         const saveCaretBtn = document.getElementById('qubiSaveMenuBtn');
         const saveMenu = document.getElementById('qubiSaveMenu');
@@ -735,6 +870,7 @@ class CircuitUI {
         const loadFromFileItem = document.getElementById('loadQubiFromFileItem');
         const loadFromFolderItem = document.getElementById('loadQubiFromFolderItem');
         const loadFromZipItem = document.getElementById('loadQubiFromZipItem');
+        const loadFromQasmItem = document.getElementById('loadQasmFromFileItem');
 
         const closeMenus = () => {
             if (saveMenu) saveMenu.style.display = 'none';
@@ -781,6 +917,11 @@ class CircuitUI {
             const input = document.getElementById('qubiZipInput');
             if (input) input.click();
         });
+        if (loadFromQasmItem) loadFromQasmItem.addEventListener('click', () => {
+            closeMenus();
+            const input = document.getElementById('qasmFileInput');
+            if (input) input.click();
+        });
 
         if (!document._qubiSplitMenusBound) {
             document._qubiSplitMenusBound = true;
@@ -822,6 +963,7 @@ class CircuitUI {
         document.getElementById('exportPngBtn').addEventListener('click', () => this.showExportPreview('png'));
         document.getElementById('exportSvgBtn').addEventListener('click', () => this.showExportPreview('svg'));
         document.getElementById('exportPdfBtn').addEventListener('click', () => this.showExportPreview('pdf'));
+        document.getElementById('exportQasmBtn').addEventListener('click', () => this.showExportPreview('qasm'));
         document.getElementById('exportBackBtn').addEventListener('click', () => this.showFormatSelection());
         document.getElementById('cancelExportBtn').addEventListener('click', () => this.closeExportModal());
         document.getElementById('confirmExportBtn').addEventListener('click', () => this.confirmExport());
@@ -829,6 +971,19 @@ class CircuitUI {
         // Update preview when settings change
         document.getElementById('exportIncludeBackground').addEventListener('change', () => this.updateExportPreview());
         document.getElementById('exportHighRes').addEventListener('change', () => this.updateExportPreview());
+        document.getElementById('exportQasmVersion').addEventListener('change', () => this.updateExportPreview());
+
+        // Optimization passes
+        document.getElementById('optimizeCircuitBtn')?.addEventListener('click', () => this.showOptimizeModal());
+        document.getElementById('closeOptimizeBtn')?.addEventListener('click', () => {
+            document.getElementById('optimizeModal').classList.remove('active');
+        });
+
+        // Unitary viewer
+        document.getElementById('unitaryBtn')?.addEventListener('click', () => this.showUnitaryModal());
+        document.getElementById('closeUnitaryBtn')?.addEventListener('click', () => {
+            document.getElementById('unitaryModal').classList.remove('active');
+        });
 
         // Gate info from palette
         document.querySelectorAll('.gate-info-icon').forEach(btn => {
@@ -944,7 +1099,13 @@ class CircuitUI {
 
             const label = document.createElement('div');
             label.className = 'qubit-label';
-            label.textContent = `q[${i}]`;
+            label.textContent = this.circuit.getQubitLabel(i);
+            if (label.textContent !== `q[${i}]`) {
+                // QREG name on the wire; the tooltip keeps the index and lists any ALIAS names
+                const aliases = this.circuit.qubitAliases.filter(alias => alias.qubits.includes(i)).map(alias => alias.name);
+                label.classList.add('named');
+                label.title = [`q[${i}]`, ...aliases].join(' · ');
+            }
 
             const wire = document.createElement('div');
             wire.className = 'qubit-wire';
@@ -976,13 +1137,109 @@ class CircuitUI {
             this.renderGate(gate);
         });
 
-        // Place control flow blocks (REPEAT/END)
+        // Place control flow blocks (REPEAT/IF/END)
         this.circuit.controlFlow.forEach(cf => {
             this.renderControlFlow(cf);
         });
 
+        this.renderGateGroups();
+        if (this.debugSession) this.markDebugStep(this.stepStates[this.debugSession.next]);
+
         this.updateCircuitInfo();
         this._updateSlotReadyState();
+        this.renderParameterPanel();
+    }
+
+    // One slider per PARAM declaration (in units of π); dragging re-binds the gates and re-runs live
+    renderParameterPanel() {
+        const panel = document.getElementById('qubiParamsPanel');
+        if (!panel) return;
+        const params = this.circuit.parameters || [];
+        const signature = params.map(p => p.name).join(',');
+
+        // Same declarations: refresh values in place so a slider being dragged keeps its pointer
+        if (panel.dataset.signature === signature) {
+            for (const param of params) {
+                const row = panel.querySelector(`.qubi-param-row[data-param="${param.name}"]`);
+                if (!row) continue;
+                const slider = row.querySelector('input[type="range"]');
+                if (slider && document.activeElement !== slider) {
+                    slider.min = Math.min(-2, Math.floor(param.value / Math.PI));
+                    slider.max = Math.max(2, Math.ceil(param.value / Math.PI));
+                    slider.value = param.value / Math.PI;
+                }
+                row.querySelector('.qubi-param-value').textContent = `${formatQubiAngle(param.value)}π`;
+            }
+            return;
+        }
+
+        panel.dataset.signature = signature;
+        panel.innerHTML = '';
+        panel.classList.toggle('has-params', params.length > 0);
+        if (params.length === 0) return;
+
+        const title = document.createElement('div');
+        title.className = 'qubi-params-title';
+        title.textContent = 'Parameters';
+        panel.appendChild(title);
+
+        for (const param of params) {
+            const row = document.createElement('div');
+            row.className = 'qubi-param-row';
+            row.dataset.param = param.name;
+
+            const label = document.createElement('label');
+            label.textContent = param.name;
+            label.htmlFor = `qubiParam-${param.name}`;
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.id = `qubiParam-${param.name}`;
+            slider.min = Math.min(-2, Math.floor(param.value / Math.PI));
+            slider.max = Math.max(2, Math.ceil(param.value / Math.PI));
+            slider.step = 0.01;
+            slider.value = param.value / Math.PI;
+            slider.title = `PARAM ${param.name} (multiples of π)`;
+            slider.addEventListener('input', () => {
+                this.setParameterFromSlider(param.name, parseFloat(slider.value) * Math.PI);
+            });
+
+            const value = document.createElement('span');
+            value.className = 'qubi-param-value';
+            value.textContent = `${formatQubiAngle(param.value)}π`;
+
+            row.appendChild(label);
+            row.appendChild(slider);
+            row.appendChild(value);
+            panel.appendChild(row);
+        }
+    }
+
+    setParameterFromSlider(name, value) {
+        this.setParameterValues({ [name]: value });
+    }
+
+    // values: {name: radians}. Updates the circuit, then rewrites only the PARAM lines so the rest of
+    // the code (comments, layout) is untouched, and re-runs once.
+    setParameterValues(values) {
+        const editor = document.getElementById('qubiCode');
+        let code = editor.value;
+        for (const [name, value] of Object.entries(values)) {
+            if (!this.circuit.setParameter(name, value)) continue;
+            const pattern = new RegExp(`^(\\s*PARAM\\s+${name}\\s*=\\s*)(.*?)(\\s*\\/\\/.*)?$`, 'm');
+            code = code.replace(pattern, (_, head, __, tail) => `${head}${formatQubiAngle(value)}${tail || ''}`);
+        }
+        if (code !== editor.value) {
+            clearTimeout(this.codeChangeDebounceTimer);
+            this.setEditorCode(code);
+            if (typeof this._persistActiveQubiEditorToFile === 'function') {
+                this._persistActiveQubiEditorToFile();
+            }
+        }
+
+        this.circuit.state = null;
+        this.renderCircuit();
+        this.runCircuit();
     }
 
     renderControlFlow(cf) {
@@ -1022,6 +1279,16 @@ class CircuitUI {
             label.textContent = `×${params.count}`;
             block.appendChild(symbol);
             block.appendChild(label);
+        } else if (type === 'IF') {
+            const condition = formatQubiCondition(params);
+            symbol.textContent = '⎇';
+            block.title = `IF ${condition} - Runs the block only when the classical condition holds. Right-click to delete`;
+
+            const label = document.createElement('div');
+            label.className = 'control-flow-label';
+            label.textContent = condition.replace(/\s+/g, '');
+            block.appendChild(symbol);
+            block.appendChild(label);
         } else if (type === 'END') {
             symbol.textContent = '⊣';
             block.title = params.endingLabel ? `END ${params.endingLabel}` : 'END - Right-click to delete';
@@ -1071,6 +1338,62 @@ class CircuitUI {
         canvas.appendChild(block);
     }
 
+    // Boxes around #gate calls; a collapsed box covers its gates with the call line
+    renderGateGroups() {
+        const canvas = document.getElementById('circuitCanvas');
+        const groups = this.circuit.getIntactGateGroups();
+        const canvasPadding = 32; // same offsets as renderControlFlow
+        const labelWidth = 60;
+        const rowHeight = 68;
+        // An identical range means the later group is the caller (nested calls are recorded first)
+        const encloses = (outer, inner) => outer !== inner &&
+            outer.startColumn <= inner.startColumn && outer.endColumn >= inner.endColumn &&
+            (outer.endColumn - outer.startColumn > inner.endColumn - inner.startColumn || groups.indexOf(outer) > groups.indexOf(inner));
+
+        for (const group of groups) {
+            const callers = groups.filter(g => encloses(g, group));
+            if (callers.some(g => this.collapsedGateGroups.has(`${g.name}@${g.startColumn}`))) continue;
+
+            const key = `${group.name}@${group.startColumn}`;
+            const collapsed = this.collapsedGateGroups.has(key);
+            const qubits = [...group.qubits];
+            this.circuit.gates
+                .filter(g => g.column >= group.startColumn && g.column <= group.endColumn)
+                .forEach(g => qubits.push(...this.circuit.getGateQubits(g)));
+            const minQubit = Math.min(...qubits);
+            const maxQubit = Math.max(...qubits);
+            const inset = 4 * callers.length;
+
+            const box = document.createElement('div');
+            box.className = `gate-group-box${collapsed ? ' collapsed' : ''}`;
+            box.style.left = `${canvasPadding + labelWidth + group.startColumn * this.columnSpacing - 6 + inset}px`;
+            box.style.width = `${(group.endColumn - group.startColumn) * this.columnSpacing + this.gateWidth + 12 - 2 * inset}px`;
+            box.style.top = `${canvasPadding + minQubit * rowHeight + 2 + inset}px`;
+            box.style.height = `${(maxQubit - minQubit + 1) * rowHeight - 12 - 2 * inset}px`;
+
+            const toggle = document.createElement('button');
+            toggle.className = 'gate-group-toggle';
+            toggle.textContent = `${collapsed ? '▸' : '▾'} ${group.name}`;
+            toggle.title = `${group.call} - Click to ${collapsed ? 'expand' : 'collapse'}`;
+            toggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (collapsed) this.collapsedGateGroups.delete(key);
+                else this.collapsedGateGroups.add(key);
+                this.renderCircuit();
+            });
+            box.appendChild(toggle);
+
+            if (collapsed) {
+                const label = document.createElement('div');
+                label.className = 'gate-group-call';
+                label.textContent = group.call;
+                box.appendChild(label);
+            }
+
+            canvas.appendChild(box);
+        }
+    }
+
     renderGate(gate) {
         const { type, qubit, column, target, params, multiQubits } = gate;
         const slot = document.querySelector(`.gate-slot[data-qubit="${qubit}"][data-column="${column}"]`);
@@ -1088,18 +1411,19 @@ class CircuitUI {
         const symbols = {
             'H': 'H', 'X': 'X', 'Y': 'Y', 'Z': 'Z',
             'S': 'S', 'T': 'T',
-            'RX': 'RX', 'RY': 'RY', 'RZ': 'RZ',
+            'RX': 'RX', 'RY': 'RY', 'RZ': 'RZ', 'P': 'P', 'U3': 'U3',
             'CX': 'X', 'CY': 'Y', 'CZ': 'Z', 'SWAP': '⇄',
+            'CP': 'P', 'CRX': 'RX', 'CRY': 'RY', 'CRZ': 'RZ',
             'MEASURE': 'M'
         };
 
         // Gate color families
         const gateFamily = {
-            'X': 'gate-x-family', 'CX': 'gate-x-family', 'RX': 'gate-x-family',
-            'Y': 'gate-y-family', 'CY': 'gate-y-family', 'RY': 'gate-y-family',
-            'Z': 'gate-z-family', 'CZ': 'gate-z-family', 'RZ': 'gate-z-family',
+            'X': 'gate-x-family', 'CX': 'gate-x-family', 'RX': 'gate-x-family', 'CRX': 'gate-x-family',
+            'Y': 'gate-y-family', 'CY': 'gate-y-family', 'RY': 'gate-y-family', 'CRY': 'gate-y-family',
+            'Z': 'gate-z-family', 'CZ': 'gate-z-family', 'RZ': 'gate-z-family', 'CRZ': 'gate-z-family',
             'H': 'gate-h-family',
-            'S': 'gate-phase-family', 'T': 'gate-phase-family',
+            'S': 'gate-phase-family', 'T': 'gate-phase-family', 'P': 'gate-phase-family', 'CP': 'gate-phase-family',
             'SWAP': 'gate-swap-family',
             'MEASURE': 'gate-measure-family'
         };
@@ -1136,10 +1460,17 @@ class CircuitUI {
         gateEl.appendChild(textSpan);
         gateEl.appendChild(deleteBtn);
 
-        // Show parameters if present (rotation angle)
-        if (params && params.angle !== undefined) {
+        // Show parameters if present (gate angles, classical bit of MEASURE q -> c)
+        if (params && GateAngleParams[type]) {
+            gateEl.classList.add('has-params');
+            gateEl.dataset.params = this.formatGateAngles(type, params);
+        } else if (params && params.angle !== undefined) {
             gateEl.classList.add('has-params');
             gateEl.dataset.params = `θ=${(params.angle * 180 / Math.PI).toFixed(1)}°`;
+        } else if (type === 'MEASURE' && params && params.cbit) {
+            gateEl.classList.add('has-params');
+            gateEl.dataset.params = `→${params.cbit.register}[${params.cbit.bit}]`;
+            gateEl.title = `Measure into ${params.cbit.register}[${params.cbit.bit}]. Click to edit, right-click to delete`;
         }
 
         // Add gate to slot first
@@ -1147,10 +1478,11 @@ class CircuitUI {
 
         // Handle controlled gates - render control blocks AFTER placing target gate
         let controlQubits = [];
-        if (['CX', 'CY', 'CZ'].includes(type) && multiQubits && multiQubits.length > 0) {
+        const isControlled = ['CX', 'CY', 'CZ'].includes(type) || !!ControlledGateBase[type];
+        if (isControlled && multiQubits && multiQubits.length > 0) {
             // Multi-controlled gate: multiQubits are controls, qubit is target
             controlQubits = multiQubits;
-        } else if (['CX', 'CY', 'CZ'].includes(type) && target !== null && target !== undefined) {
+        } else if (isControlled && target !== null && target !== undefined) {
             // Single control: target property is the control, qubit is the target
             controlQubits = [target];
         }
@@ -1173,6 +1505,20 @@ class CircuitUI {
         }
     }
 
+    // Angle badge of a parameterized gate: degrees, or the PARAM expression when bound
+    formatGateAngles(type, params) {
+        const refs = params.paramRefs || {};
+        const names = { angle: 'θ', theta: 'θ', phi: 'φ', lambda: 'λ' };
+        const keys = GateAngleParams[type];
+        const text = keys.map(key => {
+            if (refs[key]) return formatQubiAngle(params[key], refs[key]);
+            const value = typeof params[key] === 'number' ? params[key] : Math.PI / 2;
+            return `${(value * 180 / Math.PI).toFixed(1)}°`;
+        });
+        if (keys.length === 1) return `${names[keys[0]]}=${text[0]}`;
+        return text.join(',');
+    }
+
     renderJointPartner(partnerQubit, anchorQubit, column, gateType) {
         const partnerSlot = document.querySelector(`.gate-slot[data-qubit="${partnerQubit}"][data-column="${column}"]`);
         if (!partnerSlot) return;
@@ -1234,9 +1580,10 @@ class CircuitUI {
     renderControlBlocks(controlQubits, targetQubit, column, gateType = 'CX') {
         // Gate family mapping for control blocks
         const gateFamily = {
-            'CX': 'gate-x-family',
-            'CY': 'gate-y-family',
-            'CZ': 'gate-z-family'
+            'CX': 'gate-x-family', 'CRX': 'gate-x-family',
+            'CY': 'gate-y-family', 'CRY': 'gate-y-family',
+            'CZ': 'gate-z-family', 'CRZ': 'gate-z-family',
+            'CP': 'gate-phase-family'
         };
         const familyClass = gateFamily[gateType] || '';
 
@@ -1320,8 +1667,8 @@ class CircuitUI {
             return; // Silently fail - column has control flow
         }
 
-        // Check if gate requires parameters
-        if (['RX', 'RY', 'RZ'].includes(type)) {
+        // Check if gate requires parameters (controlled ones pick their controls first)
+        if (GateAngleParams[type] && !ControlledGateBase[type]) {
             this.showParameterModal(type, qubit, column);
             return;
         }
@@ -1329,7 +1676,7 @@ class CircuitUI {
         // Check if multi-qubit gate
         // When dragging onto a qubit, that qubit is the TARGET
         // We need to select the CONTROL qubit
-        if (['CX', 'CY', 'CZ', 'SWAP'].includes(type)) {
+        if (['CX', 'CY', 'CZ', 'SWAP'].includes(type) || ControlledGateBase[type]) {
             this.showTargetSelectionModal(type, qubit, column);
             return;
         }
@@ -1430,35 +1777,27 @@ class CircuitUI {
     }
 
     placeEndBlock(column) {
-        // Find the most recent unmatched REPEAT before this column
-        const repeats = this.circuit.controlFlow
-            .filter(cf => cf.type === 'REPEAT' && cf.column < column)
-            .sort((a, b) => b.column - a.column); // Most recent first
-
-        const ends = this.circuit.controlFlow
-            .filter(cf => cf.type === 'END' && cf.column < column);
-
-        // Find unmatched repeat
-        let unmatchedRepeat = null;
-        for (const repeat of repeats) {
-            const matchingEnd = ends.find(e =>
-                e.column > repeat.column &&
-                e.params.matchedRepeatColumn === repeat.column
-            );
-            if (!matchingEnd) {
-                unmatchedRepeat = repeat;
-                break;
-            }
+        // Close the innermost still-open REPEAT or IF before this column
+        const open = this.circuit.getBlockPairs()
+            .filter(pair => pair.endColumn === Infinity && pair.startColumn < column)
+            .sort((a, b) => b.startColumn - a.startColumn)[0];
+
+        let params = { endingType: null, endingLabel: '', matchedRepeatColumn: null };
+        if (open && open.type === 'REPEAT') {
+            params = {
+                endingType: 'REPEAT',
+                endingLabel: `REPEAT ${open.params.count}`,
+                matchedRepeatColumn: open.startColumn
+            };
+        } else if (open && open.type === 'IF') {
+            params = {
+                endingType: 'IF',
+                endingLabel: `IF ${formatQubiCondition(open.params)}`,
+                matchedIfColumn: open.startColumn
+            };
         }
 
-        const endingType = unmatchedRepeat ? 'REPEAT' : null;
-        const endingLabel = unmatchedRepeat ? `REPEAT ${unmatchedRepeat.params.count}` : '';
-
-        this.circuit.addControlFlow('END', column, {
-            endingType,
-            endingLabel,
-            matchedRepeatColumn: unmatchedRepeat ? unmatchedRepeat.column : null
-        });
+        this.circuit.addControlFlow('END', column, params);
 
         this.renderCircuit();
         this.updateVisualization();
@@ -1558,13 +1897,14 @@ class CircuitUI {
                     }
                 }
             } else {
-                // Add new gate
+                // Add new gate (controlled rotations start at π/2 until the angle is set below)
+                const params = ControlledGateBase[gateType] ? { angle: Math.PI / 2 } : {};
                 if (allowMultiple && controlQubits.length > 1) {
                     // Multiple controls - store in multiQubits
-                    this.circuit.addGate(gateType, targetQubit, column, null, {}, controlQubits);
+                    this.circuit.addGate(gateType, targetQubit, column, null, params, controlQubits);
                 } else {
                     // Single control
-                    this.circuit.addGate(gateType, targetQubit, column, controlQubits[0]);
+                    this.circuit.addGate(gateType, targetQubit, column, controlQubits[0], params);
                 }
             }
 
@@ -1573,6 +1913,12 @@ class CircuitUI {
             this.renderCircuit();
             this.updateVisualization();
             this.syncCircuitToCode();
+
+            if (!isEdit && ControlledGateBase[gateType]) {
+                modal.classList.remove('active');
+                this.showParameterModal(gateType, targetQubit, column, { angle: Math.PI / 2 }, true);
+                return;
+            }
         }
 
         modal.classList.remove('active');
@@ -1593,7 +1939,7 @@ class CircuitUI {
             const gate = this.circuit.gates.find(g =>
                 g.qubit === targetQubit && g.column === column
             );
-            if (gate && ['CX', 'CY', 'CZ'].includes(gate.type)) {
+            if (gate && (['CX', 'CY', 'CZ'].includes(gate.type) || ControlledGateBase[gate.type])) {
                 const controls = gate.multiQubits && gate.multiQubits.length > 0
                     ? gate.multiQubits
                     : (gate.target !== null ? [gate.target] : []);
@@ -1632,9 +1978,9 @@ class CircuitUI {
         if (!gate) return;
 
         // If it's a parameterized gate or multi-qubit gate, show edit modal
-        if (['RX', 'RY', 'RZ'].includes(type)) {
-            const currentAngle = gate.params && gate.params.angle ? gate.params.angle : Math.PI / 2;
-            this.showParameterModal(type, qubit, column, currentAngle, true);
+        // (controls of CP/CRX/CRY/CRZ are edited from their control blocks)
+        if (GateAngleParams[type]) {
+            this.showParameterModal(type, qubit, column, gate.params || {}, true);
         } else if (['CX', 'CY', 'CZ'].includes(type)) {
             // Get current controls - could be single or multiple
             const controls = gate.multiQubits && gate.multiQubits.length > 0
@@ -1673,7 +2019,7 @@ class CircuitUI {
         this.syncCircuitToCode();
     }
 
-    showParameterModal(gateType, qubit, column, currentAngle = Math.PI / 2, isEdit = false) {
+    showParameterModal(gateType, qubit, column, currentParams = {}, isEdit = false) {
         const modal = document.getElementById('parameterModal');
         const title = document.getElementById('modalTitle');
         const inputs = document.getElementById('parameterInputs');
@@ -1681,23 +2027,36 @@ class CircuitUI {
         title.textContent = isEdit ? `Edit ${gateType} Parameters` : `Set ${gateType} Parameters`;
         inputs.innerHTML = '';
 
-        const angleGroup = document.createElement('div');
-        angleGroup.className = 'parameter-group';
-        angleGroup.innerHTML = `
-            <label for="angleInput">Angle (radians):</label>
-            <input type="number" id="angleInput" value="${currentAngle}" step="0.1" min="0" max="${2 * Math.PI}">
-            <label for="angleDegInput" style="margin-top: 0.5rem;">Angle (degrees):</label>
-            <input type="number" id="angleDegInput" value="${currentAngle * 180 / Math.PI}" step="1" min="0" max="360">
-        `;
-        inputs.appendChild(angleGroup);
+        const labels = { angle: 'Angle', theta: 'θ (theta)', phi: 'φ (phi)', lambda: 'λ (lambda)' };
+        const refs = currentParams.paramRefs || {};
+        for (const key of GateAngleParams[gateType] || ['angle']) {
+            const value = typeof currentParams[key] === 'number' ? currentParams[key] : (gateType === 'U3' ? 0 : Math.PI / 2);
+            const angleGroup = document.createElement('div');
+            angleGroup.className = 'parameter-group';
+            angleGroup.innerHTML = `
+                <label for="angleInput-${key}">${labels[key]} (radians):</label>
+                <input type="number" id="angleInput-${key}" value="${value}" step="0.1" min="0" max="${2 * Math.PI}">
+                <label for="angleDegInput-${key}" style="margin-top: 0.5rem;">${labels[key]} (degrees):</label>
+                <input type="number" id="angleDegInput-${key}" value="${value * 180 / Math.PI}" step="1" min="0" max="360">
+            `;
+            if (refs[key]) {
+                const note = document.createElement('div');
+                note.className = 'selection-hint';
+                note.textContent = `Bound to PARAM ${refs[key].name} (${formatQubiAngle(value, refs[key])}); a new value replaces the reference.`;
+                angleGroup.appendChild(note);
+            }
+            inputs.appendChild(angleGroup);
 
-        // Sync degree and radian inputs
-        document.getElementById('angleInput').addEventListener('input', (e) => {
-            document.getElementById('angleDegInput').value = (parseFloat(e.target.value) * 180 / Math.PI).toFixed(1);
-        });
-        document.getElementById('angleDegInput').addEventListener('input', (e) => {
-            document.getElementById('angleInput').value = (parseFloat(e.target.value) * Math.PI / 180).toFixed(4);
-        });
+            // Sync degree and radian inputs
+            const radInput = angleGroup.querySelector(`#angleInput-${key}`);
+            const degInput = angleGroup.querySelector(`#angleDegInput-${key}`);
+            radInput.addEventListener('input', (e) => {
+                degInput.value = (parseFloat(e.target.value) * 180 / Math.PI).toFixed(1);
+            });
+            degInput.addEventListener('input', (e) => {
+                radInput.value = (parseFloat(e.target.value) * Math.PI / 180).toFixed(4);
+            });
+        }
 
         modal.classList.add('active');
         modal.dataset.gateType = gateType;
@@ -1712,18 +2071,31 @@ class CircuitUI {
         const qubit = parseInt(modal.dataset.qubit);
         const column = parseInt(modal.dataset.column);
         const isEdit = modal.dataset.isEdit === 'true';
-        const angle = parseFloat(document.getElementById('angleInput').value);
+
+        const params = {};
+        for (const key of GateAngleParams[gateType] || ['angle']) {
+            params[key] = parseFloat(document.getElementById(`angleInput-${key}`).value);
+        }
 
         if (isEdit) {
-            // Update existing gate
+            // Update existing gate; angles left unchanged stay bound to their PARAM
             const gate = this.circuit.gates.find(g =>
                 g.qubit === qubit && g.column === column
             );
             if (gate) {
-                gate.params = { angle };
+                const oldParams = gate.params || {};
+                const refs = {};
+                for (const [key, ref] of Object.entries(oldParams.paramRefs || {})) {
+                    if (Math.abs(oldParams[key] - params[key]) < 1e-9) {
+                        params[key] = oldParams[key];
+                        refs[key] = ref;
+                    }
+                }
+                if (Object.keys(refs).length) params.paramRefs = refs;
+                gate.params = params;
             }
         } else {
-            this.circuit.addGate(gateType, qubit, column, null, { angle });
+            this.circuit.addGate(gateType, qubit, column, null, params);
         }
 
         // Invalidate state so it gets recomputed
@@ -1745,50 +2117,138 @@ class CircuitUI {
             return; // Don't run if there are errors
         }
 
-        this.stopPlayback();
-        this.circuit.state = new QuantumState(this.circuit.numQubits);
+        if (this.shouldRunInWorker()) {
+            this.runCircuitInWorker();
+        } else {
+            this.runCircuitOnMainThread();
+        }
+    }
 
-        // Build step states
-        this.stepStates = [];
-        const initialState = new QuantumState(this.circuit.numQubits);
-        this.stepStates.push({
-            state: initialState,
-            gates: [],
-            column: -1
-        });
+    // Circuits on the typed-array engine are simulated off the main thread so the page stays responsive
+    shouldRunInWorker() {
+        return this.simulationRunner !== null
+            && this.circuit.numQubits >= QuantumCircuit.TYPED_STATE_QUBITS
+            && !this.circuit.isDensityMode()
+            && !this.circuit.isStabilizerMode();
+    }
 
-        // Get the execution sequence (respects REPEAT blocks)
-        const executionSequence = this.circuit.buildExecutionSequence();
+    // Stop whatever is running and start again from |0...0⟩ with only the initial step
+    beginRun() {
+        this.stopPlayback();
+        this.endDebugSession();
+        if (this.simulationRunner) this.simulationRunner.cancel();
+        this.circuit.state = this.circuit.createState();
+        this.stepStates = [{
+            state: this.circuit.createState(),
+            gates: [],
+            column: -1,
+            loops: [],
+            line: null
+        }];
+    }
 
-        // Group the execution sequence by original column for step display
-        // But execute in the order returned (which handles repeats)
-        let stepIndex = 0;
+    /**
+     * Timeline steps of an execution trace: consecutive gates of one column and REPEAT iteration.
+     * Returns the steps ({gates, column, stepIndex, loops, line}) and the trace index each one ends at.
+     */
+    groupTraceSteps(trace) {
+        const steps = [];
+        const ends = [];
         let currentGates = [];
 
-        for (let i = 0; i < executionSequence.length; i++) {
-            const gate = executionSequence[i];
-            this.circuit.executeGate(gate);
+        for (let i = 0; i < trace.length; i++) {
+            const { gate, loops } = trace[i];
             currentGates.push(gate);
 
-            // Check if next gate is at a different column or this is the last gate
-            const nextGate = executionSequence[i + 1];
-            if (!nextGate || nextGate.column !== gate.column) {
-                // Save state after this batch
-                const stateCopy = new QuantumState(this.circuit.numQubits);
-                if (this.circuit.state && this.circuit.state.amplitudes) {
-                    stateCopy.amplitudes = [...this.circuit.state.amplitudes];
-                }
-                this.stepStates.push({
-                    state: stateCopy,
-                    gates: [...currentGates],
+            // Check if next gate is at a different column or iteration, or this is the last gate
+            const next = trace[i + 1];
+            if (!next || next.gate.column !== gate.column || !QubiDebugger.sameLoops(next.loops, loops)) {
+                const line = this.circuit.columnSourceLines.get(gate.column);
+                steps.push({
+                    gates: currentGates,
                     column: gate.column,
-                    stepIndex: stepIndex++
+                    stepIndex: steps.length,
+                    loops,
+                    line: line === undefined ? null : line
                 });
+                ends.push(i);
                 currentGates = [];
             }
         }
+        return { steps, ends };
+    }
+
+    // Synchronous run (also used by the debugger, which needs every step state straight away)
+    runCircuitOnMainThread() {
+        this.beginRun();
+
+        // Get the execution trace (respects REPEAT blocks, with the iteration of each gate)
+        const trace = this.circuit.buildExecutionTrace();
+        const { steps, ends } = this.groupTraceSteps(trace);
+
+        let step = 0;
+        for (let i = 0; i < trace.length; i++) {
+            this.circuit.executeGate(trace[i].gate);
+            if (ends[step] === i) {
+                // Save state after this batch
+                this.stepStates.push({ state: this.circuit.state.clone(), ...steps[step++] });
+            }
+        }
+
+        // Shots mode: sample counts from the final state (shown alongside the exact distribution)
+        const settings = this.getSettings();
+        this.shotResult = null;
+        if (settings.runMode === 'shots') {
+            this.shotResult = this.circuit.sampleShots(settings.shots, settings.shotSeed === '' ? null : settings.shotSeed);
+            this.shotResult.state = this.circuit.state;
+        }
+
+        this.showRunResult();
+    }
+
+    // Background run: the timeline fills in as the worker reports steps, progress shows in the step info.
+    // Steps whose snapshot was dropped to save memory stay in the timeline but cannot be selected.
+    runCircuitInWorker() {
+        this.beginRun();
+
+        const trace = this.circuit.buildExecutionTrace();
+        const { steps, ends } = this.groupTraceSteps(trace);
+        this.stepStates.push(...steps.map(step => ({ state: null, ...step })));
 
-        // Update to final state
+        const settings = this.getSettings();
+        const shots = settings.runMode === 'shots'
+            ? { count: settings.shots, seed: settings.shotSeed === '' ? null : settings.shotSeed }
+            : null;
+        this.shotResult = null;
+        this.showSimulationProgress(0, trace.length);
+
+        this.simulationRunner.run(this.circuit, trace, ends, {
+            shots,
+            onProgress: (done, total) => this.showSimulationProgress(done, total),
+            onStep: (index, state) => { this.stepStates[index + 1].state = state; }
+        }).then(({ state, shotResult }) => {
+            this.circuit.state = state;
+            this.shotResult = shotResult;
+            if (shotResult) shotResult.state = state;
+            this.showRunResult();
+        }).catch(error => {
+            if (error.cancelled) return;
+            // e.g. workers blocked for file:// pages: stay on the main thread from now on
+            console.warn('Simulation worker unavailable, running on the main thread:', error);
+            this.simulationRunner = null;
+            this.runCircuitOnMainThread();
+        });
+    }
+
+    showSimulationProgress(done, total) {
+        const stepInfoEl = document.getElementById('stepInfo');
+        if (!stepInfoEl) return;
+        const percent = total > 0 ? Math.floor(100 * done / total) : 0;
+        stepInfoEl.textContent = `Simulating… ${percent}% (${done}/${total} gates)`;
+    }
+
+    // Show the final state of a finished run
+    showRunResult() {
         this.currentColumn = this.stepStates.length > 1 ? this.stepStates[this.stepStates.length - 1].column : 0;
         this.updateVisualization();
         this.renderStepTimeline();
@@ -1798,11 +2258,14 @@ class CircuitUI {
 
     resetExecution() {
         this.stopPlayback();
+        this.endDebugSession();
+        if (this.simulationRunner) this.simulationRunner.cancel();
         this.currentColumn = 0;
         this.executionHistory = [];
         this.historyIndex = -1;
         this.stepStates = [];
-        this.circuit.state = new QuantumState(this.circuit.numQubits);
+        this.shotResult = null;
+        this.circuit.state = this.circuit.createState();
         this.updateVisualization();
         this.renderStepTimeline();
         this.updateStepInfo();
@@ -1827,6 +2290,18 @@ class CircuitUI {
             const stepNumber = document.createElement('div');
             stepNumber.className = 'step-item-number';
             stepNumber.textContent = index === 0 ? 'Initial' : `Step ${index}`;
+            if (step.loops && step.loops.length > 0) {
+                const inner = step.loops[step.loops.length - 1];
+                const loop = document.createElement('span');
+                loop.className = 'step-item-loop';
+                loop.textContent = ` ↻${inner.iteration}/${inner.count}`;
+                stepNumber.appendChild(loop);
+            }
+            if (step.line !== null && step.line !== undefined) stepItem.title = `Line ${step.line + 1}`;
+            if (!step.state) {
+                stepItem.classList.add('step-item-unavailable');
+                stepItem.title = `${stepItem.title ? `${stepItem.title} · ` : ''}State not kept (large circuit)`;
+            }
 
             const stepGates = document.createElement('div');
             stepGates.className = 'step-item-gates';
@@ -1841,7 +2316,14 @@ class CircuitUI {
             stepItem.appendChild(stepGates);
 
             stepItem.addEventListener('click', () => {
-                this.jumpToStep(index);
+                // While debugging, picking a step pauses before the one after it
+                if (this.debugSession && index < this.stepStates.length - 1) {
+                    this.stopPlayback();
+                    this.pauseBeforeStep(index + 1);
+                } else {
+                    this.endDebugSession();
+                    this.jumpToStep(index);
+                }
             });
 
             timeline.appendChild(stepItem);
@@ -1863,9 +2345,12 @@ class CircuitUI {
         if (!step || !step.state) return;
 
         // Create a copy of the state
-        const stateCopy = new QuantumState(step.state.numQubits);
-        stateCopy.amplitudes = [...step.state.amplitudes];
+        const stateCopy = step.state.clone();
         this.circuit.state = stateCopy;
+        if (this.shotResult && stepIndex === this.stepStates.length - 1) {
+            // Counts belong to the final state
+            this.shotResult.state = stateCopy;
+        }
         this.currentColumn = step.column || 0;
 
         // Update timeline highlighting
@@ -1887,8 +2372,7 @@ class CircuitUI {
         }
 
         // Save state before step
-        const stateCopy = new QuantumState(this.circuit.numQubits);
-        stateCopy.amplitudes = [...this.circuit.state.amplitudes];
+        const stateCopy = this.circuit.state.clone();
         this.executionHistory.push({
             state: stateCopy,
             column: this.currentColumn
@@ -1897,7 +2381,7 @@ class CircuitUI {
 
         // Reset if we're at the beginning
         if (this.currentColumn === 0 && this.executionHistory.length === 1) {
-            this.circuit.state = new QuantumState(this.circuit.numQubits);
+            this.circuit.state = this.circuit.createState();
         }
 
         // Execute one column at a time
@@ -1917,10 +2401,10 @@ class CircuitUI {
             // At end - loop if enabled, otherwise reset
             if (this.loopEnabled) {
                 this.currentColumn = 0;
-                this.circuit.state = new QuantumState(this.circuit.numQubits);
+                this.circuit.state = this.circuit.createState();
             } else {
                 this.currentColumn = 0;
-                this.circuit.state = new QuantumState(this.circuit.numQubits);
+                this.circuit.state = this.circuit.createState();
             }
             this.clearExecutionHighlight();
         }
@@ -1941,7 +2425,7 @@ class CircuitUI {
             this.clearExecutionHighlight();
         } else if (this.historyIndex === 0) {
             // Go back to initial state
-            this.circuit.state = new QuantumState(this.circuit.numQubits);
+            this.circuit.state = this.circuit.createState();
             this.currentColumn = 0;
             this.historyIndex = -1;
             this.updateVisualization();
@@ -1958,23 +2442,34 @@ class CircuitUI {
         }
     }
 
+    // Animate the step timeline one step per tick, pausing at breakpoints (the one playback resumed from is passed)
     startPlayback() {
+        if (!this.debugSession) {
+            if (!this.beginDebugSession()) return;
+            const hit = QubiDebugger.findHit(this.stepStates, this.syntaxHighlighter.breakpoints, 1, this.circuit, 2);
+            this.pauseBeforeStep(1, hit);
+            if (hit) return;
+        }
         this.isPlaying = true;
         const playPauseBtn = document.getElementById('playPauseBtn');
         if (playPauseBtn) playPauseBtn.textContent = '⏸';
 
         const interval = 1000 / this.playbackSpeed;
         this.playbackInterval = setInterval(() => {
-            const gatesAtColumn = this.circuit.getGatesAtColumn(this.currentColumn);
-            if (gatesAtColumn.length > 0 || this.loopEnabled) {
-                this.stepForward();
-            } else {
-                this.stopPlayback();
+            const next = this.debugSession ? this.debugSession.next + 1 : this.stepStates.length;
+            if (next >= this.stepStates.length) {
+                this.finishDebugging();
+                return;
             }
+            const hit = QubiDebugger.findHit(this.stepStates, this.syntaxHighlighter.breakpoints, next, this.circuit, next + 1);
+            if (hit) this.stopPlayback();
+            this.pauseBeforeStep(next, hit);
         }, interval);
+        this.refreshDebugger();
     }
 
     stopPlayback() {
+        const wasPlaying = this.isPlaying;
         this.isPlaying = false;
         const playPauseBtn = document.getElementById('playPauseBtn');
         if (playPauseBtn) playPauseBtn.textContent = '▶';
@@ -1982,6 +2477,145 @@ class CircuitUI {
             clearInterval(this.playbackInterval);
             this.playbackInterval = null;
         }
+        if (wasPlaying) this.refreshDebugger();
+    }
+
+    // Debugger: rebuild the circuit from the code and run it, then stop before the first breakpoint hit.
+    // While paused this continues to the next hit instead.
+    startDebugging() {
+        if (this.debugSession) {
+            this.stopPlayback();
+            this.runToBreakpoint(this.debugSession.next + 1);
+            return;
+        }
+        if (!this.beginDebugSession()) return;
+        this.runToBreakpoint(1);
+    }
+
+    // Fresh run with an open session paused before step 1; false when the code has errors or runs no gates
+    beginDebugSession() {
+        this.syncCodeToCircuit();
+        if (this.hasCodeErrors()) return false;
+        this.runCircuitOnMainThread();
+        if (this.stepStates.length < 2) return false;
+        this.debugSession = { next: 1, hit: null };
+        return true;
+    }
+
+    runToBreakpoint(from) {
+        const hit = QubiDebugger.findHit(this.stepStates, this.syntaxHighlighter.breakpoints, from, this.circuit);
+        if (hit) {
+            this.pauseBeforeStep(hit.step, hit);
+        } else {
+            this.finishDebugging();
+        }
+    }
+
+    // Show the state before stepStates[next] runs, with its source line, REPEAT iterations and gates marked
+    pauseBeforeStep(next, hit = null) {
+        if (!this.debugSession) return;
+        const step = this.stepStates[next];
+        this.debugSession = { next, hit };
+        this.jumpToStep(next - 1);
+        this.syntaxHighlighter.setPausedLine(step.line);
+        this.markDebugStep(step);
+        this.refreshDebugger();
+    }
+
+    debugStep() {
+        if (!this.debugSession) {
+            if (this.beginDebugSession()) this.pauseBeforeStep(1);
+            return;
+        }
+        this.stopPlayback();
+        if (this.debugSession.next + 1 < this.stepStates.length) {
+            this.pauseBeforeStep(this.debugSession.next + 1);
+        } else {
+            this.finishDebugging();
+        }
+    }
+
+    debugStepBack() {
+        if (!this.debugSession || this.debugSession.next <= 1) return;
+        this.stopPlayback();
+        this.pauseBeforeStep(this.debugSession.next - 1);
+    }
+
+    // Ran past the last breakpoint: show the final state
+    finishDebugging() {
+        this.stopPlayback();
+        this.endDebugSession();
+        if (this.stepStates.length > 0) this.jumpToStep(this.stepStates.length - 1);
+        if (this.debuggerPanel) this.debuggerPanel.update({ ...this.getDebuggerInfo(), mode: 'finished' });
+    }
+
+    stopDebugging() {
+        this.stopPlayback();
+        this.endDebugSession();
+        if (this.stepStates.length > 0) this.jumpToStep(this.stepStates.length - 1);
+    }
+
+    endDebugSession() {
+        const wasDebugging = !!this.debugSession;
+        this.debugSession = null;
+        if (!wasDebugging) return;
+        if (this.syntaxHighlighter) this.syntaxHighlighter.setPausedLine(null);
+        this.markDebugStep(null);
+        this.refreshDebugger();
+    }
+
+    // Marks the gates about to run and shows each enclosing REPEAT block's iteration (e.g. 2/3) on its block
+    markDebugStep(step) {
+        document.querySelectorAll('.gate-on-wire.debug-next').forEach(el => el.classList.remove('debug-next'));
+        document.querySelectorAll('.control-flow-iteration').forEach(el => el.remove());
+        if (!step) return;
+        for (const gate of step.gates) {
+            const gateEl = document.querySelector(`.gate-on-wire[data-qubit="${gate.qubit}"][data-column="${gate.column}"]`);
+            if (gateEl) gateEl.classList.add('debug-next');
+        }
+        for (const loop of step.loops || []) {
+            const block = document.querySelector(`.control-flow-repeat[data-column="${loop.column}"]`);
+            if (!block) continue;
+            const badge = document.createElement('div');
+            badge.className = 'control-flow-iteration';
+            badge.textContent = `${loop.iteration}/${loop.count}`;
+            badge.title = `Iteration ${loop.iteration} of ${loop.count}`;
+            block.appendChild(badge);
+        }
+    }
+
+    // Edit (changes) or remove (null) a breakpoint of the active tab
+    updateBreakpoint(line, changes) {
+        const breakpoints = this.syntaxHighlighter.breakpoints;
+        if (changes === null) {
+            breakpoints.delete(line);
+        } else if (breakpoints.has(line)) {
+            breakpoints.set(line, { ...breakpoints.get(line), ...changes });
+        }
+        this.syntaxHighlighter.updateLineNumbers();
+        this.refreshDebugger();
+    }
+
+    getDebuggerInfo() {
+        const session = this.debugSession;
+        const step = session ? this.stepStates[session.next] : null;
+        const code = document.getElementById('qubiCode');
+        return {
+            mode: !session ? 'idle' : (this.isPlaying ? 'playing' : 'paused'),
+            step: session ? session.next : 0,
+            totalSteps: Math.max(0, this.stepStates.length - 1),
+            line: step ? step.line : null,
+            loops: step ? step.loops : [],
+            hit: session ? session.hit : null,
+            state: this.circuit.state,
+            circuit: this.circuit,
+            breakpoints: this.syntaxHighlighter ? this.syntaxHighlighter.breakpoints : new Map(),
+            codeLines: code ? code.value.split('\n') : []
+        };
+    }
+
+    refreshDebugger() {
+        if (this.debuggerPanel) this.debuggerPanel.update(this.getDebuggerInfo());
     }
 
     fastForward() {
@@ -2119,9 +2753,9 @@ class CircuitUI {
         this.syncCircuitToCode();
     }
 
-    setQubitCount(count) {
+    setQubitCount(count, limit = null) {
         const settings = this.getSettings();
-        const maxQubits = settings.maxQubits || 12;
+        const maxQubits = limit || settings.maxQubits || 12;
         // Ensure count is between 1 and maxQubits
         const actualCount = Math.max(1, Math.min(count, maxQubits));
 
@@ -2143,7 +2777,7 @@ class CircuitUI {
         // Auto-compute circuit state if it doesn't exist
         // This allows real-time updates when gates are added (before clicking Run)
         if (!this.circuit.state) {
-            this.circuit.state = new QuantumState(this.circuit.numQubits, this.circuit.useOptimizedGates);
+            this.circuit.state = this.circuit.createState();
             // Execute all gates in sequence to compute current state
             const executionSequence = this.circuit.buildExecutionSequence();
             for (const gate of executionSequence) {
@@ -2163,16 +2797,26 @@ class CircuitUI {
             this.visualizer.updateVisualization(this.circuit.state, vizSettings);
             this.visualizer.updateStateVector(this.circuit.state, vizSettings);
             this.visualizer.updateMeasurementResults(this.circuit.state, vizSettings);
+            this.visualizer.updateObservables(this.circuit.state, vizSettings);
         }
 
         if (this.graphVisualizer) {
-            this.graphVisualizer.update(this.circuit.state, vizSettings);
+            const shots = this.shotResult && this.shotResult.state === this.circuit.state ? this.shotResult : null;
+            this.graphVisualizer.update(this.circuit.state, vizSettings, shots);
         }
 
         // Update NMR simulator if it's been initialized
         if (this.nmrSimulator && this.nmrInitialized) {
             this.nmrSimulator.onCircuitChanged(this.circuit, this.circuit.state);
         }
+
+        if (this.optimizerPanel) {
+            this.optimizerPanel.onCircuitChanged(this.circuit, this.circuit.state);
+        }
+
+        if (this.entanglementPanel) {
+            this.entanglementPanel.onCircuitChanged(this.circuit, this.circuit.state);
+        }
     }
 
     updateCircuitInfo() {
@@ -2685,7 +3329,10 @@ class CircuitUI {
 
         const normalizeGateName = (name) => String(name ?? '').trim().toUpperCase();
         const validateGateName = (name) => /^[A-Z][A-Z0-9_]{0,23}$/.test(name);
-        const existingBuiltIns = new Set(['H', 'X', 'Y', 'Z', 'S', 'T', 'RX', 'RY', 'RZ', 'CX', 'CY', 'CZ', 'SWAP', 'MEASURE', 'REPEAT', 'END', 'I']);
+        const existingBuiltIns = new Set([
+            'H', 'X', 'Y', 'Z', 'S', 'T', 'RX', 'RY', 'RZ', 'P', 'U3', 'CX', 'CY', 'CZ', 'CP', 'CRX', 'CRY', 'CRZ',
+            'SWAP', 'MEASURE', 'REPEAT', 'END', 'I'
+        ]);
         const getColor = () => colorOptions.find(o => o.id === selectedColorId) || colorOptions[0];
 
         const validateAll = () => {
@@ -3307,6 +3954,21 @@ class CircuitUI {
         }
     }
 
+    // Download the probability table and observable values of the displayed state
+    exportResultsCsv() {
+        if (!this.visualizer || !this.circuit.state) return;
+        const csv = this.visualizer.buildResultsCsv(this.circuit.state);
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `quantum-results-${Date.now()}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
     switchVizTab(tab) {
         // Only target tabs and panels within the first viz-region (Measurement/State Vector)
         const vizRegion1 = document.querySelector('.viz-region-1');
@@ -3328,6 +3990,11 @@ class CircuitUI {
         if (panel) {
             panel.classList.add('active');
         }
+
+        // The entanglement metrics are skipped while hidden, so catch up on the current state
+        if (tab === 'entanglement' && this.entanglementPanel) {
+            this.entanglementPanel.refresh();
+        }
     }
 
     toggleVisualizationSection(shouldToggle = true) {
@@ -3385,6 +4052,84 @@ class CircuitUI {
         this.updateErrorState();
     }
 
+    // Source of a Qubi file tab by name (case-insensitive), for #import
+    resolveQubiImport(filename) {
+        const want = String(filename ?? '').trim().toLowerCase();
+        if (!want) return null;
+        const hit = (this.qubiFiles || []).find(f => String(f.name || '').trim().toLowerCase() === want);
+        return hit ? String(hit.code || '') : null;
+    }
+
+    // Symbol index over every tab, with the editor's unsaved text for the active one
+    getQubiWorkspace() {
+        if (typeof this._persistActiveQubiEditorToFile === 'function') this._persistActiveQubiEditorToFile();
+        return new QubiWorkspace(this.qubiFiles);
+    }
+
+    getActiveQubiFileName() {
+        const active = this.qubiFiles.find(f => f.id === this.activeQubiFileId) || this.qubiFiles[0];
+        return active ? active.name : 'main.qubi';
+    }
+
+    // Switch to a tab by name (if needed) and select a range in it
+    openQubiLocation(fileName, line, start, end) {
+        const want = String(fileName || '').toLowerCase();
+        const file = this.qubiFiles.find(f => f.name.toLowerCase() === want);
+        if (!file) return;
+        if (file.id !== this.activeQubiFileId) {
+            this._persistActiveQubiEditorToFile();
+            this.activeQubiFileId = file.id;
+            this._loadActiveQubiFileIntoEditor({ preserveUndo: false });
+            this.syncCodeToCircuit();
+            if (this._renderQubiTabs) this._renderQubiTabs();
+        }
+        if (this.syntaxHighlighter) this.syntaxHighlighter.revealLocation(line, start, end);
+    }
+
+    // Rename results: the active tab is rewritten as one undo step, other tabs in place
+    applyQubiWorkspaceEdits(edits) {
+        for (const [fileName, code] of edits) {
+            const file = this.qubiFiles.find(f => f.name === fileName);
+            if (!file) continue;
+            file.code = code;
+            if (file.id === this.activeQubiFileId) {
+                this.setEditorCode(code, { preserveUndo: true });
+                this.syncCodeToCircuit();
+            }
+        }
+        if (this.outlinePanel) this.outlinePanel.refresh();
+    }
+
+    // Tests tab: check the ASSERT statements of every tab and mark them in each tab's gutter
+    runAllTests() {
+        if (typeof this._persistActiveQubiEditorToFile === 'function') this._persistActiveQubiEditorToFile();
+        const resolveImport = (filename) => this.resolveQubiImport(filename);
+        const report = this.qubiFiles.map(file => {
+            const compiled = QubiTestRunner.compile(file.code, { resolveImport, useOptimizedGates: this.circuit.useOptimizedGates });
+            if (!file.assertionResults) file.assertionResults = new Map();
+            file.assertionResults.clear();
+            if (compiled.errors) return { fileName: file.name, errors: compiled.errors };
+            const results = QubiTestRunner.run(compiled.circuit);
+            // An #import line stands for every ASSERT of the imported file; it shows the first failure
+            for (const result of results) {
+                const marked = file.assertionResults.get(result.assertion.line);
+                if (result.checks === 0 || (marked && !marked.passed)) continue;
+                file.assertionResults.set(result.assertion.line, { passed: result.passed, message: result.message });
+            }
+            return { fileName: file.name, results };
+        });
+        const active = this.qubiFiles.find(f => f.id === this.activeQubiFileId);
+        if (active && this.syntaxHighlighter) this.syntaxHighlighter.setAssertionResults(active.assertionResults);
+        if (this.testRunnerPanel) this.testRunnerPanel.update(report);
+    }
+
+    // Standalone circuit for a Qubi program, leaving the live circuit untouched
+    buildCircuitFromQubi(code) {
+        const circuit = new QuantumCircuit(1, this.circuit.useOptimizedGates);
+        new QubiExecutor(circuit).execute(code, { resolveImport: (filename) => this.resolveQubiImport(filename) });
+        return circuit;
+    }
+
     syncCodeToCircuit() {
         if (this.isUpdatingFromCircuit) return; // Prevent circular updates
 
@@ -3399,12 +4144,7 @@ class CircuitUI {
 
         try {
             this.isUpdatingFromCode = true;
-            const resolveImport = (filename) => {
-                const want = String(filename ?? '').trim().toLowerCase();
-                if (!want) return null;
-                const hit = (this.qubiFiles || []).find(f => String(f.name || '').trim().toLowerCase() === want);
-                return hit ? String(hit.code || '') : null;
-            };
+            const resolveImport = (filename) => this.resolveQubiImport(filename);
 
             // Clear the custom gates palette before re-parsing defines
             const customList = document.querySelector('.gate-list[data-gate-list="custom"]');
@@ -3472,6 +4212,17 @@ class CircuitUI {
                 if (cat) cat.remove();
             }
 
+            // Past the qubit limit the circuit only fits on the stabilizer tableau
+            const maxQubits = this.getSettings().maxQubits || 12;
+            const nonClifford = this.circuit.numQubits > maxQubits
+                && this.circuit.gates.find(gate => typeof StabilizerState === 'undefined' || !StabilizerState.supportsGate(gate));
+            if (nonClifford) {
+                const error = new Error(`${nonClifford.type} is not a Clifford gate: circuits over the ${maxQubits}-qubit limit may only use H, S, X, Y, Z, CX, CY, CZ, SWAP and MEASURE`);
+                error.line = this.circuit.columnSourceLines.get(nonClifford.column);
+                this.circuit.clear();
+                throw error;
+            }
+
             // Trigger re-validation now that new gates are registered
             if (this.syntaxHighlighter) this.syntaxHighlighter.debouncedValidation?.();
 
@@ -3496,12 +4247,15 @@ class CircuitUI {
                 const lines = code.split('\n');
                 let matched = false;
                 // Try to find the offending line by matching directive name or gate name in the error
-                const defineRef = msg.match(/^#define\s+(\S+)/i);
+                const defineRef = msg.match(/^#(?:define|gate)\s+(\S+)/i);
                 const importRef = msg.match(/^#(?:import|include)\s+(\S+)/i);
-                if (defineRef) {
+                if (Number.isInteger(error.line)) {
+                    this.syntaxHighlighter.lineErrors.set(error.line, msg);
+                    matched = true;
+                } else if (defineRef) {
                     const name = defineRef[1].replace(/:$/, '');
                     for (let i = 0; i < lines.length; i++) {
-                        if (new RegExp(`^\\s*#define\\s+${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(lines[i])) {
+                        if (new RegExp(`^\\s*#(?:define|gate)\\s+${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(lines[i])) {
                             this.syntaxHighlighter.lineErrors.set(i, msg);
                             matched = true;
                             break;
@@ -3538,16 +4292,19 @@ class CircuitUI {
 
         const existingCode = document.getElementById('qubiCode').value;
 
-        // Preserve #define and #import / #include lines — they aren't part of the circuit gate list
+        // Preserve #define and #import / #include lines and whole #gate … #endgate blocks — they aren't part of the circuit gate list
         const existingLines = existingCode.split('\n');
         const preprocessorLines = [];
         const codeWithoutPreprocessor = [];
+        let inGateBlock = false;
         for (const line of existingLines) {
-            if (/^\s*#(define|import|include)\b/i.test(line)) {
+            if (/^\s*#gate\b/i.test(line)) inGateBlock = true;
+            if (inGateBlock || /^\s*#(define|import|include)\b/i.test(line)) {
                 preprocessorLines.push(line);
             } else {
                 codeWithoutPreprocessor.push(line);
             }
+            if (/^\s*#endgate\b/i.test(line)) inGateBlock = false;
         }
 
         const generated = this.qubiExecutor.generateCode(this.circuit, codeWithoutPreprocessor.join('\n'));
@@ -3713,45 +4470,92 @@ class CircuitUI {
 
             const code = e.target.result;
             const fileName = file.name ? String(file.name) : 'imported.qubi';
-            // Load into a new tab (or replace existing tab with same name)
-            const existing = this.qubiFiles.find(f => f.name.toLowerCase() === fileName.toLowerCase());
-            if (existing) {
-                existing.code = String(code || '');
-                this.activeQubiFileId = existing.id;
-            } else {
-                const id = `file_${Math.random().toString(36).slice(2, 10)}_${Date.now().toString(36)}`;
-                this.qubiFiles.push({ id, name: fileName, code: String(code || '') });
-                this.activeQubiFileId = id;
-            }
+            this._openCodeInQubiTab(fileName, code);
+        };
+        reader.onerror = () => {
+            this.showAlert(['Error reading file. Please try again.']);
+        };
+        reader.readAsText(file);
 
-            // Refresh tab strip immediately so the new/activated name shows right away.
-            if (typeof this._renderQubiTabs === 'function') {
-                this._renderQubiTabs();
-            }
+        // Reset the input so the same file can be loaded again
+        event.target.value = '';
+    }
 
-            if (typeof this._loadActiveQubiFileIntoEditor === 'function') {
-                this._loadActiveQubiFileIntoEditor({ preserveUndo: true });
-            } else {
-                this.setEditorCode(code, { preserveUndo: true, adjustQubits: true });
-            }
+    // Load code into a new tab (or replace the existing tab with the same name) and make it active
+    _openCodeInQubiTab(fileName, code) {
+        const existing = this.qubiFiles.find(f => f.name.toLowerCase() === fileName.toLowerCase());
+        if (existing) {
+            existing.code = String(code || '');
+            this.activeQubiFileId = existing.id;
+        } else {
+            const id = `file_${Math.random().toString(36).slice(2, 10)}_${Date.now().toString(36)}`;
+            this.qubiFiles.push({ id, name: fileName, code: String(code || '') });
+            this.activeQubiFileId = id;
+        }
 
-            // Sync code to circuit
-            this.syncCodeToCircuit();
+        // Refresh tab strip immediately so the new/activated name shows right away.
+        if (typeof this._renderQubiTabs === 'function') {
+            this._renderQubiTabs();
+        }
 
-            // Clear any previous errors
-            const errorEl = document.getElementById('qubiErrors');
-            errorEl.textContent = '';
-            errorEl.classList.remove('has-error');
+        if (typeof this._loadActiveQubiFileIntoEditor === 'function') {
+            this._loadActiveQubiFileIntoEditor({ preserveUndo: true });
+        } else {
+            this.setEditorCode(code, { preserveUndo: true, adjustQubits: true });
+        }
+
+        // Sync code to circuit
+        this.syncCodeToCircuit();
+
+        // Clear any previous errors
+        const errorEl = document.getElementById('qubiErrors');
+        errorEl.textContent = '';
+        errorEl.classList.remove('has-error');
+    }
+
+    loadQasmFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            let code;
+            try {
+                code = this.qasmToQubiCode(String(e.target.result || ''));
+            } catch (error) {
+                this.showAlert([`Could not import ${file.name}:`, error.message]);
+                return;
+            }
+
+            if (typeof this._persistActiveQubiEditorToFile === 'function') {
+                this._persistActiveQubiEditorToFile();
+            }
+            const baseName = String(file.name || 'imported.qasm').replace(/\.[^.]*$/, '') || 'imported';
+            this._openCodeInQubiTab(`${baseName}.qubi`, code);
         };
         reader.onerror = () => {
             this.showAlert(['Error reading file. Please try again.']);
         };
         reader.readAsText(file);
 
-        // Reset the input so the same file can be loaded again
         event.target.value = '';
     }
 
+    // OpenQASM source → Qubi code (register layout noted in a header comment)
+    qasmToQubiCode(source) {
+        const circuit = new QuantumCircuit(1);
+        const result = new QasmImporter(circuit).import(source);
+
+        const lines = [`// Imported from OpenQASM ${result.version}`];
+        for (const reg of result.qubitRegisters) {
+            const range = reg.size === 1 ? `${reg.offset}` : `${reg.offset}-${reg.offset + reg.size - 1}`;
+            lines.push(`// ${reg.name}[${reg.size}] -> qubit${reg.size === 1 ? '' : 's'} ${range}`);
+        }
+        lines.push(...result.defineLines);
+
+        return lines.join('\n') + '\n' + this.qubiExecutor.generateCode(circuit);
+    }
+
     _mergeLoadedQubiFiles(loadedFiles, { activateName = null } = {}) {
         if (!Array.isArray(loadedFiles) || loadedFiles.length === 0) return;
 
@@ -4408,8 +5212,8 @@ class CircuitUI {
                     </div>
                     <div class="setting-item">
                         <label for="setting_maxQubits">Max Qubits</label>
-                        <input type="number" id="setting_maxQubits" value="${settings.maxQubits}" min="2" max="20" class="input-number">
-                        <span class="setting-hint">Circuit qubit limit</span>
+                        <input type="number" id="setting_maxQubits" value="${settings.maxQubits}" min="2" max="22" class="input-number">
+                        <span class="setting-hint">Circuit qubit limit; circuits with ${QuantumCircuit.TYPED_STATE_QUBITS}+ qubits run in the background, Clifford-only Qubi programs may use up to ${StabilizerState.MAX_QUBITS}</span>
                     </div>
                 </div>
             </div>
@@ -4434,6 +5238,29 @@ class CircuitUI {
                 </div>
             </div>
             
+            <div class="settings-section">
+                <h4 class="settings-section-title">Run Mode</h4>
+                <div class="settings-grid">
+                    <div class="setting-item">
+                        <label for="setting_runMode">Results</label>
+                        <select id="setting_runMode" class="input-select">
+                            <option value="exact" ${settings.runMode === 'exact' ? 'selected' : ''}>Exact probabilities</option>
+                            <option value="shots" ${settings.runMode === 'shots' ? 'selected' : ''}>Shots (sampled counts)</option>
+                        </select>
+                    </div>
+                    <div class="setting-item">
+                        <label for="setting_shots">Shots</label>
+                        <input type="number" id="setting_shots" value="${settings.shots}" min="1" max="100000" class="input-number">
+                        <span class="setting-hint">Samples per run</span>
+                    </div>
+                    <div class="setting-item">
+                        <label for="setting_shotSeed">Seed</label>
+                        <input type="number" id="setting_shotSeed" value="${settings.shotSeed}" min="0" placeholder="random" class="input-number">
+                        <span class="setting-hint">Leave empty for a new seed each run</span>
+                    </div>
+                </div>
+            </div>
+            
             <div class="settings-section">
                 <h4 class="settings-section-title">Behavior</h4>
                 <div class="settings-toggles">
@@ -4465,6 +5292,40 @@ class CircuitUI {
                     </span>
                 </div>
             </div>
+            
+            <div class="settings-section">
+                <h4 class="settings-section-title">Noise</h4>
+                <div class="settings-toggles">
+                    <label class="toggle-item">
+                        <input type="checkbox" id="setting_densityMatrix" ${settings.simulationMode === 'density' ? 'checked' : ''}>
+                        <span class="toggle-label">Simulate mixed states (density matrix)</span>
+                    </label>
+                    <span class="setting-hint" style="font-size: 0.75rem; color: var(--text-secondary); margin-left: 1.5rem;">
+                        Up to ${DensityMatrixState.MAX_QUBITS} qubits; larger circuits run noiseless on the state vector.
+                    </span>
+                </div>
+                <div class="settings-grid">
+                    <div class="setting-item">
+                        <label for="setting_noiseChannel">Channel (all gates)</label>
+                        <select id="setting_noiseChannel" class="input-select">
+                            <option value="none" ${settings.noiseChannel === 'none' ? 'selected' : ''}>None</option>
+                            ${Object.entries(NoiseChannels.labels).map(([key, label]) =>
+                                `<option value="${key}" ${settings.noiseChannel === key ? 'selected' : ''}>${label}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                    <div class="setting-item">
+                        <label for="setting_noiseProbability">Strength</label>
+                        <input type="number" id="setting_noiseProbability" value="${settings.noiseProbability}" min="0" max="1" step="0.001" class="input-number">
+                        <span class="setting-hint">Probability p per gate, 0-1</span>
+                    </div>
+                </div>
+                <div class="setting-item">
+                    <label for="setting_noiseRules">Per-gate / per-qubit rules</label>
+                    <textarea id="setting_noiseRules" class="input-textarea" rows="3" spellcheck="false" placeholder="CX: depolarizing 0.02&#10;q1: amplitudeDamping 0.05, phaseFlip 0.01">${settings.noiseRules.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</textarea>
+                    <span class="setting-hint" id="setting_noiseRulesError">A gate rule replaces the all-gates channel for that gate; qubit rules are applied on top.</span>
+                </div>
+            </div>
         `;
 
         modal.classList.add('active');
@@ -4483,7 +5344,14 @@ class CircuitUI {
                 hideNegligibles: parsed.hideNegligibles ?? true,
                 sortBy: parsed.sortBy ?? 'probability',
                 sortOrder: parsed.sortOrder ?? 'desc',
-                useOptimizedGates: parsed.useOptimizedGates ?? true
+                useOptimizedGates: parsed.useOptimizedGates ?? true,
+                runMode: parsed.runMode ?? 'exact',
+                shots: parsed.shots ?? 1024,
+                shotSeed: parsed.shotSeed ?? '',
+                simulationMode: parsed.simulationMode ?? 'statevector',
+                noiseChannel: parsed.noiseChannel ?? 'none',
+                noiseProbability: parsed.noiseProbability ?? 0.01,
+                noiseRules: parsed.noiseRules ?? ''
             };
         }
         return {
@@ -4494,7 +5362,14 @@ class CircuitUI {
             hideNegligibles: true,
             sortBy: 'probability',
             sortOrder: 'desc',
-            useOptimizedGates: true
+            useOptimizedGates: true,
+            runMode: 'exact',
+            shots: 1024,
+            shotSeed: '',
+            simulationMode: 'statevector',
+            noiseChannel: 'none',
+            noiseProbability: 0.01,
+            noiseRules: ''
         };
     }
 
@@ -4507,14 +5382,29 @@ class CircuitUI {
             hideNegligibles: document.getElementById('setting_hideNegligibles').checked,
             sortBy: document.getElementById('setting_sortBy').value,
             sortOrder: document.getElementById('setting_sortOrder').value,
-            useOptimizedGates: document.getElementById('setting_useOptimizedGates').checked
+            useOptimizedGates: document.getElementById('setting_useOptimizedGates').checked,
+            runMode: document.getElementById('setting_runMode').value,
+            shots: Math.min(100000, Math.max(1, parseInt(document.getElementById('setting_shots').value) || 1024)),
+            shotSeed: document.getElementById('setting_shotSeed').value.trim(),
+            simulationMode: document.getElementById('setting_densityMatrix').checked ? 'density' : 'statevector',
+            noiseChannel: document.getElementById('setting_noiseChannel').value,
+            noiseProbability: Math.min(1, Math.max(0, parseFloat(document.getElementById('setting_noiseProbability').value) || 0)),
+            noiseRules: document.getElementById('setting_noiseRules').value.trim()
         };
 
+        const ruleErrors = this.parseNoiseRules(settings.noiseRules).errors;
+        if (ruleErrors.length > 0) {
+            const errorEl = document.getElementById('setting_noiseRulesError');
+            errorEl.textContent = ruleErrors[0];
+            errorEl.classList.add('error');
+            return;
+        }
+
         localStorage.setItem('quantumSimulatorSettings', JSON.stringify(settings));
         document.getElementById('settingsModal').classList.remove('active');
 
-        // Apply max qubits limit
-        if (this.circuit.numQubits > settings.maxQubits) {
+        // Apply max qubits limit (Clifford circuits may be wider, see adjustQubitsForCode)
+        if (this.circuit.numQubits > settings.maxQubits && !this.circuit.isClifford()) {
             this.setQubitCount(settings.maxQubits);
         }
 
@@ -4524,10 +5414,81 @@ class CircuitUI {
         // Apply optimization setting to circuit
         this.circuit.setOptimization(settings.useOptimizedGates);
 
+        // Switching between pure/mixed simulation or changing noise invalidates the current run
+        this.applySimulationSettings(settings);
+        this.stepStates = [];
+        this.executionHistory = [];
+        this.historyIndex = -1;
+        this.shotResult = null;
+        this.circuit.state = null;
+        this.renderStepTimeline();
+
         // Update visualization with new settings
         this.updateVisualization();
     }
 
+    applySimulationSettings(settings) {
+        this.circuit.setNoiseModel(this.buildNoiseModel(settings));
+        this.circuit.setSimulationMode(settings.simulationMode);
+    }
+
+    // Noise rules, one per line: "CX: depolarizing 0.02" or "q1: amplitudeDamping 0.05, phaseFlip 0.01"
+    parseNoiseRules(text) {
+        const gates = {};
+        const qubits = {};
+        const errors = [];
+        const channelNames = Object.keys(NoiseChannels.labels);
+
+        (text || '').split('\n').forEach((rawLine, lineIdx) => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('//')) return;
+
+            const match = line.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*:\s*(.+)$/);
+            if (!match) {
+                errors.push(`Noise rule ${lineIdx + 1}: expected "GATE: channel p" or "qN: channel p"`);
+                return;
+            }
+
+            const channels = [];
+            for (const part of match[2].split(',')) {
+                const [name, value] = part.trim().split(/\s+/);
+                const type = channelNames.find(c => c.toLowerCase() === (name || '').toLowerCase());
+                const p = parseFloat(value);
+                if (!type) {
+                    errors.push(`Noise rule ${lineIdx + 1}: unknown channel "${name}" (use ${channelNames.join(', ')})`);
+                    return;
+                }
+                if (!Number.isFinite(p) || p < 0 || p > 1) {
+                    errors.push(`Noise rule ${lineIdx + 1}: strength must be between 0 and 1`);
+                    return;
+                }
+                channels.push({ type, p });
+            }
+
+            const qubitMatch = match[1].match(/^q(\d+)$/i);
+            if (qubitMatch) {
+                const q = parseInt(qubitMatch[1], 10);
+                qubits[q] = [...(qubits[q] || []), ...channels];
+            } else {
+                const gate = match[1].toUpperCase();
+                gates[gate] = [...(gates[gate] || []), ...channels];
+            }
+        });
+
+        return { gates, qubits, errors };
+    }
+
+    buildNoiseModel(settings) {
+        if (settings.simulationMode !== 'density') return null;
+
+        const { gates, qubits } = this.parseNoiseRules(settings.noiseRules);
+        const defaults = settings.noiseChannel && settings.noiseChannel !== 'none' && settings.noiseProbability > 0
+            ? [{ type: settings.noiseChannel, p: settings.noiseProbability }]
+            : [];
+
+        return { default: defaults, gates, qubits };
+    }
+
     showGateInfo(gateType) {
         const modal = document.getElementById('gateInfoModal');
         const title = document.getElementById('gateInfoTitle');
@@ -4537,8 +5498,9 @@ class CircuitUI {
         title.textContent = info.name;
 
         // Default qubits for display
-        const isMultiGate = ['CX', 'CY', 'CZ', 'SWAP'].includes(gateType);
-        // SWAP is fixed to 2-qubit display; others allow 2-3
+        const isMultiGate = ['CX', 'CY', 'CZ', 'SWAP'].includes(gateType) || !!ControlledGateBase[gateType];
+        // SWAP and the controlled rotations are fixed to 2-qubit display; others allow 2-3
+        const maxDisplayQubits = gateType === 'SWAP' || ControlledGateBase[gateType] ? 2 : 3;
         const defaultQubits = isMultiGate ? 2 : 1;
         let currentQubits = defaultQubits;
 
@@ -4552,8 +5514,8 @@ class CircuitUI {
         if (isMultiGate) {
             qubitSlider = `
                 <div class="parameter-group">
-                    <label for="gateInfoQubits">Display with qubits (2-3):</label>
-                    <input type="range" id="gateInfoQubits" min="2" max="${gateType === 'SWAP' ? 2 : 3}" step="1" value="${defaultQubits}">
+                    <label for="gateInfoQubits">Display with qubits (2-${maxDisplayQubits}):</label>
+                    <input type="range" id="gateInfoQubits" min="2" max="${maxDisplayQubits}" step="1" value="${defaultQubits}">
                     <span id="gateInfoQubitsValue">${defaultQubits}</span>
                 </div>
             `;
@@ -4585,6 +5547,51 @@ class CircuitUI {
         modal.classList.add('active');
     }
 
+    showOptimizeModal() {
+        if (!this.transpilerPanel) return;
+        document.getElementById('optimizeModal').classList.add('active');
+        this.transpilerPanel.open();
+    }
+
+    // Replace the gates and blocks with a transpiled copy and regenerate the Qubi code from it
+    applyOptimizedCircuit(optimized) {
+        this.stopPlayback();
+        this.isUpdatingFromCircuit = true;
+        this.circuit.gates = optimized.gates;
+        this.circuit.controlFlow = optimized.controlFlow;
+        this.circuit.maxColumn = optimized.maxColumn;
+        if (optimized.numQubits > this.circuit.numQubits) {
+            // Routed onto a larger device
+            this.circuit.numQubits = optimized.numQubits;
+            document.getElementById('qubitCount').value = `${this.circuit.numQubits} Qubits`;
+        }
+        this.circuit.state = null;
+        this.currentColumn = 0;
+        this.executionHistory = [];
+        this.historyIndex = -1;
+        this.renderCircuit();
+        this.updateVisualization();
+        this.syncCircuitToCode();
+        this.isUpdatingFromCircuit = false;
+    }
+
+    // Compiled code goes next to its source tab as name-target.qubi; returns the tab name
+    openCompiledCode(code, target) {
+        if (typeof this._persistActiveQubiEditorToFile === 'function') {
+            this._persistActiveQubiEditorToFile();
+        }
+        const baseName = this.getActiveQubiFileName().replace(/\.[^.]*$/, '') || 'main';
+        const fileName = `${baseName}-${target}.qubi`;
+        this._openCodeInQubiTab(fileName, code);
+        return fileName;
+    }
+
+    showUnitaryModal() {
+        if (!this.unitaryViewer) return;
+        document.getElementById('unitaryModal').classList.add('active');
+        this.unitaryViewer.open();
+    }
+
     showExportModal() {
         const modal = document.getElementById('exportModal');
         this.showFormatSelection();
@@ -4611,9 +5618,14 @@ class CircuitUI {
         document.getElementById('exportPreviewView').style.display = 'flex';
 
         // Update title
-        const formatTitles = { png: 'PNG Preview', svg: 'SVG Preview', pdf: 'PDF Preview' };
+        const formatTitles = { png: 'PNG Preview', svg: 'SVG Preview', pdf: 'PDF Preview', qasm: 'OpenQASM Preview' };
         document.getElementById('exportFormatTitle').textContent = formatTitles[format];
 
+        // Image settings vs. code settings
+        const isCode = format === 'qasm';
+        document.getElementById('exportImageSettings').style.display = isCode ? 'none' : '';
+        document.getElementById('exportQasmSettings').style.display = isCode ? '' : 'none';
+
         // Generate preview
         await this.updateExportPreview();
     }
@@ -4623,8 +5635,24 @@ class CircuitUI {
 
         const previewImage = document.getElementById('exportPreviewImage');
         const previewLoading = document.getElementById('exportPreviewLoading');
+        const codePreview = document.getElementById('exportCodePreview');
 
         previewImage.style.display = 'none';
+        codePreview.style.display = 'none';
+
+        if (this.currentExportFormat === 'qasm') {
+            previewLoading.style.display = 'none';
+            try {
+                codePreview.textContent = this.generateQasmCode();
+                codePreview.classList.remove('has-error');
+            } catch (error) {
+                codePreview.textContent = error.message;
+                codePreview.classList.add('has-error');
+            }
+            codePreview.style.display = 'block';
+            return;
+        }
+
         previewLoading.style.display = 'flex';
 
         try {
@@ -4690,15 +5718,68 @@ class CircuitUI {
                 await this.exportAsSvg();
             } else if (format === 'pdf') {
                 await this.exportAsPdf();
+            } else if (format === 'qasm') {
+                await this.exportAsQasm();
             }
         } catch (error) {
             console.error('Export failed:', error);
+            if (format === 'qasm') this.showAlert(['OpenQASM export failed:', error.message]);
         }
 
         // Close modal after export (regardless of success/failure)
         this.closeExportModal();
     }
 
+    generateQasmCode() {
+        const version = document.getElementById('exportQasmVersion').value;
+
+        // Keep the user's own #define lines so custom gates re-import exactly as written
+        const defineLines = {};
+        for (const line of document.getElementById('qubiCode').value.split('\n')) {
+            const m = line.match(/^\s*#define\s+([A-Za-z]{1,4})\b/i);
+            if (m) defineLines[m[1].toUpperCase()] = line.replace(/\/\/.*$/, '').trim();
+        }
+
+        return new QasmExporter({ version, defineLines }).export(this.circuit);
+    }
+
+    async exportAsQasm() {
+        const code = this.generateQasmCode();
+        const active = this.qubiFiles.find(f => f.id === this.activeQubiFileId);
+        const baseName = active && active.name ? active.name.replace(/\.[^.]*$/, '') : 'circuit';
+        const suggestedName = `${baseName || 'circuit'}.qasm`;
+
+        if ('showSaveFilePicker' in window) {
+            try {
+                const handle = await window.showSaveFilePicker({
+                    suggestedName,
+                    types: [{
+                        description: 'OpenQASM File',
+                        accept: { 'text/plain': ['.qasm'] }
+                    }]
+                });
+                const writable = await handle.createWritable();
+                await writable.write(code);
+                await writable.close();
+            } catch (err) {
+                if (err.name !== 'AbortError') {
+                    throw err;
+                }
+            }
+        } else {
+            const blob = new Blob([code], { type: 'text/plain' });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = suggestedName;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        }
+    }
+
     async exportAsPng() {
         const canvas = document.getElementById('circuitCanvas');
         const circuitEditor = document.getElementById('circuitEditor');
@@ -4792,10 +5873,10 @@ class CircuitUI {
 
         const gateColors = {
             'H': '#8b5cf6',
-            'X': '#ef4444', 'CX': '#ef4444', 'RX': '#ef4444',
-            'Y': '#22c55e', 'CY': '#22c55e', 'RY': '#22c55e',
-            'Z': '#3b82f6', 'CZ': '#3b82f6', 'RZ': '#3b82f6',
-            'S': '#f59e0b', 'T': '#f59e0b',
+            'X': '#ef4444', 'CX': '#ef4444', 'RX': '#ef4444', 'CRX': '#ef4444',
+            'Y': '#22c55e', 'CY': '#22c55e', 'RY': '#22c55e', 'CRY': '#22c55e',
+            'Z': '#3b82f6', 'CZ': '#3b82f6', 'RZ': '#3b82f6', 'CRZ': '#3b82f6',
+            'S': '#f59e0b', 'T': '#f59e0b', 'P': '#f59e0b', 'CP': '#f59e0b',
             'SWAP': '#ec4899',
             'MEASURE': '#64748b'
         };
@@ -4806,7 +5887,7 @@ class CircuitUI {
             const wireEnd = width - padding;
 
             svgContent += `\n    <line x1="${wireStart}" y1="${y}" x2="${wireEnd}" y2="${y}" stroke="${primaryColor}" stroke-width="2" opacity="0.6"/>`;
-            svgContent += `\n    <text x="${padding + labelWidth / 2}" y="${y}" class="qubit-label" text-anchor="middle" dominant-baseline="central">q[${i}]</text>`;
+            svgContent += `\n    <text x="${padding + labelWidth / 2}" y="${y}" class="qubit-label" text-anchor="middle" dominant-baseline="central">${this.circuit.getQubitLabel(i)}</text>`;
         }
 
         this.circuit.gates.forEach(gate => {
@@ -4818,8 +5899,9 @@ class CircuitUI {
             const symbols = {
                 'H': 'H', 'X': 'X', 'Y': 'Y', 'Z': 'Z',
                 'S': 'S', 'T': 'T',
-                'RX': 'RX', 'RY': 'RY', 'RZ': 'RZ',
+                'RX': 'RX', 'RY': 'RY', 'RZ': 'RZ', 'P': 'P', 'U3': 'U3',
                 'CX': 'X', 'CY': 'Y', 'CZ': 'Z', 'SWAP': '⇄',
+                'CP': 'P', 'CRX': 'RX', 'CRY': 'RY', 'CRZ': 'RZ',
                 'MEASURE': 'M'
             };
             const symbol = symbols[type] || type;
@@ -4828,7 +5910,7 @@ class CircuitUI {
             svgContent += `\n    <text x="${x + gateWidth / 2}" y="${y}" class="gate-text">${symbol}</text>`;
 
             let controlQubits = [];
-            if (['CX', 'CY', 'CZ'].includes(type)) {
+            if (['CX', 'CY', 'CZ'].includes(type) || ControlledGateBase[type]) {
                 if (multiQubits && multiQubits.length > 0) {
                     controlQubits = multiQubits;
                 } else if (target !== null && target !== undefined) {
@@ -4860,9 +5942,11 @@ class CircuitUI {
             const blockHeight = this.circuit.numQubits * rowHeight - 8;
             const blockY = padding;
 
-            const cfColor = type === 'REPEAT' ? '#a855f7' : '#ef4444';
-            const symbol = type === 'REPEAT' ? '↻' : '⊣';
-            const label = type === 'REPEAT' ? `×${params.count}` : (params.endingLabel || '');
+            const cfColor = { REPEAT: '#a855f7', IF: '#0ea5e9' }[type] || '#ef4444';
+            const symbol = { REPEAT: '↻', IF: '⎇' }[type] || '⊣';
+            let label = params.endingLabel || '';
+            if (type === 'REPEAT') label = `×${params.count}`;
+            else if (type === 'IF') label = formatQubiCondition(params).replace(/\s+/g, '');
 
             svgContent += `\n    <rect x="${x}" y="${blockY}" width="${gateWidth}" height="${blockHeight}" rx="8" ry="8" fill="${cfColor}" opacity="0.9"/>`;
             svgContent += `\n    <text x="${x + gateWidth / 2}" y="${blockY + blockHeight / 2 - 10}" class="gate-text" font-size="20">${symbol}</text>`;
@@ -0,0 +1,223 @@
+/**
+ * Unitary dialog: the matrix of the whole circuit or a column range as a phase/magnitude heat map,
+ * and an equivalence check (up to global phase) between two Qubi file tabs.
+ */
+
+class UnitaryViewerUI {
+    static MAX_LABELLED_QUBITS = 4; // basis labels beside the heat map up to 16 × 16
+
+    // getCircuit() -> the live QuantumCircuit; getFiles() -> [{id, name, code}];
+    // buildCircuit(code) -> a fresh QuantumCircuit for a Qubi program (throws on errors)
+    constructor(containerId, { getCircuit, getFiles, buildCircuit }) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.error(`Unitary container '${containerId}' not found`);
+            return;
+        }
+
+        this.getCircuit = getCircuit;
+        this.getFiles = getFiles;
+        this.buildCircuit = buildCircuit;
+        this.unitary = null;
+
+        this.buildUI();
+    }
+
+    buildUI() {
+        this.container.innerHTML = `
+            <div class="unitary-panel">
+                <div class="unitary-controls">
+                    <label>Columns <input type="number" id="unitaryFrom" class="input-number" min="1" value="1"></label>
+                    <label>to <input type="number" id="unitaryTo" class="input-number" min="1" value="1"></label>
+                    <button id="unitaryComputeBtn" class="btn btn-small btn-primary">Compute unitary</button>
+                </div>
+                <div id="unitaryStatus" class="unitary-status"></div>
+                <div id="unitaryView" class="unitary-view"></div>
+                <div id="unitaryReadout" class="unitary-readout"></div>
+
+                <h4 class="unitary-heading">Equivalence check</h4>
+                <div class="unitary-controls">
+                    <select id="unitaryFileA" class="unitary-select" title="First file"></select>
+                    <span>≡</span>
+                    <select id="unitaryFileB" class="unitary-select" title="Second file"></select>
+                    <button id="unitaryCompareBtn" class="btn btn-small">Check</button>
+                </div>
+                <div id="unitaryCompareResult" class="unitary-status"></div>
+            </div>
+        `;
+
+        this.fromInput = this.container.querySelector('#unitaryFrom');
+        this.toInput = this.container.querySelector('#unitaryTo');
+        this.statusEl = this.container.querySelector('#unitaryStatus');
+        this.viewEl = this.container.querySelector('#unitaryView');
+        this.readoutEl = this.container.querySelector('#unitaryReadout');
+        this.fileASelect = this.container.querySelector('#unitaryFileA');
+        this.fileBSelect = this.container.querySelector('#unitaryFileB');
+        this.compareResultEl = this.container.querySelector('#unitaryCompareResult');
+
+        this.container.querySelector('#unitaryComputeBtn').addEventListener('click', () => this.compute());
+        this.container.querySelector('#unitaryCompareBtn').addEventListener('click', () => this.compare());
+    }
+
+    // Reset the column range to the whole circuit and refresh the file lists; called when the dialog opens
+    open() {
+        const circuit = this.getCircuit();
+        const lastColumn = Math.max(1, circuit.getNextColumn());
+        this.fromInput.max = this.toInput.max = lastColumn;
+        this.fromInput.value = 1;
+        this.toInput.value = lastColumn;
+
+        const files = this.getFiles();
+        [this.fileASelect, this.fileBSelect].forEach((select, i) => {
+            const previous = select.value;
+            select.innerHTML = '';
+            files.forEach(file => select.appendChild(new Option(file.name, file.id)));
+            const fallback = files[Math.min(i, files.length - 1)];
+            select.value = files.some(f => f.id === previous) ? previous : (fallback ? fallback.id : '');
+        });
+        this.compareResultEl.textContent = files.length < 2 ? 'Open a second file tab to compare against' : '';
+        this.compareResultEl.className = 'unitary-status';
+
+        this.compute();
+    }
+
+    compute() {
+        const circuit = this.getCircuit();
+        const from = Math.max(1, parseInt(this.fromInput.value, 10) || 1);
+        const to = Math.max(from, parseInt(this.toInput.value, 10) || from);
+        this.unitary = null;
+        this.readoutEl.textContent = '';
+        try {
+            this.unitary = circuit.computeUnitary(from - 1, to - 1);
+        } catch (error) {
+            this.setStatus(this.statusEl, error.message, 'error');
+            this.viewEl.replaceChildren();
+            return;
+        }
+        const dim = this.unitary.length;
+        this.setStatus(this.statusEl,
+            `${dim} × ${dim} unitary of columns ${from}–${to} · brightness |U|, hue arg U · hover for values`);
+        this.renderHeatMap(this.unitary, circuit.numQubits);
+    }
+
+    // One pixel per matrix element, scaled up by CSS; the hue wheel runs red (0) → green (2π/3) → blue (4π/3)
+    renderHeatMap(unitary, numQubits) {
+        const dim = unitary.length;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = dim;
+        canvas.className = 'unitary-canvas';
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(dim, dim);
+        for (let row = 0; row < dim; row++) {
+            for (let col = 0; col < dim; col++) {
+                const [r, g, b] = this.phaseColor(unitary[row][col]);
+                const offset = 4 * (row * dim + col);
+                image.data[offset] = r;
+                image.data[offset + 1] = g;
+                image.data[offset + 2] = b;
+                image.data[offset + 3] = 255;
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+
+        canvas.addEventListener('mousemove', (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const col = Math.min(dim - 1, Math.floor((e.clientX - rect.left) / rect.width * dim));
+            const row = Math.min(dim - 1, Math.floor((e.clientY - rect.top) / rect.height * dim));
+            this.readoutEl.textContent = this.describeElement(row, col, numQubits);
+        });
+        canvas.addEventListener('mouseleave', () => { this.readoutEl.textContent = ''; });
+
+        if (numQubits > UnitaryViewerUI.MAX_LABELLED_QUBITS) {
+            this.viewEl.replaceChildren(canvas);
+            return;
+        }
+
+        // Basis labels: columns are inputs |j⟩, rows are outputs ⟨i|
+        const grid = document.createElement('div');
+        grid.className = 'unitary-grid';
+        grid.style.setProperty('--dim', dim);
+        const labels = (className) => {
+            const el = document.createElement('div');
+            el.className = className;
+            for (let i = 0; i < dim; i++) {
+                const span = document.createElement('span');
+                span.textContent = i.toString(2).padStart(numQubits, '0');
+                el.appendChild(span);
+            }
+            return el;
+        };
+        grid.append(document.createElement('div'), labels('unitary-col-labels'), labels('unitary-row-labels'), canvas);
+        this.viewEl.replaceChildren(grid);
+    }
+
+    phaseColor(c) {
+        const magnitude = Math.min(1, Math.hypot(c.re, c.im));
+        const hue = ((Math.atan2(c.im, c.re) / (2 * Math.PI)) + 1) % 1 * 6;
+        const channel = (n) => {
+            const k = (n + hue) % 6;
+            return magnitude * (1 - Math.max(0, Math.min(k, 4 - k, 1)));
+        };
+        return [channel(5), channel(3), channel(1)].map(v => Math.round(v * 255));
+    }
+
+    describeElement(row, col, numQubits) {
+        const c = this.unitary[row][col];
+        const bits = (i) => i.toString(2).padStart(numQubits, '0');
+        const magnitude = Math.hypot(c.re, c.im);
+        const phase = magnitude > 1e-12 ? formatQubiAngle(Math.atan2(c.im, c.re)) + 'π' : '—';
+        const im = Math.abs(c.im) < 5e-7 ? 0 : c.im;
+        return `⟨${bits(row)}|U|${bits(col)}⟩ = ${c.re.toFixed(4)} ${im < 0 ? '-' : '+'} ${Math.abs(im).toFixed(4)}i` +
+            ` · |U| = ${magnitude.toFixed(4)}, arg = ${phase}`;
+    }
+
+    compare() {
+        const files = this.getFiles();
+        const fileA = files.find(f => f.id === this.fileASelect.value);
+        const fileB = files.find(f => f.id === this.fileBSelect.value);
+        if (!fileA || !fileB) return;
+
+        // Each unitary is taken before the next file is built: both may #define the same gate name
+        const unitaries = [];
+        for (const file of [fileA, fileB]) {
+            try {
+                const circuit = this.buildCircuit(file.code);
+                unitaries.push({ matrix: circuit.computeUnitary(), numQubits: circuit.numQubits });
+            } catch (error) {
+                this.setStatus(this.compareResultEl, `${file.name}: ${error.message}`, 'error');
+                return;
+            }
+        }
+
+        // A circuit that never touches the higher qubits acts as the identity on them
+        const numQubits = Math.max(...unitaries.map(u => u.numQubits));
+        const [unitaryA, unitaryB] = unitaries.map(u => this.padUnitary(u.matrix, numQubits));
+        const result = compareUnitaries(unitaryA, unitaryB);
+
+        if (result.equivalent) {
+            const phase = Math.abs(result.phase) < 1e-9 ? '' : ` (global phase e^{i·${formatQubiAngle(result.phase)}π})`;
+            this.setStatus(this.compareResultEl, `✓ ${fileA.name} and ${fileB.name} are equivalent${phase}`, 'ok');
+        } else {
+            this.setStatus(this.compareResultEl,
+                `✗ Not equivalent: the largest element differs by ${result.distance.toFixed(6)} after aligning global phase`, 'error');
+        }
+    }
+
+    // Extends a unitary with the identity on higher qubits (qubit q is bit q of the basis index)
+    padUnitary(unitary, numQubits) {
+        const dim = unitary.length;
+        const size = 1 << numQubits;
+        return Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) =>
+            Math.floor(i / dim) === Math.floor(j / dim) ? unitary[i % dim][j % dim] : { re: 0, im: 0 }));
+    }
+
+    setStatus(el, message, kind = '') {
+        el.textContent = message;
+        el.className = 'unitary-status' + (kind ? ` ${kind}` : '');
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UnitaryViewerUI };
+}
@@ -0,0 +1,250 @@
+/**
+ * Optimizer tab: minimizes ⟨H⟩ of a Pauli-sum Hamiltonian over the circuit's PARAMs,
+ * plots the convergence curve and hands the best values back to the editor.
+ */
+
+class VariationalOptimizerUI {
+    static STORAGE_KEY = 'optimizerHamiltonian';
+    static FRAME_BUDGET_MS = 30; // optimizer work per animation frame, keeps the page responsive
+
+    constructor(containerId, { onLoadParameters = null } = {}) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.error(`Optimizer container '${containerId}' not found`);
+            return;
+        }
+
+        this.onLoadParameters = onLoadParameters;
+        this.circuit = null;
+        this.quantumState = null;
+        this.hamiltonian = null;
+        this.hamiltonianError = null;
+        this.run = null; // {problem, optimizer, history, iteration, maxIterations, frame}
+        this.result = null; // {names, values, energy, iterations, evaluations, converged}
+
+        this.buildUI();
+        this.parseHamiltonian();
+    }
+
+    buildUI() {
+        const saved = localStorage.getItem(VariationalOptimizerUI.STORAGE_KEY);
+        this.container.innerHTML = `
+            <div class="optimizer-panel">
+                <label class="optimizer-label" for="optimizerHamiltonian">Hamiltonian (Pauli sum)</label>
+                <textarea id="optimizerHamiltonian" class="optimizer-hamiltonian" rows="2" spellcheck="false"
+                    placeholder="0.5*Z0Z1 + 0.3*X0"></textarea>
+                <div id="optimizerExpectation" class="optimizer-expectation"></div>
+                <div class="optimizer-controls">
+                    <select id="optimizerMethod" class="optimizer-select" title="Optimizer">
+                        <option value="nelder-mead">Nelder–Mead</option>
+                        <option value="parameter-shift">Parameter shift (Adam)</option>
+                    </select>
+                    <label class="optimizer-iterations" title="Maximum iterations">
+                        Max <input type="number" id="optimizerMaxIterations" class="input-number" value="200" min="1" max="5000">
+                    </label>
+                    <button id="optimizerRunBtn" class="btn btn-small btn-primary">Optimize</button>
+                </div>
+                <div id="optimizerPlot" class="optimizer-plot">
+                    <p class="placeholder">Declare PARAMs, enter a Hamiltonian and press Optimize</p>
+                </div>
+                <div id="optimizerResult" class="optimizer-result"></div>
+            </div>
+        `;
+
+        this.hamiltonianInput = this.container.querySelector('#optimizerHamiltonian');
+        this.expectationEl = this.container.querySelector('#optimizerExpectation');
+        this.methodSelect = this.container.querySelector('#optimizerMethod');
+        this.maxIterationsInput = this.container.querySelector('#optimizerMaxIterations');
+        this.runBtn = this.container.querySelector('#optimizerRunBtn');
+        this.plotEl = this.container.querySelector('#optimizerPlot');
+        this.resultEl = this.container.querySelector('#optimizerResult');
+
+        this.hamiltonianInput.value = saved !== null ? saved : '0.5*Z0Z1 + 0.3*X0';
+        this.hamiltonianInput.addEventListener('input', () => {
+            localStorage.setItem(VariationalOptimizerUI.STORAGE_KEY, this.hamiltonianInput.value);
+            this.parseHamiltonian();
+        });
+        this.runBtn.addEventListener('click', () => {
+            if (this.run) this.stop();
+            else this.start();
+        });
+    }
+
+    // Called by the simulator whenever the circuit or its state changes
+    onCircuitChanged(circuit, quantumState) {
+        this.circuit = circuit;
+        this.quantumState = quantumState;
+        this.updateExpectation();
+    }
+
+    parseHamiltonian() {
+        try {
+            this.hamiltonian = parsePauliHamiltonian(this.hamiltonianInput.value);
+            this.hamiltonianInput.classList.remove('invalid');
+            this.hamiltonianError = null;
+        } catch (error) {
+            this.hamiltonian = null;
+            this.hamiltonianInput.classList.add('invalid');
+            this.hamiltonianError = error.message;
+        }
+        this.updateExpectation();
+    }
+
+    // ⟨H⟩ of the simulator's current state, shown as feedback while editing
+    updateExpectation() {
+        if (!this.expectationEl) return;
+        if (!this.hamiltonian) {
+            this.expectationEl.textContent = this.hamiltonianError || '';
+            this.expectationEl.classList.add('error');
+            return;
+        }
+        this.expectationEl.classList.remove('error');
+        const state = this.quantumState;
+        const highest = Math.max(-1, ...this.hamiltonian.flatMap(term => term.ops.map(op => op.qubit)));
+        if (!state || highest >= state.numQubits) {
+            this.expectationEl.textContent = state ? `Hamiltonian acts on qubit ${highest}; add qubits to evaluate it` : '';
+            return;
+        }
+        this.expectationEl.textContent = `⟨H⟩ now: ${hamiltonianExpectation(state, this.hamiltonian).toFixed(6)}`;
+    }
+
+    start() {
+        if (!this.circuit) return;
+        if (!this.hamiltonian) {
+            this.showMessage(this.hamiltonianError || 'Enter a Hamiltonian');
+            return;
+        }
+
+        let problem;
+        try {
+            problem = new VariationalProblem(this.circuit, this.hamiltonian);
+        } catch (error) {
+            this.showMessage(error.message);
+            return;
+        }
+
+        const x0 = problem.initialValues();
+        const optimizer = this.methodSelect.value === 'parameter-shift'
+            ? new ParameterShiftOptimizer(x => problem.energy(x), x => problem.gradient(x), x0)
+            : new NelderMeadOptimizer(x => problem.energy(x), x0);
+
+        this.run = {
+            problem,
+            optimizer,
+            history: [optimizer.best.value],
+            iteration: 0,
+            maxIterations: Math.max(1, parseInt(this.maxIterationsInput.value, 10) || 200),
+            frame: null
+        };
+        this.result = null;
+        this.runBtn.textContent = 'Stop';
+        this.runBtn.classList.remove('btn-primary');
+        this.renderProgress();
+        this.run.frame = requestAnimationFrame(() => this.tick());
+    }
+
+    tick() {
+        const run = this.run;
+        if (!run) return;
+        const deadline = performance.now() + VariationalOptimizerUI.FRAME_BUDGET_MS;
+        while (run.iteration < run.maxIterations && !run.optimizer.converged && performance.now() < deadline) {
+            run.optimizer.step();
+            run.iteration++;
+            run.history.push(run.optimizer.best.value);
+        }
+
+        if (run.iteration >= run.maxIterations || run.optimizer.converged) {
+            this.finish();
+        } else {
+            this.renderProgress();
+            run.frame = requestAnimationFrame(() => this.tick());
+        }
+    }
+
+    stop() {
+        if (!this.run) return;
+        cancelAnimationFrame(this.run.frame);
+        this.finish();
+    }
+
+    finish() {
+        const run = this.run;
+        this.run = null;
+        this.runBtn.textContent = 'Optimize';
+        this.runBtn.classList.add('btn-primary');
+        this.result = {
+            names: run.problem.names,
+            values: [...run.optimizer.best.x],
+            energy: run.optimizer.best.value,
+            iterations: run.iteration,
+            evaluations: run.problem.evaluations,
+            converged: run.optimizer.converged
+        };
+        this.renderPlot(run.history);
+        this.renderResult();
+    }
+
+    renderProgress() {
+        const run = this.run;
+        this.renderPlot(run.history);
+        this.resultEl.innerHTML = `<div class="optimizer-status">Iteration ${run.iteration} / ${run.maxIterations} · ⟨H⟩ = ${run.optimizer.best.value.toFixed(6)}</div>`;
+    }
+
+    // Best-so-far energy per iteration as an SVG polyline
+    renderPlot(history) {
+        const width = 300, height = 140;
+        const pad = { left: 52, right: 8, top: 8, bottom: 20 };
+        const min = Math.min(...history);
+        const max = Math.max(...history);
+        const span = max - min || 1;
+        const xScale = (i) => pad.left + (history.length > 1 ? i / (history.length - 1) : 0) * (width - pad.left - pad.right);
+        const yScale = (v) => pad.top + (max - v) / span * (height - pad.top - pad.bottom);
+        const points = history.map((v, i) => `${xScale(i).toFixed(1)},${yScale(v).toFixed(1)}`).join(' ');
+
+        this.plotEl.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Convergence of ⟨H⟩">
+                <line class="optimizer-axis" x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}"></line>
+                <line class="optimizer-axis" x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}"></line>
+                <text class="optimizer-tick" x="${pad.left - 4}" y="${pad.top + 8}" text-anchor="end">${max.toFixed(3)}</text>
+                <text class="optimizer-tick" x="${pad.left - 4}" y="${height - pad.bottom}" text-anchor="end">${min.toFixed(3)}</text>
+                <text class="optimizer-tick" x="${width - pad.right}" y="${height - 6}" text-anchor="end">${history.length - 1} iterations</text>
+                <polyline class="optimizer-curve" points="${points}"></polyline>
+            </svg>
+        `;
+    }
+
+    renderResult() {
+        const { names, values, energy, iterations, evaluations, converged } = this.result;
+        const rows = names.map((name, i) =>
+            `<tr><td>${name}</td><td>${formatQubiAngle(values[i])}π</td><td>${values[i].toFixed(4)} rad</td></tr>`
+        ).join('');
+
+        this.resultEl.innerHTML = `
+            <div class="optimizer-status">
+                Best ⟨H⟩ = <strong>${energy.toFixed(6)}</strong> after ${iterations} iteration${iterations === 1 ? '' : 's'}
+                (${evaluations} circuit evaluations${converged ? ', converged' : ''})
+            </div>
+            <table class="optimizer-params"><tbody>${rows}</tbody></table>
+            <button class="btn btn-small btn-success optimizer-load-btn">Load best parameters</button>
+        `;
+        this.resultEl.querySelector('.optimizer-load-btn').addEventListener('click', () => {
+            if (!this.onLoadParameters) return;
+            const values = {};
+            names.forEach((name, i) => { values[name] = this.result.values[i]; });
+            this.onLoadParameters(values);
+        });
+    }
+
+    showMessage(message) {
+        const p = document.createElement('p');
+        p.className = 'placeholder';
+        p.textContent = message;
+        this.plotEl.replaceChildren(p);
+        this.resultEl.innerHTML = '';
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VariationalOptimizerUI };
+}
@@ -0,0 +1,181 @@
+// Variational optimization (VQE / QAOA): minimize ⟨H⟩ of a Pauli-sum Hamiltonian over a circuit's PARAM angles
+
+// Parameter-shift coefficients for controlled rotations, whose generator has eigenvalues {0, ±½}
+const SHIFT_RULE_C1 = (Math.SQRT2 + 1) / (4 * Math.SQRT2);
+const SHIFT_RULE_C2 = (Math.SQRT2 - 1) / (4 * Math.SQRT2);
+
+/**
+ * ⟨H⟩ as a function of the PARAM values of a circuit snapshot.
+ * The snapshot is private, so editing the live circuit does not disturb a running optimization.
+ */
+class VariationalProblem {
+    constructor(circuit, hamiltonian) {
+        this.circuit = circuit.clone();
+        this.hamiltonian = hamiltonian;
+        this.names = this.circuit.parameters.map(param => param.name);
+        this.evaluations = 0;
+
+        if (this.names.length === 0) {
+            throw new Error('Declare at least one PARAM to optimize (e.g. PARAM theta = 0.5)');
+        }
+        if (this.circuit.buildExecutionSequence().some(gate => gate.type === 'MEASURE')) {
+            throw new Error('Remove MEASURE gates first: ⟨H⟩ is taken on the final state');
+        }
+        const highest = Math.max(-1, ...hamiltonian.flatMap(term => term.ops.map(op => op.qubit)));
+        if (highest >= this.circuit.numQubits) {
+            throw new Error(`Hamiltonian acts on qubit ${highest} but the circuit has ${this.circuit.numQubits} qubit${this.circuit.numQubits === 1 ? '' : 's'}`);
+        }
+    }
+
+    initialValues() {
+        return this.circuit.parameters.map(param => param.value);
+    }
+
+    bind(values) {
+        this.names.forEach((name, i) => this.circuit.setParameter(name, values[i]));
+    }
+
+    evaluate(sequence) {
+        this.evaluations++;
+        return hamiltonianExpectation(this.circuit.simulateSequence(sequence), this.hamiltonian);
+    }
+
+    energy(values) {
+        this.bind(values);
+        return this.evaluate(this.circuit.buildExecutionSequence());
+    }
+
+    // Exact gradient by the parameter-shift rule. Each executed occurrence of a bound angle is shifted
+    // on its own (REPEAT blocks reuse gate objects), and the chain rule adds ref.scale · ∂⟨H⟩/∂angle.
+    gradient(values) {
+        this.bind(values);
+        const sequence = this.circuit.buildExecutionSequence();
+        const grad = values.map(() => 0);
+
+        sequence.forEach((gate, k) => {
+            const refs = gate.params && gate.params.paramRefs;
+            if (!refs) return;
+            for (const [key, ref] of Object.entries(refs)) {
+                const index = this.names.indexOf(ref.name);
+                if (index < 0) continue;
+                const shifted = (delta) => {
+                    const copy = [...sequence];
+                    copy[k] = { ...gate, params: { ...gate.params, [key]: gate.params[key] + delta } };
+                    return this.evaluate(copy);
+                };
+                grad[index] += ref.scale * this.shiftDerivative(gate.type, shifted);
+            }
+        });
+        return grad;
+    }
+
+    // ∂f/∂angle from shifted evaluations: two terms for rotations and phases, four for CRX/CRY/CRZ
+    shiftDerivative(type, f) {
+        const twoTerm = (f(Math.PI / 2) - f(-Math.PI / 2)) / 2;
+        if (!['CRX', 'CRY', 'CRZ'].includes(type)) return twoTerm;
+        return 2 * SHIFT_RULE_C1 * twoTerm - SHIFT_RULE_C2 * (f(3 * Math.PI / 2) - f(-3 * Math.PI / 2));
+    }
+}
+
+/**
+ * Gradient-free Nelder–Mead simplex search; one step() is one simplex update.
+ */
+class NelderMeadOptimizer {
+    constructor(objective, x0, { step = Math.PI / 4, tolerance = 1e-8 } = {}) {
+        this.objective = objective;
+        this.tolerance = tolerance;
+        this.converged = false;
+        this.simplex = [x0, ...x0.map((_, i) => x0.map((v, j) => (i === j ? v + step : v)))]
+            .map(x => this.vertex(x));
+        this.sort();
+    }
+
+    get best() {
+        return this.simplex[0];
+    }
+
+    vertex(x) {
+        return { x, value: this.objective(x) };
+    }
+
+    sort() {
+        this.simplex.sort((a, b) => a.value - b.value);
+    }
+
+    step() {
+        if (this.converged) return this.best;
+        const n = this.simplex.length - 1;
+        const worst = this.simplex[n];
+        const centroid = worst.x.map((_, j) => this.simplex.slice(0, n).reduce((sum, v) => sum + v.x[j], 0) / n);
+        // Point on the line through the centroid and the worst vertex (t = -1 reflects it)
+        const along = (t) => this.vertex(centroid.map((c, j) => c + t * (worst.x[j] - c)));
+
+        const reflected = along(-1);
+        if (reflected.value < this.simplex[0].value) {
+            const expanded = along(-2);
+            this.simplex[n] = expanded.value < reflected.value ? expanded : reflected;
+        } else if (reflected.value < this.simplex[n - 1].value) {
+            this.simplex[n] = reflected;
+        } else {
+            const outside = reflected.value < worst.value;
+            const contracted = along(outside ? -0.5 : 0.5);
+            if (contracted.value < (outside ? reflected.value : worst.value)) {
+                this.simplex[n] = contracted;
+            } else {
+                // Shrink every vertex halfway toward the best one
+                const bestX = this.simplex[0].x;
+                for (let i = 1; i <= n; i++) {
+                    this.simplex[i] = this.vertex(bestX.map((b, j) => b + 0.5 * (this.simplex[i].x[j] - b)));
+                }
+            }
+        }
+        this.sort();
+
+        const spread = this.simplex[n].value - this.simplex[0].value;
+        const size = Math.max(...this.simplex.map(v => Math.max(...v.x.map((x, j) => Math.abs(x - this.simplex[0].x[j])))));
+        this.converged = spread <= this.tolerance && size <= Math.sqrt(this.tolerance);
+        return this.best;
+    }
+}
+
+/**
+ * Adam descent on parameter-shift gradients; one step() is one gradient evaluation and update.
+ */
+class ParameterShiftOptimizer {
+    constructor(objective, gradient, x0, { learningRate = 0.1, tolerance = 1e-6 } = {}) {
+        this.objective = objective;
+        this.gradient = gradient;
+        this.learningRate = learningRate;
+        this.tolerance = tolerance;
+        this.converged = false;
+        this.x = [...x0];
+        this.m = x0.map(() => 0);
+        this.v = x0.map(() => 0);
+        this.t = 0;
+        this.best = { x: [...x0], value: objective(x0) };
+    }
+
+    step() {
+        if (this.converged) return this.best;
+        const beta1 = 0.9, beta2 = 0.999, epsilon = 1e-8;
+        const g = this.gradient(this.x);
+        this.t++;
+        this.x = this.x.map((x, i) => {
+            this.m[i] = beta1 * this.m[i] + (1 - beta1) * g[i];
+            this.v[i] = beta2 * this.v[i] + (1 - beta2) * g[i] * g[i];
+            const mHat = this.m[i] / (1 - Math.pow(beta1, this.t));
+            const vHat = this.v[i] / (1 - Math.pow(beta2, this.t));
+            return x - this.learningRate * mHat / (Math.sqrt(vHat) + epsilon);
+        });
+
+        const value = this.objective(this.x);
+        if (value < this.best.value) this.best = { x: [...this.x], value };
+        this.converged = Math.hypot(...g) <= this.tolerance;
+        return this.best;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VariationalProblem, NelderMeadOptimizer, ParameterShiftOptimizer };
+}
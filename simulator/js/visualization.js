@@ -1,6 +1,8 @@
 // Qubit State Visualization with 3D Bloch Spheres
 
 class QubitVisualizer {
+    static MAX_LISTED_STATES = 512; // Longer state vectors and result lists are cut here (2^n terms would stall the page)
+
     constructor(containerId) {
         this.container = document.getElementById(containerId);
         this.settings = { precision: 2, hideNegligibles: true, sortBy: 'probability', sortOrder: 'desc' };
@@ -848,6 +850,13 @@ class QubitVisualizer {
         const sortBy = this.settings.sortBy || 'probability';
         const sortOrder = this.settings.sortOrder || 'desc';
         
+        if (quantumState.isDensityMatrix) {
+            return this.formatDensityMatrix(quantumState, precision, threshold, sortBy, sortOrder);
+        }
+        if (quantumState.isStabilizer) {
+            return this.formatStabilizers(quantumState);
+        }
+        
         // Collect all states with their data
         const states = [];
         const numStates = Math.pow(2, quantumState.numQubits);
@@ -879,7 +888,8 @@ class QubitVisualizer {
         }
         
         // Build the formatted terms
-        const terms = states.map(({ index, re, im }) => {
+        const listed = states.slice(0, QubitVisualizer.MAX_LISTED_STATES);
+        const terms = listed.map(({ index, re, im }) => {
             const binary = index.toString(2).padStart(quantumState.numQubits, '0');
             
             let coeffStr;
@@ -897,10 +907,40 @@ class QubitVisualizer {
         });
         
         if (terms.length === 0) return '<span class="sv-ket">|0⟩</span>';
+        if (states.length > listed.length) {
+            terms.push(`<span class="sv-ket">… (${states.length - listed.length} more terms)</span>`);
+        }
         
         return terms.join(' <span class="sv-plus">+</span> ').replace(/\+ <span class="sv-plus">\+<\/span> -/g, ' <span class="sv-plus">−</span> ');
     }
 
+    // Mixed state: diagonal populations p|b⟩⟨b| plus purity Tr(ρ²)
+    formatDensityMatrix(quantumState, precision, threshold, sortBy, sortOrder) {
+        const probs = Object.entries(quantumState.getAllProbabilities())
+            .filter(([_, p]) => p >= threshold);
+
+        probs.sort((a, b) => {
+            const cmp = sortBy === 'label' ? parseInt(a[0], 2) - parseInt(b[0], 2) : a[1] - b[1];
+            return sortOrder === 'asc' ? cmp : -cmp;
+        });
+
+        const terms = probs.map(([binary, p]) =>
+            `<span class="sv-coeff">${p.toFixed(precision)}</span><span class="sv-ket">|${binary}⟩⟨${binary}|</span>`
+        );
+
+        const purity = quantumState.getPurity();
+        const body = terms.length > 0 ? terms.join(' <span class="sv-plus">+</span> ') : '<span class="sv-ket">0</span>';
+        return `<span class="sv-ket">diag(ρ)</span> = ${body}<br><span class="sv-coeff">Purity Tr(ρ²) = ${purity.toFixed(Math.max(precision, 3))}</span>`;
+    }
+
+    // Clifford circuit on the tableau: the generators that fix the state instead of 2^n amplitudes
+    formatStabilizers(quantumState) {
+        const generators = quantumState.getStabilizers().map(generator =>
+            `<span class="sv-coeff">${generator[0] === '-' ? '−' : '+'}</span><span class="sv-ket">${generator.slice(1)}</span>`
+        );
+        return `<span class="sv-ket">Stabilizers</span> = ⟨${generators.join(', ')}⟩<br><span class="sv-coeff">${quantumState.outcomeSummary()}</span>`;
+    }
+
     updateMeasurementResults(quantumState, settings = null) {
         if (settings) this.setSettings(settings);
         const resultsEl = document.getElementById('measurementResults');
@@ -912,7 +952,9 @@ class QubitVisualizer {
         
         resultsEl.innerHTML = '';
         
-        const probabilities = quantumState.getAllProbabilities();
+        // A wide stabilizer state can have far more outcomes than could be listed
+        const unlisted = quantumState.isStabilizer && !quantumState.canListOutcomes();
+        const probabilities = unlisted ? {} : quantumState.getAllProbabilities();
         let sortedProbs = Object.entries(probabilities)
             .filter(([_, prob]) => prob >= threshold);
         
@@ -922,7 +964,7 @@ class QubitVisualizer {
         
         if (sortBy === 'label') {
             sortedProbs.sort((a, b) => {
-                const cmp = parseInt(a[0], 2) - parseInt(b[0], 2);
+                const cmp = a[0].localeCompare(b[0]);
                 return sortOrder === 'asc' ? cmp : -cmp;
             });
         } else {
@@ -933,14 +975,16 @@ class QubitVisualizer {
         }
         
         if (sortedProbs.length === 0) {
-            resultsEl.innerHTML = '<p class="placeholder">No measurement data</p>';
+            resultsEl.innerHTML = unlisted
+                ? `<p class="placeholder">${quantumState.outcomeSummary()}, too many to list (shots mode samples them)</p>`
+                : '<p class="placeholder">No measurement data</p>';
             return;
         }
         
         const scrollContainer = document.createElement('div');
         scrollContainer.className = 'results-scroll-container';
         
-        sortedProbs.forEach(([binary, prob]) => {
+        sortedProbs.slice(0, QubitVisualizer.MAX_LISTED_STATES).forEach(([binary, prob]) => {
             const resultItem = document.createElement('div');
             resultItem.className = 'result-item';
             
@@ -965,8 +1009,26 @@ class QubitVisualizer {
             scrollContainer.appendChild(resultItem);
         });
         
+        if (sortedProbs.length > QubitVisualizer.MAX_LISTED_STATES) {
+            const more = document.createElement('p');
+            more.className = 'placeholder';
+            more.textContent = `… ${sortedProbs.length - QubitVisualizer.MAX_LISTED_STATES} more outcomes`;
+            scrollContainer.appendChild(more);
+        }
         resultsEl.appendChild(scrollContainer);
         
+        // Classical registers written by MEASURE q -> c on this run
+        const classical = Object.entries(quantumState.classical || {});
+        if (classical.length > 0) {
+            const classicalInfo = document.createElement('div');
+            classicalInfo.className = 'classical-registers';
+            classicalInfo.style.cssText = 'font-size: 0.75rem; color: var(--text-secondary); font-family: monospace; padding-top: 0.5rem; border-top: 1px solid var(--border-color); margin-top: 0.5rem;';
+            classicalInfo.textContent = classical
+                .map(([name, value]) => `${name} = ${value} (${value.toString(2)})`)
+                .join('   ');
+            resultsEl.appendChild(classicalInfo);
+        }
+        
         if (sortedProbs.length > 8) {
             const countInfo = document.createElement('div');
             countInfo.style.cssText = 'font-size: 0.75rem; color: var(--text-secondary); text-align: center; padding-top: 0.5rem; border-top: 1px solid var(--border-color); margin-top: 0.5rem;';
@@ -974,6 +1036,113 @@ class QubitVisualizer {
             resultsEl.appendChild(countInfo);
         }
     }
+
+    // Observables tab: one Pauli string or Pauli sum per line of #observablesInput
+    getObservables(quantumState) {
+        const input = document.getElementById('observablesInput');
+        if (!input || !quantumState) return [];
+        return input.value.split('\n').map(line => line.trim()).filter(Boolean).map(label => {
+            try {
+                const terms = parsePauliHamiltonian(label);
+                const highest = Math.max(-1, ...terms.flatMap(term => term.ops.map(op => op.qubit)));
+                if (highest >= quantumState.numQubits) {
+                    return { label, error: `acts on qubit ${highest} (circuit has ${quantumState.numQubits})` };
+                }
+                return {
+                    label,
+                    expectation: hamiltonianExpectation(quantumState, terms),
+                    variance: hamiltonianVariance(quantumState, terms),
+                    scale: terms.reduce((sum, term) => sum + Math.abs(term.coeff), 0) || 1
+                };
+            } catch (error) {
+                return { label, error: error.message };
+            }
+        });
+    }
+
+    updateObservables(quantumState, settings = null) {
+        if (settings) this.setSettings(settings);
+        const resultsEl = document.getElementById('observablesResults');
+        if (!resultsEl || !quantumState) return;
+
+        const digits = Math.max(this.settings.precision, 3);
+        const observables = this.getObservables(quantumState);
+        resultsEl.innerHTML = '';
+
+        if (observables.length === 0) {
+            resultsEl.innerHTML = '<p class="placeholder">Enter Pauli strings, e.g. ZZ, XIX or 0.5*Z0Z1 + X0</p>';
+            return;
+        }
+
+        observables.forEach(obs => {
+            const row = document.createElement('div');
+            row.className = 'observable-item';
+
+            const label = document.createElement('div');
+            label.className = 'observable-label';
+            label.textContent = `⟨${obs.label}⟩`;
+            row.appendChild(label);
+
+            if (obs.error) {
+                const error = document.createElement('div');
+                error.className = 'observable-error';
+                error.textContent = obs.error;
+                row.appendChild(error);
+                resultsEl.appendChild(row);
+                return;
+            }
+
+            // Bar from the centre: right for positive, left for negative (scaled by Σ|coeff|)
+            const bar = document.createElement('div');
+            bar.className = 'observable-bar';
+            const fill = document.createElement('div');
+            fill.className = 'observable-bar-fill';
+            const fraction = Math.max(-1, Math.min(1, obs.expectation / obs.scale));
+            fill.style.left = `${50 + Math.min(0, fraction) * 50}%`;
+            fill.style.width = `${Math.abs(fraction) * 50}%`;
+            bar.appendChild(fill);
+
+            const value = document.createElement('div');
+            value.className = 'observable-value';
+            value.textContent = obs.expectation.toFixed(digits);
+            value.title = `Variance ${obs.variance.toFixed(digits)}, standard deviation ${Math.sqrt(obs.variance).toFixed(digits)}`;
+
+            const variance = document.createElement('div');
+            variance.className = 'observable-variance';
+            variance.textContent = `σ² ${obs.variance.toFixed(digits)}`;
+
+            row.appendChild(bar);
+            row.appendChild(value);
+            row.appendChild(variance);
+            resultsEl.appendChild(row);
+        });
+    }
+
+    // Probability table followed by the observables, as CSV text
+    buildResultsCsv(quantumState) {
+        const quote = (text) => `"${String(text).replace(/"/g, '""')}"`;
+        const lines = ['State,Probability'];
+        if (quantumState.isStabilizer && !quantumState.canListOutcomes()) {
+            lines.push(`${quote(quantumState.outcomeSummary())},`);
+        } else {
+            Object.entries(quantumState.getAllProbabilities())
+                .sort((a, b) => a[0].localeCompare(b[0]))
+                .forEach(([binary, prob]) => {
+                    lines.push(`${quote(binary)},${prob}`);
+                });
+        }
+
+        const observables = this.getObservables(quantumState);
+        if (observables.length > 0) {
+            lines.push('', 'Observable,Expectation,Variance');
+            observables.forEach(obs => {
+                lines.push(obs.error
+                    ? `${quote(obs.label)},${quote(obs.error)},`
+                    : `${quote(obs.label)},${obs.expectation},${obs.variance}`);
+            });
+        }
+        return lines.join('\n') + '\n';
+    }
 }
 
 // Export